@@ -11,8 +11,8 @@ const envConfig = () => ({
   JWT_SECRET: getEnv("JWT_SECRET", "secert_jwt"),
   JWT_EXPIRES_IN: getEnv("JWT_EXPIRES_IN", "15m"),
 
-//   JWT_REFRESH_SECRET: getEnv("JWT_REFRESH_SECRET", "secert_jwt_refresh"),
-//   JWT_REFRESH_EXPIRES_IN: getEnv("JWT_REFRESH_EXPIRES_IN", "7d") as string,
+  JWT_REFRESH_SECRET: getEnv("JWT_REFRESH_SECRET", "secert_jwt_refresh"),
+  JWT_REFRESH_EXPIRES_IN: getEnv("JWT_REFRESH_EXPIRES_IN", "7d"),
 
 //   GEMINI_API_KEY: getEnv("GEMINI_API_KEY"),
 
@@ -27,6 +27,64 @@ const envConfig = () => ({
 
 
   FRONTEND_ORIGIN: getEnv("FRONTEND_ORIGIN", "http://localhost:3000"),
+
+  // Express 'trust proxy': hops (1 behind Azure App Service's front end), true/false, or addresses/subnets
+  TRUST_PROXY: getEnv("TRUST_PROXY", "false"),
+
+  // Default minutes submissions stay open after the deadline (events can override)
+  SUBMISSION_GRACE_MINUTES: getEnv("SUBMISSION_GRACE_MINUTES", "0"),
+
+  // Login/signup throttling and lockout
+  RATE_LIMIT_WINDOW_MINUTES: getEnv("RATE_LIMIT_WINDOW_MINUTES", "15"),
+  LOGIN_MAX_ATTEMPTS_PER_IP: getEnv("LOGIN_MAX_ATTEMPTS_PER_IP", "20"),
+  LOGIN_MAX_ATTEMPTS_PER_ACCOUNT: getEnv("LOGIN_MAX_ATTEMPTS_PER_ACCOUNT", "10"),
+  SIGNUP_MAX_ATTEMPTS_PER_IP: getEnv("SIGNUP_MAX_ATTEMPTS_PER_IP", "5"),
+  SIGNUP_MAX_ATTEMPTS_PER_ACCOUNT: getEnv("SIGNUP_MAX_ATTEMPTS_PER_ACCOUNT", "3"),
+  LOGIN_MAX_FAILURES: getEnv("LOGIN_MAX_FAILURES", "5"),
+  LOGIN_LOCKOUT_MINUTES: getEnv("LOGIN_LOCKOUT_MINUTES", "15"),
+
+  // Mail - MAIL_TRANSPORT is one of console, file, smtp
+  MAIL_TRANSPORT: getEnv("MAIL_TRANSPORT", "console"),
+  MAIL_FROM: getEnv("MAIL_FROM", "Synapse <no-reply@synapse.local>"),
+  MAIL_FILE_DIR: getEnv("MAIL_FILE_DIR", "mail-outbox"),
+  SMTP_HOST: getEnv("SMTP_HOST", "localhost"),
+  SMTP_PORT: getEnv("SMTP_PORT", "587"),
+  SMTP_SECURE: getEnv("SMTP_SECURE", "false"),
+  SMTP_USER: getEnv("SMTP_USER", ""),
+  SMTP_PASS: getEnv("SMTP_PASS", ""),
+
+  EMAIL_VERIFICATION_TTL_MINUTES: getEnv("EMAIL_VERIFICATION_TTL_MINUTES", "1440"),
+  PASSWORD_RESET_TTL_MINUTES: getEnv("PASSWORD_RESET_TTL_MINUTES", "30"),
+
+  // Hours a team invite code stays valid unless the leader picks another expiry (0 = never expires)
+  TEAM_INVITE_TTL_HOURS: getEnv("TEAM_INVITE_TTL_HOURS", "72"),
+
+  // Hours between runs of the Mongo orphan reconciliation job (0 = disabled)
+  RECONCILE_INTERVAL_HOURS: getEnv("RECONCILE_INTERVAL_HOURS", "24"),
+
+  // Apply pending migrations from migrations/ when the server starts
+  MIGRATE_ON_START: getEnv("MIGRATE_ON_START", "true"),
+
+  // Chat and announcement content filter (0 turns a limit off)
+  CONTENT_FILTER_BLOCKED_WORDS: getEnv("CONTENT_FILTER_BLOCKED_WORDS", ""), // comma-separated
+  CONTENT_FILTER_MAX_LINKS: getEnv("CONTENT_FILTER_MAX_LINKS", "3"),
+  CONTENT_FILTER_MAX_REPEATED_CHARS: getEnv("CONTENT_FILTER_MAX_REPEATED_CHARS", "12"),
+
+  // OAuth - endpoints are overridable so a mock identity provider can stand in
+  OAUTH_REDIRECT_BASE_URL: getEnv("OAUTH_REDIRECT_BASE_URL", "http://localhost:8000/api/v1/users/oauth"),
+
+  GOOGLE_CLIENT_ID: getEnv("GOOGLE_CLIENT_ID", ""),
+  GOOGLE_CLIENT_SECRET: getEnv("GOOGLE_CLIENT_SECRET", ""),
+  GOOGLE_AUTH_URL: getEnv("GOOGLE_AUTH_URL", "https://accounts.google.com/o/oauth2/v2/auth"),
+  GOOGLE_TOKEN_URL: getEnv("GOOGLE_TOKEN_URL", "https://oauth2.googleapis.com/token"),
+  GOOGLE_USERINFO_URL: getEnv("GOOGLE_USERINFO_URL", "https://openidconnect.googleapis.com/v1/userinfo"),
+
+  GITHUB_CLIENT_ID: getEnv("GITHUB_CLIENT_ID", ""),
+  GITHUB_CLIENT_SECRET: getEnv("GITHUB_CLIENT_SECRET", ""),
+  GITHUB_AUTH_URL: getEnv("GITHUB_AUTH_URL", "https://github.com/login/oauth/authorize"),
+  GITHUB_TOKEN_URL: getEnv("GITHUB_TOKEN_URL", "https://github.com/login/oauth/access_token"),
+  GITHUB_USER_URL: getEnv("GITHUB_USER_URL", "https://api.github.com/user"),
+  GITHUB_EMAILS_URL: getEnv("GITHUB_EMAILS_URL", "https://api.github.com/user/emails"),
 });
 
 export const Env = envConfig();
\ No newline at end of file
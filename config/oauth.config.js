@@ -0,0 +1,23 @@
+import { Env } from './env.config.js';
+
+const oauthConfig = () => ({
+  google: {
+    clientId: Env.GOOGLE_CLIENT_ID,
+    clientSecret: Env.GOOGLE_CLIENT_SECRET,
+    authUrl: Env.GOOGLE_AUTH_URL,
+    tokenUrl: Env.GOOGLE_TOKEN_URL,
+    userInfoUrl: Env.GOOGLE_USERINFO_URL,
+    scope: 'openid email profile',
+  },
+  github: {
+    clientId: Env.GITHUB_CLIENT_ID,
+    clientSecret: Env.GITHUB_CLIENT_SECRET,
+    authUrl: Env.GITHUB_AUTH_URL,
+    tokenUrl: Env.GITHUB_TOKEN_URL,
+    userInfoUrl: Env.GITHUB_USER_URL,
+    emailsUrl: Env.GITHUB_EMAILS_URL,
+    scope: 'read:user user:email',
+  },
+});
+
+export const OAUTH_PROVIDERS = oauthConfig();
@@ -0,0 +1,364 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import { executeParameterizedQuery, getOne, getMany, withTransaction } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { UserRoleEnum } from "../enums/user-role.enum.js";
+import { revokeAllUserSessions } from "../utils/session.util.js";
+import { promoteFromWaitlist } from "../utils/waitlist.util.js";
+import { deleteUserAccount } from "../utils/admin.util.js";
+import { setEventOwner } from "../utils/event-access.util.js";
+import { cascadeUserDeletion, cascadeTeamDeletion } from "../utils/consistency.util.js";
+import Submission from "../models/submission.model.js";
+import Certificate from "../models/certificate.model.js";
+import Announcement from "../models/announcement.model.js";
+import ChatQnA from "../models/chatQna.model.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+
+const USER_COLUMNS = `userid, name, email, role, authprovider, emailverified, suspended, suspendedat, suspendedreason, createdat`;
+
+// Roles allowed to own events
+const EVENT_OWNER_ROLES = [UserRoleEnum.ORGANIZER, UserRoleEnum.ADMIN];
+
+const rejectSelf = (req, res, action) => {
+  if (req.params.userId !== req.user.userid) return false;
+
+  res.status(HTTPSTATUS.BAD_REQUEST).json({
+    success: false,
+    message: `You can't ${action} your own account`,
+  });
+  return true;
+};
+
+/**
+ * List users across the platform
+ * GET /admin/users?page=number&limit=number&role=string&suspended=true|false&search=string
+ * Admin only
+ */
+export const listUsers = AsyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+  const offset = (page - 1) * limit;
+  const { role, suspended, search } = req.query;
+
+  const conditions = [];
+  const params = { offset, limit };
+
+  if (role) {
+    conditions.push("role = @role");
+    params.role = role;
+  }
+  if (suspended) {
+    conditions.push("suspended = @suspended");
+    params.suspended = suspended === 'true';
+  }
+  if (search) {
+    conditions.push("(name LIKE @search OR email LIKE @search)");
+    params.search = `%${search.trim()}%`;
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const usersQuery = `
+    SELECT ${USER_COLUMNS} FROM users
+    ${whereClause}
+    ORDER BY createdat DESC
+    OFFSET @offset ROWS
+    FETCH NEXT @limit ROWS ONLY
+  `;
+  const users = await getMany(usersQuery, params);
+
+  const countResult = await getOne(`SELECT COUNT(*) as total FROM users ${whereClause}`, params);
+  const total = countResult.total;
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Users retrieved successfully",
+    data: users,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * Suspend a user: they are signed out everywhere and can't sign in until unsuspended
+ * POST /admin/users/:userId/suspend
+ * Admin only
+ */
+export const suspendUser = AsyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { reason = null } = req.body;
+
+  if (rejectSelf(req, res, "suspend")) return;
+
+  const suspendQuery = `
+    UPDATE users
+    SET suspended = 1, suspendedat = SYSUTCDATETIME(), suspendedreason = @reason
+    OUTPUT INSERTED.userid, INSERTED.name, INSERTED.email, INSERTED.role, INSERTED.suspendedat, INSERTED.suspendedreason
+    WHERE userid = @userId
+  `;
+  const result = await executeParameterizedQuery(suspendQuery, { userId, reason });
+
+  if (result.recordset.length === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "User not found",
+    });
+  }
+
+  const revokedSessions = await revokeAllUserSessions(userId, 'suspended');
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "User suspended successfully",
+    data: { ...result.recordset[0], revokedSessions },
+  });
+});
+
+/**
+ * Lift a user's suspension
+ * POST /admin/users/:userId/unsuspend
+ * Admin only
+ */
+export const unsuspendUser = AsyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const unsuspendQuery = `
+    UPDATE users
+    SET suspended = 0, suspendedat = NULL, suspendedreason = NULL
+    WHERE userid = @userId
+  `;
+  const result = await executeParameterizedQuery(unsuspendQuery, { userId });
+
+  if (result.rowsAffected[0] === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "User not found",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "User unsuspended successfully",
+  });
+});
+
+/**
+ * Change a user's platform role
+ * PATCH /admin/users/:userId/role
+ * Admin only
+ */
+export const updateUserRole = AsyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  // Admins can't demote themselves, so there is always at least one admin left
+  if (rejectSelf(req, res, "change the role of")) return;
+
+  const updateQuery = `
+    UPDATE users SET role = @role
+    OUTPUT INSERTED.userid, INSERTED.name, INSERTED.email, INSERTED.role
+    WHERE userid = @userId
+  `;
+  const result = await executeParameterizedQuery(updateQuery, { userId, role });
+
+  if (result.recordset.length === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "User not found",
+    });
+  }
+
+  // Events of a former organizer stay put until an admin takes them over or transfers them
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "User role updated successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Delete a user. Users who still organize events must have them transferred first.
+ * DELETE /admin/users/:userId
+ * Admin only
+ */
+export const deleteUser = AsyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (rejectSelf(req, res, "delete")) return;
+
+  const user = await getOne(`SELECT userid FROM users WHERE userid = @userId`, { userId });
+  if (!user) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "User not found",
+    });
+  }
+
+  const { disbandedTeamIds, freedSeatEventIds } = await deleteUserAccount(userId, req.user.userid);
+
+  await cascadeUserDeletion(userId);
+  for (const teamId of disbandedTeamIds) {
+    await cascadeTeamDeletion(teamId);
+  }
+  for (const eventId of freedSeatEventIds) {
+    await promoteFromWaitlist(eventId);
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "User deleted successfully",
+    data: { disbandedTeamIds },
+  });
+});
+
+/**
+ * List events whose organizer is suspended or no longer an organizer
+ * GET /admin/events/orphaned
+ * Admin only
+ */
+export const getOrphanedEvents = AsyncHandler(async (req, res) => {
+  const orphanedQuery = `
+    SELECT e.EventID, e.Name, e.StartDate, e.EndDate, e.IsActive,
+           e.OrganizerID, u.name as OrganizerName, u.email as OrganizerEmail,
+           u.role as OrganizerRole, u.suspended as OrganizerSuspended
+    FROM events e
+    INNER JOIN users u ON e.OrganizerID = u.userid
+    WHERE u.suspended = 1 OR u.role NOT IN ('organizer', 'admin')
+    ORDER BY e.StartDate DESC
+  `;
+  const events = await getMany(orphanedQuery);
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Orphaned events retrieved successfully",
+    data: events,
+    count: events.length,
+  });
+});
+
+// The previous owner leaves the event's staff; an admin transfer is for organizers who are gone
+const setEventOrganizer = (eventId, organizerId, adminId) =>
+  withTransaction((query) => setEventOwner(query, eventId, organizerId, adminId));
+
+/**
+ * Make yourself the organizer of an event
+ * POST /admin/events/:eventId/take-over
+ * Admin only
+ */
+export const takeOverEvent = AsyncHandler(async (req, res) => {
+  const event = await setEventOrganizer(req.params.eventId, req.user.userid, req.user.userid);
+
+  if (!event) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Event not found",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "You are now the organizer of this event",
+    data: event,
+  });
+});
+
+/**
+ * Hand an event to another organizer
+ * POST /admin/events/:eventId/transfer
+ * Admin only
+ */
+export const transferEvent = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { userId } = req.body;
+
+  const newOrganizer = await getOne(
+    `SELECT userid, name, role, suspended FROM users WHERE userid = @userId`,
+    { userId }
+  );
+
+  if (!newOrganizer) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "User not found",
+    });
+  }
+
+  if (!EVENT_OWNER_ROLES.includes(newOrganizer.role) || newOrganizer.suspended) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "Events can only be transferred to an active organizer or admin",
+    });
+  }
+
+  const event = await setEventOrganizer(eventId, userId, req.user.userid);
+
+  if (!event) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Event not found",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: `Event transferred to ${newOrganizer.name}`,
+    data: event,
+  });
+});
+
+/**
+ * Platform-wide counts
+ * GET /admin/stats
+ * Admin only
+ */
+export const getPlatformStats = AsyncHandler(async (req, res) => {
+  const totalsQuery = `
+    SELECT
+      (SELECT COUNT(*) FROM users) as totalUsers,
+      (SELECT COUNT(*) FROM users WHERE suspended = 1) as suspendedUsers,
+      (SELECT COUNT(*) FROM events) as totalEvents,
+      (SELECT COUNT(*) FROM events WHERE IsActive = 1) as activeEvents,
+      (SELECT COUNT(*) FROM teams) as totalTeams
+  `;
+  const totals = await getOne(totalsQuery);
+
+  const usersByRole = await getMany(`SELECT role, COUNT(*) as count FROM users GROUP BY role`);
+  const enrollmentsByStatus = await getMany(
+    `SELECT Status as status, COUNT(*) as count FROM event_enrollments GROUP BY Status`
+  );
+
+  const [submissions, certificates, announcements, chatMessages] = await Promise.all([
+    Submission.countDocuments(),
+    Certificate.countDocuments(),
+    Announcement.countDocuments(),
+    ChatQnA.countDocuments(),
+  ]);
+
+  const toCounts = (rows, key) => Object.fromEntries(rows.map((row) => [row[key], row.count]));
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Platform stats retrieved successfully",
+    data: {
+      users: {
+        total: totals.totalUsers,
+        suspended: totals.suspendedUsers,
+        byRole: toCounts(usersByRole, 'role'),
+      },
+      events: {
+        total: totals.totalEvents,
+        active: totals.activeEvents,
+      },
+      enrollments: toCounts(enrollmentsByStatus, 'status'),
+      teams: totals.totalTeams,
+      submissions,
+      certificates,
+      announcements,
+      chatMessages,
+    },
+  });
+});
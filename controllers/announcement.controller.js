@@ -3,6 +3,11 @@ import Announcement from "../models/announcement.model.js";
 import { executeParameterizedQuery } from "../utils/sql.util.js";
 import { HTTPSTATUS } from "../config/Https.config.js";
 import { validateReferences } from "../utils/validation.util.js";
+import { EVENT_ORGANIZER_ROLES, getStaffEventIds } from "../utils/event-access.util.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { authorize } from "../utils/policy.util.js";
+import { emitDomainEvent } from "../utils/domain-events.util.js";
+import { DomainEventEnum } from "../enums/domain-event.enum.js";
 
 /**
  * Create a new announcement
@@ -31,19 +36,7 @@ export const createAnnouncement = AsyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is organizer of the event
-  const organizerCheck = `
-    SELECT COUNT(*) as count FROM events 
-    WHERE EventID = @eventId AND OrganizerID = @authorId
-  `;
-  const isOrganizer = await executeParameterizedQuery(organizerCheck, { eventId, authorId });
-
-  if (isOrganizer.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not authorized to create announcements for this event"
-    });
-  }
+  await authorize(req.user, PermissionEnum.EVENT_MANAGE, { eventId });
 
   // Create new announcement
   const announcement = new Announcement({
@@ -57,6 +50,8 @@ export const createAnnouncement = AsyncHandler(async (req, res) => {
 
   await announcement.save();
 
+  emitDomainEvent(DomainEventEnum.ANNOUNCEMENT_POSTED, { announcement });
+
   res.status(HTTPSTATUS.CREATED).json({
     success: true,
     message: "Announcement created successfully",
@@ -82,24 +77,8 @@ export const getAnnouncementsByEvent = AsyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user has access to this event (enrolled or organizer)
-  const userId = req.user.userid;
-  const accessCheck = `
-    SELECT COUNT(*) as count FROM (
-      SELECT 1 FROM events WHERE EventID = @eventId AND OrganizerID = @userId
-      UNION
-      SELECT 1 FROM event_enrollments WHERE EventID = @eventId AND UserID = @userId AND Status = 'Enrolled'
-    ) as access_check
-  `;
-  
-  const hasAccess = await executeParameterizedQuery(accessCheck, { eventId, userId });
-
-  if (hasAccess.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You don't have access to this event's announcements"
-    });
-  }
+  // Enrolled participants and staff only
+  await authorize(req.user, PermissionEnum.EVENT_VIEW, { eventId });
 
   // Build filter
   const filter = { eventId: parseInt(eventId) };
@@ -151,27 +130,7 @@ export const getAnnouncementById = AsyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user has access to this event
-  const userId = req.user.userid;
-  const accessCheck = `
-    SELECT COUNT(*) as count FROM (
-      SELECT 1 FROM events WHERE EventID = @eventId AND OrganizerID = @userId
-      UNION
-      SELECT 1 FROM event_enrollments WHERE EventID = @eventId AND UserID = @userId AND Status = 'Enrolled'
-    ) as access_check
-  `;
-  
-  const hasAccess = await executeParameterizedQuery(accessCheck, { 
-    eventId: announcement.eventId, 
-    userId 
-  });
-
-  if (hasAccess.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You don't have access to this announcement"
-    });
-  }
+  await authorize(req.user, PermissionEnum.EVENT_VIEW, { eventId: announcement.eventId });
 
   // Get author details
   const authorQuery = `
@@ -201,7 +160,6 @@ export const getAnnouncementById = AsyncHandler(async (req, res) => {
  */
 export const updateAnnouncement = AsyncHandler(async (req, res) => {
   const { id } = req.params;
-  const userId = req.user.userid;
   const updateData = req.body;
 
   const announcement = await Announcement.findById(id);
@@ -213,22 +171,7 @@ export const updateAnnouncement = AsyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is the author or organizer of the event
-  const authCheck = `
-    SELECT COUNT(*) as count FROM events 
-    WHERE EventID = @eventId AND OrganizerID = @userId
-  `;
-  const isAuthorized = await executeParameterizedQuery(authCheck, { 
-    eventId: announcement.eventId, 
-    userId 
-  });
-
-  if (isAuthorized.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not authorized to update this announcement"
-    });
-  }
+  await authorize(req.user, PermissionEnum.EVENT_MANAGE, { eventId: announcement.eventId });
 
   // Remove fields that shouldn't be updated
   delete updateData.eventId;
@@ -254,7 +197,6 @@ export const updateAnnouncement = AsyncHandler(async (req, res) => {
  */
 export const deleteAnnouncement = AsyncHandler(async (req, res) => {
   const { id } = req.params;
-  const userId = req.user.userid;
 
   const announcement = await Announcement.findById(id);
 
@@ -265,22 +207,7 @@ export const deleteAnnouncement = AsyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is the author or organizer of the event
-  const authCheck = `
-    SELECT COUNT(*) as count FROM events 
-    WHERE EventID = @eventId AND OrganizerID = @userId
-  `;
-  const isAuthorized = await executeParameterizedQuery(authCheck, { 
-    eventId: announcement.eventId, 
-    userId 
-  });
-
-  if (isAuthorized.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not authorized to delete this announcement"
-    });
-  }
+  await authorize(req.user, PermissionEnum.EVENT_MANAGE, { eventId: announcement.eventId });
 
   await Announcement.findByIdAndDelete(id);
 
@@ -326,12 +253,13 @@ export const getMyImportantAnnouncements = AsyncHandler(async (req, res) => {
       const detailsQuery = `
         SELECT e.Name as EventName, u.name as AuthorName
         FROM events e
-        INNER JOIN users u ON e.OrganizerID = u.userid
+        LEFT JOIN users u ON u.userid = @authorId
         WHERE e.EventID = @eventId
       `;
       
       const detailsResult = await executeParameterizedQuery(detailsQuery, { 
-        eventId: announcement.eventId 
+        eventId: announcement.eventId,
+        authorId: announcement.authorId
       });
 
       return {
@@ -359,13 +287,8 @@ export const getAllAnnouncementsForOrganizer = AsyncHandler(async (req, res) =>
   const organizerId = req.user.userid;
   const { page = 1, limit = 10, eventId, priority, important } = req.query;
 
-  // Get all events organized by this user
-  const eventsQuery = `
-    SELECT EventID FROM events 
-    WHERE OrganizerID = @organizerId AND IsActive = 1
-  `;
-  const eventsResult = await executeParameterizedQuery(eventsQuery, { organizerId });
-  const eventIds = eventsResult.recordset.map(row => row.EventID);
+  // Get all active events this user owns or co-organizes
+  const eventIds = await getStaffEventIds(organizerId, EVENT_ORGANIZER_ROLES, { activeOnly: true });
 
   if (eventIds.length === 0) {
     return res.status(HTTPSTATUS.OK).json({
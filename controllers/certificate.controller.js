@@ -2,7 +2,12 @@ import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
 import Certificate from "../models/certificate.model.js";
 import { executeParameterizedQuery } from "../utils/sql.util.js";
 import { HTTPSTATUS } from "../config/Https.config.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { authorize } from "../utils/policy.util.js";
 import { validateReferences } from "../utils/validation.util.js";
+import { EVENT_PHASES, assertEventPhase } from "../utils/event-phase.util.js";
+import { emitDomainEvent } from "../utils/domain-events.util.js";
+import { DomainEventEnum } from "../enums/domain-event.enum.js";
 
 /**
  * Issue a certificate to a user
@@ -11,7 +16,6 @@ import { validateReferences } from "../utils/validation.util.js";
  */
 export const issueCertificate = AsyncHandler(async (req, res) => {
   const { eventId, userId, certificateUrl } = req.body;
-  const organizerId = req.user.userid;
 
   if (!eventId || !userId || !certificateUrl) {
     return res.status(HTTPSTATUS.BAD_REQUEST).json({
@@ -29,21 +33,9 @@ export const issueCertificate = AsyncHandler(async (req, res) => {
     });
   }
 
-  const organizerCheck = `
-    SELECT COUNT(*) as count FROM events 
-    WHERE EventID = @eventId AND OrganizerID = @organizerId
-  `;
-  const isOrganizer = await executeParameterizedQuery(organizerCheck, {
-    eventId,
-    organizerId,
-  });
+  await authorize(req.user, PermissionEnum.EVENT_MANAGE, { eventId });
 
-  if (isOrganizer.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not authorized to issue certificates for this event",
-    });
-  }
+  await assertEventPhase(eventId, [EVENT_PHASES.JUDGING, EVENT_PHASES.RESULTS], "Issuing certificates");
 
   const enrollmentCheck = `
     SELECT COUNT(*) as count FROM event_enrollments 
@@ -78,6 +70,8 @@ export const issueCertificate = AsyncHandler(async (req, res) => {
 
   await certificate.save();
 
+  emitDomainEvent(DomainEventEnum.CERTIFICATE_ISSUED, { certificate });
+
   const detailsQuery = `
     SELECT u.name as UserName, u.email as UserEmail, e.Name as EventName
     FROM users u, events e
@@ -108,8 +102,6 @@ export const issueCertificate = AsyncHandler(async (req, res) => {
  */
 export const getCertificatesByEvent = AsyncHandler(async (req, res) => {
   const { eventId } = req.params;
-  const userId = req.user.userid;
-  const userRole = req.user.role;
 
   const validationErrors = await validateReferences({
     eventId: parseInt(eventId),
@@ -122,28 +114,7 @@ export const getCertificatesByEvent = AsyncHandler(async (req, res) => {
     });
   }
 
-  let hasAccess = false;
-
-  if (userRole === "judge") {
-    hasAccess = true;
-  } else {
-    const organizerCheck = `
-      SELECT COUNT(*) as count FROM events 
-      WHERE EventID = @eventId AND OrganizerID = @userId
-    `;
-    const isOrganizer = await executeParameterizedQuery(organizerCheck, {
-      eventId,
-      userId,
-    });
-    hasAccess = isOrganizer.recordset[0].count > 0;
-  }
-
-  if (!hasAccess) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not authorized to view certificates for this event",
-    });
-  }
+  await authorize(req.user, PermissionEnum.EVENT_CERTIFICATES_VIEW, { eventId });
 
   const certificates = await Certificate.find({
     eventId: parseInt(eventId),
@@ -216,7 +187,6 @@ export const getMyCertificates = AsyncHandler(async (req, res) => {
  */
 export const getCertificateById = AsyncHandler(async (req, res) => {
   const { id } = req.params;
-  const userId = req.user.userid;
 
   const certificate = await Certificate.findById(id);
 
@@ -227,27 +197,11 @@ export const getCertificateById = AsyncHandler(async (req, res) => {
     });
   }
 
-  const accessCheck = `
-    SELECT COUNT(*) as count FROM (
-      SELECT 1 WHERE @userId = @certificateUserId
-      UNION
-      SELECT 1 FROM events WHERE EventID = @eventId AND OrganizerID = @userId
-    ) as access_check
-  `;
-
-  const hasAccess = await executeParameterizedQuery(accessCheck, {
-    userId,
-    certificateUserId: certificate.userId,
+  await authorize(req.user, PermissionEnum.CERTIFICATE_VIEW, {
     eventId: certificate.eventId,
+    recipientId: certificate.userId,
   });
 
-  if (hasAccess.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You don't have access to this certificate",
-    });
-  }
-
   const detailsQuery = `
     SELECT u.name as UserName, u.email as UserEmail, 
            e.Name as EventName, e.StartDate, e.EndDate
@@ -280,7 +234,6 @@ export const getCertificateById = AsyncHandler(async (req, res) => {
 export const updateCertificate = AsyncHandler(async (req, res) => {
   const { id } = req.params;
   const { certificateUrl } = req.body;
-  const organizerId = req.user.userid;
 
   if (!certificateUrl) {
     return res.status(HTTPSTATUS.BAD_REQUEST).json({
@@ -298,21 +251,7 @@ export const updateCertificate = AsyncHandler(async (req, res) => {
     });
   }
 
-  const organizerCheck = `
-    SELECT COUNT(*) as count FROM events 
-    WHERE EventID = @eventId AND OrganizerID = @organizerId
-  `;
-  const isOrganizer = await executeParameterizedQuery(organizerCheck, {
-    eventId: certificate.eventId,
-    organizerId,
-  });
-
-  if (isOrganizer.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not authorized to update this certificate",
-    });
-  }
+  await authorize(req.user, PermissionEnum.EVENT_MANAGE, { eventId: certificate.eventId });
 
   const updatedCertificate = await Certificate.findByIdAndUpdate(
     id,
@@ -334,7 +273,6 @@ export const updateCertificate = AsyncHandler(async (req, res) => {
  */
 export const deleteCertificate = AsyncHandler(async (req, res) => {
   const { id } = req.params;
-  const organizerId = req.user.userid;
 
   const certificate = await Certificate.findById(id);
 
@@ -345,21 +283,7 @@ export const deleteCertificate = AsyncHandler(async (req, res) => {
     });
   }
 
-  const organizerCheck = `
-    SELECT COUNT(*) as count FROM events 
-    WHERE EventID = @eventId AND OrganizerID = @organizerId
-  `;
-  const isOrganizer = await executeParameterizedQuery(organizerCheck, {
-    eventId: certificate.eventId,
-    organizerId,
-  });
-
-  if (isOrganizer.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not authorized to delete this certificate",
-    });
-  }
+  await authorize(req.user, PermissionEnum.EVENT_MANAGE, { eventId: certificate.eventId });
 
   await Certificate.findByIdAndDelete(id);
 
@@ -376,7 +300,6 @@ export const deleteCertificate = AsyncHandler(async (req, res) => {
  */
 export const bulkIssueCertificates = AsyncHandler(async (req, res) => {
   const { eventId, userIds, certificateUrl } = req.body;
-  const organizerId = req.user.userid;
 
   if (
     !eventId ||
@@ -400,21 +323,9 @@ export const bulkIssueCertificates = AsyncHandler(async (req, res) => {
     });
   }
 
-  const organizerCheck = `
-    SELECT COUNT(*) as count FROM events 
-    WHERE EventID = @eventId AND OrganizerID = @organizerId
-  `;
-  const isOrganizer = await executeParameterizedQuery(organizerCheck, {
-    eventId,
-    organizerId,
-  });
+  await authorize(req.user, PermissionEnum.EVENT_MANAGE, { eventId });
 
-  if (isOrganizer.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not authorized to issue certificates for this event",
-    });
-  }
+  await assertEventPhase(eventId, [EVENT_PHASES.JUDGING, EVENT_PHASES.RESULTS], "Issuing certificates");
 
   const results = {
     issued: [],
@@ -464,6 +375,7 @@ export const bulkIssueCertificates = AsyncHandler(async (req, res) => {
       });
 
       await certificate.save();
+      emitDomainEvent(DomainEventEnum.CERTIFICATE_ISSUED, { certificate });
       results.issued.push({ userId, certificateId: certificate._id });
     } catch (error) {
       results.errors.push({ userId, error: error.message });
@@ -578,22 +490,7 @@ export const generateCertificate = AsyncHandler(async (req, res) => {
     });
   }
 
-  const organizerId = req.user.userid;
-  const organizerCheck = `
-    SELECT COUNT(*) as count FROM events 
-    WHERE EventID = @eventId AND OrganizerID = @organizerId
-  `;
-  const isOrganizer = await executeParameterizedQuery(organizerCheck, {
-    eventId,
-    organizerId,
-  });
-
-  if (isOrganizer.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not authorized to generate certificates for this event",
-    });
-  }
+  await authorize(req.user, PermissionEnum.EVENT_MANAGE, { eventId });
 
   const certificateData = {
     id: `cert_${Date.now()}`,
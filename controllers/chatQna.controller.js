@@ -2,7 +2,37 @@ import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
 import ChatQnA from "../models/chatQna.model.js";
 import { executeParameterizedQuery } from "../utils/sql.util.js";
 import { HTTPSTATUS } from "../config/Https.config.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { can, authorize } from "../utils/policy.util.js";
 import { validateReferences } from "../utils/validation.util.js";
+import { CHAT_STREAM_EVENTS, openChatStream, publishChatEvent } from "../utils/chat-stream.util.js";
+
+const CHAT_SORTS = {
+  // The latest page, shown oldest first
+  recent: { createdAt: -1 },
+  // Pinned threads, then the most upvoted: the event's FAQ
+  top: { isPinned: -1, upvoteCount: -1, createdAt: -1 },
+  upvotes: { upvoteCount: -1, createdAt: -1 },
+};
+
+// Voters stay private; with a userId the caller learns whether they upvoted.
+// Hidden replies are left out unless the caller moderates the event.
+const toChatView = (chat, userId, canModerate = false) => {
+  const { upvotes = [], ...view } = chat.toObject();
+  if (!canModerate) view.replies = view.replies.filter((reply) => !reply.isHidden);
+  return userId === undefined ? view : { ...view, hasUpvoted: upvotes.includes(userId) };
+};
+
+// Everyone watching the event shares one stream, so hidden threads and replies stay off it
+const publishChatUpdate = (chat) => {
+  if (chat.isHidden) return;
+  publishChatEvent(chat.eventId, CHAT_STREAM_EVENTS.MESSAGE_UPDATED, toChatView(chat));
+};
+
+const publishReplyEvent = (chat, reply, type, data) => {
+  if (chat.isHidden || reply.isHidden) return;
+  publishChatEvent(chat.eventId, type, { chatId: chat._id, ...data });
+};
 
 /**
  * Create a new chat/question
@@ -45,6 +75,8 @@ export const createChatMessage = AsyncHandler(async (req, res) => {
     });
   }
 
+  await authorize(req.user, PermissionEnum.CHAT_POST, { eventId });
+
   // Create new chat message
   const chatMessage = new ChatQnA({
     eventId,
@@ -62,10 +94,12 @@ export const createChatMessage = AsyncHandler(async (req, res) => {
   const userResult = await executeParameterizedQuery(userQuery, { fromUserId });
 
   const chatMessageWithUser = {
-    ...chatMessage.toObject(),
+    ...toChatView(chatMessage),
     userDetails: userResult.recordset[0] || null
   };
 
+  publishChatEvent(eventId, CHAT_STREAM_EVENTS.MESSAGE_CREATED, chatMessageWithUser);
+
   res.status(HTTPSTATUS.CREATED).json({
     success: true,
     message: "Chat message created successfully",
@@ -75,11 +109,11 @@ export const createChatMessage = AsyncHandler(async (req, res) => {
 
 /**
  * Get chat messages for an event
- * GET /chat/event/:eventId
+ * GET /chat/event/:eventId?status=open|answered|closed&pinned=boolean&sort=recent|top|upvotes
  */
 export const getChatByEvent = AsyncHandler(async (req, res) => {
   const { eventId } = req.params;
-  const { page = 1, limit = 20 } = req.query;
+  const { page = 1, limit = 20, status, pinned, sort = 'recent' } = req.query;
   const userId = req.user.userid;
 
   // Validate event exists
@@ -107,14 +141,27 @@ export const getChatByEvent = AsyncHandler(async (req, res) => {
     });
   }
 
+  // Moderators also see what they hid
+  const canModerate = await can(req.user, PermissionEnum.EVENT_MODERATE, { eventId });
+
+  const filter = { eventId: parseInt(eventId) };
+  if (!canModerate) filter.isHidden = { $ne: true };
+  if (status) {
+    // Threads from before statuses existed have none and are still open
+    filter.status = status === 'open' ? { $in: ['open', null] } : status;
+  }
+  if (pinned !== undefined) {
+    filter.isPinned = pinned === 'true' ? true : { $ne: true };
+  }
+
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  const chatMessages = await ChatQnA.find({ eventId: parseInt(eventId) })
-    .sort({ createdAt: -1 })
+  const chatMessages = await ChatQnA.find(filter)
+    .sort(CHAT_SORTS[sort])
     .skip(skip)
     .limit(parseInt(limit));
 
-  const totalMessages = await ChatQnA.countDocuments({ eventId: parseInt(eventId) });
+  const totalMessages = await ChatQnA.countDocuments(filter);
 
   // Get user details for each message and reply
   const chatMessagesWithDetails = await Promise.all(
@@ -129,8 +176,9 @@ export const getChatByEvent = AsyncHandler(async (req, res) => {
       });
 
       // Get reply authors details
+      const visibleReplies = canModerate ? chat.replies : chat.replies.filter((reply) => !reply.isHidden);
       const repliesWithDetails = await Promise.all(
-        chat.replies.map(async (reply) => {
+        visibleReplies.map(async (reply) => {
           const replyAuthorResult = await executeParameterizedQuery(authorQuery, { 
             fromUserId: reply.fromUserId 
           });
@@ -143,7 +191,7 @@ export const getChatByEvent = AsyncHandler(async (req, res) => {
       );
 
       return {
-        ...chat.toObject(),
+        ...toChatView(chat, userId),
         userDetails: authorResult.recordset[0] || null,
         replies: repliesWithDetails
       };
@@ -153,7 +201,8 @@ export const getChatByEvent = AsyncHandler(async (req, res) => {
   res.status(HTTPSTATUS.OK).json({
     success: true,
     message: "Chat messages retrieved successfully",
-    data: chatMessagesWithDetails.reverse(), // Reverse to show oldest first
+    // Recent threads are fetched newest first but shown oldest first
+    data: sort === 'recent' ? chatMessagesWithDetails.reverse() : chatMessagesWithDetails,
     pagination: {
       currentPage: parseInt(page),
       totalPages: Math.ceil(totalMessages / parseInt(limit)),
@@ -164,6 +213,32 @@ export const getChatByEvent = AsyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Stream new messages, replies, edits and deletions for an event
+ * GET /chat/event/:eventId/stream
+ * Enrolled participants and event staff
+ */
+export const streamEventChat = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  const eventCheck = `
+    SELECT COUNT(*) as count FROM events 
+    WHERE EventID = @eventId AND IsActive = 1
+  `;
+  
+  const eventExists = await executeParameterizedQuery(eventCheck, { eventId });
+
+  if (eventExists.recordset[0].count === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Event not found or not active"
+    });
+  }
+
+  // Closed when the token expires so clients have to reconnect with a fresh one
+  openChatStream(eventId, req, res, req.tokenExpiresAt);
+});
+
 /**
  * Add reply to a chat message
  * POST /chat/:chatId/reply
@@ -206,6 +281,8 @@ export const addReplyToChat = AsyncHandler(async (req, res) => {
     });
   }
 
+  await authorize(req.user, PermissionEnum.CHAT_POST, { eventId: chatMessage.eventId });
+
   // Add reply
   const reply = {
     fromUserId,
@@ -230,6 +307,8 @@ export const addReplyToChat = AsyncHandler(async (req, res) => {
     userDetails: userResult.recordset[0] || null
   };
 
+  publishReplyEvent(chatMessage, newReply, CHAT_STREAM_EVENTS.REPLY_CREATED, { reply: replyWithUser });
+
   res.status(HTTPSTATUS.CREATED).json({
     success: true,
     message: "Reply added successfully",
@@ -246,8 +325,10 @@ export const getChatById = AsyncHandler(async (req, res) => {
   const userId = req.user.userid;
 
   const chatMessage = await ChatQnA.findById(id);
+  const canModerate = chatMessage
+    && await can(req.user, PermissionEnum.EVENT_MODERATE, { eventId: chatMessage.eventId });
 
-  if (!chatMessage) {
+  if (!chatMessage || (chatMessage.isHidden && !canModerate)) {
     return res.status(HTTPSTATUS.NOT_FOUND).json({
       success: false,
       message: "Chat message not found"
@@ -280,8 +361,9 @@ export const getChatById = AsyncHandler(async (req, res) => {
     fromUserId: chatMessage.fromUserId 
   });
 
+  const visibleReplies = canModerate ? chatMessage.replies : chatMessage.replies.filter((reply) => !reply.isHidden);
   const repliesWithDetails = await Promise.all(
-    chatMessage.replies.map(async (reply) => {
+    visibleReplies.map(async (reply) => {
       const replyAuthorResult = await executeParameterizedQuery(authorQuery, { 
         fromUserId: reply.fromUserId 
       });
@@ -294,7 +376,7 @@ export const getChatById = AsyncHandler(async (req, res) => {
   );
 
   const chatMessageWithDetails = {
-    ...chatMessage.toObject(),
+    ...toChatView(chatMessage, userId),
     userDetails: authorResult.recordset[0] || null,
     replies: repliesWithDetails
   };
@@ -314,7 +396,6 @@ export const getChatById = AsyncHandler(async (req, res) => {
 export const updateChatMessage = AsyncHandler(async (req, res) => {
   const { id } = req.params;
   const { message } = req.body;
-  const userId = req.user.userid;
 
   if (!message) {
     return res.status(HTTPSTATUS.BAD_REQUEST).json({
@@ -332,13 +413,8 @@ export const updateChatMessage = AsyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is the author
-  if (chatMessage.fromUserId !== userId) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You can only update your own messages"
-    });
-  }
+  await authorize(req.user, PermissionEnum.CHAT_EDIT, { authorId: chatMessage.fromUserId });
+  await authorize(req.user, PermissionEnum.CHAT_POST, { eventId: chatMessage.eventId });
 
   const updatedChat = await ChatQnA.findByIdAndUpdate(
     id,
@@ -346,21 +422,22 @@ export const updateChatMessage = AsyncHandler(async (req, res) => {
     { new: true, runValidators: true }
   );
 
+  publishChatUpdate(updatedChat);
+
   res.status(HTTPSTATUS.OK).json({
     success: true,
     message: "Chat message updated successfully",
-    data: updatedChat
+    data: toChatView(updatedChat, req.user.userid)
   });
 });
 
 /**
  * Delete chat message
  * DELETE /chat/:id
- * Only message author or event organizer can delete
+ * Only message author or event moderators can delete
  */
 export const deleteChatMessage = AsyncHandler(async (req, res) => {
   const { id } = req.params;
-  const userId = req.user.userid;
 
   const chatMessage = await ChatQnA.findById(id);
 
@@ -371,30 +448,17 @@ export const deleteChatMessage = AsyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is the author or event organizer
-  const authCheck = `
-    SELECT COUNT(*) as count FROM (
-      SELECT 1 as isAuth WHERE @userId = @fromUserId
-      UNION
-      SELECT 1 as isAuth FROM events WHERE EventID = @eventId AND OrganizerID = @userId
-    ) as auth_check
-  `;
-  
-  const isAuthorized = await executeParameterizedQuery(authCheck, { 
-    userId, 
-    fromUserId: chatMessage.fromUserId,
-    eventId: chatMessage.eventId 
+  await authorize(req.user, PermissionEnum.CHAT_DELETE, {
+    eventId: chatMessage.eventId,
+    authorId: chatMessage.fromUserId
   });
 
-  if (isAuthorized.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not authorized to delete this message"
-    });
-  }
-
   await ChatQnA.findByIdAndDelete(id);
 
+  if (!chatMessage.isHidden) {
+    publishChatEvent(chatMessage.eventId, CHAT_STREAM_EVENTS.MESSAGE_DELETED, { chatId: chatMessage._id });
+  }
+
   res.status(HTTPSTATUS.OK).json({
     success: true,
     message: "Chat message deleted successfully"
@@ -408,7 +472,6 @@ export const deleteChatMessage = AsyncHandler(async (req, res) => {
 export const updateChatReply = AsyncHandler(async (req, res) => {
   const { chatId, replyId } = req.params;
   const { message } = req.body;
-  const userId = req.user.userid;
 
   if (!message) {
     return res.status(HTTPSTATUS.BAD_REQUEST).json({
@@ -435,19 +498,16 @@ export const updateChatReply = AsyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is the reply author
-  if (reply.fromUserId !== userId) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You can only update your own replies"
-    });
-  }
+  await authorize(req.user, PermissionEnum.CHAT_EDIT, { authorId: reply.fromUserId });
+  await authorize(req.user, PermissionEnum.CHAT_POST, { eventId: chatMessage.eventId });
 
   reply.message = message;
   reply.updatedAt = new Date();
 
   await chatMessage.save();
 
+  publishReplyEvent(chatMessage, reply, CHAT_STREAM_EVENTS.REPLY_UPDATED, { reply });
+
   res.status(HTTPSTATUS.OK).json({
     success: true,
     message: "Reply updated successfully",
@@ -461,7 +521,6 @@ export const updateChatReply = AsyncHandler(async (req, res) => {
  */
 export const deleteChatReply = AsyncHandler(async (req, res) => {
   const { chatId, replyId } = req.params;
-  const userId = req.user.userid;
 
   const chatMessage = await ChatQnA.findById(chatId);
 
@@ -481,33 +540,356 @@ export const deleteChatReply = AsyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is the reply author or event organizer
-  const authCheck = `
-    SELECT COUNT(*) as count FROM (
-      SELECT 1 as isAuth WHERE @userId = @fromUserId
-      UNION
-      SELECT 1 as isAuth FROM events WHERE EventID = @eventId AND OrganizerID = @userId
-    ) as auth_check
+  await authorize(req.user, PermissionEnum.CHAT_DELETE, {
+    eventId: chatMessage.eventId,
+    authorId: reply.fromUserId
+  });
+
+  chatMessage.replies.pull(replyId);
+
+  // Removing the accepted answer reopens the question
+  if (chatMessage.acceptedReplyId?.equals(replyId)) {
+    chatMessage.acceptedReplyId = null;
+    if (chatMessage.status === 'answered') chatMessage.status = 'open';
+  }
+
+  await chatMessage.save();
+
+  publishReplyEvent(chatMessage, reply, CHAT_STREAM_EVENTS.REPLY_DELETED, { replyId });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Reply deleted successfully"
+  });
+});
+
+/**
+ * Set a question's status
+ * PATCH /chat/:id/status
+ * Event moderators only
+ */
+export const updateChatStatus = AsyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+
+  const chatMessage = await ChatQnA.findById(id);
+
+  if (!chatMessage) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Chat message not found"
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.EVENT_MODERATE, { eventId: chatMessage.eventId });
+
+  chatMessage.status = status;
+  await chatMessage.save();
+
+  publishChatUpdate(chatMessage);
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Question status updated successfully",
+    data: toChatView(chatMessage, req.user.userid, true)
+  });
+});
+
+/**
+ * Pin or unpin a question
+ * PATCH /chat/:id/pin
+ * Event moderators only
+ */
+export const pinChatMessage = AsyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { isPinned } = req.body;
+
+  const chatMessage = await ChatQnA.findById(id);
+
+  if (!chatMessage) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Chat message not found"
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.EVENT_MODERATE, { eventId: chatMessage.eventId });
+
+  chatMessage.isPinned = isPinned;
+  chatMessage.pinnedAt = isPinned ? new Date() : null;
+  await chatMessage.save();
+
+  publishChatUpdate(chatMessage);
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: isPinned ? "Question pinned successfully" : "Question unpinned successfully",
+    data: toChatView(chatMessage, req.user.userid, true)
+  });
+});
+
+/**
+ * Upvote a question, once per user
+ * POST /chat/:id/upvote
+ */
+export const upvoteChatMessage = AsyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userid;
+
+  const chatMessage = await ChatQnA.findById(id);
+  const canModerate = chatMessage
+    && await can(req.user, PermissionEnum.EVENT_MODERATE, { eventId: chatMessage.eventId });
+
+  if (!chatMessage || (chatMessage.isHidden && !canModerate)) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Chat message not found"
+    });
+  }
+
+  const eventCheck = `
+    SELECT COUNT(*) as count FROM events 
+    WHERE EventID = @eventId AND IsActive = 1
   `;
   
-  const isAuthorized = await executeParameterizedQuery(authCheck, { 
-    userId, 
-    fromUserId: reply.fromUserId,
-    eventId: chatMessage.eventId 
+  const eventExists = await executeParameterizedQuery(eventCheck, { 
+    eventId: chatMessage.eventId
   });
 
-  if (isAuthorized.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
+  if (eventExists.recordset[0].count === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
       success: false,
-      message: "You are not authorized to delete this reply"
+      message: "Event not found or not active"
     });
   }
 
-  chatMessage.replies.pull(replyId);
+  if (chatMessage.fromUserId === userId) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "You can't upvote your own question"
+    });
+  }
+
+  // The filter makes the vote and the count one atomic step, so double clicks count once
+  const upvoted = await ChatQnA.findOneAndUpdate(
+    { _id: id, upvotes: { $ne: userId } },
+    { $push: { upvotes: userId }, $inc: { upvoteCount: 1 } },
+    { new: true }
+  );
+
+  if (!upvoted) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "You already upvoted this question"
+    });
+  }
+
+  if (!upvoted.isHidden) {
+    publishChatEvent(upvoted.eventId, CHAT_STREAM_EVENTS.MESSAGE_UPVOTED, {
+      chatId: upvoted._id,
+      upvoteCount: upvoted.upvoteCount
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Question upvoted successfully",
+    data: { chatId: upvoted._id, upvoteCount: upvoted.upvoteCount, hasUpvoted: true }
+  });
+});
+
+/**
+ * Take back an upvote
+ * DELETE /chat/:id/upvote
+ */
+export const removeChatUpvote = AsyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userid;
+
+  const chatMessage = await ChatQnA.findById(id);
+  const canModerate = chatMessage
+    && await can(req.user, PermissionEnum.EVENT_MODERATE, { eventId: chatMessage.eventId });
+
+  if (!chatMessage || (chatMessage.isHidden && !canModerate)) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Chat message not found"
+    });
+  }
+
+  const eventCheck = `
+    SELECT COUNT(*) as count FROM events 
+    WHERE EventID = @eventId AND IsActive = 1
+  `;
+  
+  const eventExists = await executeParameterizedQuery(eventCheck, { 
+    eventId: chatMessage.eventId
+  });
+
+  if (eventExists.recordset[0].count === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Event not found or not active"
+    });
+  }
+
+  const unvoted = await ChatQnA.findOneAndUpdate(
+    { _id: id, upvotes: userId },
+    { $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } },
+    { new: true }
+  );
+
+  if (!unvoted) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "You haven't upvoted this question"
+    });
+  }
+
+  if (!unvoted.isHidden) {
+    publishChatEvent(unvoted.eventId, CHAT_STREAM_EVENTS.MESSAGE_UPVOTED, {
+      chatId: unvoted._id,
+      upvoteCount: unvoted.upvoteCount
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Upvote removed successfully",
+    data: { chatId: unvoted._id, upvoteCount: unvoted.upvoteCount, hasUpvoted: false }
+  });
+});
+
+/**
+ * Accept a reply as the answer, or clear it with replyId null
+ * PATCH /chat/:id/accepted-reply
+ * Event moderators only
+ */
+export const setAcceptedReply = AsyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { replyId } = req.body;
+
+  const chatMessage = await ChatQnA.findById(id);
+
+  if (!chatMessage) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Chat message not found"
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.EVENT_MODERATE, { eventId: chatMessage.eventId });
+
+  if (replyId) {
+    if (!chatMessage.replies.id(replyId)) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        message: "Reply not found"
+      });
+    }
+
+    chatMessage.acceptedReplyId = replyId;
+    chatMessage.status = 'answered';
+  } else {
+    chatMessage.acceptedReplyId = null;
+    if (chatMessage.status === 'answered') chatMessage.status = 'open';
+  }
+
   await chatMessage.save();
 
+  publishChatUpdate(chatMessage);
+
   res.status(HTTPSTATUS.OK).json({
     success: true,
-    message: "Reply deleted successfully"
+    message: replyId ? "Answer accepted successfully" : "Accepted answer cleared",
+    data: toChatView(chatMessage, req.user.userid, true)
+  });
+});
+
+/**
+ * Hide or unhide a question
+ * PATCH /chat/:id/hidden
+ * Event moderators only
+ */
+export const setChatMessageHidden = AsyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { isHidden } = req.body;
+
+  const chatMessage = await ChatQnA.findById(id);
+
+  if (!chatMessage) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Chat message not found"
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.EVENT_MODERATE, { eventId: chatMessage.eventId });
+
+  chatMessage.isHidden = isHidden;
+  chatMessage.hiddenBy = isHidden ? req.user.userid : null;
+  chatMessage.hiddenAt = isHidden ? new Date() : null;
+  await chatMessage.save();
+
+  if (isHidden) {
+    publishChatEvent(chatMessage.eventId, CHAT_STREAM_EVENTS.MESSAGE_HIDDEN, { chatId: chatMessage._id });
+  } else {
+    publishChatUpdate(chatMessage);
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: isHidden ? "Chat message hidden" : "Chat message visible again",
+    data: toChatView(chatMessage, req.user.userid, true)
+  });
+});
+
+/**
+ * Hide or unhide a reply
+ * PATCH /chat/:chatId/reply/:replyId/hidden
+ * Event moderators only
+ */
+export const setChatReplyHidden = AsyncHandler(async (req, res) => {
+  const { chatId, replyId } = req.params;
+  const { isHidden } = req.body;
+
+  const chatMessage = await ChatQnA.findById(chatId);
+
+  if (!chatMessage) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Chat message not found"
+    });
+  }
+
+  const reply = chatMessage.replies.id(replyId);
+
+  if (!reply) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Reply not found"
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.EVENT_MODERATE, { eventId: chatMessage.eventId });
+
+  reply.isHidden = isHidden;
+  reply.hiddenBy = isHidden ? req.user.userid : null;
+  reply.hiddenAt = isHidden ? new Date() : null;
+  await chatMessage.save();
+
+  if (isHidden && !chatMessage.isHidden) {
+    publishChatEvent(chatMessage.eventId, CHAT_STREAM_EVENTS.REPLY_HIDDEN, {
+      chatId: chatMessage._id,
+      replyId
+    });
+  } else {
+    publishReplyEvent(chatMessage, reply, CHAT_STREAM_EVENTS.REPLY_UPDATED, { reply });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: isHidden ? "Reply hidden" : "Reply visible again",
+    data: reply
   });
 });
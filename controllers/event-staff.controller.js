@@ -0,0 +1,213 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import { executeParameterizedQuery, getOne, getMany } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { EventStaffRoleEnum } from "../enums/event-staff-role.enum.js";
+import { UserRoleEnum } from "../enums/user-role.enum.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { authorize } from "../utils/policy.util.js";
+
+const { OWNER, CO_ORGANIZER, JUDGE } = EventStaffRoleEnum;
+
+// Platform roles a user needs for a staff role; the organizer and judge routes check them too
+const REQUIRED_USER_ROLES = {
+  [CO_ORGANIZER]: [UserRoleEnum.ORGANIZER],
+  [JUDGE]: [UserRoleEnum.JUDGE],
+};
+
+const getStaffMember = (eventId, userId) => getOne(
+  `SELECT StaffID, EventID, UserID, Role FROM event_staff WHERE EventID = @eventId AND UserID = @userId`,
+  { eventId, userId }
+);
+
+/**
+ * Get the staff of an event
+ * GET /events/:eventId/staff
+ * Event staff only
+ */
+export const getEventStaff = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  await authorize(req.user, PermissionEnum.EVENT_VIEW_STAFF, { eventId });
+
+  const staffQuery = `
+    SELECT s.UserID, s.Role, s.AddedBy, s.AddedAt, u.name as Name, u.email as Email
+    FROM event_staff s
+    INNER JOIN users u ON s.UserID = u.userid
+    WHERE s.EventID = @eventId
+    ORDER BY CASE s.Role WHEN 'owner' THEN 0 WHEN 'co-organizer' THEN 1 ELSE 2 END, u.name
+  `;
+  const staff = await getMany(staffQuery, { eventId });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Event staff retrieved successfully",
+    data: staff,
+    count: staff.length,
+  });
+});
+
+/**
+ * Add a user to an event's staff
+ * POST /events/:eventId/staff
+ * Event owner (any role) or co-organizer (moderator, judge, mentor)
+ */
+export const addEventStaff = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { userId, role } = req.body;
+
+  await authorize(req.user, PermissionEnum.EVENT_MANAGE_STAFF, { eventId, staffRole: role });
+
+  const user = await getOne(
+    `SELECT userid, name, email, role, suspended FROM users WHERE userid = @userId`,
+    { userId }
+  );
+
+  if (!user || user.suspended) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "User does not exist or is suspended",
+    });
+  }
+
+  const requiredUserRoles = REQUIRED_USER_ROLES[role];
+  if (requiredUserRoles && !requiredUserRoles.includes(user.role)) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: `Only users with the ${requiredUserRoles.join(' or ')} role can be a ${role}`,
+    });
+  }
+
+  if (await getStaffMember(eventId, userId)) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "User is already on this event's staff",
+    });
+  }
+
+  const insertQuery = `
+    INSERT INTO event_staff (EventID, UserID, Role, AddedBy)
+    OUTPUT INSERTED.*
+    VALUES (@eventId, @userId, @role, @addedBy)
+  `;
+  const result = await executeParameterizedQuery(insertQuery, {
+    eventId,
+    userId,
+    role,
+    addedBy: req.user.userid,
+  });
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Staff member added successfully",
+    data: {
+      ...result.recordset[0],
+      user: { userid: user.userid, name: user.name, email: user.email },
+    },
+  });
+});
+
+/**
+ * Change a staff member's role
+ * PATCH /events/:eventId/staff/:userId
+ * Event owner (any role) or co-organizer (moderator, judge, mentor)
+ */
+export const updateEventStaff = AsyncHandler(async (req, res) => {
+  const { eventId, userId } = req.params;
+  const { role } = req.body;
+
+  const member = await getStaffMember(eventId, userId);
+  if (!member) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Staff member not found",
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.EVENT_MANAGE_STAFF, { eventId, staffRole: member.Role });
+  await authorize(req.user, PermissionEnum.EVENT_MANAGE_STAFF, { eventId, staffRole: role });
+
+  const requiredUserRoles = REQUIRED_USER_ROLES[role];
+  if (requiredUserRoles) {
+    const user = await getOne(`SELECT role FROM users WHERE userid = @userId`, { userId });
+    if (!requiredUserRoles.includes(user.role)) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Only users with the ${requiredUserRoles.join(' or ')} role can be a ${role}`,
+      });
+    }
+  }
+
+  const updateQuery = `
+    UPDATE event_staff SET Role = @role
+    OUTPUT INSERTED.*
+    WHERE StaffID = @staffId
+  `;
+  const result = await executeParameterizedQuery(updateQuery, { staffId: member.StaffID, role });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Staff role updated successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Remove a staff member, or step down yourself
+ * DELETE /events/:eventId/staff/:userId
+ * Event owner (any role), co-organizer (moderator, judge, mentor) or the staff member
+ */
+export const removeEventStaff = AsyncHandler(async (req, res) => {
+  const { eventId, userId } = req.params;
+
+  const member = await getStaffMember(eventId, userId);
+  if (!member) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Staff member not found",
+    });
+  }
+
+  // Events always keep their owner; ownership moves through an admin transfer
+  if (member.Role === OWNER) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "The event owner can't be removed",
+    });
+  }
+
+  const isSelf = userId === req.user.userid;
+  if (!isSelf) {
+    await authorize(req.user, PermissionEnum.EVENT_MANAGE_STAFF, { eventId, staffRole: member.Role });
+  }
+
+  await executeParameterizedQuery(`DELETE FROM event_staff WHERE StaffID = @staffId`, {
+    staffId: member.StaffID,
+  });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: isSelf ? "You left the event staff" : "Staff member removed successfully",
+  });
+});
+
+/**
+ * Get the events the current user is staff on, with their role
+ * GET /events/my/staff
+ */
+export const getMyStaffEvents = AsyncHandler(async (req, res) => {
+  const eventsQuery = `
+    SELECT e.EventID, e.Name, e.StartDate, e.EndDate, e.IsActive, s.Role, s.AddedAt
+    FROM event_staff s
+    INNER JOIN events e ON s.EventID = e.EventID
+    WHERE s.UserID = @userId AND e.IsActive = 1
+    ORDER BY e.StartDate DESC
+  `;
+  const events = await getMany(eventsQuery, { userId: req.user.userid });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Staff events retrieved successfully",
+    data: events,
+    count: events.length,
+  });
+});
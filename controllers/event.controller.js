@@ -2,15 +2,34 @@ import { HTTPSTATUS } from "../config/Https.config.js";
 import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
 import { EventModel } from "../models/event.model.js";
 import { EventEnrollmentModel } from "../models/event-enrollment.model.js";
-import { executeParameterizedQuery } from "../utils/sql.util.js";
+import { EventJudgeModel } from "../models/event-judge.model.js";
+import { EventTrackModel } from "../models/event-track.model.js";
+import { EventSponsorModel } from "../models/event-sponsor.model.js";
+import { EventPrizeModel } from "../models/event-prize.model.js";
+import { EventRoundModel } from "../models/event-round.model.js";
+import { executeParameterizedQuery, withTransaction } from "../utils/sql.util.js";
+import { isEventFull, getWaitlistPosition, promoteFromWaitlist } from "../utils/waitlist.util.js";
+import { EVENT_PHASES, computeEventPhase, getEventPhase, assertEventPhase } from "../utils/event-phase.util.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { authorize } from "../utils/policy.util.js";
 import { createEventValidator, updateEventValidator } from "../validators/event.validators.js";
 
 export const initializeEventTable = async () => {
   try {
     await EventModel();
     await EventEnrollmentModel();
+    await EventJudgeModel();
+    await EventTrackModel();
+    await EventSponsorModel();
+    await EventPrizeModel();
+    await EventRoundModel();
     console.log("✅ Events table initialized successfully");
     console.log("✅ Event Enrollments table initialized successfully");
+    console.log("✅ Event Judges table initialized successfully");
+    console.log("✅ Event Tracks table initialized successfully");
+    console.log("✅ Event Sponsors table initialized successfully");
+    console.log("✅ Event Prizes table initialized successfully");
+    console.log("✅ Event Rounds table initialized successfully");
   } catch (error) {
     console.error("❌ Failed to initialize events table:", error);
     throw error;
@@ -37,8 +56,11 @@ export const createEvents = AsyncHandler(async (req, res) => {
     tracks,
     prizes,
     maxTeamSize,
+    maxParticipants = null,
+    gracePeriodMinutes = null,
     sponsors,
     isActive = true,
+    requireVerifiedEmail = false,
   } = body;
 
   console.log(body);
@@ -58,34 +80,47 @@ export const createEvents = AsyncHandler(async (req, res) => {
   }
 
   const insertRecord = `
-    INSERT INTO events (OrganizerID, Name, Description, Theme, Mode, StartDate, EndDate, SubmissionDeadline, ResultDate, Rules, Timeline, Tracks, Prizes, MaxTeamSize, Sponsors, IsActive) 
+    INSERT INTO events (OrganizerID, Name, Description, Theme, Mode, StartDate, EndDate, SubmissionDeadline, ResultDate, Rules, Timeline, Tracks, Prizes, MaxTeamSize, MaxParticipants, GracePeriodMinutes, Sponsors, IsActive, RequireVerifiedEmail) 
     OUTPUT INSERTED.*
-    VALUES (@OrganizerID, @Name, @Description, @Theme, @Mode, @StartDate, @EndDate, @SubmissionDeadline, @ResultDate, @Rules, @Timeline, @Tracks, @Prizes, @MaxTeamSize, @Sponsors, @IsActive)
+    VALUES (@OrganizerID, @Name, @Description, @Theme, @Mode, @StartDate, @EndDate, @SubmissionDeadline, @ResultDate, @Rules, @Timeline, @Tracks, @Prizes, @MaxTeamSize, @MaxParticipants, @GracePeriodMinutes, @Sponsors, @IsActive, @RequireVerifiedEmail)
   `;
 
-  const result = await executeParameterizedQuery(insertRecord, {
-    OrganizerID: organizerID,
-    Name: name,
-    Description: description,
-    Theme: theme,
-    Mode: mode,
-    StartDate: startDate,
-    EndDate: endDate,
-    SubmissionDeadline: submissionDeadline,
-    ResultDate: resultDate,
-    Rules: rules,
-    Timeline: timeline,
-    Tracks: tracks,
-    Prizes: prizes,
-    MaxTeamSize: maxTeamSize,
-    Sponsors: sponsors,
-    IsActive: isActive,
+  const event = await withTransaction(async (query) => {
+    const result = await query(insertRecord, {
+      OrganizerID: organizerID,
+      Name: name,
+      Description: description,
+      Theme: theme,
+      Mode: mode,
+      StartDate: startDate,
+      EndDate: endDate,
+      SubmissionDeadline: submissionDeadline,
+      ResultDate: resultDate,
+      Rules: rules,
+      Timeline: timeline,
+      Tracks: tracks,
+      Prizes: prizes,
+      MaxTeamSize: maxTeamSize,
+      MaxParticipants: maxParticipants,
+      GracePeriodMinutes: gracePeriodMinutes,
+      Sponsors: sponsors,
+      IsActive: isActive,
+      RequireVerifiedEmail: requireVerifiedEmail,
+    });
+    const createdEvent = result.recordset[0];
+
+    await query(
+      `INSERT INTO event_staff (EventID, UserID, Role, AddedBy) VALUES (@eventId, @userId, 'owner', @userId)`,
+      { eventId: createdEvent.EventID, userId: organizerID }
+    );
+
+    return createdEvent;
   });
 
   return res.status(HTTPSTATUS.CREATED).json({
     success: true,
     message: "Event created successfully",
-    data: result.recordset[0],
+    data: event,
   });
 });
 
@@ -158,10 +193,12 @@ export const getEventById = AsyncHandler(async (req, res) => {
         });
     }
 
+    const { phase } = computeEventPhase(result.recordset[0]);
+
     return res.status(HTTPSTATUS.OK).json({
         success: true,
         message: "Event retrieved successfully",
-        data: result.recordset[0]
+        data: { ...result.recordset[0], phase }
     });
 })
 
@@ -203,7 +240,7 @@ export const getEventByOrganizerId = AsyncHandler(async (req, res) => {
     const eventsQuery = `
         SELECT EventID, OrganizerID, Name, Description, Theme, Mode, 
                StartDate, EndDate, SubmissionDeadline, ResultDate, 
-               Rules, Timeline, Tracks, Prizes, MaxTeamSize, Sponsors, IsActive, CreatedAt
+               Rules, Timeline, Tracks, Prizes, MaxTeamSize, MaxParticipants, Sponsors, IsActive, CreatedAt
         FROM events
         WHERE OrganizerID = @OrganizerID AND IsActive = 1
         ORDER BY CreatedAt DESC
@@ -261,12 +298,7 @@ export const updateEvent = AsyncHandler(async (req, res) => {
         });
     }
 
-    if (req.user.userid !== eventCheck.recordset[0].OrganizerID) {
-        return res.status(HTTPSTATUS.FORBIDDEN).json({
-            success: false,
-            message: "You can only update your own events"
-        });
-    }
+    await authorize(req.user, PermissionEnum.EVENT_MANAGE, { eventId: eventIdNum });
 
     // Get existing event data and merge with update data
     const existingEvent = eventCheck.recordset[0];
@@ -284,8 +316,12 @@ export const updateEvent = AsyncHandler(async (req, res) => {
         Tracks: body.tracks ?? existingEvent.Tracks,
         Prizes: body.prizes ?? existingEvent.Prizes,
         MaxTeamSize: body.maxTeamSize ?? existingEvent.MaxTeamSize,
+        // null removes the cap, so only fall back when the field is absent
+        MaxParticipants: body.maxParticipants !== undefined ? body.maxParticipants : existingEvent.MaxParticipants,
+        GracePeriodMinutes: body.gracePeriodMinutes !== undefined ? body.gracePeriodMinutes : existingEvent.GracePeriodMinutes,
         Sponsors: body.sponsors ?? existingEvent.Sponsors,
-        IsActive: body.isActive ?? existingEvent.IsActive
+        IsActive: body.isActive ?? existingEvent.IsActive,
+        RequireVerifiedEmail: body.requireVerifiedEmail ?? existingEvent.RequireVerifiedEmail
     };
 
     const updateQuery = `
@@ -293,7 +329,9 @@ export const updateEvent = AsyncHandler(async (req, res) => {
         SET Name = @Name, Description = @Description, Theme = @Theme, Mode = @Mode,
             StartDate = @StartDate, EndDate = @EndDate, SubmissionDeadline = @SubmissionDeadline,
             ResultDate = @ResultDate, Rules = @Rules, Timeline = @Timeline, Tracks = @Tracks,
-            Prizes = @Prizes, MaxTeamSize = @MaxTeamSize, Sponsors = @Sponsors, IsActive = @IsActive
+            Prizes = @Prizes, MaxTeamSize = @MaxTeamSize, MaxParticipants = @MaxParticipants,
+            GracePeriodMinutes = @GracePeriodMinutes, Sponsors = @Sponsors, IsActive = @IsActive,
+            RequireVerifiedEmail = @RequireVerifiedEmail
         OUTPUT INSERTED.*
         WHERE EventID = @EventID
     `;
@@ -303,10 +341,14 @@ export const updateEvent = AsyncHandler(async (req, res) => {
         ...updatedData
     });
 
+    // Raising or removing the cap frees seats for the waitlist
+    const promoted = await promoteFromWaitlist(eventIdNum);
+
     return res.status(HTTPSTATUS.OK).json({
         success: true,
         message: "Event updated successfully",
-        data: result.recordset[0]
+        data: result.recordset[0],
+        promotedFromWaitlist: promoted.map((user) => user.UserID)
     });
 });
 
@@ -331,12 +373,8 @@ export const deleteEvent = AsyncHandler(async (req, res) => {
         });
     }
 
-    if (req.user.userid !== eventCheck.recordset[0].OrganizerID) {
-        return res.status(HTTPSTATUS.FORBIDDEN).json({
-            success: false,
-            message: "You can only delete your own events"
-        });
-    }
+    // Co-organizers can run the event but only its owner can delete it
+    await authorize(req.user, PermissionEnum.EVENT_DELETE, { eventId: eventIdNum });
 
     const deleteQuery = `
         UPDATE events 
@@ -411,7 +449,7 @@ export const searchEvents = AsyncHandler(async (req, res) => {
     const searchQuery = `
         SELECT EventID, OrganizerID, Name, Description, Theme, Mode, 
                StartDate, EndDate, SubmissionDeadline, ResultDate, 
-               Rules, Timeline, Tracks, Prizes, MaxTeamSize, Sponsors, IsActive, CreatedAt
+               Rules, Timeline, Tracks, Prizes, MaxTeamSize, MaxParticipants, Sponsors, IsActive, CreatedAt
         FROM events 
         WHERE ${whereClause}
         ORDER BY StartDate DESC
@@ -471,7 +509,7 @@ export const getUpcomingEvents = AsyncHandler(async (req, res) => {
     const upcomingQuery = `
         SELECT EventID, OrganizerID, Name, Description, Theme, Mode, 
                StartDate, EndDate, SubmissionDeadline, ResultDate, 
-               Rules, Timeline, Tracks, Prizes, MaxTeamSize, Sponsors, IsActive, CreatedAt
+               Rules, Timeline, Tracks, Prizes, MaxTeamSize, MaxParticipants, Sponsors, IsActive, CreatedAt
         FROM events 
         WHERE StartDate > @currentDate AND IsActive = 1
         ORDER BY StartDate ASC
@@ -520,7 +558,7 @@ export const enrollToEvent = AsyncHandler(async (req, res) => {
     }
 
     const eventCheck = `
-        SELECT EventID, Name, StartDate, EndDate, IsActive 
+        SELECT EventID, Name, StartDate, EndDate, IsActive, RequireVerifiedEmail, MaxParticipants 
         FROM events 
         WHERE EventID = @eventId AND IsActive = 1
     `;
@@ -534,60 +572,97 @@ export const enrollToEvent = AsyncHandler(async (req, res) => {
     }
 
     const event = eventExists.recordset[0];
-    const currentDate = new Date();
-    const eventStartDate = new Date(event.StartDate);
 
-    if (currentDate >= eventStartDate) {
-        return res.status(HTTPSTATUS.BAD_REQUEST).json({
+    if (event.RequireVerifiedEmail && !req.user.emailverified) {
+        return res.status(HTTPSTATUS.FORBIDDEN).json({
             success: false,
-            message: "Cannot enroll to an event that has already started"
+            message: "This event requires a verified email address. Verify your email and try again."
         });
     }
+    await assertEventPhase(eventIdNum, [EVENT_PHASES.REGISTRATION], "Enrolling");
+
+    const enrollment = await withTransaction(async (query) => {
+        // Locking the event row makes enrollments for the event run one at a time,
+        // so two users can't both take the last seat
+        const lockEvent = `SELECT MaxParticipants FROM events WITH (UPDLOCK, ROWLOCK) WHERE EventID = @eventId`;
+        const lockedEvent = await query(lockEvent, { eventId: eventIdNum });
+
+        const enrollmentCheck = `
+            SELECT EnrollmentID, Status 
+            FROM event_enrollments 
+            WHERE EventID = @eventId AND UserID = @userId
+        `;
+        const existingEnrollment = await query(enrollmentCheck, { eventId: eventIdNum, userId });
+        const existing = existingEnrollment.recordset[0];
 
-    const enrollmentCheck = `
-        SELECT EnrollmentID, Status 
-        FROM event_enrollments 
-        WHERE EventID = @eventId AND UserID = @userId
-    `;
-    const existingEnrollment = await executeParameterizedQuery(enrollmentCheck, { eventId: eventIdNum, userId });
-    
-    if (existingEnrollment.recordset.length > 0) {
-        const status = existingEnrollment.recordset[0].Status;
-        if (status === 'Enrolled') {
-            return res.status(HTTPSTATUS.CONFLICT).json({
-                success: false,
-                message: "You are already enrolled in this event"
-            });
-        } else if (status === 'Cancelled') {
+        if (existing && existing.Status !== 'Cancelled') {
+            return { existingStatus: existing.Status };
+        }
+
+        // Once the event is full, new enrollments join the back of the waitlist
+        const isFull = await isEventFull(eventIdNum, lockedEvent.recordset[0].MaxParticipants, query);
+        const status = isFull ? 'Waitlisted' : 'Enrolled';
+
+        if (existing) {
             const reEnrollQuery = `
                 UPDATE event_enrollments 
-                SET Status = 'Enrolled', EnrollmentDate = GETDATE()
+                SET Status = @status, EnrollmentDate = GETDATE()
+                OUTPUT INSERTED.*
                 WHERE EventID = @eventId AND UserID = @userId
             `;
-            await executeParameterizedQuery(reEnrollQuery, { eventId: eventIdNum, userId });
-            
-            return res.status(HTTPSTATUS.OK).json({
-                success: true,
-                message: "Successfully re-enrolled to the event"
-            });
+            const result = await query(reEnrollQuery, { eventId: eventIdNum, userId, status });
+            return { status, reEnrolled: true, record: result.recordset[0] };
         }
+
+        const enrollQuery = `
+            INSERT INTO event_enrollments (EventID, UserID, Status)
+            OUTPUT INSERTED.*
+            VALUES (@eventId, @userId, @status)
+        `;
+        const result = await query(enrollQuery, { eventId: eventIdNum, userId, status });
+        return { status, reEnrolled: false, record: result.recordset[0] };
+    });
+
+    if (enrollment.existingStatus === 'Enrolled') {
+        return res.status(HTTPSTATUS.CONFLICT).json({
+            success: false,
+            message: "You are already enrolled in this event"
+        });
+    } else if (enrollment.existingStatus === 'Waitlisted') {
+        return res.status(HTTPSTATUS.CONFLICT).json({
+            success: false,
+            message: "You are already on the waitlist for this event",
+            data: { waitlistPosition: await getWaitlistPosition(eventIdNum, userId) }
+        });
     }
 
-    const enrollQuery = `
-        INSERT INTO event_enrollments (EventID, UserID, Status)
-        OUTPUT INSERTED.*
-        VALUES (@eventId, @userId, 'Enrolled')
-    `;
-    
-    const result = await executeParameterizedQuery(enrollQuery, { eventId: eventIdNum, userId });
+    const isWaitlisted = enrollment.status === 'Waitlisted';
+    const waitlistPosition = isWaitlisted ? await getWaitlistPosition(eventIdNum, userId) : null;
+
+    if (enrollment.reEnrolled) {
+        return res.status(HTTPSTATUS.OK).json({
+            success: true,
+            message: isWaitlisted
+                ? "Event is full. You have been added to the waitlist"
+                : "Successfully re-enrolled to the event",
+            data: {
+                status: enrollment.status,
+                waitlistPosition
+            }
+        });
+    }
 
     return res.status(HTTPSTATUS.CREATED).json({
         success: true,
-        message: "Successfully enrolled to the event",
+        message: isWaitlisted
+            ? "Event is full. You have been added to the waitlist"
+            : "Successfully enrolled to the event",
         data: {
-            enrollmentId: result.recordset[0].EnrollmentID,
+            enrollmentId: enrollment.record.EnrollmentID,
             eventName: event.Name,
-            enrollmentDate: result.recordset[0].EnrollmentDate
+            enrollmentDate: enrollment.record.EnrollmentDate,
+            status: enrollment.status,
+            waitlistPosition
         }
     });
 });
@@ -627,34 +702,34 @@ export const cancelEnrollment = AsyncHandler(async (req, res) => {
         });
     }
 
-    // Check if event has started
-    const eventCheck = `SELECT StartDate FROM events WHERE EventID = @eventId`;
-    const eventData = await executeParameterizedQuery(eventCheck, { eventId: eventIdNum });
-    
-    if (eventData.recordset.length > 0) {
-        const eventStartDate = new Date(eventData.recordset[0].StartDate);
-        const currentDate = new Date();
-        
-        if (currentDate >= eventStartDate) {
-            return res.status(HTTPSTATUS.BAD_REQUEST).json({
-                success: false,
-                message: "Cannot cancel enrollment for an event that has already started"
-            });
-        }
-    }
+    await assertEventPhase(eventIdNum, [EVENT_PHASES.REGISTRATION], "Cancelling an enrollment");
 
-    // Cancel enrollment
+    // Cancel enrollment; the status filter makes a concurrent double cancel a no-op
     const cancelQuery = `
         UPDATE event_enrollments 
         SET Status = 'Cancelled'
-        WHERE EventID = @eventId AND UserID = @userId
+        OUTPUT DELETED.Status
+        WHERE EventID = @eventId AND UserID = @userId AND Status <> 'Cancelled'
     `;
     
-    await executeParameterizedQuery(cancelQuery, { eventId: eventIdNum, userId });
+    const cancelled = await executeParameterizedQuery(cancelQuery, { eventId: eventIdNum, userId });
+
+    if (cancelled.recordset.length === 0) {
+        return res.status(HTTPSTATUS.BAD_REQUEST).json({
+            success: false,
+            message: "Enrollment is already cancelled"
+        });
+    }
+
+    // A freed seat goes to the longest-waiting user
+    const promoted = cancelled.recordset[0].Status === 'Enrolled'
+        ? await promoteFromWaitlist(eventIdNum)
+        : [];
 
     return res.status(HTTPSTATUS.OK).json({
         success: true,
-        message: "Event enrollment cancelled successfully"
+        message: "Event enrollment cancelled successfully",
+        promotedFromWaitlist: promoted.map((user) => user.UserID)
     });
 });
 
@@ -727,10 +802,10 @@ export const getEventEnrollments = AsyncHandler(async (req, res) => {
         });
     }
 
-    const organizerCheck = `
-        SELECT OrganizerID FROM events WHERE EventID = @eventId
+    const eventQuery = `
+        SELECT EventID FROM events WHERE EventID = @eventId
     `;
-    const event = await executeParameterizedQuery(organizerCheck, { eventId: eventIdNum });
+    const event = await executeParameterizedQuery(eventQuery, { eventId: eventIdNum });
     
     if (event.recordset.length === 0) {
         return res.status(HTTPSTATUS.NOT_FOUND).json({
@@ -739,12 +814,7 @@ export const getEventEnrollments = AsyncHandler(async (req, res) => {
         });
     }
 
-    if (event.recordset[0].OrganizerID !== req.user.userid) {
-        return res.status(HTTPSTATUS.FORBIDDEN).json({
-            success: false,
-            message: "Only event organizer can view enrollments"
-        });
-    }
+    await authorize(req.user, PermissionEnum.EVENT_MANAGE, { eventId: eventIdNum });
 
     const countQuery = `
         SELECT COUNT(*) as total 
@@ -818,10 +888,10 @@ export const getEnrollmentStats = AsyncHandler(async (req, res) => {
         });
     }
 
-    const organizerCheck = `
-        SELECT OrganizerID, Name FROM events WHERE EventID = @eventId
+    const eventQuery = `
+        SELECT Name, MaxParticipants FROM events WHERE EventID = @eventId
     `;
-    const event = await executeParameterizedQuery(organizerCheck, { eventId: eventIdNum });
+    const event = await executeParameterizedQuery(eventQuery, { eventId: eventIdNum });
     
     if (event.recordset.length === 0) {
         return res.status(HTTPSTATUS.NOT_FOUND).json({
@@ -830,12 +900,7 @@ export const getEnrollmentStats = AsyncHandler(async (req, res) => {
         });
     }
 
-    if (event.recordset[0].OrganizerID !== req.user.userid) {
-        return res.status(HTTPSTATUS.FORBIDDEN).json({
-            success: false,
-            message: "Only event organizer can view enrollment statistics"
-        });
-    }
+    await authorize(req.user, PermissionEnum.EVENT_MANAGE, { eventId: eventIdNum });
 
     // Get enrollment statistics
     const statsQuery = `
@@ -878,7 +943,11 @@ export const getEnrollmentStats = AsyncHandler(async (req, res) => {
                 enrolled: stats.enrolled || 0,
                 cancelled: stats.cancelled || 0,
                 waitlisted: stats.waitlisted || 0,
-                total: Object.values(stats).reduce((sum, count) => sum + count, 0)
+                total: Object.values(stats).reduce((sum, count) => sum + count, 0),
+                maxParticipants: event.recordset[0].MaxParticipants,
+                seatsLeft: event.recordset[0].MaxParticipants === null
+                    ? null
+                    : Math.max(0, event.recordset[0].MaxParticipants - (stats.enrolled || 0))
             },
             teamStats: {
                 totalTeams: teamStatsResult.recordset[0]?.TotalTeams || 0,
@@ -1028,7 +1097,7 @@ export const getEventForParticipant = AsyncHandler(async (req, res) => {
             INNER JOIN users u ON tm.UserId = u.userid
             WHERE tm.TeamId = @TeamId
             ORDER BY 
-                CASE WHEN tm.Role = 'Leader' THEN 1 ELSE 2 END,
+                CASE tm.Role WHEN 'Leader' THEN 1 WHEN 'CoLeader' THEN 2 ELSE 3 END,
                 u.name
         `;
 
@@ -1068,3 +1137,56 @@ export const getEventForParticipant = AsyncHandler(async (req, res) => {
         }
     });
 });
+
+/**
+ * Get the current phase of an event
+ * GET /events/:eventId/phase
+ */
+export const getEventPhaseInfo = AsyncHandler(async (req, res) => {
+    const { eventId } = req.params;
+
+    const phaseInfo = await getEventPhase(eventId);
+
+    if (!phaseInfo) {
+        return res.status(HTTPSTATUS.NOT_FOUND).json({
+            success: false,
+            message: "Event not found"
+        });
+    }
+
+    const { event, ...phase } = phaseInfo;
+
+    return res.status(HTTPSTATUS.OK).json({
+        success: true,
+        message: "Event phase retrieved successfully",
+        data: {
+            eventId: event.EventID,
+            eventName: event.Name,
+            ...phase
+        }
+    });
+});
+
+/**
+ * Override the date-based phase of an event, or clear the override with null
+ * PATCH /events/:eventId/phase
+ * Event organizer only
+ */
+export const setEventPhaseOverride = AsyncHandler(async (req, res) => {
+    const { eventId } = req.params;
+    const { phase } = req.body;
+
+    const overrideQuery = `UPDATE events SET PhaseOverride = @phase WHERE EventID = @eventId`;
+    await executeParameterizedQuery(overrideQuery, { eventId, phase });
+
+    const { event, ...phaseInfo } = await getEventPhase(eventId);
+
+    return res.status(HTTPSTATUS.OK).json({
+        success: true,
+        message: phase ? `Event phase set to ${phase}` : "Event phase override cleared",
+        data: {
+            eventId: event.EventID,
+            ...phaseInfo
+        }
+    });
+});
@@ -0,0 +1,376 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import { getOne } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { authorize } from "../utils/policy.util.js";
+import { EVENT_PHASES, assertEventPhase } from "../utils/event-phase.util.js";
+import HelpTicket from "../models/helpTicket.model.js";
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_PAGE_SIZE = 20;
+
+// Teams can ask for help while they are building
+const HELP_PHASES = [EVENT_PHASES.REGISTRATION, EVENT_PHASES.HACKING];
+
+// Tickets still waiting for or getting help
+const ACTIVE_STATUSES = ['open', 'claimed'];
+
+const minutesBetween = (from, to) => Math.round((to - from) / MINUTE_MS);
+
+// waitMinutes: time in the queue until claimed (so far, if still open); handleMinutes: claim to resolution
+const toTicketView = (ticket) => {
+  const view = ticket.toObject ? ticket.toObject() : ticket;
+  return {
+    ...view,
+    waitMinutes: view.status === 'open'
+      ? minutesBetween(view.createdAt, new Date())
+      : view.claimedAt && minutesBetween(view.createdAt, view.claimedAt),
+    handleMinutes: view.resolvedAt && view.claimedAt && minutesBetween(view.claimedAt, view.resolvedAt),
+  };
+};
+
+const findTicket = async (id, res) => {
+  const ticket = await HelpTicket.findById(id);
+
+  if (!ticket) {
+    res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Help ticket not found"
+    });
+  }
+
+  return ticket;
+};
+
+/**
+ * Open a help ticket for a team. A team can have one active ticket per topic.
+ * POST /mentorship/tickets
+ * Team members
+ */
+export const createHelpTicket = AsyncHandler(async (req, res) => {
+  const { eventId, teamId, topic, title, description } = req.body;
+
+  const team = await getOne(
+    `SELECT TeamId FROM teams WHERE TeamId = @teamId AND EventId = @eventId`,
+    { teamId, eventId }
+  );
+
+  if (!team) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Team not found for this event"
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.TEAM_MEMBER, { teamId });
+
+  await assertEventPhase(eventId, HELP_PHASES, "Asking for mentor help");
+
+  const activeTicketQuery = { teamId, topic, status: { $in: ACTIVE_STATUSES } };
+  const activeTicket = await HelpTicket.findOne(activeTicketQuery);
+
+  if (activeTicket) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Your team already has an active ticket on this topic",
+      data: { ticketId: activeTicket._id }
+    });
+  }
+
+  let ticket;
+  try {
+    ticket = await HelpTicket.create({
+      eventId,
+      teamId,
+      openedBy: req.user.userid,
+      topic,
+      title,
+      description
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // A concurrent request opened it first; the partial unique index turned this one away
+    const concurrentTicket = await HelpTicket.findOne(activeTicketQuery);
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Your team already has an active ticket on this topic",
+      data: { ticketId: concurrentTicket?._id ?? null }
+    });
+  }
+
+  const position = await HelpTicket.countDocuments({
+    eventId,
+    status: 'open',
+    createdAt: { $lte: ticket.createdAt }
+  });
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Help ticket opened successfully",
+    data: { ...toTicketView(ticket), queuePosition: position }
+  });
+});
+
+/**
+ * Get an event's help-ticket queue, oldest first
+ * GET /mentorship/event/:eventId/tickets?status=string&topic=string&mine=true&page=number&limit=number
+ * Event mentors and organizers
+ */
+export const getEventTickets = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+  const skip = (page - 1) * limit;
+  const { status = 'open', topic, mine } = req.query;
+
+  const filter = { eventId: parseInt(eventId), status };
+  if (topic) filter.topic = topic;
+  if (mine === 'true') filter.claimedBy = req.user.userid;
+
+  const tickets = await HelpTicket.find(filter)
+    .sort({ createdAt: 1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const total = await HelpTicket.countDocuments(filter);
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Help tickets retrieved successfully",
+    data: tickets.map(toTicketView),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * Get wait and handling times of an event's help desk, overall and per topic
+ * GET /mentorship/event/:eventId/tickets/stats
+ * Event mentors and organizers
+ */
+export const getEventTicketStats = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const now = new Date();
+
+  const topics = await HelpTicket.aggregate([
+    { $match: { eventId: parseInt(eventId) } },
+    {
+      $group: {
+        _id: '$topic',
+        total: { $sum: 1 },
+        open: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } },
+        claimed: { $sum: { $cond: [{ $eq: ['$status', 'claimed'] }, 1, 0] } },
+        resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        waitMs: { $sum: { $cond: [{ $ne: ['$claimedAt', null] }, { $subtract: ['$claimedAt', '$createdAt'] }, 0] } },
+        waitCount: { $sum: { $cond: [{ $ne: ['$claimedAt', null] }, 1, 0] } },
+        handleMs: {
+          $sum: {
+            $cond: [{ $ne: ['$resolvedAt', null] }, { $subtract: ['$resolvedAt', '$claimedAt'] }, 0]
+          }
+        },
+        oldestOpenAt: { $min: { $cond: [{ $eq: ['$status', 'open'] }, '$createdAt', null] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const summarize = (group) => ({
+    total: group.total,
+    open: group.open,
+    claimed: group.claimed,
+    resolved: group.resolved,
+    cancelled: group.cancelled,
+    avgWaitMinutes: group.waitCount > 0 ? Math.round(group.waitMs / group.waitCount / MINUTE_MS) : null,
+    avgHandleMinutes: group.resolved > 0 ? Math.round(group.handleMs / group.resolved / MINUTE_MS) : null,
+    longestOpenWaitMinutes: group.oldestOpenAt ? minutesBetween(group.oldestOpenAt, now) : null
+  });
+
+  const overall = topics.reduce((sum, group) => ({
+    total: sum.total + group.total,
+    open: sum.open + group.open,
+    claimed: sum.claimed + group.claimed,
+    resolved: sum.resolved + group.resolved,
+    cancelled: sum.cancelled + group.cancelled,
+    waitMs: sum.waitMs + group.waitMs,
+    waitCount: sum.waitCount + group.waitCount,
+    handleMs: sum.handleMs + group.handleMs,
+    oldestOpenAt: [sum.oldestOpenAt, group.oldestOpenAt].filter(Boolean).sort((a, b) => a - b)[0] || null
+  }), { total: 0, open: 0, claimed: 0, resolved: 0, cancelled: 0, waitMs: 0, waitCount: 0, handleMs: 0, oldestOpenAt: null });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Help desk stats retrieved successfully",
+    data: {
+      ...summarize(overall),
+      byTopic: topics.map((group) => ({ topic: group._id, ...summarize(group) }))
+    }
+  });
+});
+
+/**
+ * Get a team's help tickets, newest first
+ * GET /mentorship/team/:teamId/tickets
+ * Team members
+ */
+export const getTeamTickets = AsyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+
+  await authorize(req.user, PermissionEnum.TEAM_MEMBER, { teamId });
+
+  const tickets = await HelpTicket.find({ teamId }).sort({ createdAt: -1 }).lean();
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Help tickets retrieved successfully",
+    data: tickets.map(toTicketView),
+    count: tickets.length
+  });
+});
+
+/**
+ * Get a help ticket
+ * GET /mentorship/tickets/:id
+ * The ticket's team, and event mentors
+ */
+export const getHelpTicketById = AsyncHandler(async (req, res) => {
+  const ticket = await findTicket(req.params.id, res);
+  if (!ticket) return;
+
+  await authorize(req.user, PermissionEnum.HELP_TICKET_VIEW, { ticket });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Help ticket retrieved successfully",
+    data: toTicketView(ticket)
+  });
+});
+
+/**
+ * Claim an open ticket
+ * POST /mentorship/tickets/:id/claim
+ * Event mentors
+ */
+export const claimHelpTicket = AsyncHandler(async (req, res) => {
+  const ticket = await findTicket(req.params.id, res);
+  if (!ticket) return;
+
+  await authorize(req.user, PermissionEnum.EVENT_MENTOR, { eventId: ticket.eventId });
+
+  // Only one mentor wins when two claim at the same time
+  const claimed = await HelpTicket.findOneAndUpdate(
+    { _id: ticket._id, status: 'open' },
+    { status: 'claimed', claimedBy: req.user.userid, claimedAt: new Date() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: `Ticket is already ${ticket.status}`
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Help ticket claimed successfully",
+    data: toTicketView(claimed)
+  });
+});
+
+/**
+ * Put a claimed ticket back in the queue. It keeps its place, since wait time counts from when it was opened.
+ * POST /mentorship/tickets/:id/release
+ * The mentor who claimed it, or event organizers
+ */
+export const releaseHelpTicket = AsyncHandler(async (req, res) => {
+  const ticket = await findTicket(req.params.id, res);
+  if (!ticket) return;
+
+  await authorize(req.user, PermissionEnum.HELP_TICKET_HANDLE, { ticket });
+
+  if (ticket.status !== 'claimed') {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: `Only claimed tickets can be released, this one is ${ticket.status}`
+    });
+  }
+
+  ticket.status = 'open';
+  ticket.claimedBy = null;
+  ticket.claimedAt = null;
+  await ticket.save();
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Help ticket released successfully",
+    data: toTicketView(ticket)
+  });
+});
+
+/**
+ * Mark a claimed ticket resolved
+ * POST /mentorship/tickets/:id/resolve
+ * The mentor who claimed it, or event organizers
+ */
+export const resolveHelpTicket = AsyncHandler(async (req, res) => {
+  const { resolution = '' } = req.body;
+
+  const ticket = await findTicket(req.params.id, res);
+  if (!ticket) return;
+
+  await authorize(req.user, PermissionEnum.HELP_TICKET_HANDLE, { ticket });
+
+  if (ticket.status !== 'claimed') {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: `Only claimed tickets can be resolved, this one is ${ticket.status}`
+    });
+  }
+
+  ticket.status = 'resolved';
+  ticket.resolution = resolution;
+  ticket.resolvedAt = new Date();
+  await ticket.save();
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Help ticket resolved successfully",
+    data: toTicketView(ticket)
+  });
+});
+
+/**
+ * Withdraw a ticket the team no longer needs help with
+ * POST /mentorship/tickets/:id/cancel
+ * Team members
+ */
+export const cancelHelpTicket = AsyncHandler(async (req, res) => {
+  const ticket = await findTicket(req.params.id, res);
+  if (!ticket) return;
+
+  await authorize(req.user, PermissionEnum.TEAM_MEMBER, { teamId: ticket.teamId });
+
+  if (!ACTIVE_STATUSES.includes(ticket.status)) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: `Ticket is already ${ticket.status}`
+    });
+  }
+
+  ticket.status = 'cancelled';
+  ticket.cancelledAt = new Date();
+  await ticket.save();
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Help ticket cancelled successfully",
+    data: toTicketView(ticket)
+  });
+});
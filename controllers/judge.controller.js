@@ -0,0 +1,153 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import Submission from "../models/submission.model.js";
+import { executeParameterizedQuery } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { resolveEventTrack } from "../utils/track.util.js";
+
+/**
+ * Assign a judge to an event, optionally limited to a track or a submission
+ * POST /events/:eventId/judges
+ * Event organizer only
+ */
+export const assignJudge = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { judgeId, submissionId = null } = req.body;
+  let { track = null } = req.body;
+  const organizerId = req.user.userid;
+
+  const judgeCheck = `SELECT userid, name, email FROM users WHERE userid = @judgeId AND role = 'judge'`;
+  const judgeResult = await executeParameterizedQuery(judgeCheck, { judgeId });
+
+  if (judgeResult.recordset.length === 0) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "User does not exist or is not a judge",
+    });
+  }
+
+  if (track) {
+    const trackCheck = await resolveEventTrack(eventId, track);
+    if (!trackCheck.valid) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Track must be one of: ${trackCheck.allowedTracks.join(', ')}`,
+      });
+    }
+    track = trackCheck.track;
+  }
+
+  if (submissionId) {
+    const submission = await Submission.findById(submissionId);
+    if (!submission || submission.eventId !== eventId) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        message: "Submission does not belong to this event",
+      });
+    }
+  }
+
+  const existingCheck = `
+    SELECT COUNT(*) as count FROM event_judges
+    WHERE EventID = @eventId AND JudgeID = @judgeId
+      AND ((Track IS NULL AND @track IS NULL) OR Track = @track)
+      AND ((SubmissionID IS NULL AND @submissionId IS NULL) OR SubmissionID = @submissionId)
+  `;
+  const existing = await executeParameterizedQuery(existingCheck, {
+    eventId,
+    judgeId,
+    track,
+    submissionId,
+  });
+
+  if (existing.recordset[0].count > 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Judge already has this assignment",
+    });
+  }
+
+  const assignQuery = `
+    INSERT INTO event_judges (EventID, JudgeID, Track, SubmissionID, AssignedBy)
+    OUTPUT INSERTED.*
+    VALUES (@eventId, @judgeId, @track, @submissionId, @organizerId)
+  `;
+  const result = await executeParameterizedQuery(assignQuery, {
+    eventId,
+    judgeId,
+    track,
+    submissionId,
+    organizerId,
+  });
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Judge assigned successfully",
+    data: {
+      ...result.recordset[0],
+      judge: judgeResult.recordset[0],
+    },
+  });
+});
+
+/**
+ * Get judge assignments for an event
+ * GET /events/:eventId/judges
+ * Event organizer only
+ */
+export const getEventJudges = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  const judgesQuery = `
+    SELECT 
+      ej.AssignmentID,
+      ej.JudgeID,
+      ej.Track,
+      ej.SubmissionID,
+      ej.AssignedAt,
+      u.name as JudgeName,
+      u.email as JudgeEmail
+    FROM event_judges ej
+    INNER JOIN users u ON ej.JudgeID = u.userid
+    WHERE ej.EventID = @eventId
+    ORDER BY u.name, ej.AssignedAt
+  `;
+  const result = await executeParameterizedQuery(judgesQuery, { eventId });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Judge assignments retrieved successfully",
+    data: result.recordset,
+    count: result.recordset.length,
+  });
+});
+
+/**
+ * Remove a judge assignment
+ * DELETE /events/:eventId/judges/:assignmentId
+ * Event organizer only
+ */
+export const removeJudgeAssignment = AsyncHandler(async (req, res) => {
+  const { eventId, assignmentId } = req.params;
+
+  const deleteQuery = `
+    DELETE FROM event_judges
+    OUTPUT DELETED.AssignmentID
+    WHERE AssignmentID = @assignmentId AND EventID = @eventId
+  `;
+  const result = await executeParameterizedQuery(deleteQuery, {
+    assignmentId,
+    eventId,
+  });
+
+  if (result.recordset.length === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Judge assignment not found",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Judge assignment removed successfully",
+  });
+});
@@ -0,0 +1,71 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import Submission from "../models/submission.model.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { buildLeaderboard } from "../utils/leaderboard.util.js";
+import { EVENT_PHASES, assertEventPhase } from "../utils/event-phase.util.js";
+
+/**
+ * Get the computed leaderboard for an event
+ * GET /events/:eventId/leaderboard?method=mean|trimmed|zscore&round=number&track=string
+ * Event organizer only
+ */
+export const getEventLeaderboard = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const method = req.query.method || 'mean';
+  const round = req.query.round ? parseInt(req.query.round) : undefined;
+  const { track } = req.query;
+
+  const rounds = await buildLeaderboard(eventId, { method, round, track });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Leaderboard computed successfully",
+    data: {
+      eventId,
+      method,
+      rounds,
+    },
+  });
+});
+
+/**
+ * Compute the leaderboard and write rank/trackRank back to every submission
+ * POST /events/:eventId/leaderboard
+ * Event organizer only
+ */
+export const publishEventLeaderboard = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { method = 'mean', round } = req.body;
+
+  await assertEventPhase(
+    eventId,
+    [EVENT_PHASES.SUBMISSION_CLOSED, EVENT_PHASES.JUDGING, EVENT_PHASES.RESULTS],
+    "Publishing the leaderboard"
+  );
+
+  const rounds = await buildLeaderboard(eventId, { method, round });
+
+  const operations = rounds.flatMap(({ leaderboard }) =>
+    leaderboard.map((entry) => ({
+      updateOne: {
+        filter: { _id: entry.submissionId },
+        update: { $set: { rank: entry.rank, trackRank: entry.trackRank } },
+      },
+    }))
+  );
+
+  if (operations.length > 0) {
+    await Submission.bulkWrite(operations);
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Leaderboard published successfully",
+    data: {
+      eventId,
+      method,
+      rounds,
+      updatedCount: operations.length,
+    },
+  });
+});
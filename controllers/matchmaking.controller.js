@@ -0,0 +1,296 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import TeammateListing from "../models/teammateListing.model.js";
+import { executeParameterizedQuery } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { validateReferences } from "../utils/validation.util.js";
+import { assertEventPhase } from "../utils/event-phase.util.js";
+import { TEAM_CHANGE_PHASES } from "../utils/team.util.js";
+import {
+  getTeamsWithRoom,
+  getEventTeamMemberIds,
+  scoreCompatibility,
+  rankMatches
+} from "../utils/matchmaking.util.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { authorize } from "../utils/policy.util.js";
+
+const DEFAULT_MATCH_LIMIT = 10;
+const MAX_MATCH_LIMIT = 50;
+
+const withTeamInfo = (listing, teamsWithRoom) => {
+  const team = teamsWithRoom.get(listing.teamId);
+  return {
+    ...listing,
+    teamName: team.TeamName,
+    joinPolicy: team.JoinPolicy,
+    memberCount: team.MemberCount,
+    openSpots: team.OpenSpots,
+  };
+};
+
+/**
+ * Get an event's "looking for team" board: solo participants without a team
+ * and teams that still have room
+ * GET /matchmaking/event/:eventId?type=individual|team&skill=string&interest=string
+ */
+export const getBoard = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { type } = req.query;
+  const skill = req.query.skill?.trim().toLowerCase();
+  const interest = req.query.interest?.trim().toLowerCase();
+
+  const validationErrors = await validateReferences({ eventId });
+  if (validationErrors.length > 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Event not found",
+      errors: validationErrors,
+    });
+  }
+
+  const filter = { eventId };
+  if (type) filter.type = type;
+  if (skill) filter.$or = [{ skills: skill }, { rolesNeeded: skill }];
+  if (interest) filter.interests = interest;
+
+  const listings = await TeammateListing.find(filter).sort({ updatedAt: -1 }).lean();
+
+  const teamsWithRoom = await getTeamsWithRoom(eventId);
+  const teamMemberIds = await getEventTeamMemberIds(eventId);
+
+  // Listings go stale once a participant finds a team or a team fills up
+  const individuals = listings.filter(
+    (listing) => listing.type === 'individual' && !teamMemberIds.has(listing.userId)
+  );
+  const teams = listings
+    .filter((listing) => listing.type === 'team' && teamsWithRoom.has(listing.teamId))
+    .map((listing) => withTeamInfo(listing, teamsWithRoom));
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Team board retrieved successfully",
+    data: {
+      individuals,
+      teams,
+    },
+    count: individuals.length + teams.length,
+  });
+});
+
+/**
+ * Post or update your own "looking for team" listing
+ * PUT /matchmaking/event/:eventId/me
+ * Participants enrolled in the event and not yet in a team
+ */
+export const upsertMyListing = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { skills, interests, description } = req.body;
+  const userId = req.user.userid;
+
+  const enrollmentCheck = `
+    SELECT TeamID FROM event_enrollments
+    WHERE EventID = @eventId AND UserID = @userId AND Status = 'Enrolled'
+  `;
+  const enrollment = await executeParameterizedQuery(enrollmentCheck, { eventId, userId });
+
+  if (enrollment.recordset.length === 0) {
+    return res.status(HTTPSTATUS.FORBIDDEN).json({
+      success: false,
+      message: "You must be enrolled in this event to look for a team",
+    });
+  }
+
+  if ((await getEventTeamMemberIds(eventId)).has(userId)) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "You are already part of a team for this event",
+    });
+  }
+
+  await assertEventPhase(eventId, TEAM_CHANGE_PHASES, "Looking for a team");
+
+  const listing = await TeammateListing.findOneAndUpdate(
+    { eventId, type: 'individual', userId },
+    { eventId, type: 'individual', userId, skills, interests, description },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Listing saved successfully",
+    data: listing,
+  });
+});
+
+/**
+ * Remove your own listing
+ * DELETE /matchmaking/event/:eventId/me
+ */
+export const deleteMyListing = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  const deleted = await TeammateListing.findOneAndDelete({
+    eventId,
+    type: 'individual',
+    userId: req.user.userid,
+  });
+
+  if (!deleted) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "You have no listing for this event",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Listing removed successfully",
+  });
+});
+
+/**
+ * Post or update a team's listing of the roles it is missing
+ * PUT /matchmaking/event/:eventId/teams/:teamId
+ * Team leader or co-leader
+ */
+export const upsertTeamListing = AsyncHandler(async (req, res) => {
+  const { eventId, teamId } = req.params;
+  const { rolesNeeded, skills, interests, description } = req.body;
+  const userId = req.user.userid;
+
+  const teamCheck = `SELECT COUNT(*) as count FROM teams WHERE TeamId = @teamId AND EventId = @eventId`;
+  const teamExists = await executeParameterizedQuery(teamCheck, { teamId, eventId });
+
+  if (teamExists.recordset[0].count === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Team not found for this event",
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.TEAM_MANAGE, { teamId });
+
+  await assertEventPhase(eventId, TEAM_CHANGE_PHASES, "Looking for teammates");
+
+  const listing = await TeammateListing.findOneAndUpdate(
+    { eventId, type: 'team', teamId },
+    { eventId, type: 'team', teamId, userId, rolesNeeded, skills, interests, description },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Team listing saved successfully",
+    data: listing,
+  });
+});
+
+/**
+ * Remove a team's listing
+ * DELETE /matchmaking/event/:eventId/teams/:teamId
+ * Team leader or co-leader
+ */
+export const deleteTeamListing = AsyncHandler(async (req, res) => {
+  const { eventId, teamId } = req.params;
+
+  await authorize(req.user, PermissionEnum.TEAM_MANAGE, { teamId });
+
+  const deleted = await TeammateListing.findOneAndDelete({ eventId, type: 'team', teamId });
+
+  if (!deleted) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Team has no listing for this event",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Team listing removed successfully",
+  });
+});
+
+/**
+ * Suggest compatible teams for you, or with teamId compatible participants for your team.
+ * Only teams with room under MaxTeamSize are suggested.
+ * GET /matchmaking/event/:eventId/matches?teamId=number&limit=number
+ */
+export const getMatches = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const teamId = req.query.teamId ? parseInt(req.query.teamId) : null;
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_MATCH_LIMIT, MAX_MATCH_LIMIT);
+  const userId = req.user.userid;
+
+  const teamsWithRoom = await getTeamsWithRoom(eventId);
+
+  if (teamId) {
+    const teamCheck = `SELECT COUNT(*) as count FROM teams WHERE TeamId = @teamId AND EventId = @eventId`;
+    const teamExists = await executeParameterizedQuery(teamCheck, { teamId, eventId });
+
+    if (teamExists.recordset[0].count === 0) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        message: "Team not found for this event",
+      });
+    }
+
+    await authorize(req.user, PermissionEnum.TEAM_MANAGE, { teamId });
+
+    if (!teamsWithRoom.has(teamId)) {
+      return res.status(HTTPSTATUS.CONFLICT).json({
+        success: false,
+        message: "Team is full",
+      });
+    }
+
+    const teamListing = await TeammateListing.findOne({ eventId, type: 'team', teamId }).lean();
+    if (!teamListing) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        message: "Post a team listing first so we know what your team is looking for",
+      });
+    }
+
+    const teamMemberIds = await getEventTeamMemberIds(eventId);
+    const individuals = (await TeammateListing.find({ eventId, type: 'individual' }).lean())
+      .filter((listing) => !teamMemberIds.has(listing.userId));
+
+    const matches = rankMatches(
+      individuals,
+      (listing) => scoreCompatibility(listing, teamListing),
+      limit
+    );
+
+    return res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: "Suggested teammates retrieved successfully",
+      data: matches,
+      count: matches.length,
+    });
+  }
+
+  const myListing = await TeammateListing.findOne({ eventId, type: 'individual', userId }).lean();
+  if (!myListing) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Post a listing first so we know your skills and interests",
+    });
+  }
+
+  const teamListings = (await TeammateListing.find({ eventId, type: 'team' }).lean())
+    .filter((listing) => teamsWithRoom.has(listing.teamId))
+    .map((listing) => withTeamInfo(listing, teamsWithRoom));
+
+  const matches = rankMatches(
+    teamListings,
+    (listing) => scoreCompatibility(myListing, listing),
+    limit
+  );
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Suggested teams retrieved successfully",
+    data: matches,
+    count: matches.length,
+  });
+});
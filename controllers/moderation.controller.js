@@ -0,0 +1,300 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import { executeParameterizedQuery, getOne, getMany } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { authorize } from "../utils/policy.util.js";
+import { getEventStaffRole } from "../utils/event-access.util.js";
+import Report from "../models/report.model.js";
+import ChatQnA from "../models/chatQna.model.js";
+import Announcement from "../models/announcement.model.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// What a moderator sees of the reported content; null once it has been deleted
+const getReportTarget = async ({ targetType, targetId, chatId }) => {
+  if (targetType === 'announcement') {
+    const announcement = await Announcement.findById(targetId);
+    return announcement && {
+      eventId: announcement.eventId,
+      authorId: announcement.authorId,
+      title: announcement.title,
+      message: announcement.message,
+    };
+  }
+
+  const chat = await ChatQnA.findById(targetType === 'reply' ? chatId : targetId);
+  const item = targetType === 'reply' ? chat?.replies.id(targetId) : chat;
+  return item && {
+    eventId: chat.eventId,
+    authorId: item.fromUserId,
+    message: item.message,
+    isHidden: item.isHidden,
+  };
+};
+
+/**
+ * Report a chat message, chat reply or announcement
+ * POST /moderation/reports
+ * Anyone who can view the event
+ */
+export const createReport = AsyncHandler(async (req, res) => {
+  const { targetType, targetId, chatId = null, reason, details = '' } = req.body;
+
+  const target = await getReportTarget({ targetType, targetId, chatId });
+
+  if (!target) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Reported content not found"
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.EVENT_VIEW, { eventId: target.eventId });
+
+  if (target.authorId === req.user.userid) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "You can't report your own content"
+    });
+  }
+
+  const existingReport = await Report.findOne({ targetType, targetId, reportedBy: req.user.userid });
+
+  if (existingReport) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "You have already reported this"
+    });
+  }
+
+  const report = await Report.create({
+    eventId: target.eventId,
+    targetType,
+    targetId,
+    chatId: targetType === 'reply' ? chatId : null,
+    reportedBy: req.user.userid,
+    reason,
+    details
+  });
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Report submitted successfully",
+    data: report
+  });
+});
+
+/**
+ * Get an event's moderation queue, one entry per reported item
+ * GET /moderation/event/:eventId/reports?status=pending|resolved|dismissed&page=number&limit=number
+ * Event moderators only
+ */
+export const getEventReports = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+  const status = req.query.status || 'pending';
+
+  const [result] = await Report.aggregate([
+    { $match: { eventId: parseInt(eventId), status } },
+    {
+      $group: {
+        _id: { targetType: '$targetType', targetId: '$targetId' },
+        chatId: { $first: '$chatId' },
+        reportCount: { $sum: 1 },
+        reasons: { $addToSet: '$reason' },
+        reportIds: { $push: '$_id' },
+        firstReportedAt: { $min: '$createdAt' },
+        lastReportedAt: { $max: '$createdAt' }
+      }
+    },
+    // Most reported first
+    { $sort: { reportCount: -1, lastReportedAt: -1 } },
+    {
+      $facet: {
+        items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const items = await Promise.all(
+    result.items.map(async ({ _id, chatId, ...group }) => ({
+      targetType: _id.targetType,
+      targetId: _id.targetId,
+      chatId,
+      ...group,
+      target: await getReportTarget({ ..._id, chatId })
+    }))
+  );
+  const total = result.total[0]?.count || 0;
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Reports retrieved successfully",
+    data: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * Resolve or dismiss a report, along with every other pending report on the same content
+ * PATCH /moderation/reports/:id
+ * Event moderators only
+ */
+export const reviewReport = AsyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+
+  const report = await Report.findById(id);
+
+  if (!report) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Report not found"
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.EVENT_MODERATE, { eventId: report.eventId });
+
+  if (report.status !== 'pending') {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: `Report has already been ${report.status}`
+    });
+  }
+
+  const result = await Report.updateMany(
+    { targetType: report.targetType, targetId: report.targetId, status: 'pending' },
+    { status, reviewedBy: req.user.userid, reviewedAt: new Date() }
+  );
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: `Report ${status} successfully`,
+    data: {
+      targetType: report.targetType,
+      targetId: report.targetId,
+      status,
+      reviewedReports: result.modifiedCount
+    }
+  });
+});
+
+/**
+ * Get the users muted in an event's chat
+ * GET /moderation/event/:eventId/mutes
+ * Event moderators only
+ */
+export const getEventMutes = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  const mutesQuery = `
+    SELECT m.UserID, u.name as Name, m.Reason, m.MutedUntil, m.MutedBy, m.CreatedAt
+    FROM event_mutes m
+    INNER JOIN users u ON m.UserID = u.userid
+    WHERE m.EventID = @eventId AND (m.MutedUntil IS NULL OR m.MutedUntil > GETDATE())
+    ORDER BY m.CreatedAt DESC
+  `;
+  const mutes = await getMany(mutesQuery, { eventId });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Muted users retrieved successfully",
+    data: mutes,
+    count: mutes.length
+  });
+});
+
+/**
+ * Mute a user in an event's chat, for a number of minutes or until unmuted.
+ * Muting someone who is already muted replaces their mute.
+ * POST /moderation/event/:eventId/mutes
+ * Event moderators only
+ */
+export const muteUser = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { userId, reason = null, durationMinutes = null } = req.body;
+
+  if (userId === req.user.userid) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "You can't mute yourself"
+    });
+  }
+
+  const user = await getOne(`SELECT userid FROM users WHERE userid = @userId`, { userId });
+
+  if (!user) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "User not found"
+    });
+  }
+
+  if (await getEventStaffRole(eventId, userId)) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "Event staff can't be muted"
+    });
+  }
+
+  const params = { eventId, userId, mutedBy: req.user.userid, reason, durationMinutes };
+  const mutedUntil = `CASE WHEN @durationMinutes IS NULL THEN NULL ELSE DATEADD(MINUTE, @durationMinutes, GETDATE()) END`;
+
+  const existingMute = await getOne(
+    `SELECT MuteID FROM event_mutes WHERE EventID = @eventId AND UserID = @userId`,
+    { eventId, userId }
+  );
+
+  const muteQuery = existingMute
+    ? `
+      UPDATE event_mutes
+      SET MutedBy = @mutedBy, Reason = @reason, MutedUntil = ${mutedUntil}, CreatedAt = GETDATE()
+      OUTPUT INSERTED.*
+      WHERE EventID = @eventId AND UserID = @userId
+    `
+    : `
+      INSERT INTO event_mutes (EventID, UserID, MutedBy, Reason, MutedUntil)
+      OUTPUT INSERTED.*
+      VALUES (@eventId, @userId, @mutedBy, @reason, ${mutedUntil})
+    `;
+  const result = await executeParameterizedQuery(muteQuery, params);
+
+  res.status(existingMute ? HTTPSTATUS.OK : HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "User muted successfully",
+    data: result.recordset[0]
+  });
+});
+
+/**
+ * Unmute a user in an event's chat
+ * DELETE /moderation/event/:eventId/mutes/:userId
+ * Event moderators only
+ */
+export const unmuteUser = AsyncHandler(async (req, res) => {
+  const { eventId, userId } = req.params;
+
+  const result = await executeParameterizedQuery(
+    `DELETE FROM event_mutes WHERE EventID = @eventId AND UserID = @userId`,
+    { eventId, userId }
+  );
+
+  if (result.rowsAffected[0] === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "User is not muted in this event"
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "User unmuted successfully"
+  });
+});
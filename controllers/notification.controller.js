@@ -0,0 +1,162 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { resolveNotificationChannels } from "../utils/notification.util.js";
+import Notification from "../models/notification.model.js";
+import NotificationPreference from "../models/notificationPreference.model.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+
+const countUnread = (userId) => Notification.countDocuments({ userId, readAt: null });
+
+/**
+ * Get your notifications, newest first
+ * GET /notifications?unread=true&type=string&page=number&limit=number
+ */
+export const getMyNotifications = AsyncHandler(async (req, res) => {
+  const userId = req.user.userid;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+  const skip = (page - 1) * limit;
+  const { unread, type } = req.query;
+
+  const filter = { userId };
+  if (unread === 'true') filter.readAt = null;
+  if (type) filter.type = type;
+
+  const notifications = await Notification.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const total = await Notification.countDocuments(filter);
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Notifications retrieved successfully",
+    data: notifications,
+    unreadCount: await countUnread(userId),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * Get how many of your notifications are unread
+ * GET /notifications/unread-count
+ */
+export const getUnreadCount = AsyncHandler(async (req, res) => {
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Unread count retrieved successfully",
+    data: { unreadCount: await countUnread(req.user.userid) }
+  });
+});
+
+/**
+ * Mark one of your notifications read or unread
+ * PATCH /notifications/:id
+ */
+export const markNotification = AsyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { read } = req.body;
+
+  const notification = await Notification.findOneAndUpdate(
+    { _id: id, userId: req.user.userid },
+    { readAt: read ? new Date() : null },
+    { new: true }
+  );
+
+  if (!notification) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Notification not found"
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: read ? "Notification marked as read" : "Notification marked as unread",
+    data: notification
+  });
+});
+
+/**
+ * Mark all your notifications read, or only those of one type
+ * POST /notifications/read-all
+ */
+export const markAllNotificationsRead = AsyncHandler(async (req, res) => {
+  const { type } = req.body;
+
+  const filter = { userId: req.user.userid, readAt: null };
+  if (type) filter.type = type;
+
+  const result = await Notification.updateMany(filter, { readAt: new Date() });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Notifications marked as read",
+    data: { updated: result.modifiedCount }
+  });
+});
+
+/**
+ * Delete one of your notifications
+ * DELETE /notifications/:id
+ */
+export const deleteNotification = AsyncHandler(async (req, res) => {
+  const deleted = await Notification.findOneAndDelete({ _id: req.params.id, userId: req.user.userid });
+
+  if (!deleted) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Notification not found"
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Notification deleted successfully"
+  });
+});
+
+/**
+ * Get your channels for every notification type, defaults included
+ * GET /notifications/preferences
+ */
+export const getMyNotificationPreferences = AsyncHandler(async (req, res) => {
+  const preference = await NotificationPreference.findOne({ userId: req.user.userid }).lean();
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Notification preferences retrieved successfully",
+    data: resolveNotificationChannels(preference)
+  });
+});
+
+/**
+ * Turn channels on or off per notification type. Types and channels left out keep their current setting.
+ * PUT /notifications/preferences
+ */
+export const updateMyNotificationPreferences = AsyncHandler(async (req, res) => {
+  const userId = req.user.userid;
+
+  const preference = await NotificationPreference.findOne({ userId })
+    || new NotificationPreference({ userId });
+  const current = resolveNotificationChannels(preference);
+
+  for (const [type, channels] of Object.entries(req.body)) {
+    preference.types.set(type, { ...current[type], ...channels });
+  }
+  await preference.save();
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Notification preferences updated successfully",
+    data: resolveNotificationChannels(preference)
+  });
+});
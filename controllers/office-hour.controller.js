@@ -0,0 +1,274 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import { getOne } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { can, authorize } from "../utils/policy.util.js";
+import { EVENT_PHASES, assertEventPhase } from "../utils/event-phase.util.js";
+import OfficeHourSlot from "../models/officeHourSlot.model.js";
+
+// Teams can book mentors while they are building
+const BOOKING_PHASES = [EVENT_PHASES.REGISTRATION, EVENT_PHASES.HACKING];
+
+const toSlotView = (slot) => {
+  const view = slot.toObject ? slot.toObject() : slot;
+  return { ...view, spotsLeft: Math.max(view.capacity - view.bookings.length, 0) };
+};
+
+const findSlot = async (id, res) => {
+  const slot = await OfficeHourSlot.findById(id);
+
+  if (!slot) {
+    res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Office-hour slot not found"
+    });
+  }
+
+  return slot;
+};
+
+// Another slot of the same mentor that overlaps [startsAt, endsAt)
+const findOverlappingSlot = (mentorId, startsAt, endsAt, excludeId = null) => OfficeHourSlot.findOne({
+  mentorId,
+  startsAt: { $lt: endsAt },
+  endsAt: { $gt: startsAt },
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+/**
+ * Publish an office-hour slot
+ * POST /mentorship/event/:eventId/office-hours
+ * Event mentors
+ */
+export const createOfficeHourSlot = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { startsAt, endsAt, topics, capacity, location, notes } = req.body;
+  const mentorId = req.user.userid;
+
+  if (startsAt <= new Date()) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "Slot must start in the future"
+    });
+  }
+
+  if (await findOverlappingSlot(mentorId, startsAt, endsAt)) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "You already have office hours during this time"
+    });
+  }
+
+  const slot = await OfficeHourSlot.create({
+    eventId,
+    mentorId,
+    startsAt,
+    endsAt,
+    topics,
+    capacity,
+    location,
+    notes
+  });
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Office hours published successfully",
+    data: toSlotView(slot)
+  });
+});
+
+/**
+ * Get an event's upcoming office hours, soonest first
+ * GET /mentorship/event/:eventId/office-hours?mentorId=number&topic=string&available=true
+ * Enrolled participants and event staff
+ */
+export const getEventOfficeHours = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { mentorId, topic, available } = req.query;
+
+  const filter = { eventId: parseInt(eventId), endsAt: { $gt: new Date() } };
+  if (mentorId) filter.mentorId = parseInt(mentorId);
+  if (topic) filter.topics = topic;
+  if (available === 'true') filter.$expr = { $lt: [{ $size: '$bookings' }, '$capacity'] };
+
+  const slots = await OfficeHourSlot.find(filter).sort({ startsAt: 1 }).lean();
+
+  const mentorIds = [...new Set(slots.map((slot) => slot.mentorId))];
+  const mentors = await Promise.all(
+    mentorIds.map((id) => getOne(`SELECT userid, name FROM users WHERE userid = @id`, { id }))
+  );
+  const mentorNames = new Map(mentors.filter(Boolean).map((mentor) => [mentor.userid, mentor.name]));
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Office hours retrieved successfully",
+    data: slots.map((slot) => ({ ...toSlotView(slot), mentorName: mentorNames.get(slot.mentorId) || null })),
+    count: slots.length
+  });
+});
+
+/**
+ * Update an office-hour slot. Capacity can't drop below the teams already booked.
+ * PATCH /mentorship/office-hours/:id
+ * The slot's mentor, or event organizers
+ */
+export const updateOfficeHourSlot = AsyncHandler(async (req, res) => {
+  const slot = await findSlot(req.params.id, res);
+  if (!slot) return;
+
+  await authorize(req.user, PermissionEnum.OFFICE_HOURS_MANAGE, { slot });
+
+  const startsAt = req.body.startsAt ?? slot.startsAt;
+  const endsAt = req.body.endsAt ?? slot.endsAt;
+
+  if (endsAt <= startsAt) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "Slot must end after it starts"
+    });
+  }
+
+  if (req.body.capacity !== undefined && req.body.capacity < slot.bookings.length) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: `${slot.bookings.length} teams have already booked this slot`
+    });
+  }
+
+  if (await findOverlappingSlot(slot.mentorId, startsAt, endsAt, slot._id)) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "The mentor already has office hours during this time"
+    });
+  }
+
+  Object.assign(slot, req.body);
+  await slot.save();
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Office hours updated successfully",
+    data: toSlotView(slot)
+  });
+});
+
+/**
+ * Cancel an office-hour slot, along with its bookings
+ * DELETE /mentorship/office-hours/:id
+ * The slot's mentor, or event organizers
+ */
+export const deleteOfficeHourSlot = AsyncHandler(async (req, res) => {
+  const slot = await findSlot(req.params.id, res);
+  if (!slot) return;
+
+  await authorize(req.user, PermissionEnum.OFFICE_HOURS_MANAGE, { slot });
+
+  await slot.deleteOne();
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Office hours cancelled successfully",
+    data: { cancelledBookings: slot.bookings.length }
+  });
+});
+
+/**
+ * Book a slot for a team
+ * POST /mentorship/office-hours/:id/bookings
+ * Team members
+ */
+export const bookOfficeHourSlot = AsyncHandler(async (req, res) => {
+  const { teamId } = req.body;
+
+  const slot = await findSlot(req.params.id, res);
+  if (!slot) return;
+
+  const team = await getOne(
+    `SELECT TeamId FROM teams WHERE TeamId = @teamId AND EventId = @eventId`,
+    { teamId, eventId: slot.eventId }
+  );
+
+  if (!team) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Team not found for this event"
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.TEAM_MEMBER, { teamId });
+
+  await assertEventPhase(slot.eventId, BOOKING_PHASES, "Booking office hours");
+
+  if (slot.startsAt <= new Date()) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "This slot has already started"
+    });
+  }
+
+  if (slot.bookings.some((booking) => booking.teamId === teamId)) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Your team has already booked this slot"
+    });
+  }
+
+  // Checked again in the update so two teams can't take the last spot
+  const booked = await OfficeHourSlot.findOneAndUpdate(
+    {
+      _id: slot._id,
+      'bookings.teamId': { $ne: teamId },
+      $expr: { $lt: [{ $size: '$bookings' }, '$capacity'] }
+    },
+    { $push: { bookings: { teamId, bookedBy: req.user.userid } } },
+    { new: true }
+  );
+
+  if (!booked) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "This slot is fully booked"
+    });
+  }
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Office hours booked successfully",
+    data: toSlotView(booked)
+  });
+});
+
+/**
+ * Cancel a team's booking
+ * DELETE /mentorship/office-hours/:id/bookings/:teamId
+ * Members of the team, the slot's mentor, or event organizers
+ */
+export const cancelOfficeHourBooking = AsyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+
+  const slot = await findSlot(req.params.id, res);
+  if (!slot) return;
+
+  if (!(await can(req.user, PermissionEnum.OFFICE_HOURS_MANAGE, { slot }))) {
+    await authorize(req.user, PermissionEnum.TEAM_MEMBER, { teamId });
+  }
+
+  const updated = await OfficeHourSlot.findOneAndUpdate(
+    { _id: slot._id, 'bookings.teamId': teamId },
+    { $pull: { bookings: { teamId } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Team has not booked this slot"
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Booking cancelled successfully",
+    data: toSlotView(updated)
+  });
+});
@@ -0,0 +1,363 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import Submission from "../models/submission.model.js";
+import { executeParameterizedQuery } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { validateReferences } from "../utils/validation.util.js";
+import { EVENT_PHASES, assertEventPhase } from "../utils/event-phase.util.js";
+
+const getPrize = async (eventId, prizeId) => {
+  const prizeQuery = `
+    SELECT p.*, t.Name as TrackName
+    FROM event_prizes p
+    LEFT JOIN event_tracks t ON p.TrackID = t.TrackID
+    WHERE p.PrizeID = @prizeId AND p.EventID = @eventId
+  `;
+  const result = await executeParameterizedQuery(prizeQuery, { eventId, prizeId });
+  return result.recordset[0] || null;
+};
+
+// Track and sponsor must belong to the same event as the prize
+const findInvalidLinks = async (eventId, { trackId, sponsorId }) => {
+  if (trackId) {
+    const trackCheck = `SELECT COUNT(*) as count FROM event_tracks WHERE TrackID = @trackId AND EventID = @eventId`;
+    const track = await executeParameterizedQuery(trackCheck, { eventId, trackId });
+    if (track.recordset[0].count === 0) return "Track does not belong to this event";
+  }
+
+  if (sponsorId) {
+    const sponsorCheck = `SELECT COUNT(*) as count FROM event_sponsors WHERE SponsorID = @sponsorId AND EventID = @eventId`;
+    const sponsor = await executeParameterizedQuery(sponsorCheck, { eventId, sponsorId });
+    if (sponsor.recordset[0].count === 0) return "Sponsor does not belong to this event";
+  }
+
+  return null;
+};
+
+// Keep the submission's isWinner/prize fields in step with its awards
+const syncSubmissionPrizes = async (submissionId) => {
+  const awardsQuery = `
+    SELECT p.Title FROM prize_awards a
+    INNER JOIN event_prizes p ON a.PrizeID = p.PrizeID
+    WHERE a.SubmissionID = @submissionId
+    ORDER BY a.AwardedAt
+  `;
+  const awards = await executeParameterizedQuery(awardsQuery, { submissionId });
+  const titles = awards.recordset.map((award) => award.Title);
+
+  await Submission.findByIdAndUpdate(submissionId, {
+    isWinner: titles.length > 0,
+    prize: titles.length > 0 ? titles.join(', ') : null,
+  });
+};
+
+/**
+ * Get the prizes of an event with their winners
+ * GET /events/:eventId/prizes
+ */
+export const getEventPrizes = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  const validationErrors = await validateReferences({ eventId });
+  if (validationErrors.length > 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Event not found",
+      errors: validationErrors,
+    });
+  }
+
+  const prizesQuery = `
+    SELECT p.*, t.Name as TrackName, s.Name as SponsorName
+    FROM event_prizes p
+    LEFT JOIN event_tracks t ON p.TrackID = t.TrackID
+    LEFT JOIN event_sponsors s ON p.SponsorID = s.SponsorID
+    WHERE p.EventID = @eventId
+    ORDER BY p.PrizeID
+  `;
+  const prizes = await executeParameterizedQuery(prizesQuery, { eventId });
+
+  const awardsQuery = `
+    SELECT a.AwardID, a.PrizeID, a.SubmissionID, a.TeamID, tm.TeamName, a.AwardedAt
+    FROM prize_awards a
+    INNER JOIN event_prizes p ON a.PrizeID = p.PrizeID
+    INNER JOIN teams tm ON a.TeamID = tm.TeamId
+    WHERE p.EventID = @eventId
+    ORDER BY a.AwardedAt
+  `;
+  const awards = await executeParameterizedQuery(awardsQuery, { eventId });
+
+  const prizesWithWinners = prizes.recordset.map((prize) => ({
+    ...prize,
+    winners: awards.recordset.filter((award) => award.PrizeID === prize.PrizeID),
+  }));
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Prizes retrieved successfully",
+    data: prizesWithWinners,
+    count: prizesWithWinners.length,
+  });
+});
+
+/**
+ * Add a prize to an event
+ * POST /events/:eventId/prizes
+ * Event organizer only
+ */
+export const createPrize = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const {
+    title,
+    description = null,
+    value = null,
+    quantity = 1,
+    trackId = null,
+    sponsorId = null,
+  } = req.body;
+
+  const linkError = await findInvalidLinks(eventId, { trackId, sponsorId });
+  if (linkError) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: linkError,
+    });
+  }
+
+  const insertQuery = `
+    INSERT INTO event_prizes (EventID, Title, Description, Value, Quantity, TrackID, SponsorID)
+    OUTPUT INSERTED.*
+    VALUES (@eventId, @title, @description, @value, @quantity, @trackId, @sponsorId)
+  `;
+  const result = await executeParameterizedQuery(insertQuery, {
+    eventId,
+    title,
+    description,
+    value,
+    quantity,
+    trackId,
+    sponsorId,
+  });
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Prize created successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Update a prize
+ * PATCH /events/:eventId/prizes/:prizeId
+ * Event organizer only
+ */
+export const updatePrize = AsyncHandler(async (req, res) => {
+  const { eventId, prizeId } = req.params;
+  const body = req.body;
+
+  const prize = await getPrize(eventId, prizeId);
+  if (!prize) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Prize not found",
+    });
+  }
+
+  const linkError = await findInvalidLinks(eventId, { trackId: body.trackId, sponsorId: body.sponsorId });
+  if (linkError) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: linkError,
+    });
+  }
+
+  const awardCountQuery = `SELECT COUNT(*) as count FROM prize_awards WHERE PrizeID = @prizeId`;
+  const awardCount = (await executeParameterizedQuery(awardCountQuery, { prizeId })).recordset[0].count;
+
+  if (body.quantity !== undefined && body.quantity < awardCount) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: `Prize has already been awarded ${awardCount} time(s)`,
+    });
+  }
+
+  if (body.trackId !== undefined && body.trackId !== prize.TrackID && awardCount > 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Cannot change the track of a prize that has been awarded",
+    });
+  }
+
+  const updateQuery = `
+    UPDATE event_prizes
+    SET Title = @title, Description = @description, Value = @value,
+        Quantity = @quantity, TrackID = @trackId, SponsorID = @sponsorId
+    OUTPUT INSERTED.*
+    WHERE PrizeID = @prizeId
+  `;
+  const result = await executeParameterizedQuery(updateQuery, {
+    prizeId,
+    title: body.title ?? prize.Title,
+    description: body.description !== undefined ? body.description : prize.Description,
+    value: body.value !== undefined ? body.value : prize.Value,
+    quantity: body.quantity ?? prize.Quantity,
+    trackId: body.trackId !== undefined ? body.trackId : prize.TrackID,
+    sponsorId: body.sponsorId !== undefined ? body.sponsorId : prize.SponsorID,
+  });
+
+  // Winners display the prize title
+  if (body.title && body.title !== prize.Title && awardCount > 0) {
+    const awardedQuery = `SELECT SubmissionID FROM prize_awards WHERE PrizeID = @prizeId`;
+    const awarded = await executeParameterizedQuery(awardedQuery, { prizeId });
+    for (const award of awarded.recordset) {
+      await syncSubmissionPrizes(award.SubmissionID);
+    }
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Prize updated successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Remove a prize that has not been awarded
+ * DELETE /events/:eventId/prizes/:prizeId
+ * Event organizer only
+ */
+export const deletePrize = AsyncHandler(async (req, res) => {
+  const { eventId, prizeId } = req.params;
+
+  const prize = await getPrize(eventId, prizeId);
+  if (!prize) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Prize not found",
+    });
+  }
+
+  const awardCountQuery = `SELECT COUNT(*) as count FROM prize_awards WHERE PrizeID = @prizeId`;
+  const awardCount = await executeParameterizedQuery(awardCountQuery, { prizeId });
+
+  if (awardCount.recordset[0].count > 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Revoke the prize's awards before deleting it",
+    });
+  }
+
+  await executeParameterizedQuery(`DELETE FROM event_prizes WHERE PrizeID = @prizeId`, { prizeId });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Prize deleted successfully",
+  });
+});
+
+/**
+ * Award a prize to a submission
+ * POST /events/:eventId/prizes/:prizeId/awards
+ * Event organizer only
+ */
+export const awardPrize = AsyncHandler(async (req, res) => {
+  const { eventId, prizeId } = req.params;
+  const { submissionId } = req.body;
+  const userId = req.user.userid;
+
+  const prize = await getPrize(eventId, prizeId);
+  if (!prize) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Prize not found",
+    });
+  }
+
+  await assertEventPhase(eventId, [EVENT_PHASES.JUDGING, EVENT_PHASES.RESULTS], "Awarding prizes");
+
+  const submission = await Submission.findById(submissionId);
+  if (!submission || submission.eventId !== eventId) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "Submission does not belong to this event",
+    });
+  }
+
+  if (prize.TrackName && submission.track !== prize.TrackName) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: `This prize is only for the '${prize.TrackName}' track`,
+    });
+  }
+
+  const existingAward = `SELECT COUNT(*) as count FROM prize_awards WHERE PrizeID = @prizeId AND SubmissionID = @submissionId`;
+  const existing = await executeParameterizedQuery(existingAward, { prizeId, submissionId });
+
+  if (existing.recordset[0].count > 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Submission has already been awarded this prize",
+    });
+  }
+
+  // Capacity check and insert in one statement so two awards can't both take the last slot
+  const awardQuery = `
+    INSERT INTO prize_awards (PrizeID, SubmissionID, TeamID, AwardedBy)
+    OUTPUT INSERTED.*
+    SELECT @prizeId, @submissionId, @teamId, @userId
+    WHERE (SELECT COUNT(*) FROM prize_awards WITH (UPDLOCK, HOLDLOCK) WHERE PrizeID = @prizeId) < @quantity
+  `;
+  const result = await executeParameterizedQuery(awardQuery, {
+    prizeId,
+    submissionId,
+    teamId: submission.teamId,
+    userId,
+    quantity: prize.Quantity,
+  });
+
+  if (result.recordset.length === 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: `All ${prize.Quantity} of this prize have already been awarded`,
+    });
+  }
+
+  await syncSubmissionPrizes(submissionId);
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Prize awarded successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Revoke a prize award
+ * DELETE /events/:eventId/prizes/:prizeId/awards/:awardId
+ * Event organizer only
+ */
+export const revokePrizeAward = AsyncHandler(async (req, res) => {
+  const { eventId, prizeId, awardId } = req.params;
+
+  const deleteQuery = `
+    DELETE a
+    OUTPUT DELETED.SubmissionID
+    FROM prize_awards a
+    INNER JOIN event_prizes p ON a.PrizeID = p.PrizeID
+    WHERE a.AwardID = @awardId AND a.PrizeID = @prizeId AND p.EventID = @eventId
+  `;
+  const result = await executeParameterizedQuery(deleteQuery, { awardId, prizeId, eventId });
+
+  if (result.recordset.length === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Award not found",
+    });
+  }
+
+  await syncSubmissionPrizes(result.recordset[0].SubmissionID);
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Prize award revoked successfully",
+  });
+});
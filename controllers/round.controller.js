@@ -0,0 +1,355 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import Submission from "../models/submission.model.js";
+import { executeParameterizedQuery } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { validateReferences } from "../utils/validation.util.js";
+import { getEventRound, getRoundSubmissionWindow } from "../utils/round.util.js";
+import { buildLeaderboard } from "../utils/leaderboard.util.js";
+
+// A round deadline has to fall inside the event
+const validateRoundDeadline = async (eventId, submissionDeadline) => {
+  if (!submissionDeadline) return null;
+
+  const eventQuery = `SELECT StartDate, EndDate FROM events WHERE EventID = @eventId`;
+  const event = (await executeParameterizedQuery(eventQuery, { eventId })).recordset[0];
+  const deadline = new Date(submissionDeadline);
+
+  if (deadline <= new Date(event.StartDate) || deadline > new Date(event.EndDate)) {
+    return "Round submission deadline must be after the event start and no later than the event end";
+  }
+  return null;
+};
+
+/**
+ * Get the rounds of an event with their submission windows
+ * GET /events/:eventId/rounds
+ */
+export const getEventRounds = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  const validationErrors = await validateReferences({ eventId });
+  if (validationErrors.length > 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Event not found",
+      errors: validationErrors,
+    });
+  }
+
+  const roundsQuery = `
+    SELECT r.*,
+      (SELECT COUNT(*) FROM round_qualifications q
+        WHERE q.EventID = r.EventID AND q.RoundNumber = r.RoundNumber) as QualifiedTeams
+    FROM event_rounds r
+    WHERE r.EventID = @eventId
+    ORDER BY r.RoundNumber
+  `;
+  const result = await executeParameterizedQuery(roundsQuery, { eventId });
+
+  const rounds = await Promise.all(
+    result.recordset.map(async (round) => ({
+      ...round,
+      submissionWindow: await getRoundSubmissionWindow(eventId, round.RoundNumber),
+    }))
+  );
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Rounds retrieved successfully",
+    data: rounds,
+    count: rounds.length,
+  });
+});
+
+/**
+ * Define a round for an event
+ * POST /events/:eventId/rounds
+ * Event organizer only
+ */
+export const createRound = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { roundNumber, name, description = null, submissionDeadline = null } = req.body;
+
+  if (await getEventRound(eventId, roundNumber)) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: `Round ${roundNumber} already exists for this event`,
+    });
+  }
+
+  const deadlineError = await validateRoundDeadline(eventId, submissionDeadline);
+  if (deadlineError) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: deadlineError,
+    });
+  }
+
+  const insertQuery = `
+    INSERT INTO event_rounds (EventID, RoundNumber, Name, Description, SubmissionDeadline)
+    OUTPUT INSERTED.*
+    VALUES (@eventId, @roundNumber, @name, @description, @submissionDeadline)
+  `;
+  const result = await executeParameterizedQuery(insertQuery, {
+    eventId,
+    roundNumber,
+    name,
+    description,
+    submissionDeadline: submissionDeadline ? new Date(submissionDeadline) : null,
+  });
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Round created successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Rename a round or move its deadline; a null deadline makes it follow the event phase again
+ * PATCH /events/:eventId/rounds/:roundNumber
+ * Event organizer only
+ */
+export const updateRound = AsyncHandler(async (req, res) => {
+  const { eventId, roundNumber } = req.params;
+  const { name, description, submissionDeadline } = req.body;
+
+  const round = await getEventRound(eventId, roundNumber);
+  if (!round) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Round not found",
+    });
+  }
+
+  const deadlineError = await validateRoundDeadline(eventId, submissionDeadline);
+  if (deadlineError) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: deadlineError,
+    });
+  }
+
+  const updateQuery = `
+    UPDATE event_rounds
+    SET Name = @name, Description = @description, SubmissionDeadline = @submissionDeadline
+    OUTPUT INSERTED.*
+    WHERE RoundID = @roundId
+  `;
+  const result = await executeParameterizedQuery(updateQuery, {
+    roundId: round.RoundID,
+    name: name ?? round.Name,
+    description: description !== undefined ? description : round.Description,
+    submissionDeadline: submissionDeadline !== undefined
+      ? (submissionDeadline ? new Date(submissionDeadline) : null)
+      : round.SubmissionDeadline,
+  });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Round updated successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Remove a round that has no submissions yet, along with its qualifications
+ * DELETE /events/:eventId/rounds/:roundNumber
+ * Event organizer only
+ */
+export const deleteRound = AsyncHandler(async (req, res) => {
+  const { eventId, roundNumber } = req.params;
+
+  const round = await getEventRound(eventId, roundNumber);
+  if (!round) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Round not found",
+    });
+  }
+
+  const submissionCount = await Submission.countDocuments({ eventId, round: roundNumber });
+  if (submissionCount > 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Round already has submissions",
+      data: { submissions: submissionCount },
+    });
+  }
+
+  await executeParameterizedQuery(
+    `DELETE FROM round_qualifications WHERE EventID = @eventId AND RoundNumber = @roundNumber`,
+    { eventId, roundNumber }
+  );
+  await executeParameterizedQuery(`DELETE FROM event_rounds WHERE RoundID = @roundId`, {
+    roundId: round.RoundID,
+  });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Round deleted successfully",
+  });
+});
+
+/**
+ * Qualify teams for a round, either the top N of the previous round's leaderboard
+ * (overall or per track) or a hand-picked list of teams
+ * POST /events/:eventId/rounds/:roundNumber/advance
+ * Event organizer only
+ */
+export const advanceTeams = AsyncHandler(async (req, res) => {
+  const { eventId, roundNumber } = req.params;
+  const { topN, perTrack, method, teamIds } = req.body;
+  const userId = req.user.userid;
+
+  if (roundNumber <= 1) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "Every team may enter round 1, only later rounds need qualification",
+    });
+  }
+
+  if (!(await getEventRound(eventId, roundNumber))) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Round not found",
+    });
+  }
+
+  let candidates;
+  let source;
+
+  if (topN !== undefined) {
+    const previousWindow = await getRoundSubmissionWindow(eventId, roundNumber - 1);
+    if (!previousWindow.hasClosed) {
+      return res.status(HTTPSTATUS.CONFLICT).json({
+        success: false,
+        message: `Round ${roundNumber - 1} is still accepting submissions`,
+      });
+    }
+
+    const [previousRound] = await buildLeaderboard(eventId, { method, round: roundNumber - 1 });
+    const scored = (previousRound?.leaderboard || []).filter((entry) => entry.score !== null);
+
+    const selected = perTrack
+      ? scored.filter((entry) => entry.trackRank <= topN)
+      : scored.filter((entry) => entry.rank <= topN);
+
+    candidates = [...new Set(selected.map((entry) => entry.teamId))];
+    source = 'top_n';
+  } else {
+    const teamsQuery = `SELECT TeamId FROM teams WHERE EventId = @eventId`;
+    const eventTeams = new Set(
+      (await executeParameterizedQuery(teamsQuery, { eventId })).recordset.map((team) => team.TeamId)
+    );
+
+    const unknownTeams = teamIds.filter((teamId) => !eventTeams.has(teamId));
+    if (unknownTeams.length > 0) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Teams ${unknownTeams.join(', ')} do not belong to this event`,
+      });
+    }
+
+    candidates = [...new Set(teamIds)];
+    source = 'manual';
+  }
+
+  const advanced = [];
+  const alreadyQualified = [];
+
+  for (const teamId of candidates) {
+    const insertQuery = `
+      IF NOT EXISTS (
+        SELECT 1 FROM round_qualifications
+        WHERE EventID = @eventId AND RoundNumber = @roundNumber AND TeamID = @teamId
+      )
+      INSERT INTO round_qualifications (EventID, RoundNumber, TeamID, Source, QualifiedBy)
+      VALUES (@eventId, @roundNumber, @teamId, @source, @userId)
+    `;
+    const result = await executeParameterizedQuery(insertQuery, {
+      eventId,
+      roundNumber,
+      teamId,
+      source,
+      userId,
+    });
+
+    if (result.rowsAffected[0] > 0) {
+      advanced.push(teamId);
+    } else {
+      alreadyQualified.push(teamId);
+    }
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: `${advanced.length} team(s) advanced to round ${roundNumber}`,
+    data: {
+      round: roundNumber,
+      source,
+      advanced,
+      alreadyQualified,
+    },
+  });
+});
+
+/**
+ * Get the teams qualified for a round
+ * GET /events/:eventId/rounds/:roundNumber/qualified
+ * Event organizer only
+ */
+export const getQualifiedTeams = AsyncHandler(async (req, res) => {
+  const { eventId, roundNumber } = req.params;
+
+  const qualifiedQuery = `
+    SELECT q.QualificationID, q.TeamID, t.TeamName, q.Source, q.QualifiedBy, q.QualifiedAt
+    FROM round_qualifications q
+    JOIN teams t ON q.TeamID = t.TeamId
+    WHERE q.EventID = @eventId AND q.RoundNumber = @roundNumber
+    ORDER BY q.QualifiedAt, q.QualificationID
+  `;
+  const result = await executeParameterizedQuery(qualifiedQuery, { eventId, roundNumber });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Qualified teams retrieved successfully",
+    data: result.recordset,
+    count: result.recordset.length,
+  });
+});
+
+/**
+ * Withdraw a team's qualification for a round before it has submitted
+ * DELETE /events/:eventId/rounds/:roundNumber/qualified/:teamId
+ * Event organizer only
+ */
+export const removeQualification = AsyncHandler(async (req, res) => {
+  const { eventId, roundNumber, teamId } = req.params;
+
+  const existingSubmission = await Submission.exists({ eventId, teamId, round: roundNumber });
+  if (existingSubmission) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Team has already submitted to this round",
+    });
+  }
+
+  const deleteQuery = `
+    DELETE FROM round_qualifications
+    WHERE EventID = @eventId AND RoundNumber = @roundNumber AND TeamID = @teamId
+  `;
+  const result = await executeParameterizedQuery(deleteQuery, { eventId, roundNumber, teamId });
+
+  if (result.rowsAffected[0] === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Team is not qualified for this round",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Qualification removed successfully",
+  });
+});
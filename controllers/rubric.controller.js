@@ -0,0 +1,148 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import Rubric from "../models/rubric.model.js";
+import Scorecard from "../models/scorecard.model.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { validateReferences } from "../utils/validation.util.js";
+import { getEventRubric, toCriterionKey } from "../utils/rubric.util.js";
+import { getEventRound } from "../utils/round.util.js";
+
+// Round rubrics are reached through /rounds/:roundNumber/rubric, the event-wide one has no round
+const getRubricRound = (req) => req.params.roundNumber ?? null;
+
+// An event-wide rubric is the fallback for every round, so any scorecard locks it
+const getScorecardFilter = (eventId, round) =>
+  round === null ? { eventId } : { eventId, round };
+
+/**
+ * Get the judging rubric for an event or one of its rounds
+ * GET /events/:eventId/rubric
+ * GET /events/:eventId/rounds/:roundNumber/rubric
+ */
+export const getRubric = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const round = getRubricRound(req);
+
+  const validationErrors = await validateReferences({ eventId });
+  if (validationErrors.length > 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Event not found",
+      errors: validationErrors,
+    });
+  }
+
+  if (round !== null && !(await getEventRound(eventId, round))) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Round not found",
+    });
+  }
+
+  const rubric = await getEventRubric(eventId, round);
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Rubric retrieved successfully",
+    data: {
+      eventId,
+      round,
+      ...rubric,
+    },
+  });
+});
+
+/**
+ * Define or replace the judging rubric for an event or one of its rounds
+ * PUT /events/:eventId/rubric
+ * PUT /events/:eventId/rounds/:roundNumber/rubric
+ * Event organizer only
+ */
+export const upsertRubric = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const round = getRubricRound(req);
+  const { criteria } = req.body;
+  const userId = req.user.userid;
+
+  // Existing scorecards were totalled against the current rubric
+  if (round !== null && !(await getEventRound(eventId, round))) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Round not found",
+    });
+  }
+
+  const scorecardCount = await Scorecard.countDocuments(getScorecardFilter(eventId, round));
+  if (scorecardCount > 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Rubric cannot be changed after judging has started",
+    });
+  }
+
+  const normalizedCriteria = criteria.map((criterion) => ({
+    ...criterion,
+    key: criterion.key || toCriterionKey(criterion.name),
+  }));
+
+  const keys = normalizedCriteria.map((criterion) => criterion.key);
+  if (new Set(keys).size !== keys.length) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "Criterion keys must be unique",
+    });
+  }
+
+  const rubric = await Rubric.findOneAndUpdate(
+    { eventId, round },
+    { eventId, round, criteria: normalizedCriteria, updatedBy: userId },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Rubric saved successfully",
+    data: rubric,
+  });
+});
+
+/**
+ * Remove an event's or round's rubric so the next fallback rubric applies again
+ * DELETE /events/:eventId/rubric
+ * DELETE /events/:eventId/rounds/:roundNumber/rubric
+ * Event organizer only
+ */
+export const deleteRubric = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const round = getRubricRound(req);
+
+  if (round !== null && !(await getEventRound(eventId, round))) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Round not found",
+    });
+  }
+
+  const scorecardCount = await Scorecard.countDocuments(getScorecardFilter(eventId, round));
+  if (scorecardCount > 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Rubric cannot be changed after judging has started",
+    });
+  }
+
+  const deleted = await Rubric.findOneAndDelete({ eventId, round });
+
+  if (!deleted) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: round === null ? "Event has no custom rubric" : "Round has no custom rubric",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: round === null
+      ? "Rubric removed, default rubric applies"
+      : "Round rubric removed, event rubric applies",
+  });
+});
@@ -0,0 +1,161 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import { executeParameterizedQuery } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { validateReferences } from "../utils/validation.util.js";
+
+const SPONSOR_FIELDS = {
+  name: "Name",
+  tier: "Tier",
+  description: "Description",
+  websiteUrl: "WebsiteUrl",
+  logoUrl: "LogoUrl",
+};
+
+/**
+ * Get the sponsors of an event
+ * GET /events/:eventId/sponsors
+ */
+export const getEventSponsors = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  const validationErrors = await validateReferences({ eventId });
+  if (validationErrors.length > 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Event not found",
+      errors: validationErrors,
+    });
+  }
+
+  const sponsorsQuery = `
+    SELECT * FROM event_sponsors
+    WHERE EventID = @eventId
+    ORDER BY Tier, Name
+  `;
+  const result = await executeParameterizedQuery(sponsorsQuery, { eventId });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Sponsors retrieved successfully",
+    data: result.recordset,
+    count: result.recordset.length,
+  });
+});
+
+/**
+ * Add a sponsor to an event
+ * POST /events/:eventId/sponsors
+ * Event organizer only
+ */
+export const createSponsor = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { name, tier = null, description = null, websiteUrl = null, logoUrl = null } = req.body;
+
+  const duplicateCheck = `SELECT COUNT(*) as count FROM event_sponsors WHERE EventID = @eventId AND Name = @name`;
+  const duplicate = await executeParameterizedQuery(duplicateCheck, { eventId, name });
+
+  if (duplicate.recordset[0].count > 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "This sponsor is already listed for the event",
+    });
+  }
+
+  const insertQuery = `
+    INSERT INTO event_sponsors (EventID, Name, Tier, Description, WebsiteUrl, LogoUrl)
+    OUTPUT INSERTED.*
+    VALUES (@eventId, @name, @tier, @description, @websiteUrl, @logoUrl)
+  `;
+  const result = await executeParameterizedQuery(insertQuery, {
+    eventId,
+    name,
+    tier,
+    description,
+    websiteUrl,
+    logoUrl,
+  });
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Sponsor created successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Update a sponsor
+ * PATCH /events/:eventId/sponsors/:sponsorId
+ * Event organizer only
+ */
+export const updateSponsor = AsyncHandler(async (req, res) => {
+  const { eventId, sponsorId } = req.params;
+
+  if (req.body.name) {
+    const duplicateCheck = `
+      SELECT COUNT(*) as count FROM event_sponsors
+      WHERE EventID = @eventId AND Name = @name AND SponsorID != @sponsorId
+    `;
+    const duplicate = await executeParameterizedQuery(duplicateCheck, { eventId, sponsorId, name: req.body.name });
+
+    if (duplicate.recordset[0].count > 0) {
+      return res.status(HTTPSTATUS.CONFLICT).json({
+        success: false,
+        message: "This sponsor is already listed for the event",
+      });
+    }
+  }
+
+  const fields = Object.keys(req.body).filter((field) => SPONSOR_FIELDS[field]);
+  const setClause = fields.map((field) => `${SPONSOR_FIELDS[field]} = @${field}`).join(', ');
+
+  const updateQuery = `
+    UPDATE event_sponsors
+    SET ${setClause}
+    OUTPUT INSERTED.*
+    WHERE SponsorID = @sponsorId AND EventID = @eventId
+  `;
+  const params = { eventId, sponsorId };
+  fields.forEach((field) => { params[field] = req.body[field]; });
+
+  const result = await executeParameterizedQuery(updateQuery, params);
+
+  if (result.recordset.length === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Sponsor not found",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Sponsor updated successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Remove a sponsor; prizes it sponsored are kept without a sponsor
+ * DELETE /events/:eventId/sponsors/:sponsorId
+ * Event organizer only
+ */
+export const deleteSponsor = AsyncHandler(async (req, res) => {
+  const { eventId, sponsorId } = req.params;
+
+  const sponsorCheck = `SELECT COUNT(*) as count FROM event_sponsors WHERE SponsorID = @sponsorId AND EventID = @eventId`;
+  const sponsor = await executeParameterizedQuery(sponsorCheck, { eventId, sponsorId });
+
+  if (sponsor.recordset[0].count === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Sponsor not found",
+    });
+  }
+
+  await executeParameterizedQuery(`UPDATE event_prizes SET SponsorID = NULL WHERE SponsorID = @sponsorId`, { sponsorId });
+  await executeParameterizedQuery(`DELETE FROM event_sponsors WHERE SponsorID = @sponsorId`, { sponsorId });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Sponsor deleted successfully",
+  });
+});
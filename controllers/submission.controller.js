@@ -1,8 +1,31 @@
 import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
 import Submission from "../models/submission.model.js";
+import Scorecard from "../models/scorecard.model.js";
 import { executeParameterizedQuery } from "../utils/sql.util.js";
 import { HTTPSTATUS } from "../config/Https.config.js";
 import { validateReferences } from "../utils/validation.util.js";
+import {
+  getAssignedJudgeIds,
+  getJudgeAssignments,
+  buildAssignedSubmissionsFilter
+} from "../utils/judging.util.js";
+import {
+  getEventRubric,
+  validateScoresAgainstRubric,
+  computeWeightedTotal
+} from "../utils/rubric.util.js";
+import { resolveEventTrack } from "../utils/track.util.js";
+import {
+  getEventRound,
+  isTeamQualified,
+  assertRoundSubmissionsOpen,
+  assertRoundJudgingOpen
+} from "../utils/round.util.js";
+import { EVENT_ORGANIZER_ROLES, getStaffEventIds } from "../utils/event-access.util.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { can, authorize } from "../utils/policy.util.js";
+import { emitDomainEvent } from "../utils/domain-events.util.js";
+import { DomainEventEnum } from "../enums/domain-event.enum.js";
 
 export const createSubmission = AsyncHandler(async (req, res) => {
   const {
@@ -17,7 +40,6 @@ export const createSubmission = AsyncHandler(async (req, res) => {
     round = 1,
   } = req.body;
 
-  const userId = req.user.userid;
 
   if (!eventId || !teamId || !title || !description || !track) {
     return res.status(HTTPSTATUS.BAD_REQUEST).json({
@@ -58,19 +80,29 @@ export const createSubmission = AsyncHandler(async (req, res) => {
     });
   }
 
-  const teamMemberCheck = `
-    SELECT COUNT(*) as count FROM team_members 
-    WHERE TeamId = @teamId AND UserId = @userId
-  `;
-  const isMember = await executeParameterizedQuery(teamMemberCheck, {
-    teamId,
-    userId,
-  });
+  await authorize(req.user, PermissionEnum.TEAM_MEMBER, { teamId });
+
+  if (round > 1 && !(await getEventRound(eventId, round))) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: `Round ${round} is not defined for this event`,
+    });
+  }
 
-  if (isMember.recordset[0].count === 0) {
+  if (!(await isTeamQualified(eventId, round, teamId))) {
     return res.status(HTTPSTATUS.FORBIDDEN).json({
       success: false,
-      message: "You are not a member of this team",
+      message: `Your team has not qualified for round ${round}`,
+    });
+  }
+
+  await assertRoundSubmissionsOpen(eventId, round, "Submitting a project");
+
+  const trackCheck = await resolveEventTrack(eventId, track);
+  if (!trackCheck.valid) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: `Track must be one of: ${trackCheck.allowedTracks.join(', ')}`,
     });
   }
 
@@ -92,7 +124,7 @@ export const createSubmission = AsyncHandler(async (req, res) => {
     teamId,
     title,
     description,
-    track,
+    track: trackCheck.track,
     githubUrl,
     videoUrl,
     docs: docs || [],
@@ -162,7 +194,6 @@ export const getSubmissionsByEvent = AsyncHandler(async (req, res) => {
 
 export const getSubmissionsByTeam = AsyncHandler(async (req, res) => {
   const { teamId } = req.params;
-  const userId = req.user.userid;
 
   const validationErrors = await validateReferences({
     teamId: parseInt(teamId),
@@ -175,21 +206,7 @@ export const getSubmissionsByTeam = AsyncHandler(async (req, res) => {
     });
   }
 
-  const teamMemberCheck = `
-    SELECT COUNT(*) as count FROM team_members 
-    WHERE TeamId = @teamId AND UserId = @userId
-  `;
-  const isMember = await executeParameterizedQuery(teamMemberCheck, {
-    teamId,
-    userId,
-  });
-
-  if (isMember.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not a member of this team",
-    });
-  }
+  await authorize(req.user, PermissionEnum.TEAM_MEMBER, { teamId });
 
   const submissions = await Submission.find({ teamId: parseInt(teamId) }).sort({
     submittedAt: -1,
@@ -246,7 +263,6 @@ export const getSubmissionById = AsyncHandler(async (req, res) => {
 
 export const updateSubmission = AsyncHandler(async (req, res) => {
   const { id } = req.params;
-  const userId = req.user.userid;
   const updateData = req.body;
 
   const submission = await Submission.findById(id);
@@ -258,25 +274,26 @@ export const updateSubmission = AsyncHandler(async (req, res) => {
     });
   }
 
-  const teamMemberCheck = `
-    SELECT COUNT(*) as count FROM team_members 
-    WHERE TeamId = @teamId AND UserId = @userId
-  `;
-  const isMember = await executeParameterizedQuery(teamMemberCheck, {
-    teamId: submission.teamId,
-    userId,
-  });
+  await authorize(req.user, PermissionEnum.TEAM_MANAGE, { teamId: submission.teamId });
 
-  if (isMember.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "You are not authorized to update this submission",
-    });
-  }
+  await assertRoundSubmissionsOpen(submission.eventId, submission.round, "Editing a submission");
 
   delete updateData.eventId;
   delete updateData.teamId;
   delete updateData.submittedAt;
+  // Moving to another round would skip its qualification check
+  delete updateData.round;
+
+  if (updateData.track !== undefined) {
+    const trackCheck = await resolveEventTrack(submission.eventId, updateData.track);
+    if (!trackCheck.valid) {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Track must be one of: ${trackCheck.allowedTracks.join(', ')}`,
+      });
+    }
+    updateData.track = trackCheck.track;
+  }
 
   const updatedSubmission = await Submission.findByIdAndUpdate(id, updateData, {
     new: true,
@@ -292,7 +309,6 @@ export const updateSubmission = AsyncHandler(async (req, res) => {
 
 export const deleteSubmission = AsyncHandler(async (req, res) => {
   const { id } = req.params;
-  const userId = req.user.userid;
 
   const submission = await Submission.findById(id);
 
@@ -303,21 +319,9 @@ export const deleteSubmission = AsyncHandler(async (req, res) => {
     });
   }
 
-  const teamLeaderCheck = `
-    SELECT COUNT(*) as count FROM team_members 
-    WHERE TeamId = @teamId AND UserId = @userId AND Role = 'Leader'
-  `;
-  const isLeader = await executeParameterizedQuery(teamLeaderCheck, {
-    teamId: submission.teamId,
-    userId,
-  });
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId: submission.teamId });
 
-  if (isLeader.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "Only team leaders can delete submissions",
-    });
-  }
+  await assertRoundSubmissionsOpen(submission.eventId, submission.round, "Deleting a submission");
 
   await Submission.findByIdAndDelete(id);
 
@@ -328,26 +332,12 @@ export const deleteSubmission = AsyncHandler(async (req, res) => {
 });
 
 // Judge a submission
+// Each judge gets their own scorecard; the submission keeps an aggregate view
 export const judgeSubmission = AsyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { 
-    scores, 
-    totalScore, 
-    judgeComments, 
-    isWinner, 
-    prize, 
-    judgingStatus = 'judged' 
-  } = req.body;
+  const { scores, judgeComments } = req.body;
   const judgeId = req.user.userid;
 
-  // Validate required fields
-  if (!scores || !totalScore) {
-    return res.status(HTTPSTATUS.BAD_REQUEST).json({
-      success: false,
-      message: "Scores and total score are required"
-    });
-  }
-
   // Find the submission
   const submission = await Submission.findById(id);
   if (!submission) {
@@ -357,43 +347,119 @@ export const judgeSubmission = AsyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is organizer of the event
-  const organizerCheck = `
-    SELECT COUNT(*) as count FROM events 
-    WHERE EventID = @eventId AND OrganizerID = @judgeId
-  `;
-  const isOrganizer = await executeParameterizedQuery(organizerCheck, { 
-    eventId: submission.eventId, 
-    judgeId 
-  });
+  await authorize(req.user, PermissionEnum.SUBMISSION_JUDGE, { submission });
 
-  if (isOrganizer.recordset[0].count === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
+  await assertRoundJudgingOpen(submission.eventId, submission.round);
+
+  // Scores must match the event's rubric; the total is never taken from the client
+  const { criteria } = await getEventRubric(submission.eventId, submission.round);
+  const scoreErrors = validateScoresAgainstRubric(criteria, scores);
+  if (scoreErrors.length > 0) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
       success: false,
-      message: "You are not authorized to judge this submission"
+      message: "Scores do not match the event rubric",
+      errors: scoreErrors
     });
   }
 
-  // Update submission with judging data
-  const updatedSubmission = await Submission.findByIdAndUpdate(
-    id,
+  const totalScore = computeWeightedTotal(criteria, scores);
+
+  const scorecard = await Scorecard.findOneAndUpdate(
+    { submissionId: submission._id, judgeId },
     {
-      judgingStatus,
-      judgeId,
+      eventId: submission.eventId,
+      round: submission.round,
+      track: submission.track,
       scores,
       totalScore,
-      judgeComments: judgeComments || '',
-      isWinner: isWinner || false,
-      prize: isWinner ? prize : null,
-      judgedAt: new Date()
+      comments: judgeComments || '',
+      submittedAt: new Date()
     },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  // Judging is complete once every assigned judge has handed in a scorecard
+  const scorecards = await Scorecard.find({ submissionId: submission._id }).lean();
+  const assignedJudgeIds = await getAssignedJudgeIds(submission);
+  const scoredJudgeIds = new Set(scorecards.map((card) => card.judgeId));
+  const allAssignedScored = assignedJudgeIds.every((assignedId) => scoredJudgeIds.has(assignedId));
+
+  const averageScore = scorecards.reduce((sum, card) => sum + card.totalScore, 0) / scorecards.length;
+
+  const submissionUpdate = {
+    judgingStatus: allAssignedScored ? 'judged' : 'in-review',
+    totalScore: Math.round(averageScore * 100) / 100,
+    judgedAt: new Date()
+  };
+
+  const updatedSubmission = await Submission.findByIdAndUpdate(
+    id,
+    submissionUpdate,
     { new: true, runValidators: true }
   );
 
+  if (allAssignedScored && submission.judgingStatus !== 'judged') {
+    emitDomainEvent(DomainEventEnum.SUBMISSION_JUDGED, { submission: updatedSubmission });
+  }
+
   res.status(HTTPSTATUS.OK).json({
     success: true,
     message: "Submission judged successfully",
-    data: updatedSubmission
+    data: {
+      submission: updatedSubmission,
+      scorecard,
+      scorecardCount: scorecards.length,
+      assignedJudgeCount: assignedJudgeIds.length
+    }
+  });
+});
+
+// Get scorecards for a submission
+// Organizers see every judge's scorecard, judges only their own
+export const getSubmissionScorecards = AsyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userid;
+
+  const submission = await Submission.findById(id);
+  if (!submission) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Submission not found"
+    });
+  }
+
+  await authorize(req.user, PermissionEnum.SUBMISSION_VIEW_SCORECARDS, { submission });
+
+  // Organizers see every scorecard, judges only their own
+  const isOrganizer = await can(req.user, PermissionEnum.EVENT_MANAGE, { eventId: submission.eventId });
+
+  const filter = { submissionId: submission._id };
+  if (!isOrganizer) filter.judgeId = userId;
+
+  const scorecards = await Scorecard.find(filter).sort({ submittedAt: 1 }).lean();
+
+  const scorecardsWithJudge = await Promise.all(
+    scorecards.map(async (scorecard) => {
+      const judgeQuery = `
+        SELECT name as JudgeName FROM users 
+        WHERE userid = @judgeId
+      `;
+      const judgeResult = await executeParameterizedQuery(judgeQuery, { 
+        judgeId: scorecard.judgeId 
+      });
+
+      return {
+        ...scorecard,
+        judgeName: judgeResult.recordset[0]?.JudgeName || null
+      };
+    })
+  );
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Scorecards retrieved successfully",
+    data: scorecardsWithJudge,
+    count: scorecardsWithJudge.length
   });
 });
 
@@ -405,13 +471,8 @@ export const getAllSubmissions = AsyncHandler(async (req, res) => {
   let submissions = [];
 
   if (userRole === 'organizer') {
-    // Get all events organized by this user
-    const eventsQuery = `
-      SELECT EventID FROM events 
-      WHERE OrganizerID = @userId
-    `;
-    const eventsResult = await executeParameterizedQuery(eventsQuery, { userId });
-    const eventIds = eventsResult.recordset.map(row => row.EventID);
+    // Get all events this user owns or co-organizes
+    const eventIds = await getStaffEventIds(userId, EVENT_ORGANIZER_ROLES);
 
     if (eventIds.length > 0) {
       submissions = await Submission.find({ eventId: { $in: eventIds } })
@@ -419,10 +480,15 @@ export const getAllSubmissions = AsyncHandler(async (req, res) => {
         .lean();
     }
   } else if (userRole === 'judge') {
-    // Judges can see all submissions
-    submissions = await Submission.find({})
-      .sort({ submittedAt: -1 })
-      .lean();
+    // Judges can see the submissions their assignments cover
+    const assignments = await getJudgeAssignments(userId);
+    const filter = buildAssignedSubmissionsFilter(assignments);
+
+    if (filter) {
+      submissions = await Submission.find(filter)
+        .sort({ submittedAt: -1 })
+        .lean();
+    }
   } else {
     return res.status(HTTPSTATUS.FORBIDDEN).json({
       success: false,
@@ -464,11 +530,16 @@ export const getAllSubmissions = AsyncHandler(async (req, res) => {
         judgeName = judgeResult.recordset[0]?.JudgeName || null;
       }
 
+      const scorecardCount = await Scorecard.countDocuments({ 
+        submissionId: submission._id 
+      });
+
       return {
         ...submission,
         eventName: eventResult.recordset[0]?.EventName || null,
         teamName: teamResult.recordset[0]?.TeamName || null,
-        judgeName
+        judgeName,
+        scorecardCount
       };
     })
   );
@@ -0,0 +1,456 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import { executeParameterizedQuery, getOne } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { Env } from "../config/env.config.js";
+import {
+  TEAM_JOIN_POLICIES,
+  generateInviteCode,
+  assertCanJoinTeam,
+  joinTeamAtomically
+} from "../utils/team.util.js";
+import { AppError, NotFoundException } from "../utils/AppError.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { authorize } from "../utils/policy.util.js";
+import { emitDomainEvent } from "../utils/domain-events.util.js";
+import { DomainEventEnum } from "../enums/domain-event.enum.js";
+
+const getInviteLink = (code) => `${Env.FRONTEND_ORIGIN}/teams/join/${code}`;
+
+// An invite is usable while it is not revoked, not expired and has uses left
+const ACTIVE_INVITE_CONDITION = `
+  i.RevokedAt IS NULL
+  AND (i.ExpiresAt IS NULL OR i.ExpiresAt > SYSUTCDATETIME())
+  AND (i.MaxUses IS NULL OR i.Uses < i.MaxUses)
+`;
+
+/**
+ * Set how users can join a team
+ * PATCH /teams/:teamId/join-policy
+ * Team leader only
+ */
+export const updateJoinPolicy = AsyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+  const { joinPolicy } = req.body;
+
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId });
+
+  const updateQuery = `
+    UPDATE teams SET JoinPolicy = @joinPolicy
+    OUTPUT INSERTED.*
+    WHERE TeamId = @teamId
+  `;
+  const result = await executeParameterizedQuery(updateQuery, { teamId, joinPolicy });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Join policy updated successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Generate an invite code, optionally for one user (who is notified with the link)
+ * POST /teams/:teamId/invites
+ * Team leader only
+ */
+export const createTeamInvite = AsyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+  const { userId: invitedUserId = null, expiresInHours, maxUses } = req.body;
+  const userId = req.user.userid;
+
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId });
+
+  const team = await getOne(
+    `SELECT t.TeamId, t.TeamName, t.EventId, e.Name as EventName FROM teams t INNER JOIN events e ON t.EventId = e.EventID WHERE t.TeamId = @teamId`,
+    { teamId }
+  );
+
+  if (invitedUserId !== null) {
+    const invitedUser = await getOne(`SELECT userid FROM users WHERE userid = @invitedUserId`, { invitedUserId });
+    if (!invitedUser) {
+      return res.status(HTTPSTATUS.NOT_FOUND).json({
+        success: false,
+        message: "Invited user not found",
+      });
+    }
+  }
+
+  const ttlHours = expiresInHours ?? parseInt(Env.TEAM_INVITE_TTL_HOURS);
+  const code = generateInviteCode();
+
+  const insertQuery = `
+    INSERT INTO team_invites (TeamID, Code, InvitedUserID, MaxUses, ExpiresAt, CreatedBy)
+    OUTPUT INSERTED.*
+    VALUES (@teamId, @code, @invitedUserId, @maxUses,
+      CASE WHEN @ttlHours > 0 THEN DATEADD(HOUR, @ttlHours, SYSUTCDATETIME()) ELSE NULL END,
+      @userId)
+  `;
+  const result = await executeParameterizedQuery(insertQuery, {
+    teamId,
+    code,
+    invitedUserId,
+    // A personal invite is single-use unless the leader says otherwise
+    maxUses: maxUses ?? (invitedUserId !== null ? 1 : null),
+    ttlHours,
+    userId,
+  });
+
+  const link = getInviteLink(code);
+
+  if (invitedUserId !== null) {
+    emitDomainEvent(DomainEventEnum.TEAM_INVITE_CREATED, { team, invitedUserId, code });
+  }
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Invite created successfully",
+    data: {
+      ...result.recordset[0],
+      link,
+    },
+  });
+});
+
+/**
+ * List a team's invites that can still be used
+ * GET /teams/:teamId/invites
+ * Team leader only
+ */
+export const getTeamInvites = AsyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId });
+
+  const invitesQuery = `
+    SELECT i.*, u.name as InvitedUserName
+    FROM team_invites i
+    LEFT JOIN users u ON i.InvitedUserID = u.userid
+    WHERE i.TeamID = @teamId AND ${ACTIVE_INVITE_CONDITION}
+    ORDER BY i.CreatedAt DESC
+  `;
+  const result = await executeParameterizedQuery(invitesQuery, { teamId });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Invites retrieved successfully",
+    data: result.recordset.map((invite) => ({ ...invite, link: getInviteLink(invite.Code) })),
+    count: result.recordset.length,
+  });
+});
+
+/**
+ * Revoke an invite code
+ * DELETE /teams/:teamId/invites/:inviteId
+ * Team leader only
+ */
+export const revokeTeamInvite = AsyncHandler(async (req, res) => {
+  const { teamId, inviteId } = req.params;
+
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId });
+
+  const revokeQuery = `
+    UPDATE team_invites SET RevokedAt = SYSUTCDATETIME()
+    WHERE InviteID = @inviteId AND TeamID = @teamId AND RevokedAt IS NULL
+  `;
+  const result = await executeParameterizedQuery(revokeQuery, { inviteId, teamId });
+
+  if (result.rowsAffected[0] === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Invite not found",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Invite revoked successfully",
+  });
+});
+
+/**
+ * Look up the team behind an invite code before accepting it
+ * GET /teams/invites/:code
+ */
+export const getInviteByCode = AsyncHandler(async (req, res) => {
+  const { code } = req.params;
+
+  const inviteQuery = `
+    SELECT t.TeamId, t.TeamName, t.EventId, e.Name as EventName, i.ExpiresAt, i.InvitedUserID
+    FROM team_invites i
+    INNER JOIN teams t ON i.TeamID = t.TeamId
+    INNER JOIN events e ON t.EventId = e.EventID
+    WHERE i.Code = @code AND ${ACTIVE_INVITE_CONDITION}
+  `;
+  const invite = await getOne(inviteQuery, { code });
+
+  if (!invite || (invite.InvitedUserID !== null && invite.InvitedUserID !== req.user.userid)) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Invite is invalid or has expired",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Invite retrieved successfully",
+    data: invite,
+  });
+});
+
+/**
+ * Join a team with an invite code; works whatever the team's join policy is
+ * POST /teams/invites/:code/accept
+ */
+export const acceptTeamInvite = AsyncHandler(async (req, res) => {
+  const { code } = req.params;
+  const userId = req.user.userid;
+
+  const inviteQuery = `
+    SELECT i.InviteID, i.TeamID, i.InvitedUserID
+    FROM team_invites i
+    WHERE i.Code = @code AND ${ACTIVE_INVITE_CONDITION}
+  `;
+  const invite = await getOne(inviteQuery, { code });
+
+  if (!invite || (invite.InvitedUserID !== null && invite.InvitedUserID !== userId)) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Invite is invalid or has expired",
+    });
+  }
+
+  // Re-checks the invite while counting the use, so a code can't be used past MaxUses;
+  // the use is rolled back if the join fails
+  const useInviteQuery = `
+    UPDATE i SET Uses = Uses + 1
+    FROM team_invites i
+    WHERE i.InviteID = @inviteId AND ${ACTIVE_INVITE_CONDITION}
+  `;
+  const team = await joinTeamAtomically(invite.TeamID, userId, async (query) => {
+    const used = await query(useInviteQuery, { inviteId: invite.InviteID });
+    if (used.rowsAffected[0] === 0) {
+      throw new NotFoundException("Invite is invalid or has expired");
+    }
+  });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: `Successfully joined ${team.TeamName}`,
+    data: { teamId: team.TeamId },
+  });
+});
+
+/**
+ * Ask to join a team that reviews join requests
+ * POST /teams/:teamId/join-requests
+ */
+export const createJoinRequest = AsyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+  const { message = null } = req.body;
+  const userId = req.user.userid;
+
+  const team = await assertCanJoinTeam(teamId, userId);
+
+  if (team.JoinPolicy === TEAM_JOIN_POLICIES.OPEN) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "This team is open, join it directly",
+    });
+  }
+
+  if (team.JoinPolicy === TEAM_JOIN_POLICIES.INVITE) {
+    return res.status(HTTPSTATUS.FORBIDDEN).json({
+      success: false,
+      message: "This team is invite-only. Ask the team leader for an invite",
+    });
+  }
+
+  const insertQuery = `
+    IF NOT EXISTS (
+      SELECT 1 FROM team_join_requests
+      WHERE TeamID = @teamId AND UserID = @userId AND Status = 'Pending'
+    )
+    INSERT INTO team_join_requests (TeamID, UserID, Message)
+    OUTPUT INSERTED.*
+    VALUES (@teamId, @userId, @message)
+  `;
+  const result = await executeParameterizedQuery(insertQuery, { teamId, userId, message });
+
+  if (!result.recordset || result.recordset.length === 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "You already have a pending request for this team",
+    });
+  }
+
+  emitDomainEvent(DomainEventEnum.TEAM_JOIN_REQUESTED, { team, userId });
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Join request sent to the team leader",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * List a team's join requests (pending by default)
+ * GET /teams/:teamId/join-requests?status=Pending|Approved|Declined|Cancelled
+ * Team leader only
+ */
+export const getTeamJoinRequests = AsyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+  const status = req.query.status || 'Pending';
+
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId });
+
+  const requestsQuery = `
+    SELECT r.*, u.name, u.email
+    FROM team_join_requests r
+    INNER JOIN users u ON r.UserID = u.userid
+    WHERE r.TeamID = @teamId AND r.Status = @status
+    ORDER BY r.CreatedAt, r.RequestID
+  `;
+  const result = await executeParameterizedQuery(requestsQuery, { teamId, status });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Join requests retrieved successfully",
+    data: result.recordset,
+    count: result.recordset.length,
+  });
+});
+
+/**
+ * List the current user's join requests
+ * GET /teams/my-join-requests
+ */
+export const getMyJoinRequests = AsyncHandler(async (req, res) => {
+  const requestsQuery = `
+    SELECT r.*, t.TeamName, t.EventId
+    FROM team_join_requests r
+    INNER JOIN teams t ON r.TeamID = t.TeamId
+    WHERE r.UserID = @userId
+    ORDER BY r.CreatedAt DESC
+  `;
+  const result = await executeParameterizedQuery(requestsQuery, { userId: req.user.userid });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Join requests retrieved successfully",
+    data: result.recordset,
+    count: result.recordset.length,
+  });
+});
+
+/**
+ * Withdraw your own pending join request
+ * DELETE /teams/:teamId/join-requests/:requestId
+ */
+export const cancelJoinRequest = AsyncHandler(async (req, res) => {
+  const { teamId, requestId } = req.params;
+
+  const cancelQuery = `
+    UPDATE team_join_requests
+    SET Status = 'Cancelled', RespondedAt = GETDATE()
+    WHERE RequestID = @requestId AND TeamID = @teamId AND UserID = @userId AND Status = 'Pending'
+  `;
+  const result = await executeParameterizedQuery(cancelQuery, {
+    requestId,
+    teamId,
+    userId: req.user.userid,
+  });
+
+  if (result.rowsAffected[0] === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Pending join request not found",
+    });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Join request cancelled",
+  });
+});
+
+/**
+ * Approve a pending join request and add the requester to the team
+ * POST /teams/:teamId/join-requests/:requestId/approve
+ * Team leader only
+ */
+export const approveJoinRequest = AsyncHandler(async (req, res) => {
+  const { teamId, requestId } = req.params;
+  const userId = req.user.userid;
+
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId });
+
+  const request = await getOne(
+    `SELECT * FROM team_join_requests WHERE RequestID = @requestId AND TeamID = @teamId AND Status = 'Pending'`,
+    { requestId, teamId }
+  );
+
+  if (!request) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Pending join request not found",
+    });
+  }
+
+  const approveQuery = `
+    UPDATE team_join_requests
+    SET Status = 'Approved', RespondedBy = @userId, RespondedAt = GETDATE()
+    WHERE RequestID = @requestId AND Status = 'Pending'
+  `;
+  const team = await joinTeamAtomically(teamId, request.UserID, async (query) => {
+    const approved = await query(approveQuery, { requestId, userId });
+    if (approved.rowsAffected[0] === 0) {
+      throw new AppError("Join request was already answered", HTTPSTATUS.CONFLICT);
+    }
+  });
+
+  emitDomainEvent(DomainEventEnum.TEAM_JOIN_REQUEST_ANSWERED, { team, userId: request.UserID, approved: true });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Join request approved",
+  });
+});
+
+/**
+ * Decline a pending join request
+ * POST /teams/:teamId/join-requests/:requestId/decline
+ * Team leader only
+ */
+export const declineJoinRequest = AsyncHandler(async (req, res) => {
+  const { teamId, requestId } = req.params;
+  const userId = req.user.userid;
+
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId });
+
+  const declineQuery = `
+    UPDATE team_join_requests
+    SET Status = 'Declined', RespondedBy = @userId, RespondedAt = GETDATE()
+    OUTPUT INSERTED.UserID
+    WHERE RequestID = @requestId AND TeamID = @teamId AND Status = 'Pending'
+  `;
+  const result = await executeParameterizedQuery(declineQuery, { requestId, teamId, userId });
+
+  if (result.recordset.length === 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Pending join request not found",
+    });
+  }
+
+  const team = await getOne(`SELECT TeamId, TeamName, EventId FROM teams WHERE TeamId = @teamId`, { teamId });
+  emitDomainEvent(DomainEventEnum.TEAM_JOIN_REQUEST_ANSWERED, {
+    team,
+    userId: result.recordset[0].UserID,
+    approved: false,
+  });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Join request declined",
+  });
+});
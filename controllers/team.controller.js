@@ -1,22 +1,62 @@
 import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
-import { TeamMemberModel, TeamModel } from "../models/team.model.js";
-import { executeParameterizedQuery } from "../utils/sql.util.js";
+import {
+  TeamMemberModel,
+  TeamModel,
+  TeamInviteModel,
+  TeamJoinRequestModel
+} from "../models/team.model.js";
+import { PrizeAwardModel } from "../models/event-prize.model.js";
+import { RoundQualificationModel } from "../models/event-round.model.js";
+import { executeParameterizedQuery, withTransaction } from "../utils/sql.util.js";
 import { HTTPSTATUS } from "../config/Https.config.js";
+import { AppError, NotFoundException } from "../utils/AppError.js";
+import { assertEventPhase } from "../utils/event-phase.util.js";
+import {
+  TEAM_JOIN_POLICIES,
+  TEAM_ROLES,
+  TEAM_CHANGE_PHASES,
+  getTeamRole,
+  assertNoEventTeam,
+  joinTeamAtomically,
+  deleteTeamRows,
+  promoteSuccessor
+} from "../utils/team.util.js";
+import { cascadeTeamDeletion } from "../utils/consistency.util.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { authorize } from "../utils/policy.util.js";
 
 export const initializeTeamTable = async () => {
   try {
     await TeamModel();
     await TeamMemberModel();
+    await TeamInviteModel();
+    await TeamJoinRequestModel();
+    // Awards and qualifications reference teams, so they are created here rather than with their event tables
+    await PrizeAwardModel();
+    await RoundQualificationModel();
     console.log("✅ Teams table initialized successfully");
     console.log("✅ Team Members table initialized successfully");
+    console.log("✅ Team Invites table initialized successfully");
+    console.log("✅ Team Join Requests table initialized successfully");
+    console.log("✅ Prize Awards table initialized successfully");
+    console.log("✅ Round Qualifications table initialized successfully");
   } catch (error) {
     console.error("❌ Failed to initialize teams table:", error);
     throw error;
   }
 };
 
+const assertTeamChangesAllowed = async (teamId, action) => {
+  const teamEventQuery = `SELECT EventId FROM teams WHERE TeamId = @teamId`;
+  const team = await executeParameterizedQuery(teamEventQuery, { teamId });
+
+  if (team.recordset.length > 0) {
+    await assertEventPhase(team.recordset[0].EventId, TEAM_CHANGE_PHASES, action);
+  }
+};
+
 export const createTeam = AsyncHandler(async (req, res) => {
-  const { teamName, eventId } = req.body;
+  const { teamName, eventId, joinPolicy = TEAM_JOIN_POLICIES.REQUEST } = req.body;
   const userId = req.user.userid;
 
   if (!teamName || !eventId) {
@@ -26,6 +66,13 @@ export const createTeam = AsyncHandler(async (req, res) => {
     });
   }
 
+  if (!Object.values(TEAM_JOIN_POLICIES).includes(joinPolicy)) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "Join policy must be one of: open, invite, request",
+    });
+  }
+
   const eventCheck = `SELECT COUNT(*) as count FROM events WHERE EventID = @eventId AND IsActive = 1`;
   const eventExists = await executeParameterizedQuery(eventCheck, { eventId });
 
@@ -36,69 +83,50 @@ export const createTeam = AsyncHandler(async (req, res) => {
     });
   }
 
-  const existingTeamCheck = `
-        SELECT COUNT(*) as count FROM teams t
-        INNER JOIN team_members tm ON t.TeamId = tm.TeamId
-        WHERE t.EventId = @eventId AND tm.UserId = @userId
-    `;
-  const hasTeam = await executeParameterizedQuery(existingTeamCheck, {
-    eventId,
-    userId,
-  });
+  await assertEventPhase(eventId, TEAM_CHANGE_PHASES, "Creating a team");
 
-  if (hasTeam.recordset[0].count > 0) {
-    return res.status(HTTPSTATUS.CONFLICT).json({
-      success: false,
-      message: "You are already part of a team for this event",
-    });
-  }
+  // The team, its leader and the leader's enrollment link are written together or not at all
+  const newTeam = await withTransaction(async (query) => {
+    await assertNoEventTeam(query, eventId, userId);
 
-  const teamNameCheck = `SELECT COUNT(*) as count FROM teams WHERE TeamName = @teamName AND EventId = @eventId`;
-  const nameExists = await executeParameterizedQuery(teamNameCheck, {
-    teamName,
-    eventId,
-  });
+    // HOLDLOCK keeps the name taken check valid until the team is inserted
+    const teamNameCheck = `
+        SELECT COUNT(*) as count FROM teams WITH (UPDLOCK, HOLDLOCK)
+        WHERE TeamName = @teamName AND EventId = @eventId
+    `;
+    const nameExists = await query(teamNameCheck, { teamName, eventId });
 
-  if (nameExists.recordset[0].count > 0) {
-    return res.status(HTTPSTATUS.CONFLICT).json({
-      success: false,
-      message: "Team name already exists for this event",
-    });
-  }
+    if (nameExists.recordset[0].count > 0) {
+      throw new AppError("Team name already exists for this event", HTTPSTATUS.CONFLICT);
+    }
 
-  const createTeamQuery = `
-        INSERT INTO teams (TeamName, EventId, CreatedBy)
+    const createTeamQuery = `
+        INSERT INTO teams (TeamName, EventId, CreatedBy, JoinPolicy)
         OUTPUT INSERTED.*
-        VALUES (@teamName, @eventId, @userId)
+        VALUES (@teamName, @eventId, @userId, @joinPolicy)
     `;
+    const teamResult = await query(createTeamQuery, {
+      teamName,
+      eventId,
+      userId,
+      joinPolicy,
+    });
+    const team = teamResult.recordset[0];
 
-  const teamResult = await executeParameterizedQuery(createTeamQuery, {
-    teamName,
-    eventId,
-    userId,
-  });
-  const newTeam = teamResult.recordset[0];
-
-  const addLeaderQuery = `
+    const addLeaderQuery = `
         INSERT INTO team_members (TeamId, UserId, Role)
         VALUES (@teamId, @userId, 'Leader')
     `;
+    await query(addLeaderQuery, { teamId: team.TeamId, userId });
 
-  await executeParameterizedQuery(addLeaderQuery, {
-    teamId: newTeam.TeamId,
-    userId,
-  });
-
-  const updateEnrollmentQuery = `
+    const updateEnrollmentQuery = `
         UPDATE event_enrollments 
         SET TeamID = @teamId
         WHERE EventID = @eventId AND UserID = @userId AND Status = 'Enrolled'
     `;
-  
-  await executeParameterizedQuery(updateEnrollmentQuery, {
-    teamId: newTeam.TeamId,
-    eventId,
-    userId,
+    await query(updateEnrollmentQuery, { teamId: team.TeamId, eventId, userId });
+
+    return team;
   });
 
   return res.status(HTTPSTATUS.CREATED).json({
@@ -120,75 +148,21 @@ export const joinTeam = AsyncHandler(async (req, res) => {
     });
   }
 
-  const teamCheck = `SELECT EventId, TeamName FROM teams WHERE TeamId = @teamId`;
-  const teamExists = await executeParameterizedQuery(teamCheck, {
-    teamId: teamIdNum,
-  });
-
-  if (teamExists.recordset.length === 0) {
-    return res.status(HTTPSTATUS.NOT_FOUND).json({
-      success: false,
-      message: "Team not found",
-    });
-  }
-
-  const eventId = teamExists.recordset[0].EventId;
-
-  const existingTeamCheck = `
-        SELECT COUNT(*) as count FROM teams t
-        INNER JOIN team_members tm ON t.TeamId = tm.TeamId
-        WHERE t.EventId = @eventId AND tm.UserId = @userId
-    `;
-  const hasTeam = await executeParameterizedQuery(existingTeamCheck, {
-    eventId,
-    userId,
-  });
-
-  if (hasTeam.recordset[0].count > 0) {
-    return res.status(HTTPSTATUS.CONFLICT).json({
-      success: false,
-      message: "You are already part of a team for this event",
-    });
-  }
-
-  const teamSizeCheck = `
-        SELECT COUNT(*) as count FROM team_members WHERE TeamId = @teamId
-    `;
-  const currentSize = await executeParameterizedQuery(teamSizeCheck, {
-    teamId: teamIdNum,
-  });
-
-  const maxSizeCheck = `SELECT MaxTeamSize FROM events WHERE EventID = @eventId`;
-  const maxSizeResult = await executeParameterizedQuery(maxSizeCheck, {
-    eventId,
-  });
-  const maxTeamSize = maxSizeResult.recordset[0].MaxTeamSize;
-
-  if (maxTeamSize && currentSize.recordset[0].count >= maxTeamSize) {
-    return res.status(HTTPSTATUS.CONFLICT).json({
-      success: false,
-      message: `Team is full. Maximum team size is ${maxTeamSize}`,
-    });
-  }
-
-  const joinTeamQuery = `
-        INSERT INTO team_members (TeamId, UserId, Role)
-        VALUES (@teamId, @userId, 'Member')
-    `;
-
-  await executeParameterizedQuery(joinTeamQuery, { teamId: teamIdNum, userId });
+  // The policy is checked under the join's locks so a policy change can't slip in between
+  await joinTeamAtomically(teamIdNum, userId, async (query, team) => {
+    if (team.JoinPolicy === TEAM_JOIN_POLICIES.INVITE) {
+      throw new AppError(
+        "This team is invite-only. Ask the team leader for an invite",
+        HTTPSTATUS.FORBIDDEN
+      );
+    }
 
-  // Update user's enrollment to link with the joined team
-  const updateEnrollmentQuery = `
-        UPDATE event_enrollments 
-        SET TeamID = @teamId
-        WHERE EventID = @eventId AND UserID = @userId AND Status = 'Enrolled'
-    `;
-  
-  await executeParameterizedQuery(updateEnrollmentQuery, {
-    teamId: teamIdNum,
-    eventId,
-    userId,
+    if (team.JoinPolicy === TEAM_JOIN_POLICIES.REQUEST) {
+      throw new AppError(
+        "This team reviews join requests. Send a request to the team leader",
+        HTTPSTATUS.FORBIDDEN
+      );
+    }
   });
 
   return res.status(HTTPSTATUS.OK).json({
@@ -222,66 +196,59 @@ export const leaveTeam = AsyncHandler(async (req, res) => {
     });
   }
 
-  const userRole = memberExists.recordset[0].Role;
+  await assertTeamChangesAllowed(teamIdNum, "Leaving a team");
 
-  if (userRole === "Leader") {
-    const otherMembersCheck = `
-            SELECT COUNT(*) as count FROM team_members 
-            WHERE TeamId = @teamId AND UserId != @userId
-        `;
-    const otherMembers = await executeParameterizedQuery(otherMembersCheck, {
-      teamId: teamIdNum,
-      userId,
-    });
+  const outcome = await withTransaction(async (query) => {
+    // Locking the team row makes leaves, joins and succession on this team run one at a time
+    const teamResult = await query(
+      `SELECT TeamId FROM teams WITH (UPDLOCK, ROWLOCK) WHERE TeamId = @teamId`,
+      { teamId: teamIdNum }
+    );
 
-    if (otherMembers.recordset[0].count > 0) {
-      return res.status(HTTPSTATUS.CONFLICT).json({
-        success: false,
-        message:
-          "Team leader cannot leave while there are other members. Transfer leadership or remove all members first.",
-      });
-    }
-  }
+    const leaveQuery = `
+          DELETE FROM team_members
+          OUTPUT DELETED.Role
+          WHERE TeamId = @teamId AND UserId = @userId
+      `;
+    const left = await query(leaveQuery, { teamId: teamIdNum, userId });
 
-  const leaveQuery = `DELETE FROM team_members WHERE TeamId = @teamId AND UserId = @userId`;
-  await executeParameterizedQuery(leaveQuery, { teamId: teamIdNum, userId });
+    if (teamResult.recordset.length === 0 || left.recordset.length === 0) {
+      throw new NotFoundException("You are not a member of this team");
+    }
 
-  // Get event ID to update enrollment
-  const getEventQuery = `SELECT EventId FROM teams WHERE TeamId = @teamId`;
-  const eventResult = await executeParameterizedQuery(getEventQuery, { teamId: teamIdNum });
-  
-  if (eventResult.recordset.length > 0) {
-    const eventId = eventResult.recordset[0].EventId;
-    
     // Remove team association from enrollment
     const updateEnrollmentQuery = `
           UPDATE event_enrollments 
           SET TeamID = NULL
-          WHERE EventID = @eventId AND UserID = @userId AND Status = 'Enrolled'
+          WHERE TeamID = @teamId AND UserID = @userId
       `;
-    
-    await executeParameterizedQuery(updateEnrollmentQuery, {
-      eventId,
-      userId,
-    });
-  }
+    await query(updateEnrollmentQuery, { teamId: teamIdNum, userId });
+
+    if (left.recordset[0].Role !== TEAM_ROLES.LEADER) {
+      return {};
+    }
 
-  if (userRole === "Leader") {
-    // Update all team members' enrollments before deleting team
-    if (eventResult.recordset.length > 0) {
-      const eventId = eventResult.recordset[0].EventId;
-      
-      const updateAllEnrollmentsQuery = `
-            UPDATE event_enrollments 
-            SET TeamID = NULL
-            WHERE TeamID = @teamId AND Status = 'Enrolled'
-        `;
-      
-      await executeParameterizedQuery(updateAllEnrollmentsQuery, { teamId: teamIdNum });
+    // Hand the team over instead of disbanding it while anyone is left
+    const successor = await promoteSuccessor(teamIdNum, query);
+    if (successor) {
+      return { successor };
     }
 
-    const deleteTeamQuery = `DELETE FROM teams WHERE TeamId = @teamId`;
-    await executeParameterizedQuery(deleteTeamQuery, { teamId: teamIdNum });
+    await deleteTeamRows(query, teamIdNum);
+
+    return { disbanded: true };
+  });
+
+  if (outcome.successor) {
+    return res.status(HTTPSTATUS.OK).json({
+      success: true,
+      message: `Successfully left the team. ${outcome.successor.name} is the new team leader`,
+      data: { newLeader: outcome.successor },
+    });
+  }
+
+  if (outcome.disbanded) {
+    await cascadeTeamDeletion(teamIdNum);
 
     return res.status(HTTPSTATUS.OK).json({
       success: true,
@@ -313,6 +280,7 @@ export const getTeamById = AsyncHandler(async (req, res) => {
             t.EventId,
             t.CreatedBy,
             t.CreatedAt,
+            t.JoinPolicy,
             e.Name as EventName,
             e.MaxTeamSize
         FROM teams t
@@ -343,7 +311,7 @@ export const getTeamById = AsyncHandler(async (req, res) => {
         INNER JOIN users u ON tm.UserId = u.userid
         WHERE tm.TeamId = @teamId
         ORDER BY 
-            CASE WHEN tm.Role = 'Leader' THEN 1 ELSE 2 END,
+            CASE tm.Role WHEN 'Leader' THEN 1 WHEN 'CoLeader' THEN 2 ELSE 3 END,
             u.name
     `;
 
@@ -395,6 +363,7 @@ export const getTeamsByEvent = AsyncHandler(async (req, res) => {
             t.TeamName,
             t.CreatedBy,
             t.CreatedAt,
+            t.JoinPolicy,
             COUNT(tm.MemberId) as MemberCount,
             u.name as CreatedByName,
             u.email as CreatedByEmail
@@ -402,7 +371,7 @@ export const getTeamsByEvent = AsyncHandler(async (req, res) => {
         LEFT JOIN team_members tm ON t.TeamId = tm.TeamId
         INNER JOIN users u ON t.CreatedBy = u.userid
         WHERE t.EventId = @eventId
-        GROUP BY t.TeamId, t.TeamName, t.CreatedBy, t.CreatedAt, u.name, u.email
+        GROUP BY t.TeamId, t.TeamName, t.CreatedBy, t.CreatedAt, t.JoinPolicy, u.name, u.email
         ORDER BY t.CreatedAt DESC
         OFFSET @offset ROWS
         FETCH NEXT @limit ROWS ONLY
@@ -426,7 +395,7 @@ export const getTeamsByEvent = AsyncHandler(async (req, res) => {
         INNER JOIN users u ON tm.UserId = u.userid
         WHERE tm.TeamId = @teamId
         ORDER BY 
-          CASE WHEN tm.Role = 'Leader' THEN 1 ELSE 2 END,
+          CASE tm.Role WHEN 'Leader' THEN 1 WHEN 'CoLeader' THEN 2 ELSE 3 END,
           u.name
       `;
 
@@ -441,6 +410,8 @@ export const getTeamsByEvent = AsyncHandler(async (req, res) => {
           total: membersResult.recordset.length,
           leaders: membersResult.recordset.filter((m) => m.Role === "Leader")
             .length,
+          coLeaders: membersResult.recordset.filter((m) => m.Role === "CoLeader")
+            .length,
           members: membersResult.recordset.filter((m) => m.Role === "Member")
             .length,
         },
@@ -509,7 +480,7 @@ export const getUserTeams = AsyncHandler(async (req, res) => {
         INNER JOIN users u ON tm.UserId = u.userid
         WHERE tm.TeamId = @teamId
         ORDER BY 
-          CASE WHEN tm.Role = 'Leader' THEN 1 ELSE 2 END,
+          CASE tm.Role WHEN 'Leader' THEN 1 WHEN 'CoLeader' THEN 2 ELSE 3 END,
           u.name
       `;
 
@@ -524,6 +495,8 @@ export const getUserTeams = AsyncHandler(async (req, res) => {
           total: membersResult.recordset.length,
           leaders: membersResult.recordset.filter((m) => m.Role === "Leader")
             .length,
+          coLeaders: membersResult.recordset.filter((m) => m.Role === "CoLeader")
+            .length,
           members: membersResult.recordset.filter((m) => m.Role === "Member")
             .length,
         },
@@ -541,7 +514,6 @@ export const getUserTeams = AsyncHandler(async (req, res) => {
 export const updateTeam = AsyncHandler(async (req, res) => {
   const { teamId } = req.params;
   const { teamName } = req.body;
-  const userId = req.user.userid;
 
   const teamIdNum = parseInt(teamId);
   if (isNaN(teamIdNum) || teamIdNum <= 0) {
@@ -558,21 +530,7 @@ export const updateTeam = AsyncHandler(async (req, res) => {
     });
   }
 
-  const leaderCheck = `
-        SELECT Role FROM team_members 
-        WHERE TeamId = @teamId AND UserId = @userId AND Role = 'Leader'
-    `;
-  const isLeader = await executeParameterizedQuery(leaderCheck, {
-    teamId: teamIdNum,
-    userId,
-  });
-
-  if (isLeader.recordset.length === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "Only team leader can update team details",
-    });
-  }
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId: teamIdNum });
 
   const teamNameCheck = `
         SELECT t1.TeamId, t1.EventId 
@@ -613,7 +571,6 @@ export const updateTeam = AsyncHandler(async (req, res) => {
 
 export const removeMember = AsyncHandler(async (req, res) => {
   const { teamId, memberId } = req.params;
-  const userId = req.user.userid;
 
   const teamIdNum = parseInt(teamId);
   const memberIdNum = parseInt(memberId);
@@ -630,21 +587,7 @@ export const removeMember = AsyncHandler(async (req, res) => {
     });
   }
 
-  const leaderCheck = `
-        SELECT Role FROM team_members 
-        WHERE TeamId = @teamId AND UserId = @userId AND Role = 'Leader'
-    `;
-  const isLeader = await executeParameterizedQuery(leaderCheck, {
-    teamId: teamIdNum,
-    userId,
-  });
-
-  if (isLeader.recordset.length === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
-      success: false,
-      message: "Only team leader can remove members",
-    });
-  }
+  await authorize(req.user, PermissionEnum.TEAM_MANAGE, { teamId: teamIdNum });
 
   const memberCheck = `
         SELECT Role FROM team_members 
@@ -662,37 +605,45 @@ export const removeMember = AsyncHandler(async (req, res) => {
     });
   }
 
-  if (memberExists.recordset[0].Role === "Leader") {
+  if (memberExists.recordset[0].Role === TEAM_ROLES.LEADER) {
     return res.status(HTTPSTATUS.FORBIDDEN).json({
       success: false,
       message: "Cannot remove team leader",
     });
   }
 
-  const removeQuery = `DELETE FROM team_members WHERE TeamId = @teamId AND UserId = @memberId`;
-  await executeParameterizedQuery(removeQuery, {
-    teamId: teamIdNum,
-    memberId: memberIdNum,
-  });
+  if (memberExists.recordset[0].Role === TEAM_ROLES.CO_LEADER) {
+    await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId: teamIdNum });
+  }
+
+  await assertTeamChangesAllowed(teamIdNum, "Removing a team member");
+
+  await withTransaction(async (query) => {
+    // The leader guard is repeated here in case leadership changed since the checks above
+    const removeQuery = `
+          DELETE FROM team_members
+          WHERE TeamId = @teamId AND UserId = @memberId AND Role <> 'Leader'
+      `;
+    const removed = await query(removeQuery, {
+      teamId: teamIdNum,
+      memberId: memberIdNum,
+    });
 
-  // Update removed member's enrollment to remove team association
-  const getEventQuery = `SELECT EventId FROM teams WHERE TeamId = @teamId`;
-  const eventResult = await executeParameterizedQuery(getEventQuery, { teamId: teamIdNum });
-  
-  if (eventResult.recordset.length > 0) {
-    const eventId = eventResult.recordset[0].EventId;
-    
+    if (removed.rowsAffected[0] === 0) {
+      throw new NotFoundException("Member not found in team");
+    }
+
+    // Update removed member's enrollment to remove team association
     const updateEnrollmentQuery = `
           UPDATE event_enrollments 
           SET TeamID = NULL
-          WHERE EventID = @eventId AND UserID = @memberId AND Status = 'Enrolled'
+          WHERE TeamID = @teamId AND UserID = @memberId
       `;
-    
-    await executeParameterizedQuery(updateEnrollmentQuery, {
-      eventId,
+    await query(updateEnrollmentQuery, {
+      teamId: teamIdNum,
       memberId: memberIdNum,
     });
-  }
+  });
 
   return res.status(HTTPSTATUS.OK).json({
     success: true,
@@ -700,39 +651,108 @@ export const removeMember = AsyncHandler(async (req, res) => {
   });
 });
 
-export const deleteTeam = AsyncHandler(async (req, res) => {
+export const transferLeadership = AsyncHandler(async (req, res) => {
   const { teamId } = req.params;
+  const { userId: newLeaderId } = req.body;
   const userId = req.user.userid;
 
-  const teamIdNum = parseInt(teamId);
-  if (isNaN(teamIdNum) || teamIdNum <= 0) {
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId });
+
+  if (newLeaderId === userId) {
     return res.status(HTTPSTATUS.BAD_REQUEST).json({
       success: false,
-      message: "Invalid team ID",
+      message: "You are already the team leader",
     });
   }
 
-  const leaderCheck = `
-        SELECT Role FROM team_members 
-        WHERE TeamId = @teamId AND UserId = @userId AND Role = 'Leader'
+  if (!(await getTeamRole(teamId, newLeaderId))) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Member not found in team",
+    });
+  }
+
+  await withTransaction(async (query) => {
+    // Locking the team row keeps leaves and succession from running in between
+    await query(
+      `SELECT TeamId FROM teams WITH (UPDLOCK, ROWLOCK) WHERE TeamId = @teamId`,
+      { teamId }
+    );
+
+    // One statement, so the team never has zero or two leaders
+    const transferQuery = `
+          UPDATE team_members
+          SET Role = CASE WHEN UserId = @newLeaderId THEN 'Leader' ELSE 'CoLeader' END
+          WHERE TeamId = @teamId AND UserId IN (@userId, @newLeaderId)
+            AND EXISTS (
+              SELECT 1 FROM team_members
+              WHERE TeamId = @teamId AND UserId = @userId AND Role = 'Leader'
+            )
+      `;
+    const transferred = await query(transferQuery, { teamId, userId, newLeaderId });
+
+    // Either of you left, or you lost leadership, since the checks above
+    if (transferred.rowsAffected[0] !== 2) {
+      throw new NotFoundException("Member not found in team");
+    }
+  });
+
+  return res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Leadership transferred successfully. You are now a co-leader",
+  });
+});
+
+export const updateMemberRole = AsyncHandler(async (req, res) => {
+  const { teamId, memberId } = req.params;
+  const { role } = req.body;
+
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId });
+
+  const memberRole = await getTeamRole(teamId, memberId);
+
+  if (!memberRole) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Member not found in team",
+    });
+  }
+
+  if (memberRole === TEAM_ROLES.LEADER) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
+      success: false,
+      message: "Use transfer leadership to change the team leader",
+    });
+  }
+
+  const updateRoleQuery = `
+        UPDATE team_members SET Role = @role
+        WHERE TeamId = @teamId AND UserId = @memberId
     `;
-  const isLeader = await executeParameterizedQuery(leaderCheck, {
-    teamId: teamIdNum,
-    userId,
+  await executeParameterizedQuery(updateRoleQuery, { teamId, memberId, role });
+
+  return res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Member role updated successfully",
+    data: { userId: memberId, role },
   });
+});
 
-  if (isLeader.recordset.length === 0) {
-    return res.status(HTTPSTATUS.FORBIDDEN).json({
+export const deleteTeam = AsyncHandler(async (req, res) => {
+  const { teamId } = req.params;
+
+  const teamIdNum = parseInt(teamId);
+  if (isNaN(teamIdNum) || teamIdNum <= 0) {
+    return res.status(HTTPSTATUS.BAD_REQUEST).json({
       success: false,
-      message: "Only team leader can delete the team",
+      message: "Invalid team ID",
     });
   }
 
-  const deleteMembersQuery = `DELETE FROM team_members WHERE TeamId = @teamId`;
-  await executeParameterizedQuery(deleteMembersQuery, { teamId: teamIdNum });
+  await authorize(req.user, PermissionEnum.TEAM_LEAD, { teamId: teamIdNum });
 
-  const deleteTeamQuery = `DELETE FROM teams WHERE TeamId = @teamId`;
-  await executeParameterizedQuery(deleteTeamQuery, { teamId: teamIdNum });
+  await withTransaction((query) => deleteTeamRows(query, teamIdNum));
+  await cascadeTeamDeletion(teamIdNum);
 
   return res.status(HTTPSTATUS.OK).json({
     success: true,
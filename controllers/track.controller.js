@@ -0,0 +1,180 @@
+import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
+import Submission from "../models/submission.model.js";
+import Scorecard from "../models/scorecard.model.js";
+import { executeParameterizedQuery } from "../utils/sql.util.js";
+import { HTTPSTATUS } from "../config/Https.config.js";
+import { validateReferences } from "../utils/validation.util.js";
+import { getEventTracks as fetchEventTracks } from "../utils/track.util.js";
+
+const getTrack = async (eventId, trackId) => {
+  const trackQuery = `SELECT * FROM event_tracks WHERE TrackID = @trackId AND EventID = @eventId`;
+  const result = await executeParameterizedQuery(trackQuery, { eventId, trackId });
+  return result.recordset[0] || null;
+};
+
+/**
+ * Get the tracks of an event
+ * GET /events/:eventId/tracks
+ */
+export const getEventTracks = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+
+  const validationErrors = await validateReferences({ eventId });
+  if (validationErrors.length > 0) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Event not found",
+      errors: validationErrors,
+    });
+  }
+
+  const tracks = await fetchEventTracks(eventId);
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Tracks retrieved successfully",
+    data: tracks,
+    count: tracks.length,
+  });
+});
+
+/**
+ * Add a track to an event
+ * POST /events/:eventId/tracks
+ * Event organizer only
+ */
+export const createTrack = AsyncHandler(async (req, res) => {
+  const { eventId } = req.params;
+  const { name, description = null } = req.body;
+
+  const duplicateCheck = `SELECT COUNT(*) as count FROM event_tracks WHERE EventID = @eventId AND Name = @name`;
+  const duplicate = await executeParameterizedQuery(duplicateCheck, { eventId, name });
+
+  if (duplicate.recordset[0].count > 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "A track with this name already exists for the event",
+    });
+  }
+
+  const insertQuery = `
+    INSERT INTO event_tracks (EventID, Name, Description)
+    OUTPUT INSERTED.*
+    VALUES (@eventId, @name, @description)
+  `;
+  const result = await executeParameterizedQuery(insertQuery, { eventId, name, description });
+
+  res.status(HTTPSTATUS.CREATED).json({
+    success: true,
+    message: "Track created successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Rename or describe a track; submissions, scorecards and judge assignments follow a rename
+ * PATCH /events/:eventId/tracks/:trackId
+ * Event organizer only
+ */
+export const updateTrack = AsyncHandler(async (req, res) => {
+  const { eventId, trackId } = req.params;
+  const { name, description } = req.body;
+
+  const track = await getTrack(eventId, trackId);
+  if (!track) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Track not found",
+    });
+  }
+
+  const isRename = name !== undefined && name !== track.Name;
+
+  if (isRename) {
+    const duplicateCheck = `
+      SELECT COUNT(*) as count FROM event_tracks
+      WHERE EventID = @eventId AND Name = @name AND TrackID != @trackId
+    `;
+    const duplicate = await executeParameterizedQuery(duplicateCheck, { eventId, name, trackId });
+
+    if (duplicate.recordset[0].count > 0) {
+      return res.status(HTTPSTATUS.CONFLICT).json({
+        success: false,
+        message: "A track with this name already exists for the event",
+      });
+    }
+  }
+
+  const updateQuery = `
+    UPDATE event_tracks
+    SET Name = @name, Description = @description
+    OUTPUT INSERTED.*
+    WHERE TrackID = @trackId
+  `;
+  const result = await executeParameterizedQuery(updateQuery, {
+    trackId,
+    name: name ?? track.Name,
+    description: description !== undefined ? description : track.Description,
+  });
+
+  if (isRename) {
+    await Submission.updateMany({ eventId, track: track.Name }, { $set: { track: name } });
+    await Scorecard.updateMany({ eventId, track: track.Name }, { $set: { track: name } });
+
+    const renameAssignmentsQuery = `
+      UPDATE event_judges SET Track = @name WHERE EventID = @eventId AND Track = @oldName
+    `;
+    await executeParameterizedQuery(renameAssignmentsQuery, { eventId, name, oldName: track.Name });
+  }
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Track updated successfully",
+    data: result.recordset[0],
+  });
+});
+
+/**
+ * Remove a track that nothing refers to yet
+ * DELETE /events/:eventId/tracks/:trackId
+ * Event organizer only
+ */
+export const deleteTrack = AsyncHandler(async (req, res) => {
+  const { eventId, trackId } = req.params;
+
+  const track = await getTrack(eventId, trackId);
+  if (!track) {
+    return res.status(HTTPSTATUS.NOT_FOUND).json({
+      success: false,
+      message: "Track not found",
+    });
+  }
+
+  const submissionCount = await Submission.countDocuments({ eventId, track: track.Name });
+
+  const usageQuery = `
+    SELECT
+      (SELECT COUNT(*) FROM event_prizes WHERE TrackID = @trackId) as PrizeCount,
+      (SELECT COUNT(*) FROM event_judges WHERE EventID = @eventId AND Track = @name) as JudgeCount
+  `;
+  const usage = (await executeParameterizedQuery(usageQuery, { trackId, eventId, name: track.Name })).recordset[0];
+
+  if (submissionCount > 0 || usage.PrizeCount > 0 || usage.JudgeCount > 0) {
+    return res.status(HTTPSTATUS.CONFLICT).json({
+      success: false,
+      message: "Track is still used by submissions, prizes or judge assignments",
+      data: {
+        submissions: submissionCount,
+        prizes: usage.PrizeCount,
+        judgeAssignments: usage.JudgeCount,
+      },
+    });
+  }
+
+  await executeParameterizedQuery(`DELETE FROM event_tracks WHERE TrackID = @trackId`, { trackId });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Track deleted successfully",
+  });
+});
@@ -1,4 +1,7 @@
 import { UserModel } from "../models/User.model.js";
+import { SessionModel } from "../models/session.model.js";
+import { UserIdentityModel } from "../models/user-identity.model.js";
+import { UserTokenModel } from "../models/user-token.model.js";
 import { executeParameterizedQuery } from "../utils/sql.util.js";
 import { 
   createUserValidator,
@@ -6,27 +9,94 @@ import {
   updateUserValidator
 } from "../validators/user.validators.js";
 import { HTTPSTATUS } from "../config/Https.config.js";
+import { Env } from "../config/env.config.js";
 import { hashPassword, comparePassword } from "../utils/Bcrypt.util.js";
 import { AsyncHandler } from "../middlewares/AsyncHandler.middleware.js";
-import { AppError } from "../utils/AppError.js";
-import jwt from "jsonwebtoken";
+import { AppError, NotFoundException } from "../utils/AppError.js";
+import { ErrorCodeEnum } from "../enums/error-code.enum.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllUserSessions,
+  getActiveSessions
+} from "../utils/session.util.js";
+import {
+  buildAuthorizationUrl,
+  verifyOAuthState,
+  isFrontendUrl,
+  OAUTH_STATE_COOKIE,
+  getStateCookieOptions,
+  readStateCookie,
+  exchangeCodeForToken,
+  fetchProviderProfile,
+  findOrCreateOAuthUser
+} from "../utils/oauth.util.js";
+import { issueUserToken, consumeUserToken, TOKEN_PURPOSES } from "../utils/user-token.util.js";
+import { sendMail } from "../utils/mailer.util.js";
+import {
+  consumeRateLimit,
+  assertNotLocked,
+  recordFailure,
+  clearFailures
+} from "../utils/rate-limit.util.js";
+import { authorize } from "../utils/policy.util.js";
 
 
 export const initializeUserTable = async () => {
   try {
     await UserModel();
+    await SessionModel();
+    await UserIdentityModel();
+    await UserTokenModel();
     console.log("✅ Users table initialized successfully");
+    console.log("✅ User Sessions table initialized successfully");
+    console.log("✅ User Identities table initialized successfully");
+    console.log("✅ User Tokens table initialized successfully");
   } catch (error) {
     console.error('❌ Failed to initialize users table:', error);
     throw error;
   }
 };
 
+const RATE_LIMIT_WINDOW_MS = parseInt(Env.RATE_LIMIT_WINDOW_MINUTES) * 60 * 1000;
+const LOCKOUT_MS = parseInt(Env.LOGIN_LOCKOUT_MINUTES) * 60 * 1000;
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(
+    user.userid,
+    TOKEN_PURPOSES.EMAIL_VERIFICATION,
+    parseInt(Env.EMAIL_VERIFICATION_TTL_MINUTES)
+  );
+  const link = `${Env.FRONTEND_ORIGIN}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in ${Env.EMAIL_VERIFICATION_TTL_MINUTES} minutes.`,
+  });
+};
+
 export const createUser = async (req, res) => {
   try {
     const validatedData = createUserValidator.parse(req.body);
     const { name, email, password, authprovider, role } = validatedData;
 
+    await consumeRateLimit(
+      `signup:account:${email}`,
+      parseInt(Env.SIGNUP_MAX_ATTEMPTS_PER_ACCOUNT),
+      RATE_LIMIT_WINDOW_MS,
+      "Too many sign-up attempts for this email, please try again later"
+    );
+
+    if (authprovider !== 'email') {
+      return res.status(HTTPSTATUS.BAD_REQUEST).json({
+        success: false,
+        message: `Use /users/oauth/${authprovider} to sign up with ${authprovider}`
+      });
+    }
+
     const checkEmailQuery = `SELECT COUNT(*) as count FROM users WHERE email = @email`;
     const emailCheck = await executeParameterizedQuery(checkEmailQuery, { email });
     
@@ -57,6 +127,13 @@ export const createUser = async (req, res) => {
     
     const { password: _, ...safeUser } = newUser;
 
+    // The account exists either way; the user can ask for a new link later
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
     res.status(HTTPSTATUS.CREATED).json({
       success: true,
       message: "User created successfully",
@@ -64,6 +141,7 @@ export const createUser = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Create user error:', error);
     res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
@@ -77,11 +155,22 @@ export const login = async (req, res) => {
     try {
         const validatedData = loginValidator.parse(req.body);
         const { email, password } = validatedData;
+        const lockKey = `login:${email}`;
+
+        await consumeRateLimit(
+            `login:account:${email}`,
+            parseInt(Env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT),
+            RATE_LIMIT_WINDOW_MS,
+            "Too many login attempts for this account, please try again later"
+        );
+        await assertNotLocked(lockKey, "Account temporarily locked after repeated failed logins, please try again later");
 
         const getUserQuery = `SELECT * FROM users WHERE email = @email`;
         const result = await executeParameterizedQuery(getUserQuery, { email });
 
         if (result.recordset.length === 0) {
+            // Count unknown emails too, so lockouts don't reveal which accounts exist
+            await recordFailure(lockKey, parseInt(Env.LOGIN_MAX_FAILURES), RATE_LIMIT_WINDOW_MS, LOCKOUT_MS);
             return res.status(HTTPSTATUS.UNAUTHORIZED).json({
                 success: false,
                 message: "Invalid email or password"
@@ -89,16 +178,27 @@ export const login = async (req, res) => {
         }
 
         const user = result.recordset[0];
+
+        if (user.authprovider !== 'email') {
+            return res.status(HTTPSTATUS.UNAUTHORIZED).json({
+                success: false,
+                message: `This account signs in with ${user.authprovider}`
+            });
+        }
+
         const isPasswordValid = await comparePassword(password, user.password);
 
         if (!isPasswordValid) {
+            await recordFailure(lockKey, parseInt(Env.LOGIN_MAX_FAILURES), RATE_LIMIT_WINDOW_MS, LOCKOUT_MS);
             return res.status(HTTPSTATUS.UNAUTHORIZED).json({
                 success: false,
                 message: "Invalid email or password"
             });
         }
 
-        const accessToken = jwt.sign({ userId: user.userid, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
+        await clearFailures(lockKey);
+
+        const { accessToken, refreshToken } = await createSession(user, req);
 
         // Remove password from user object
         const { password: _, ...safeUser } = user;
@@ -106,10 +206,11 @@ export const login = async (req, res) => {
         res.status(HTTPSTATUS.OK).json({
             success: true,
             message: "Login successful",
-            data: { safeUser, accessToken }
+            data: { safeUser, accessToken, refreshToken }
         });
 
     } catch (error) {
+        if (error instanceof AppError) throw error;
         console.error('Login error:', error);
         res.status(HTTPSTATUS.INTERNAL_SERVER_ERROR).json({
             success: false,
@@ -119,6 +220,195 @@ export const login = async (req, res) => {
     }
 };
 
+export const startOAuth = AsyncHandler(async (req, res) => {
+  const { provider } = req.params;
+  const { role = 'participant', redirect } = req.query;
+
+  const { url, nonce } = buildAuthorizationUrl(provider, { role, redirectTo: redirect });
+
+  res.cookie(OAUTH_STATE_COOKIE, nonce, getStateCookieOptions(`${req.baseUrl}/oauth`));
+  res.redirect(url);
+});
+
+export const oauthCallback = AsyncHandler(async (req, res) => {
+  const { provider } = req.params;
+  const { code, state, error } = req.query;
+
+  if (error) {
+    throw new AppError(`${provider} sign-in was cancelled: ${error}`, HTTPSTATUS.UNAUTHORIZED, ErrorCodeEnum.AUTH_OAUTH_FAILED);
+  }
+
+  if (!code || !state) {
+    throw new AppError("Authorization code and state are required", HTTPSTATUS.BAD_REQUEST, ErrorCodeEnum.VALIDATION_ERROR);
+  }
+
+  const { role, redirectTo } = verifyOAuthState(provider, state, readStateCookie(req));
+  res.clearCookie(OAUTH_STATE_COOKIE, getStateCookieOptions(`${req.baseUrl}/oauth`));
+
+  const providerAccessToken = await exchangeCodeForToken(provider, code);
+  const profile = await fetchProviderProfile(provider, providerAccessToken);
+  const { user, isNewUser } = await findOrCreateOAuthUser(provider, profile, role || 'participant');
+
+  const { accessToken, refreshToken } = await createSession(user, req);
+  const { password: _, ...safeUser } = user;
+
+  // Browser flow: hand the tokens to the frontend in the URL fragment
+  if (redirectTo && isFrontendUrl(redirectTo)) {
+    const fragment = new URLSearchParams({ accessToken, refreshToken, isNewUser: String(isNewUser) });
+    return res.redirect(`${redirectTo}#${fragment.toString()}`);
+  }
+
+  res.status(isNewUser ? HTTPSTATUS.CREATED : HTTPSTATUS.OK).json({
+    success: true,
+    message: isNewUser ? `Account created with ${provider}` : "Login successful",
+    data: { safeUser, accessToken, refreshToken, isNewUser }
+  });
+});
+
+export const refreshSession = AsyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const { accessToken, refreshToken: newRefreshToken, user } = await rotateSession(refreshToken, req);
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Token refreshed successfully",
+    data: { safeUser: user, accessToken, refreshToken: newRefreshToken }
+  });
+});
+
+export const logout = AsyncHandler(async (req, res) => {
+  await revokeSession(req.sessionId, 'logout');
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Logged out successfully"
+  });
+});
+
+export const logoutAll = AsyncHandler(async (req, res) => {
+  const revokedCount = await revokeAllUserSessions(req.user.userid, 'logout_all');
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Logged out from all sessions",
+    data: { revokedCount }
+  });
+});
+
+export const getMySessions = AsyncHandler(async (req, res) => {
+  const sessions = await getActiveSessions(req.user.userid);
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Sessions retrieved successfully",
+    data: sessions.map((session) => ({
+      ...session,
+      isCurrent: session.SessionID === req.sessionId
+    })),
+    count: sessions.length
+  });
+});
+
+export const revokeMySession = AsyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const sessions = await getActiveSessions(req.user.userid);
+  if (!sessions.some((session) => session.SessionID === sessionId)) {
+    throw new NotFoundException("Session not found", ErrorCodeEnum.SESSION_NOT_FOUND);
+  }
+
+  await revokeSession(sessionId, 'revoked_by_user');
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Session revoked successfully"
+  });
+});
+
+export const requestEmailVerification = AsyncHandler(async (req, res) => {
+  if (req.user.emailverified) {
+    throw new AppError("Email is already verified", HTTPSTATUS.BAD_REQUEST, "EMAIL_ALREADY_VERIFIED");
+  }
+
+  await sendVerificationEmail(req.user);
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Verification email sent"
+  });
+});
+
+export const verifyEmail = AsyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const userId = await consumeUserToken(token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+  const verifyQuery = `UPDATE users SET emailverified = 1 WHERE userid = @userId`;
+  await executeParameterizedQuery(verifyQuery, { userId });
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Email verified successfully"
+  });
+});
+
+export const forgotPassword = AsyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const getUserQuery = `SELECT userid, name, email, authprovider FROM users WHERE email = @email`;
+  const result = await executeParameterizedQuery(getUserQuery, { email });
+  const user = result.recordset[0];
+
+  // OAuth accounts have no password to reset
+  if (user && user.authprovider === 'email') {
+    const token = await issueUserToken(
+      user.userid,
+      TOKEN_PURPOSES.PASSWORD_RESET,
+      parseInt(Env.PASSWORD_RESET_TTL_MINUTES)
+    );
+    const link = `${Env.FRONTEND_ORIGIN}/reset-password?token=${token}`;
+
+    // A failed send must not turn into an error only registered emails can trigger
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.name},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in ${Env.PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, ignore this email.`,
+      });
+    } catch (error) {
+      console.error(`Password reset email error for user ${user.userid}:`, error);
+    }
+  }
+
+  // Same response whether or not the account exists, so emails can't be probed
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "If an account exists for this email, a reset link has been sent"
+  });
+});
+
+export const resetPassword = AsyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const userId = await consumeUserToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+
+  const hashedPassword = await hashPassword(password);
+
+  // Receiving the reset link proves ownership of the address as well
+  const updatePasswordQuery = `
+    UPDATE users SET password = @password, emailverified = 1 WHERE userid = @userId
+  `;
+  await executeParameterizedQuery(updatePasswordQuery, { userId, password: hashedPassword });
+
+  await revokeAllUserSessions(userId, 'password_reset');
+
+  res.status(HTTPSTATUS.OK).json({
+    success: true,
+    message: "Password reset successfully. Please log in again."
+  });
+});
+
 export const getUserById = async (req, res) => {
   try {
     const { id } = req.params;
@@ -216,6 +506,8 @@ export const updateUser = AsyncHandler(async (req, res, next) => {
     throw new AppError("Invalid user ID", HTTPSTATUS.BAD_REQUEST, "INVALID_USER_ID");
   }
 
+  await authorize(req.user, PermissionEnum.USER_UPDATE, { userId: userIdNum });
+
   const validatedData = updateUserValidator.parse(req.body);
   
   try {
@@ -245,9 +537,13 @@ export const updateUser = AsyncHandler(async (req, res, next) => {
     }
 
     const setClause = updateFields.map(field => `${field} = @${field}`).join(', ');
+    // A changed address has to be verified again
+    const verificationClause = validatedData.email
+      ? `, emailverified = CASE WHEN email = @email THEN emailverified ELSE 0 END`
+      : '';
     const updateUserQuery = `
       UPDATE users 
-      SET ${setClause}
+      SET ${setClause}${verificationClause}
       OUTPUT INSERTED.*
       WHERE userid = @userid
     `;
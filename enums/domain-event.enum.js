@@ -0,0 +1,11 @@
+// Things that happened in the domain, published through utils/domain-events.util.js
+export const DomainEventEnum = {
+  ANNOUNCEMENT_POSTED: "announcement.posted",
+  TEAM_INVITE_CREATED: "team.invite-created",
+  TEAM_JOIN_REQUESTED: "team.join-requested",
+  TEAM_JOIN_REQUEST_ANSWERED: "team.join-request-answered",
+  TEAM_MEMBER_JOINED: "team.member-joined",
+  SUBMISSION_JUDGED: "submission.judged",
+  CERTIFICATE_ISSUED: "certificate.issued",
+  WAITLIST_PROMOTED: "waitlist.promoted",
+};
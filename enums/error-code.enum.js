@@ -1,5 +1,7 @@
 export const ErrorCodeEnum = {
   ACCESS_UNAUTHORIZED: "ACCESS_UNAUTHORIZED",
+  ACCESS_FORBIDDEN: "ACCESS_FORBIDDEN",
+  ACCESS_ROLE_NOT_ALLOWED: "ACCESS_ROLE_NOT_ALLOWED",
 
   AUTH_USER_NOT_FOUND: "AUTH_USER_NOT_FOUND",
 
@@ -10,10 +12,34 @@ export const ErrorCodeEnum = {
   AUTH_TOO_MANY_ATTEMPTS: "AUTH_TOO_MANY_ATTEMPTS",
   AUTH_UNAUTHORIZED_ACCESS: "AUTH_UNAUTHORIZED_ACCESS",
   AUTH_TOKEN_NOT_FOUND: "AUTH_TOKEN_NOT_FOUND",
+  AUTH_OAUTH_FAILED: "AUTH_OAUTH_FAILED",
+  AUTH_ACCOUNT_SUSPENDED: "AUTH_ACCOUNT_SUSPENDED",
+  SESSION_NOT_FOUND: "SESSION_NOT_FOUND",
   // Validation and Resource Errors
   VALIDATION_ERROR: "VALIDATION_ERROR",
   RESOURCE_NOT_FOUND: "RESOURCE_NOT_FOUND",
   FILE_UPLOAD_ERROR: "FILE_UPLOAD_ERROR",
+  CONTENT_REJECTED: "CONTENT_REJECTED",
+
+  // Event Errors
+  EVENT_PHASE_NOT_ALLOWED: "EVENT_PHASE_NOT_ALLOWED",
+
+  // Permission Errors, see utils/policy.util.js
+  EVENT_ACCESS_DENIED: "EVENT_ACCESS_DENIED",
+  EVENT_ORGANIZER_REQUIRED: "EVENT_ORGANIZER_REQUIRED",
+  EVENT_OWNER_REQUIRED: "EVENT_OWNER_REQUIRED",
+  EVENT_MODERATOR_REQUIRED: "EVENT_MODERATOR_REQUIRED",
+  EVENT_MENTOR_REQUIRED: "EVENT_MENTOR_REQUIRED",
+  EVENT_STAFF_REQUIRED: "EVENT_STAFF_REQUIRED",
+  EVENT_STAFF_ROLE_NOT_MANAGEABLE: "EVENT_STAFF_ROLE_NOT_MANAGEABLE",
+  SUBMISSION_JUDGE_REQUIRED: "SUBMISSION_JUDGE_REQUIRED",
+  TEAM_MEMBER_REQUIRED: "TEAM_MEMBER_REQUIRED",
+  TEAM_MANAGER_REQUIRED: "TEAM_MANAGER_REQUIRED",
+  TEAM_LEADER_REQUIRED: "TEAM_LEADER_REQUIRED",
+  HELP_TICKET_ACCESS_DENIED: "HELP_TICKET_ACCESS_DENIED",
+  MENTOR_ASSIGNMENT_REQUIRED: "MENTOR_ASSIGNMENT_REQUIRED",
+  RESOURCE_OWNER_REQUIRED: "RESOURCE_OWNER_REQUIRED",
+  EVENT_USER_MUTED: "EVENT_USER_MUTED",
 
   // System Errors
   INTERNAL_SERVER_ERROR: "INTERNAL_SERVER_ERROR",
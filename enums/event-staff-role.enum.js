@@ -0,0 +1,9 @@
+export const EventStaffRoleEnum = {
+  // The event's OrganizerID; exactly one per event
+  OWNER: "owner",
+  CO_ORGANIZER: "co-organizer",
+  MODERATOR: "moderator",
+  // Can judge every submission of the event, like an event-wide judge assignment
+  JUDGE: "judge",
+  MENTOR: "mentor",
+};
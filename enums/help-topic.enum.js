@@ -0,0 +1,13 @@
+// Topics a help ticket or office-hour slot can be tagged with
+export const HelpTopicEnum = {
+  FRONTEND: "frontend",
+  BACKEND: "backend",
+  MOBILE: "mobile",
+  AI_ML: "ai-ml",
+  DATA: "data",
+  DESIGN: "design",
+  DEVOPS: "devops",
+  HARDWARE: "hardware",
+  PITCH: "pitch",
+  OTHER: "other",
+};
@@ -0,0 +1,8 @@
+// What a notification is about; users set their channel preferences per type
+export const NotificationTypeEnum = {
+  ANNOUNCEMENT: "announcement",
+  TEAM: "team",
+  JUDGING: "judging",
+  CERTIFICATE: "certificate",
+  WAITLIST: "waitlist",
+};
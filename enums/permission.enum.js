@@ -0,0 +1,28 @@
+// Actions checked by utils/policy.util.js; each one has exactly one policy there
+export const PermissionEnum = {
+  EVENT_VIEW: "event:view",
+  EVENT_MANAGE: "event:manage",
+  EVENT_DELETE: "event:delete",
+  EVENT_MODERATE: "event:moderate",
+  EVENT_VIEW_STAFF: "event:view-staff",
+  EVENT_MANAGE_STAFF: "event:manage-staff",
+  EVENT_MENTOR: "event:mentor",
+
+  SUBMISSION_JUDGE: "submission:judge",
+  SUBMISSION_VIEW_SCORECARDS: "submission:view-scorecards",
+
+  TEAM_MEMBER: "team:member",
+  TEAM_MANAGE: "team:manage",
+  TEAM_LEAD: "team:lead",
+
+  HELP_TICKET_VIEW: "help-ticket:view",
+  HELP_TICKET_HANDLE: "help-ticket:handle",
+  OFFICE_HOURS_MANAGE: "office-hours:manage",
+
+  CHAT_POST: "chat:post",
+  CHAT_EDIT: "chat:edit",
+  CHAT_DELETE: "chat:delete",
+  CERTIFICATE_VIEW: "certificate:view",
+  EVENT_CERTIFICATES_VIEW: "event:view-certificates",
+  USER_UPDATE: "user:update",
+};
@@ -0,0 +1,7 @@
+export const UserRoleEnum = {
+  PARTICIPANT: "participant",
+  ORGANIZER: "organizer",
+  JUDGE: "judge",
+  // Platform administrators; only assignable by another admin
+  ADMIN: "admin",
+};
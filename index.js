@@ -15,6 +15,9 @@ import poolPromise from "./config/sql.config.js";
 import { initializeUserTable } from "./controllers/user.controller.js";
 import { initializeEventTable } from "./controllers/event.controller.js";
 import { initializeTeamTable } from "./controllers/team.controller.js";
+import { startReconciliationJob } from "./utils/consistency.util.js";
+import { registerNotificationHandlers } from "./utils/notification.util.js";
+import { migrate } from "./utils/migration.util.js";
 
 import UserRoute from "./routes/user.routes.js";
 import EventRoute from "./routes/event.route.js";
@@ -23,11 +26,25 @@ import SubmissionRoute from "./routes/submission.routes.js";
 import AnnouncementRoute from "./routes/announcement.routes.js";
 import CertificateRoute from "./routes/certificate.routes.js";
 import ChatQnARoute from "./routes/chatQna.routes.js";
+import MatchmakingRoute from "./routes/matchmaking.routes.js";
+import AdminRoute from "./routes/admin.routes.js";
+import ModerationRoute from "./routes/moderation.routes.js";
+import MentorshipRoute from "./routes/mentorship.routes.js";
+import NotificationRoute from "./routes/notification.routes.js";
 
 const app = express();
 
 const BASE_PATH = Env.BASE_PATH;
 
+// Behind a proxy req.ip is the proxy's address unless its X-Forwarded-For is trusted,
+// and per-IP rate limits would then be shared by every client
+const parseTrustProxy = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(Env.TRUST_PROXY));
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -44,6 +61,8 @@ app.use(
   })
 );
 
+// Chat streams may carry the access token in the query string; keep it out of the logs
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/, '$1[redacted]'));
 app.use(morgan('dev'));
 app.use(helmet({
     crossOriginResourcePolicy: false
@@ -113,6 +132,11 @@ app.use(`${BASE_PATH}/v1/submissions`, SubmissionRoute);
 app.use(`${BASE_PATH}/v1/announcements`, AnnouncementRoute);
 app.use(`${BASE_PATH}/v1/certificates`, CertificateRoute);
 app.use(`${BASE_PATH}/v1/chat`, ChatQnARoute);
+app.use(`${BASE_PATH}/v1/matchmaking`, MatchmakingRoute);
+app.use(`${BASE_PATH}/v1/admin`, AdminRoute);
+app.use(`${BASE_PATH}/v1/moderation`, ModerationRoute);
+app.use(`${BASE_PATH}/v1/mentorship`, MentorshipRoute);
+app.use(`${BASE_PATH}/v1/notifications`, NotificationRoute);
 
 app.use(ErrorHandler);
 
@@ -123,6 +147,11 @@ const initializeApp = async () => {
     await initializeUserTable();
     await initializeEventTable();
     await initializeTeamTable();
+    if (Env.MIGRATE_ON_START === 'true') {
+      await migrate();
+    }
+    startReconciliationJob();
+    registerNotificationHandlers();
     console.log(`Database connected in ${Env.NODE_ENV} mode.`);
   } catch (error) {
     console.error('Failed to initialize app:', error);
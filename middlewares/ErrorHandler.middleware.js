@@ -31,6 +31,9 @@ export const ErrorHandler = (
   }
 
   if (error instanceof AppError) {
+    if (error.retryAfter) {
+      res.set("Retry-After", String(error.retryAfter));
+    }
     return res.status(error.statusCode).json({
       message: error.message,
       errorCode: error.errorCode,
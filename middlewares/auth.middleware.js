@@ -2,12 +2,20 @@ import jwt from "jsonwebtoken";
 import { executeParameterizedQuery } from "../utils/sql.util.js";
 import { HTTPSTATUS } from "../config/Https.config.js";
 import { Env } from "../config/env.config.js";
+import { isSessionActive } from "../utils/session.util.js";
+import { authorize } from "../utils/policy.util.js";
+import { ForbiddenException } from "../utils/AppError.js";
+import { ErrorCodeEnum } from "../enums/error-code.enum.js";
 
-export const authenticateToken = async (req, res, next) => {
+// Get token from Authorization header
+const getBearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
+
+const verifyToken = (getToken) => async (req, res, next) => {
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const token = getToken(req);
 
     if (!token) {
       return res.status(HTTPSTATUS.UNAUTHORIZED).json({
@@ -18,9 +26,17 @@ export const authenticateToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, Env.JWT_SECRET);
+
+    // Reject tokens whose session was logged out or revoked
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.userId))) {
+      return res.status(HTTPSTATUS.UNAUTHORIZED).json({
+        success: false,
+        message: "Session has been revoked or has expired"
+      });
+    }
     
     // Query database to verify user still exists
-    const getUserQuery = `SELECT userid, name, email, role, authprovider FROM users WHERE userid = @userid`;
+    const getUserQuery = `SELECT userid, name, email, role, authprovider, emailverified, suspended FROM users WHERE userid = @userid`;
     const result = await executeParameterizedQuery(getUserQuery, { userid: decoded.userId });
     
     if (result.recordset.length === 0) {
@@ -30,8 +46,14 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Attach user info to request object
+    if (result.recordset[0].suspended) {
+      return next(new ForbiddenException("Your account is suspended", ErrorCodeEnum.AUTH_ACCOUNT_SUSPENDED));
+    }
+
+    // Attach user and session info to request object
     req.user = result.recordset[0];
+    req.sessionId = decoded.sid;
+    req.tokenExpiresAt = decoded.exp * 1000;
     next();
 
   } catch (error) {
@@ -58,7 +80,13 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware to check specific roles
+export const authenticateToken = verifyToken(getBearerToken);
+
+// For event streams: EventSource can't set headers, so the token may come as ?token= instead
+export const authenticateStreamToken = verifyToken((req) => getBearerToken(req) || req.query.token);
+
+// Middleware to check specific roles. Admins can do whatever organizers can,
+// e.g. run an event they took over.
 export const requireRole = (allowedRoles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -68,14 +96,23 @@ export const requireRole = (allowedRoles) => {
       });
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(HTTPSTATUS.FORBIDDEN).json({
-        success: false,
-        message: "Insufficient permissions"
-      });
+    const isAllowed = allowedRoles.includes(req.user.role)
+      || (req.user.role === 'admin' && allowedRoles.includes('organizer'));
+
+    if (!isAllowed) {
+      return next(new ForbiddenException("Insufficient permissions", ErrorCodeEnum.ACCESS_ROLE_NOT_ALLOWED));
     }
 
     next();
   };
 };
 
+// Middleware to check a policy from utils/policy.util.js. Runs after validate(),
+// so the resource is built from already parsed params by default.
+export const requirePermission = (action, getResource = (req) => req.params) => {
+  return async (req, res, next) => {
+    await authorize(req.user, action, getResource(req));
+    next();
+  };
+};
+
@@ -0,0 +1,16 @@
+import { consumeRateLimit } from "../utils/rate-limit.util.js";
+
+/**
+ * Throttle requests per client IP
+ * @param {Object} options - { name, limit, windowMs, message }
+ */
+export const rateLimitByIp = ({ name, limit, windowMs, message = "Too many requests, please try again later" }) => {
+  return async (req, res, next) => {
+    try {
+      await consumeRateLimit(`${name}:ip:${req.ip}`, limit, windowMs, message);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
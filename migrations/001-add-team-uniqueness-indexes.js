@@ -0,0 +1,14 @@
+// Backstops the checks in createTeam and joinTeamAtomically: a user appears once per team
+// and team names are unique per event. IX_team_members_UserId speeds up "is this user in
+// a team for the event" lookups.
+export const up = async (query) => {
+  await query(`CREATE UNIQUE INDEX UX_team_members_TeamId_UserId ON team_members (TeamId, UserId)`);
+  await query(`CREATE INDEX IX_team_members_UserId ON team_members (UserId)`);
+  await query(`CREATE UNIQUE INDEX UX_teams_EventId_TeamName ON teams (EventId, TeamName)`);
+};
+
+export const down = async (query) => {
+  await query(`DROP INDEX UX_teams_EventId_TeamName ON teams`);
+  await query(`DROP INDEX IX_team_members_UserId ON team_members`);
+  await query(`DROP INDEX UX_team_members_TeamId_UserId ON team_members`);
+};
@@ -0,0 +1,39 @@
+// Adds the admin role and lets admins suspend accounts. The baseline users table has an
+// unnamed role CHECK, so it is looked up by definition and replaced with a named one.
+export const up = async (query) => {
+  await query(`
+    DECLARE @constraintName NVARCHAR(256);
+    SELECT @constraintName = name FROM sys.check_constraints
+    WHERE parent_object_id = OBJECT_ID('users') AND definition LIKE '%participant%';
+
+    IF @constraintName IS NOT NULL
+    BEGIN
+      DECLARE @dropQuery NVARCHAR(400) = N'ALTER TABLE users DROP CONSTRAINT ' + QUOTENAME(@constraintName);
+      EXEC sp_executesql @dropQuery;
+    END
+  `);
+  await query(`
+    ALTER TABLE users ADD CONSTRAINT CK_users_role
+      CHECK (role IN ('participant', 'organizer', 'judge', 'admin'))
+  `);
+  await query(`
+    ALTER TABLE users ADD
+      suspended BIT NOT NULL CONSTRAINT DF_users_suspended DEFAULT 0,
+      suspendedat DATETIME2 NULL,
+      suspendedreason NVARCHAR(500) NULL
+  `);
+};
+
+export const down = async (query) => {
+  await query(`
+    IF EXISTS (SELECT 1 FROM users WHERE role = 'admin')
+      THROW 50000, 'Give every admin another role before rolling back', 1;
+  `);
+  await query(`ALTER TABLE users DROP CONSTRAINT DF_users_suspended`);
+  await query(`ALTER TABLE users DROP COLUMN suspended, suspendedat, suspendedreason`);
+  await query(`ALTER TABLE users DROP CONSTRAINT CK_users_role`);
+  await query(`
+    ALTER TABLE users ADD CONSTRAINT CK_users_role
+      CHECK (role IN ('participant', 'organizer', 'judge'))
+  `);
+};
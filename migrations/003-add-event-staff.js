@@ -0,0 +1,30 @@
+// Lets several people run an event. Every event gets its OrganizerID as owner; other
+// staff are added through /events/:eventId/staff.
+export const up = async (query) => {
+  await query(`
+    CREATE TABLE event_staff (
+      StaffID INT IDENTITY(1,1) PRIMARY KEY,
+      EventID INT NOT NULL,
+      UserID INT NOT NULL,
+      Role NVARCHAR(20) NOT NULL,
+      AddedBy INT NULL, -- NULL for owners backfilled from events.OrganizerID
+      AddedAt DATETIME2 DEFAULT GETDATE(),
+
+      CONSTRAINT FK_event_staff_EventID FOREIGN KEY (EventID) REFERENCES events(EventID),
+      CONSTRAINT FK_event_staff_UserID FOREIGN KEY (UserID) REFERENCES users(userid),
+      CONSTRAINT FK_event_staff_AddedBy FOREIGN KEY (AddedBy) REFERENCES users(userid),
+      CONSTRAINT CK_event_staff_Role CHECK (Role IN ('owner', 'co-organizer', 'moderator', 'judge', 'mentor')),
+      CONSTRAINT UX_event_staff_EventID_UserID UNIQUE (EventID, UserID)
+    )
+  `);
+  await query(`CREATE UNIQUE INDEX UX_event_staff_owner ON event_staff(EventID) WHERE Role = 'owner'`);
+  await query(`CREATE INDEX IX_event_staff_UserID ON event_staff(UserID)`);
+  await query(`
+    INSERT INTO event_staff (EventID, UserID, Role)
+    SELECT EventID, OrganizerID, 'owner' FROM events
+  `);
+};
+
+export const down = async (query) => {
+  await query(`DROP TABLE event_staff`);
+};
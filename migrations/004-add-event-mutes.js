@@ -0,0 +1,23 @@
+// Users muted in an event's chat by its moderators. MutedUntil NULL means until unmuted.
+export const up = async (query) => {
+  await query(`
+    CREATE TABLE event_mutes (
+      MuteID INT IDENTITY(1,1) PRIMARY KEY,
+      EventID INT NOT NULL,
+      UserID INT NOT NULL,
+      MutedBy INT NOT NULL,
+      Reason NVARCHAR(500) NULL,
+      MutedUntil DATETIME2 NULL,
+      CreatedAt DATETIME2 DEFAULT GETDATE(),
+
+      CONSTRAINT FK_event_mutes_EventID FOREIGN KEY (EventID) REFERENCES events(EventID),
+      CONSTRAINT FK_event_mutes_UserID FOREIGN KEY (UserID) REFERENCES users(userid),
+      CONSTRAINT FK_event_mutes_MutedBy FOREIGN KEY (MutedBy) REFERENCES users(userid),
+      CONSTRAINT UX_event_mutes_EventID_UserID UNIQUE (EventID, UserID)
+    )
+  `);
+};
+
+export const down = async (query) => {
+  await query(`DROP TABLE event_mutes`);
+};
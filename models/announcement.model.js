@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 import { validateUserExists, validateEventExists } from "../utils/validation.util.js";
+import { softDeletePlugin } from "../utils/soft-delete.util.js";
+import { contentFilterPlugin } from "../utils/content-filter.util.js";
 
 const announcementSchema = new mongoose.Schema(
   {
@@ -48,6 +50,11 @@ const announcementSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// An announcement of a deleted event stays on record but out of every listing
+announcementSchema.plugin(softDeletePlugin);
+
+announcementSchema.plugin(contentFilterPlugin, { fields: ['message'] });
+
 const Announcement = mongoose.model("Announcement", announcementSchema);
 
 export default Announcement;
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import { validateEventExists, validateUserExists } from "../utils/validation.util.js";
+import { softDeletePlugin } from "../utils/soft-delete.util.js";
 
 const certificateSchema = new mongoose.Schema(
   {
@@ -36,6 +37,9 @@ const certificateSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Keep issued certificates on record when their user or event is deleted
+certificateSchema.plugin(softDeletePlugin);
+
 const Certificate = mongoose.model("Certificate", certificateSchema);
 
 export default Certificate;
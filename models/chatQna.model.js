@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 import { validateEventExists, validateUserExists } from "../utils/validation.util.js";
+import { softDeletePlugin } from "../utils/soft-delete.util.js";
+import { contentFilterPlugin } from "../utils/content-filter.util.js";
 
 const chatQnASchema = new mongoose.Schema(
   {
@@ -53,12 +55,71 @@ const chatQnASchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        isHidden: {
+          type: Boolean,
+          default: false,
+        },
+        hiddenBy: {
+          type: Number,
+          default: null,
+        },
+        hiddenAt: {
+          type: Date,
+          default: null,
+        },
       },
     ],
+    status: {
+      type: String,
+      enum: ['open', 'answered', 'closed'],
+      default: 'open',
+    },
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+    // One entry per user; upvoteCount mirrors its length so threads can be sorted by it
+    upvotes: {
+      type: [Number],
+      default: [],
+    },
+    upvoteCount: {
+      type: Number,
+      default: 0,
+    },
+    acceptedReplyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Hidden by a moderator: only moderators still see it
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenBy: {
+      type: Number,
+      default: null,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+chatQnASchema.index({ eventId: 1, isPinned: -1, upvoteCount: -1, createdAt: -1 });
+chatQnASchema.index({ eventId: 1, status: 1 });
+
+// Threads whose author or event is gone are hidden instead of removed
+chatQnASchema.plugin(softDeletePlugin);
+
+chatQnASchema.plugin(contentFilterPlugin, { fields: ['message', 'replies.message'] });
+
 const ChatQnA = mongoose.model("ChatQnA", chatQnASchema);
 
 export default ChatQnA;
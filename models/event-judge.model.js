@@ -0,0 +1,23 @@
+import { executeParameterizedQuery } from '../utils/sql.util.js';
+
+// Event Judges Table - judge assignments per event, optionally scoped to a track or a single submission
+export const EventJudgeModel = async () => {
+  const createEventJudgeQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='event_judges' AND xtype='U')
+    CREATE TABLE event_judges (
+      AssignmentID INT IDENTITY(1,1) PRIMARY KEY,
+      EventID INT NOT NULL,
+      JudgeID INT NOT NULL,
+      Track NVARCHAR(100) NULL, -- NULL: not limited to a track
+      SubmissionID NVARCHAR(24) NULL, -- Mongo ObjectId of a specific submission
+      AssignedBy INT NOT NULL,
+      AssignedAt DATETIME2 DEFAULT GETDATE(),
+
+      FOREIGN KEY (EventID) REFERENCES events(EventID),
+      FOREIGN KEY (JudgeID) REFERENCES users(userid),
+      FOREIGN KEY (AssignedBy) REFERENCES users(userid),
+      UNIQUE(EventID, JudgeID, Track, SubmissionID)
+    )
+  `;
+  await executeParameterizedQuery(createEventJudgeQuery);
+};
@@ -0,0 +1,45 @@
+import { executeParameterizedQuery } from '../utils/sql.util.js';
+
+// Event Prizes Table - optionally tied to a track and/or a sponsor
+export const EventPrizeModel = async () => {
+  const createPrizeQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='event_prizes' AND xtype='U')
+    CREATE TABLE event_prizes (
+      PrizeID INT IDENTITY(1,1) PRIMARY KEY,
+      EventID INT NOT NULL,
+      Title NVARCHAR(255) NOT NULL,
+      Description NVARCHAR(1000),
+      Value NVARCHAR(255),
+      Quantity INT NOT NULL DEFAULT 1,
+      TrackID INT NULL,
+      SponsorID INT NULL,
+      CreatedAt DATETIME2 DEFAULT GETDATE(),
+
+      FOREIGN KEY (EventID) REFERENCES events(EventID),
+      FOREIGN KEY (TrackID) REFERENCES event_tracks(TrackID),
+      FOREIGN KEY (SponsorID) REFERENCES event_sponsors(SponsorID)
+    )
+  `;
+  await executeParameterizedQuery(createPrizeQuery);
+};
+
+// Prize Awards Table - links a prize to a winning submission (MongoDB ObjectId) and its team
+export const PrizeAwardModel = async () => {
+  const createAwardQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='prize_awards' AND xtype='U')
+    CREATE TABLE prize_awards (
+      AwardID INT IDENTITY(1,1) PRIMARY KEY,
+      PrizeID INT NOT NULL,
+      SubmissionID NVARCHAR(24) NOT NULL,
+      TeamID INT NOT NULL,
+      AwardedBy INT NOT NULL,
+      AwardedAt DATETIME2 DEFAULT GETDATE(),
+
+      FOREIGN KEY (PrizeID) REFERENCES event_prizes(PrizeID),
+      FOREIGN KEY (TeamID) REFERENCES teams(TeamId),
+      FOREIGN KEY (AwardedBy) REFERENCES users(userid),
+      UNIQUE(PrizeID, SubmissionID)
+    )
+  `;
+  await executeParameterizedQuery(createAwardQuery);
+};
@@ -0,0 +1,43 @@
+import { executeParameterizedQuery } from '../utils/sql.util.js';
+
+// Event Rounds Table - round 1 is open to every team, later rounds need a qualification
+export const EventRoundModel = async () => {
+  const createRoundQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='event_rounds' AND xtype='U')
+    CREATE TABLE event_rounds (
+      RoundID INT IDENTITY(1,1) PRIMARY KEY,
+      EventID INT NOT NULL,
+      RoundNumber INT NOT NULL CHECK (RoundNumber > 0),
+      Name NVARCHAR(100) NOT NULL,
+      Description NVARCHAR(1000),
+      SubmissionDeadline DATETIME2 NULL,
+      CreatedAt DATETIME2 DEFAULT GETDATE(),
+
+      FOREIGN KEY (EventID) REFERENCES events(EventID),
+      UNIQUE(EventID, RoundNumber)
+    )
+  `;
+  await executeParameterizedQuery(createRoundQuery);
+};
+
+// Round Qualifications Table - teams allowed to submit to a round after the first
+export const RoundQualificationModel = async () => {
+  const createQualificationQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='round_qualifications' AND xtype='U')
+    CREATE TABLE round_qualifications (
+      QualificationID INT IDENTITY(1,1) PRIMARY KEY,
+      EventID INT NOT NULL,
+      RoundNumber INT NOT NULL,
+      TeamID INT NOT NULL,
+      Source NVARCHAR(20) CHECK (Source IN ('top_n', 'manual')) NOT NULL,
+      QualifiedBy INT NOT NULL,
+      QualifiedAt DATETIME2 DEFAULT GETDATE(),
+
+      FOREIGN KEY (EventID) REFERENCES events(EventID),
+      FOREIGN KEY (TeamID) REFERENCES teams(TeamId),
+      FOREIGN KEY (QualifiedBy) REFERENCES users(userid),
+      UNIQUE(EventID, RoundNumber, TeamID)
+    )
+  `;
+  await executeParameterizedQuery(createQualificationQuery);
+};
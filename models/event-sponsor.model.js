@@ -0,0 +1,22 @@
+import { executeParameterizedQuery } from '../utils/sql.util.js';
+
+// Event Sponsors Table
+export const EventSponsorModel = async () => {
+  const createSponsorQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='event_sponsors' AND xtype='U')
+    CREATE TABLE event_sponsors (
+      SponsorID INT IDENTITY(1,1) PRIMARY KEY,
+      EventID INT NOT NULL,
+      Name NVARCHAR(255) NOT NULL,
+      Tier NVARCHAR(50),
+      Description NVARCHAR(1000),
+      WebsiteUrl NVARCHAR(500),
+      LogoUrl NVARCHAR(500),
+      CreatedAt DATETIME2 DEFAULT GETDATE(),
+
+      FOREIGN KEY (EventID) REFERENCES events(EventID),
+      UNIQUE(EventID, Name)
+    )
+  `;
+  await executeParameterizedQuery(createSponsorQuery);
+};
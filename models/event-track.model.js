@@ -0,0 +1,19 @@
+import { executeParameterizedQuery } from '../utils/sql.util.js';
+
+// Event Tracks Table - the tracks a submission can be entered in
+export const EventTrackModel = async () => {
+  const createTrackQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='event_tracks' AND xtype='U')
+    CREATE TABLE event_tracks (
+      TrackID INT IDENTITY(1,1) PRIMARY KEY,
+      EventID INT NOT NULL,
+      Name NVARCHAR(100) NOT NULL,
+      Description NVARCHAR(1000),
+      CreatedAt DATETIME2 DEFAULT GETDATE(),
+
+      FOREIGN KEY (EventID) REFERENCES events(EventID),
+      UNIQUE(EventID, Name)
+    )
+  `;
+  await executeParameterizedQuery(createTrackQuery);
+};
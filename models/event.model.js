@@ -16,15 +16,42 @@ export const EventModel = async () => {
       ResultDate DATETIME2,
       Rules NVARCHAR(MAX),
       Timeline NVARCHAR(MAX),
+      -- Tracks, Prizes and Sponsors are legacy free text; see event_tracks, event_prizes and event_sponsors
       Tracks NVARCHAR(MAX),
       Prizes NVARCHAR(MAX),
       MaxTeamSize INT,
+      MaxParticipants INT NULL,
+      GracePeriodMinutes INT NULL,
+      PhaseOverride NVARCHAR(30) NULL CHECK (PhaseOverride IN ('registration', 'hacking', 'submission-closed', 'judging', 'results')),
       Sponsors NVARCHAR(MAX),
       IsActive BIT DEFAULT 1,
+      RequireVerifiedEmail BIT NOT NULL DEFAULT 0,
       CreatedAt DATETIME2 DEFAULT GETDATE(),
       
       FOREIGN KEY (OrganizerID) REFERENCES users(userid)
     )
   `;
   await executeParameterizedQuery(createEventQuery);
+
+  const addRequireVerifiedEmailQuery = `
+    IF COL_LENGTH('events', 'RequireVerifiedEmail') IS NULL
+    ALTER TABLE events ADD RequireVerifiedEmail BIT NOT NULL CONSTRAINT DF_events_RequireVerifiedEmail DEFAULT 0
+  `;
+  await executeParameterizedQuery(addRequireVerifiedEmailQuery);
+
+  const addMaxParticipantsQuery = `
+    IF COL_LENGTH('events', 'MaxParticipants') IS NULL
+    ALTER TABLE events ADD MaxParticipants INT NULL
+  `;
+  await executeParameterizedQuery(addMaxParticipantsQuery);
+
+  const addPhaseColumnsQuery = `
+    IF COL_LENGTH('events', 'GracePeriodMinutes') IS NULL
+    ALTER TABLE events ADD GracePeriodMinutes INT NULL;
+
+    IF COL_LENGTH('events', 'PhaseOverride') IS NULL
+    ALTER TABLE events ADD PhaseOverride NVARCHAR(30) NULL
+      CONSTRAINT CK_events_PhaseOverride CHECK (PhaseOverride IN ('registration', 'hacking', 'submission-closed', 'judging', 'results'));
+  `;
+  await executeParameterizedQuery(addPhaseColumnsQuery);
 };
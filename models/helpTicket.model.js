@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import { validateEventExists, validateUserExists, validateTeamExists } from "../utils/validation.util.js";
+import { HelpTopicEnum } from "../enums/help-topic.enum.js";
+
+// A team's request for mentor help. Waiting time runs from createdAt until a mentor claims it.
+const helpTicketSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(eventId) {
+          return await validateEventExists(eventId);
+        },
+        message: 'Referenced event does not exist in SQL database'
+      }
+    },
+    teamId: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(teamId) {
+          return await validateTeamExists(teamId);
+        },
+        message: 'Referenced team does not exist in SQL database'
+      }
+    },
+    openedBy: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(openedBy) {
+          return await validateUserExists(openedBy);
+        },
+        message: 'Referenced user does not exist in SQL database'
+      }
+    },
+    topic: {
+      type: String,
+      enum: Object.values(HelpTopicEnum),
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxLength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxLength: 2000,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['open', 'claimed', 'resolved', 'cancelled'],
+      default: 'open',
+    },
+    // The mentor working on the ticket; cleared if they release it back to the queue
+    claimedBy: {
+      type: Number,
+      default: null,
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    resolution: {
+      type: String,
+      trim: true,
+      maxLength: 1000,
+      default: '',
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+helpTicketSchema.index({ eventId: 1, status: 1, createdAt: 1 });
+helpTicketSchema.index({ teamId: 1, status: 1 });
+// One active ticket per team and topic, enforced here so concurrent requests can't both open one
+helpTicketSchema.index(
+  { teamId: 1, topic: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['open', 'claimed'] } } }
+);
+
+const HelpTicket = mongoose.model("HelpTicket", helpTicketSchema);
+
+export default HelpTicket;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { NotificationTypeEnum } from "../enums/notification-type.enum.js";
+
+// One entry in a user's inbox, created by utils/notification.util.js from a domain event
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: Number,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(NotificationTypeEnum),
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    eventId: {
+      type: Number,
+      default: null,
+    },
+    // Frontend path to open, e.g. /teams/12
+    link: {
+      type: String,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
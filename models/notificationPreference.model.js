@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+import { validateUserExists } from "../utils/validation.util.js";
+
+const channelsSchema = new mongoose.Schema(
+  {
+    inApp: {
+      type: Boolean,
+      required: true,
+    },
+    email: {
+      type: Boolean,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// A user's notification channels per NotificationTypeEnum type. Types not stored here use
+// the defaults in utils/notification.util.js.
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: Number,
+      required: true,
+      unique: true,
+      validate: {
+        validator: async function(userId) {
+          return await validateUserExists(userId);
+        },
+        message: 'Referenced user does not exist in SQL database'
+      }
+    },
+    types: {
+      type: Map,
+      of: channelsSchema,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+const NotificationPreference = mongoose.model("NotificationPreference", notificationPreferenceSchema);
+
+export default NotificationPreference;
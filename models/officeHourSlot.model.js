@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import { validateEventExists, validateUserExists } from "../utils/validation.util.js";
+import { HelpTopicEnum } from "../enums/help-topic.enum.js";
+
+const bookingSchema = new mongoose.Schema(
+  {
+    teamId: {
+      type: Number,
+      required: true,
+    },
+    bookedBy: {
+      type: Number,
+      required: true,
+    },
+    bookedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A block of time a mentor offers to an event's teams; up to `capacity` teams can book it
+const officeHourSlotSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(eventId) {
+          return await validateEventExists(eventId);
+        },
+        message: 'Referenced event does not exist in SQL database'
+      }
+    },
+    mentorId: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(mentorId) {
+          return await validateUserExists(mentorId);
+        },
+        message: 'Referenced user does not exist in SQL database'
+      }
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function(endsAt) {
+          return endsAt > this.startsAt;
+        },
+        message: 'Slot must end after it starts'
+      }
+    },
+    topics: {
+      type: [{ type: String, enum: Object.values(HelpTopicEnum) }],
+      default: [],
+    },
+    capacity: {
+      type: Number,
+      min: 1,
+      max: 50,
+      default: 1,
+    },
+    // Room, table or meeting link
+    location: {
+      type: String,
+      trim: true,
+      maxLength: 500,
+      default: '',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: 1000,
+      default: '',
+    },
+    bookings: {
+      type: [bookingSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+officeHourSlotSchema.index({ eventId: 1, startsAt: 1 });
+officeHourSlotSchema.index({ mentorId: 1, startsAt: 1 });
+
+const OfficeHourSlot = mongoose.model("OfficeHourSlot", officeHourSlotSchema);
+
+export default OfficeHourSlot;
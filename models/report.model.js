@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+import { validateEventExists, validateUserExists } from "../utils/validation.util.js";
+
+// A user's flag on a chat message, chat reply or announcement, reviewed in the event's moderation queue
+const reportSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(eventId) {
+          return await validateEventExists(eventId);
+        },
+        message: 'Referenced event does not exist in SQL database'
+      }
+    },
+    targetType: {
+      type: String,
+      enum: ['chat', 'reply', 'announcement'],
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // The thread a reported reply belongs to
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    reportedBy: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(reportedBy) {
+          return await validateUserExists(reportedBy);
+        },
+        message: 'Referenced user does not exist in SQL database'
+      }
+    },
+    reason: {
+      type: String,
+      enum: ['spam', 'abuse', 'harassment', 'off-topic', 'other'],
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'resolved', 'dismissed'],
+      default: 'pending',
+    },
+    reviewedBy: {
+      type: Number,
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One report per user per target
+reportSchema.index({ targetType: 1, targetId: 1, reportedBy: 1 }, { unique: true });
+reportSchema.index({ eventId: 1, status: 1, createdAt: 1 });
+
+const Report = mongoose.model("Report", reportSchema);
+
+export default Report;
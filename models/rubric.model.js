@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+import { validateEventExists, validateUserExists } from "../utils/validation.util.js";
+
+const criterionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    weight: {
+      type: Number,
+      min: 0,
+      default: 1,
+    },
+    maxScore: {
+      type: Number,
+      min: 1,
+      default: 10,
+    },
+  },
+  { _id: false }
+);
+
+const rubricSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(eventId) {
+          return await validateEventExists(eventId);
+        },
+        message: 'Referenced event does not exist in SQL database'
+      }
+    },
+    // null for the event-wide rubric, otherwise the round it applies to
+    round: {
+      type: Number,
+      default: null,
+    },
+    criteria: {
+      type: [criterionSchema],
+      validate: {
+        validator: (criteria) => criteria.length > 0,
+        message: 'Rubric must have at least one criterion'
+      }
+    },
+    updatedBy: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(updatedBy) {
+          return await validateUserExists(updatedBy);
+        },
+        message: 'Referenced user does not exist in SQL database'
+      }
+    },
+  },
+  { timestamps: true }
+);
+
+rubricSchema.index({ eventId: 1, round: 1 }, { unique: true });
+
+const Rubric = mongoose.model("Rubric", rubricSchema);
+
+// Rubrics became unique per (event, round); this drops the old one-rubric-per-event index.
+// It runs once Mongo is connected, so a failure here never holds up SQL setup.
+const syncRubricIndexes = () =>
+  Rubric.syncIndexes().catch((error) => console.error("❌ Failed to sync rubric indexes:", error));
+
+if (mongoose.connection.readyState === 1) {
+  syncRubricIndexes();
+} else {
+  mongoose.connection.once("open", syncRubricIndexes);
+}
+
+export default Rubric;
@@ -0,0 +1,14 @@
+import { executeParameterizedQuery } from '../utils/sql.util.js';
+
+// Schema Migrations Table - one row per applied file in migrations/
+export const SchemaMigrationModel = async () => {
+  const createSchemaMigrationQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='schema_migrations' AND xtype='U')
+    CREATE TABLE schema_migrations (
+      Version INT PRIMARY KEY,
+      Name NVARCHAR(255) NOT NULL,
+      AppliedAt DATETIME2 DEFAULT SYSUTCDATETIME()
+    )
+  `;
+  await executeParameterizedQuery(createSchemaMigrationQuery);
+};
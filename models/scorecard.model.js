@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+import { validateEventExists, validateUserExists } from "../utils/validation.util.js";
+
+// One scorecard per judge per submission
+const scorecardSchema = new mongoose.Schema(
+  {
+    submissionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Submission",
+      required: true,
+    },
+    eventId: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(eventId) {
+          return await validateEventExists(eventId);
+        },
+        message: 'Referenced event does not exist in SQL database'
+      }
+    },
+    judgeId: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(judgeId) {
+          return await validateUserExists(judgeId);
+        },
+        message: 'Referenced user does not exist in SQL database'
+      }
+    },
+    round: {
+      type: Number,
+      default: 1,
+    },
+    track: {
+      type: String,
+      default: null,
+    },
+    // Keyed by the event rubric's criterion keys
+    scores: {
+      type: Map,
+      of: Number,
+      required: true,
+    },
+    // Weighted total (0-100), computed server-side from the rubric
+    totalScore: {
+      type: Number,
+      required: true,
+    },
+    comments: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+scorecardSchema.index({ submissionId: 1, judgeId: 1 }, { unique: true });
+scorecardSchema.index({ eventId: 1, round: 1 });
+
+const Scorecard = mongoose.model("Scorecard", scorecardSchema);
+
+export default Scorecard;
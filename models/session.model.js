@@ -0,0 +1,23 @@
+import { executeParameterizedQuery } from '../utils/sql.util.js';
+
+// User Sessions Table - one row per login, holding the hash of the current refresh token
+export const SessionModel = async () => {
+  const createSessionQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='user_sessions' AND xtype='U')
+    CREATE TABLE user_sessions (
+      SessionID INT IDENTITY(1,1) PRIMARY KEY,
+      UserID INT NOT NULL,
+      RefreshTokenHash NVARCHAR(128) NOT NULL,
+      ExpiresAt DATETIME2 NOT NULL,
+      CreatedAt DATETIME2 DEFAULT SYSUTCDATETIME(),
+      LastUsedAt DATETIME2 NULL,
+      RevokedAt DATETIME2 NULL,
+      RevokedReason NVARCHAR(50) NULL,
+      UserAgent NVARCHAR(512) NULL,
+      IpAddress NVARCHAR(64) NULL,
+
+      FOREIGN KEY (UserID) REFERENCES users(userid)
+    )
+  `;
+  await executeParameterizedQuery(createSessionQuery);
+};
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import { validateEventExists, validateTeamExists } from "../utils/validation.util.js";
+import { softDeletePlugin } from "../utils/soft-delete.util.js";
 
 const submissionSchema = new mongoose.Schema(
   {
@@ -64,6 +65,7 @@ const submissionSchema = new mongoose.Schema(
       enum: ['pending', 'in-review', 'judged'],
       default: 'pending'
     },
+    // Legacy single-judge fields; per-judge scores live in the Scorecard collection
     judgeId: {
       type: Number, // References users table
       default: null
@@ -76,7 +78,7 @@ const submissionSchema = new mongoose.Schema(
       overall: { type: Number, min: 0, max: 10, default: null }
     },
     totalScore: {
-      type: Number,
+      type: Number, // Average of all judges' scorecards
       default: null
     },
     judgeComments: {
@@ -85,7 +87,11 @@ const submissionSchema = new mongoose.Schema(
       default: ''
     },
     rank: {
-      type: Number,
+      type: Number, // Rank within the round, written by the leaderboard
+      default: null
+    },
+    trackRank: {
+      type: Number, // Rank within the round and track
       default: null
     },
     isWinner: {
@@ -104,6 +110,9 @@ const submissionSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// A deleted team's submissions are hidden, not removed, so past scores and rankings still add up
+submissionSchema.plugin(softDeletePlugin);
+
 const Submission = mongoose.model("Submission", submissionSchema);
 
 export default Submission;
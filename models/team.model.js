@@ -15,6 +15,15 @@ export const TeamModel = async () => {
     )
   `;
   await executeParameterizedQuery(createTeamQuery);
+
+  // open: anyone may join, invite: invite codes only, request: the leader approves join requests
+  const addJoinPolicyQuery = `
+    IF COL_LENGTH('teams', 'JoinPolicy') IS NULL
+    ALTER TABLE teams ADD JoinPolicy NVARCHAR(20) NOT NULL
+      CONSTRAINT DF_teams_JoinPolicy DEFAULT 'request'
+      CONSTRAINT CK_teams_JoinPolicy CHECK (JoinPolicy IN ('open', 'invite', 'request'))
+  `;
+  await executeParameterizedQuery(addJoinPolicyQuery);
 };
 
 
@@ -25,11 +34,72 @@ export const TeamMemberModel = async () => {
       MemberId INT IDENTITY(1,1) PRIMARY KEY,
       TeamId INT NOT NULL,
       UserId INT NOT NULL,
-      Role NVARCHAR(50) CHECK (Role IN ('Leader', 'Member')),
+      Role NVARCHAR(50) CHECK (Role IN ('Leader', 'CoLeader', 'Member')),
 
       FOREIGN KEY (TeamId) REFERENCES teams(TeamId),
       FOREIGN KEY (UserId) REFERENCES users(userid)
     )
   `;
   await executeParameterizedQuery(createTeamMemberQuery);
+
+  // Older databases still have the unnamed Leader/Member-only constraint
+  const allowCoLeaderQuery = `
+    DECLARE @constraintName NVARCHAR(256);
+    SELECT @constraintName = name FROM sys.check_constraints
+    WHERE parent_object_id = OBJECT_ID('team_members')
+      AND definition LIKE '%Role%' AND definition NOT LIKE '%CoLeader%';
+
+    IF @constraintName IS NOT NULL
+    BEGIN
+      DECLARE @dropQuery NVARCHAR(400) = N'ALTER TABLE team_members DROP CONSTRAINT ' + QUOTENAME(@constraintName);
+      EXEC sp_executesql @dropQuery;
+      ALTER TABLE team_members ADD CONSTRAINT CK_team_members_Role CHECK (Role IN ('Leader', 'CoLeader', 'Member'));
+    END
+  `;
+  await executeParameterizedQuery(allowCoLeaderQuery);
+};
+
+// Invite codes generated by a team leader; InvitedUserID limits a code to one user
+export const TeamInviteModel = async () => {
+  const createTeamInviteQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='team_invites' AND xtype='U')
+    CREATE TABLE team_invites (
+      InviteID INT IDENTITY(1,1) PRIMARY KEY,
+      TeamID INT NOT NULL,
+      Code NVARCHAR(64) NOT NULL UNIQUE,
+      InvitedUserID INT NULL,
+      MaxUses INT NULL CHECK (MaxUses > 0),
+      Uses INT NOT NULL DEFAULT 0,
+      ExpiresAt DATETIME2 NULL,
+      RevokedAt DATETIME2 NULL,
+      CreatedBy INT NOT NULL,
+      CreatedAt DATETIME2 DEFAULT SYSUTCDATETIME(),
+
+      FOREIGN KEY (TeamID) REFERENCES teams(TeamId) ON DELETE CASCADE,
+      FOREIGN KEY (InvitedUserID) REFERENCES users(userid),
+      FOREIGN KEY (CreatedBy) REFERENCES users(userid)
+    )
+  `;
+  await executeParameterizedQuery(createTeamInviteQuery);
+};
+
+export const TeamJoinRequestModel = async () => {
+  const createJoinRequestQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='team_join_requests' AND xtype='U')
+    CREATE TABLE team_join_requests (
+      RequestID INT IDENTITY(1,1) PRIMARY KEY,
+      TeamID INT NOT NULL,
+      UserID INT NOT NULL,
+      Message NVARCHAR(500),
+      Status NVARCHAR(20) CHECK (Status IN ('Pending', 'Approved', 'Declined', 'Cancelled')) DEFAULT 'Pending',
+      CreatedAt DATETIME2 DEFAULT GETDATE(),
+      RespondedBy INT NULL,
+      RespondedAt DATETIME2 NULL,
+
+      FOREIGN KEY (TeamID) REFERENCES teams(TeamId) ON DELETE CASCADE,
+      FOREIGN KEY (UserID) REFERENCES users(userid),
+      FOREIGN KEY (RespondedBy) REFERENCES users(userid)
+    )
+  `;
+  await executeParameterizedQuery(createJoinRequestQuery);
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+import { validateEventExists, validateUserExists, validateTeamExists } from "../utils/validation.util.js";
+
+// Tags are stored lowercased so matching is case-insensitive
+const tagList = {
+  type: [String],
+  default: [],
+  set: (tags) => [...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean))],
+};
+
+// A "looking for team" board entry: either a solo participant or a team with open spots
+const teammateListingSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(eventId) {
+          return await validateEventExists(eventId);
+        },
+        message: 'Referenced event does not exist in SQL database'
+      }
+    },
+    type: {
+      type: String,
+      enum: ['individual', 'team'],
+      required: true,
+    },
+    // Individual listings: the participant; team listings: whoever last edited the listing
+    userId: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: async function(userId) {
+          return await validateUserExists(userId);
+        },
+        message: 'Referenced user does not exist in SQL database'
+      }
+    },
+    teamId: {
+      type: Number,
+      default: null,
+      validate: {
+        validator: async function(teamId) {
+          return teamId === null || await validateTeamExists(teamId);
+        },
+        message: 'Referenced team does not exist in SQL database'
+      }
+    },
+    skills: tagList,
+    interests: tagList,
+    // Team listings only: the roles or skills the team is missing
+    rolesNeeded: tagList,
+    description: {
+      type: String,
+      trim: true,
+      maxLength: 1000,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+teammateListingSchema.index(
+  { eventId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { type: 'individual' } }
+);
+teammateListingSchema.index(
+  { eventId: 1, teamId: 1 },
+  { unique: true, partialFilterExpression: { type: 'team' } }
+);
+
+const TeammateListing = mongoose.model("TeammateListing", teammateListingSchema);
+
+export default TeammateListing;
@@ -0,0 +1,21 @@
+import { executeParameterizedQuery } from '../utils/sql.util.js';
+
+// User Identities Table - external OAuth accounts linked to a user
+export const UserIdentityModel = async () => {
+  const createIdentityQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='user_identities' AND xtype='U')
+    CREATE TABLE user_identities (
+      IdentityID INT IDENTITY(1,1) PRIMARY KEY,
+      UserID INT NOT NULL,
+      Provider NVARCHAR(50) CHECK (Provider IN ('google', 'github')) NOT NULL,
+      ProviderUserID NVARCHAR(255) NOT NULL,
+      Email NVARCHAR(255) NULL,
+      CreatedAt DATETIME2 DEFAULT GETDATE(),
+
+      FOREIGN KEY (UserID) REFERENCES users(userid),
+      UNIQUE(Provider, ProviderUserID),
+      UNIQUE(UserID, Provider) -- One account per provider per user
+    )
+  `;
+  await executeParameterizedQuery(createIdentityQuery);
+};
@@ -0,0 +1,20 @@
+import { executeParameterizedQuery } from '../utils/sql.util.js';
+
+// User Tokens Table - single-use, time-limited tokens for email verification and password reset
+export const UserTokenModel = async () => {
+  const createUserTokenQuery = `
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='user_tokens' AND xtype='U')
+    CREATE TABLE user_tokens (
+      TokenID INT IDENTITY(1,1) PRIMARY KEY,
+      UserID INT NOT NULL,
+      Purpose NVARCHAR(50) CHECK (Purpose IN ('email_verification', 'password_reset')) NOT NULL,
+      TokenHash NVARCHAR(128) NOT NULL UNIQUE,
+      ExpiresAt DATETIME2 NOT NULL,
+      UsedAt DATETIME2 NULL,
+      CreatedAt DATETIME2 DEFAULT SYSUTCDATETIME(),
+
+      FOREIGN KEY (UserID) REFERENCES users(userid)
+    )
+  `;
+  await executeParameterizedQuery(createUserTokenQuery);
+};
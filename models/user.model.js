@@ -10,9 +10,17 @@ export const UserModel = async () => {
       password NVARCHAR(255) NOT NULL,
       authprovider NVARCHAR(50) CHECK (authprovider IN ('email', 'google', 'github')) NOT NULL,
       role NVARCHAR(50) CHECK (role IN ('participant', 'organizer', 'judge')) NOT NULL,
+      emailverified BIT NOT NULL DEFAULT 0,
       createdat DATETIME2 DEFAULT GETDATE()
     )
   `;
   
-  return await executeParameterizedQuery(createTableQuery);
+  await executeParameterizedQuery(createTableQuery);
+
+  // Databases created before email verification existed lack the column
+  const addEmailVerifiedQuery = `
+    IF COL_LENGTH('users', 'emailverified') IS NULL
+    ALTER TABLE users ADD emailverified BIT NOT NULL CONSTRAINT DF_users_emailverified DEFAULT 0
+  `;
+  return await executeParameterizedQuery(addEmailVerifiedQuery);
 };
@@ -0,0 +1,71 @@
+import express from "express";
+import {
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  updateUserRole,
+  deleteUser,
+  getOrphanedEvents,
+  takeOverEvent,
+  transferEvent,
+  getPlatformStats
+} from "../controllers/admin.controller.js";
+import { authenticateToken, requireRole } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validation.middleware.js";
+import {
+  listUsersWithValidation,
+  suspendUserWithValidation,
+  unsuspendUserWithValidation,
+  updateUserRoleWithValidation,
+  deleteUserWithValidation,
+  takeOverEventWithValidation,
+  transferEventWithValidation
+} from "../validators/admin.validators.js";
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(authenticateToken, requireRole(["admin"]));
+
+router.get("/stats", getPlatformStats);
+
+// Users
+router.get("/users",
+  validate(listUsersWithValidation),
+  listUsers
+);
+
+router.post("/users/:userId/suspend",
+  validate(suspendUserWithValidation),
+  suspendUser
+);
+
+router.post("/users/:userId/unsuspend",
+  validate(unsuspendUserWithValidation),
+  unsuspendUser
+);
+
+router.patch("/users/:userId/role",
+  validate(updateUserRoleWithValidation),
+  updateUserRole
+);
+
+router.delete("/users/:userId",
+  validate(deleteUserWithValidation),
+  deleteUser
+);
+
+// Events whose organizer is suspended or no longer an organizer
+router.get("/events/orphaned", getOrphanedEvents);
+
+router.post("/events/:eventId/take-over",
+  validate(takeOverEventWithValidation),
+  takeOverEvent
+);
+
+router.post("/events/:eventId/transfer",
+  validate(transferEventWithValidation),
+  transferEvent
+);
+
+export default router;
@@ -26,7 +26,6 @@ router.use(authenticateToken);
 
 // Create announcement (organizers only)
 router.post("/", 
-  requireRole(["organizer"]), 
   validate(createAnnouncementWithValidation), 
   createAnnouncement
 );
@@ -51,28 +50,24 @@ router.get("/my-all",
 
 // Get announcements by event
 router.get("/event/:eventId", 
-  requireRole(["organizer", "judge", "participant"]), 
   validate(getAnnouncementsByEventWithValidation), 
   getAnnouncementsByEvent
 );
 
 // Get specific announcement by ID
 router.get("/:id", 
-  requireRole(["organizer", "judge", "participant"]), 
   validate(getAnnouncementWithValidation), 
   getAnnouncementById
 );
 
 // Update announcement (organizers only)
 router.patch("/:id", 
-  requireRole(["organizer"]), 
   validate(updateAnnouncementWithValidation), 
   updateAnnouncement
 );
 
 // Delete announcement (organizers only)
 router.delete("/:id", 
-  requireRole(["organizer"]), 
   validate(deleteAnnouncementWithValidation), 
   deleteAnnouncement
 );
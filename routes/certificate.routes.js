@@ -10,7 +10,7 @@ import {
   getTemplates,
   generateCertificate
 } from "../controllers/certificate.controller.js";
-import { authenticateToken, requireRole } from "../middlewares/auth.middleware.js";
+import { authenticateToken } from "../middlewares/auth.middleware.js";
 import { validate } from "../middlewares/validation.middleware.js";
 import {
   issueCertificateWithValidation,
@@ -28,14 +28,12 @@ router.use(authenticateToken);
 
 // Issue single certificate (organizers only)
 router.post("/", 
-  requireRole(["organizer"]), 
   validate(issueCertificateWithValidation), 
   issueCertificate
 );
 
 // Bulk issue certificates (organizers only)
 router.post("/bulk-issue", 
-  requireRole(["organizer"]), 
   validate(bulkIssueCertificateWithValidation), 
   bulkIssueCertificates
 );
@@ -50,13 +48,11 @@ router.get("/templates", getTemplates);
 
 // Generate certificate data (organizers only)
 router.post("/generate", 
-  requireRole(["organizer"]), 
   generateCertificate
 );
 
 // Get certificates by event (organizers and judges only)
 router.get("/event/:eventId", 
-  requireRole(["organizer", "judge"]), 
   validate(getCertificatesByEventWithValidation), 
   getCertificatesByEvent
 );
@@ -69,14 +65,12 @@ router.get("/:id",
 
 // Update certificate (organizers only)
 router.patch("/:id", 
-  requireRole(["organizer"]), 
   validate(updateCertificateWithValidation), 
   updateCertificate
 );
 
 // Delete certificate (organizers only)
 router.delete("/:id", 
-  requireRole(["organizer"]), 
   validate(deleteCertificateWithValidation), 
   deleteCertificate
 );
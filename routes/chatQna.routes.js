@@ -7,9 +7,22 @@ import {
   updateChatMessage,
   deleteChatMessage,
   updateChatReply,
-  deleteChatReply
+  deleteChatReply,
+  streamEventChat,
+  updateChatStatus,
+  pinChatMessage,
+  upvoteChatMessage,
+  removeChatUpvote,
+  setAcceptedReply,
+  setChatMessageHidden,
+  setChatReplyHidden
 } from "../controllers/chatQna.controller.js";
-import { authenticateToken } from "../middlewares/auth.middleware.js";
+import {
+  authenticateToken,
+  authenticateStreamToken,
+  requirePermission
+} from "../middlewares/auth.middleware.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
 import { validate } from "../middlewares/validation.middleware.js";
 import {
   createChatMessageWithValidation,
@@ -19,12 +32,27 @@ import {
   getChatByEventWithValidation,
   deleteChatWithValidation,
   updateReplyWithValidation,
-  deleteReplyWithValidation
+  deleteReplyWithValidation,
+  streamChatWithValidation,
+  updateChatStatusWithValidation,
+  pinChatMessageWithValidation,
+  upvoteChatWithValidation,
+  acceptReplyWithValidation,
+  hideChatMessageWithValidation,
+  hideChatReplyWithValidation
 } from "../validators/chatQna.validators.js";
 
 const router = express.Router();
 
-// All routes require authentication
+// Live updates for an event's chat (Server-Sent Events), also takes the token as ?token=
+router.get("/event/:eventId/stream",
+  authenticateStreamToken,
+  validate(streamChatWithValidation),
+  requirePermission(PermissionEnum.EVENT_VIEW),
+  streamEventChat
+);
+
+// All other routes require authentication
 router.use(authenticateToken);
 
 // Create new chat message
@@ -57,6 +85,42 @@ router.delete("/:id",
   deleteChatMessage
 );
 
+// Set question status (moderators)
+router.patch("/:id/status", 
+  validate(updateChatStatusWithValidation), 
+  updateChatStatus
+);
+
+// Pin or unpin question (moderators)
+router.patch("/:id/pin", 
+  validate(pinChatMessageWithValidation), 
+  pinChatMessage
+);
+
+// Upvote question
+router.post("/:id/upvote", 
+  validate(upvoteChatWithValidation), 
+  upvoteChatMessage
+);
+
+// Remove upvote
+router.delete("/:id/upvote", 
+  validate(upvoteChatWithValidation), 
+  removeChatUpvote
+);
+
+// Accept or clear the answer (moderators)
+router.patch("/:id/accepted-reply", 
+  validate(acceptReplyWithValidation), 
+  setAcceptedReply
+);
+
+// Hide or unhide question (moderators)
+router.patch("/:id/hidden", 
+  validate(hideChatMessageWithValidation), 
+  setChatMessageHidden
+);
+
 // Add reply to chat message
 router.post("/:chatId/reply", 
   validate(addReplyWithValidation), 
@@ -75,4 +139,10 @@ router.delete("/:chatId/reply/:replyId",
   deleteChatReply
 );
 
+// Hide or unhide reply (moderators)
+router.patch("/:chatId/reply/:replyId/hidden", 
+  validate(hideChatReplyWithValidation), 
+  setChatReplyHidden
+);
+
 export default router;
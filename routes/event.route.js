@@ -14,9 +14,119 @@ import {
     getEventEnrollments,
     getEnrollmentStats,
     updateEnrollmentTeam,
-    getEventForParticipant
+    getEventForParticipant,
+    getEventPhaseInfo,
+    setEventPhaseOverride
 } from "../controllers/event.controller.js";
-import { authenticateToken, requireRole } from "../middlewares/auth.middleware.js";
+import {
+    assignJudge,
+    getEventJudges,
+    removeJudgeAssignment
+} from "../controllers/judge.controller.js";
+import {
+    getEventStaff,
+    addEventStaff,
+    updateEventStaff,
+    removeEventStaff,
+    getMyStaffEvents
+} from "../controllers/event-staff.controller.js";
+import {
+    getEventLeaderboard,
+    publishEventLeaderboard
+} from "../controllers/leaderboard.controller.js";
+import {
+    getRubric,
+    upsertRubric,
+    deleteRubric
+} from "../controllers/rubric.controller.js";
+import {
+    getEventTracks,
+    createTrack,
+    updateTrack,
+    deleteTrack
+} from "../controllers/track.controller.js";
+import {
+    getEventSponsors,
+    createSponsor,
+    updateSponsor,
+    deleteSponsor
+} from "../controllers/sponsor.controller.js";
+import {
+    getEventPrizes,
+    createPrize,
+    updatePrize,
+    deletePrize,
+    awardPrize,
+    revokePrizeAward
+} from "../controllers/prize.controller.js";
+import {
+    getEventRounds,
+    createRound,
+    updateRound,
+    deleteRound,
+    advanceTeams,
+    getQualifiedTeams,
+    removeQualification
+} from "../controllers/round.controller.js";
+import { authenticateToken, requireRole, requirePermission } from "../middlewares/auth.middleware.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { validate } from "../middlewares/validation.middleware.js";
+import {
+    getEventPhaseWithValidation,
+    setEventPhaseWithValidation
+} from "../validators/event.validators.js";
+import {
+    assignJudgeWithValidation,
+    getEventJudgesWithValidation,
+    removeJudgeAssignmentWithValidation
+} from "../validators/judge.validators.js";
+import {
+    getEventStaffWithValidation,
+    addEventStaffWithValidation,
+    updateEventStaffWithValidation,
+    removeEventStaffWithValidation
+} from "../validators/event-staff.validators.js";
+import {
+    getLeaderboardWithValidation,
+    publishLeaderboardWithValidation
+} from "../validators/leaderboard.validators.js";
+import {
+    getRubricWithValidation,
+    upsertRubricWithValidation,
+    deleteRubricWithValidation,
+    getRoundRubricWithValidation,
+    upsertRoundRubricWithValidation,
+    deleteRoundRubricWithValidation
+} from "../validators/rubric.validators.js";
+import {
+    getTracksWithValidation,
+    createTrackWithValidation,
+    updateTrackWithValidation,
+    deleteTrackWithValidation
+} from "../validators/track.validators.js";
+import {
+    getSponsorsWithValidation,
+    createSponsorWithValidation,
+    updateSponsorWithValidation,
+    deleteSponsorWithValidation
+} from "../validators/sponsor.validators.js";
+import {
+    getPrizesWithValidation,
+    createPrizeWithValidation,
+    updatePrizeWithValidation,
+    deletePrizeWithValidation,
+    awardPrizeWithValidation,
+    revokePrizeAwardWithValidation
+} from "../validators/prize.validators.js";
+import {
+    getRoundsWithValidation,
+    createRoundWithValidation,
+    updateRoundWithValidation,
+    deleteRoundWithValidation,
+    advanceTeamsWithValidation,
+    getQualifiedTeamsWithValidation,
+    removeQualificationWithValidation
+} from "../validators/round.validators.js";
 
 const router = express.Router();
 
@@ -28,8 +138,12 @@ router.get('/upcoming', authenticateToken, getUpcomingEvents);
 router.get('/:id/participant', authenticateToken, requireRole(['participant']), getEventForParticipant);
 router.get('/:id', authenticateToken, getEventById);
 router.get('/organizer/:organizerId', authenticateToken, getEventByOrganizerId);
-router.patch('/update/:id', authenticateToken, requireRole(["organizer"]), updateEvent);
-router.delete('/delete/:id', authenticateToken, requireRole(["organizer"]), deleteEvent);
+router.patch('/update/:id', authenticateToken, updateEvent);
+router.delete('/delete/:id', authenticateToken, deleteEvent);
+
+// Event phase
+router.get('/:eventId/phase', authenticateToken, validate(getEventPhaseWithValidation), getEventPhaseInfo);
+router.patch('/:eventId/phase', authenticateToken, validate(setEventPhaseWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), setEventPhaseOverride);
 
 // Event Enrollment operations
 router.post('/:eventId/enroll', authenticateToken, requireRole(['participant']), enrollToEvent);
@@ -37,8 +151,61 @@ router.post('/:eventId/cancel', authenticateToken, requireRole(['participant']),
 router.get('/my/enrollments', authenticateToken, requireRole(['participant']), getUserEnrollments);
 
 // Organizer-only enrollment management
-router.get('/:eventId/enrollments', authenticateToken, requireRole(["organizer"]), getEventEnrollments);
-router.get('/:eventId/enrollment-stats', authenticateToken, requireRole(["organizer"]), getEnrollmentStats);
+router.get('/:eventId/enrollments', authenticateToken, getEventEnrollments);
+router.get('/:eventId/enrollment-stats', authenticateToken, getEnrollmentStats);
+
+// Event staff (owner, co-organizers, moderators, judges, mentors)
+router.get('/my/staff', authenticateToken, getMyStaffEvents);
+router.get('/:eventId/staff', authenticateToken, validate(getEventStaffWithValidation), getEventStaff);
+router.post('/:eventId/staff', authenticateToken, validate(addEventStaffWithValidation), addEventStaff);
+router.patch('/:eventId/staff/:userId', authenticateToken, validate(updateEventStaffWithValidation), updateEventStaff);
+router.delete('/:eventId/staff/:userId', authenticateToken, validate(removeEventStaffWithValidation), removeEventStaff);
+
+// Judge assignments (event organizer only)
+router.post('/:eventId/judges', authenticateToken, validate(assignJudgeWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), assignJudge);
+router.get('/:eventId/judges', authenticateToken, validate(getEventJudgesWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), getEventJudges);
+router.delete('/:eventId/judges/:assignmentId', authenticateToken, validate(removeJudgeAssignmentWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), removeJudgeAssignment);
+
+// Judging rubric
+router.get('/:eventId/rubric', authenticateToken, validate(getRubricWithValidation), getRubric);
+router.put('/:eventId/rubric', authenticateToken, validate(upsertRubricWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), upsertRubric);
+router.delete('/:eventId/rubric', authenticateToken, validate(deleteRubricWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), deleteRubric);
+
+// Tracks
+router.get('/:eventId/tracks', authenticateToken, validate(getTracksWithValidation), getEventTracks);
+router.post('/:eventId/tracks', authenticateToken, validate(createTrackWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), createTrack);
+router.patch('/:eventId/tracks/:trackId', authenticateToken, validate(updateTrackWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), updateTrack);
+router.delete('/:eventId/tracks/:trackId', authenticateToken, validate(deleteTrackWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), deleteTrack);
+
+// Sponsors
+router.get('/:eventId/sponsors', authenticateToken, validate(getSponsorsWithValidation), getEventSponsors);
+router.post('/:eventId/sponsors', authenticateToken, validate(createSponsorWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), createSponsor);
+router.patch('/:eventId/sponsors/:sponsorId', authenticateToken, validate(updateSponsorWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), updateSponsor);
+router.delete('/:eventId/sponsors/:sponsorId', authenticateToken, validate(deleteSponsorWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), deleteSponsor);
+
+// Prizes and winners
+router.get('/:eventId/prizes', authenticateToken, validate(getPrizesWithValidation), getEventPrizes);
+router.post('/:eventId/prizes', authenticateToken, validate(createPrizeWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), createPrize);
+router.patch('/:eventId/prizes/:prizeId', authenticateToken, validate(updatePrizeWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), updatePrize);
+router.delete('/:eventId/prizes/:prizeId', authenticateToken, validate(deletePrizeWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), deletePrize);
+router.post('/:eventId/prizes/:prizeId/awards', authenticateToken, validate(awardPrizeWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), awardPrize);
+router.delete('/:eventId/prizes/:prizeId/awards/:awardId', authenticateToken, validate(revokePrizeAwardWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), revokePrizeAward);
+
+// Rounds and qualification
+router.get('/:eventId/rounds', authenticateToken, validate(getRoundsWithValidation), getEventRounds);
+router.post('/:eventId/rounds', authenticateToken, validate(createRoundWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), createRound);
+router.patch('/:eventId/rounds/:roundNumber', authenticateToken, validate(updateRoundWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), updateRound);
+router.delete('/:eventId/rounds/:roundNumber', authenticateToken, validate(deleteRoundWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), deleteRound);
+router.get('/:eventId/rounds/:roundNumber/rubric', authenticateToken, validate(getRoundRubricWithValidation), getRubric);
+router.put('/:eventId/rounds/:roundNumber/rubric', authenticateToken, validate(upsertRoundRubricWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), upsertRubric);
+router.delete('/:eventId/rounds/:roundNumber/rubric', authenticateToken, validate(deleteRoundRubricWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), deleteRubric);
+router.post('/:eventId/rounds/:roundNumber/advance', authenticateToken, validate(advanceTeamsWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), advanceTeams);
+router.get('/:eventId/rounds/:roundNumber/qualified', authenticateToken, validate(getQualifiedTeamsWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), getQualifiedTeams);
+router.delete('/:eventId/rounds/:roundNumber/qualified/:teamId', authenticateToken, validate(removeQualificationWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), removeQualification);
+
+// Leaderboard (event organizer only)
+router.get('/:eventId/leaderboard', authenticateToken, validate(getLeaderboardWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), getEventLeaderboard);
+router.post('/:eventId/leaderboard', authenticateToken, validate(publishLeaderboardWithValidation), requirePermission(PermissionEnum.EVENT_MANAGE), publishEventLeaderboard);
 
 // Team association in enrollment
 router.patch('/:eventId/enrollment/team', authenticateToken, updateEnrollmentTeam);
@@ -0,0 +1,63 @@
+import express from "express";
+import {
+  getBoard,
+  upsertMyListing,
+  deleteMyListing,
+  upsertTeamListing,
+  deleteTeamListing,
+  getMatches
+} from "../controllers/matchmaking.controller.js";
+import { authenticateToken, requireRole } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validation.middleware.js";
+import {
+  getBoardWithValidation,
+  upsertMyListingWithValidation,
+  deleteMyListingWithValidation,
+  upsertTeamListingWithValidation,
+  deleteTeamListingWithValidation,
+  getMatchesWithValidation
+} from "../validators/matchmaking.validators.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// "Looking for team" board for an event
+router.get("/event/:eventId",
+  validate(getBoardWithValidation),
+  getBoard
+);
+
+// Suggested teams (or, with teamId, suggested teammates)
+router.get("/event/:eventId/matches",
+  requireRole(["participant"]),
+  validate(getMatchesWithValidation),
+  getMatches
+);
+
+// Own listing as a solo participant
+router.put("/event/:eventId/me",
+  requireRole(["participant"]),
+  validate(upsertMyListingWithValidation),
+  upsertMyListing
+);
+
+router.delete("/event/:eventId/me",
+  requireRole(["participant"]),
+  validate(deleteMyListingWithValidation),
+  deleteMyListing
+);
+
+// Team listing (team leader or co-leader)
+router.put("/event/:eventId/teams/:teamId",
+  validate(upsertTeamListingWithValidation),
+  upsertTeamListing
+);
+
+router.delete("/event/:eventId/teams/:teamId",
+  validate(deleteTeamListingWithValidation),
+  deleteTeamListing
+);
+
+export default router;
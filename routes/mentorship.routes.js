@@ -0,0 +1,126 @@
+import express from "express";
+import {
+  createHelpTicket,
+  getEventTickets,
+  getEventTicketStats,
+  getTeamTickets,
+  getHelpTicketById,
+  claimHelpTicket,
+  releaseHelpTicket,
+  resolveHelpTicket,
+  cancelHelpTicket
+} from "../controllers/help-ticket.controller.js";
+import {
+  createOfficeHourSlot,
+  getEventOfficeHours,
+  updateOfficeHourSlot,
+  deleteOfficeHourSlot,
+  bookOfficeHourSlot,
+  cancelOfficeHourBooking
+} from "../controllers/office-hour.controller.js";
+import { authenticateToken, requirePermission } from "../middlewares/auth.middleware.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { validate } from "../middlewares/validation.middleware.js";
+import {
+  createHelpTicketWithValidation,
+  getEventTicketsWithValidation,
+  getEventTicketStatsWithValidation,
+  getTeamTicketsWithValidation,
+  helpTicketIdWithValidation,
+  resolveHelpTicketWithValidation,
+  createSlotWithValidation,
+  getEventOfficeHoursWithValidation,
+  updateSlotWithValidation,
+  deleteSlotWithValidation,
+  bookSlotWithValidation,
+  cancelBookingWithValidation
+} from "../validators/mentorship.validators.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Help tickets
+router.post("/tickets",
+  validate(createHelpTicketWithValidation),
+  createHelpTicket
+);
+
+router.get("/tickets/:id",
+  validate(helpTicketIdWithValidation),
+  getHelpTicketById
+);
+
+router.post("/tickets/:id/claim",
+  validate(helpTicketIdWithValidation),
+  claimHelpTicket
+);
+
+router.post("/tickets/:id/release",
+  validate(helpTicketIdWithValidation),
+  releaseHelpTicket
+);
+
+router.post("/tickets/:id/resolve",
+  validate(resolveHelpTicketWithValidation),
+  resolveHelpTicket
+);
+
+router.post("/tickets/:id/cancel",
+  validate(helpTicketIdWithValidation),
+  cancelHelpTicket
+);
+
+router.get("/team/:teamId/tickets",
+  validate(getTeamTicketsWithValidation),
+  getTeamTickets
+);
+
+// Help-ticket queue (mentors)
+router.get("/event/:eventId/tickets",
+  validate(getEventTicketsWithValidation),
+  requirePermission(PermissionEnum.EVENT_MENTOR),
+  getEventTickets
+);
+
+router.get("/event/:eventId/tickets/stats",
+  validate(getEventTicketStatsWithValidation),
+  requirePermission(PermissionEnum.EVENT_MENTOR),
+  getEventTicketStats
+);
+
+// Office hours
+router.get("/event/:eventId/office-hours",
+  validate(getEventOfficeHoursWithValidation),
+  requirePermission(PermissionEnum.EVENT_VIEW),
+  getEventOfficeHours
+);
+
+router.post("/event/:eventId/office-hours",
+  validate(createSlotWithValidation),
+  requirePermission(PermissionEnum.EVENT_MENTOR),
+  createOfficeHourSlot
+);
+
+router.patch("/office-hours/:id",
+  validate(updateSlotWithValidation),
+  updateOfficeHourSlot
+);
+
+router.delete("/office-hours/:id",
+  validate(deleteSlotWithValidation),
+  deleteOfficeHourSlot
+);
+
+router.post("/office-hours/:id/bookings",
+  validate(bookSlotWithValidation),
+  bookOfficeHourSlot
+);
+
+router.delete("/office-hours/:id/bookings/:teamId",
+  validate(cancelBookingWithValidation),
+  cancelOfficeHourBooking
+);
+
+export default router;
@@ -0,0 +1,64 @@
+import express from "express";
+import {
+  createReport,
+  getEventReports,
+  reviewReport,
+  getEventMutes,
+  muteUser,
+  unmuteUser
+} from "../controllers/moderation.controller.js";
+import { authenticateToken, requirePermission } from "../middlewares/auth.middleware.js";
+import { PermissionEnum } from "../enums/permission.enum.js";
+import { validate } from "../middlewares/validation.middleware.js";
+import {
+  createReportWithValidation,
+  getEventReportsWithValidation,
+  reviewReportWithValidation,
+  getEventMutesWithValidation,
+  muteUserWithValidation,
+  unmuteUserWithValidation
+} from "../validators/moderation.validators.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Reports
+router.post("/reports",
+  validate(createReportWithValidation),
+  createReport
+);
+
+router.patch("/reports/:id",
+  validate(reviewReportWithValidation),
+  reviewReport
+);
+
+// Moderation queue (moderators)
+router.get("/event/:eventId/reports",
+  validate(getEventReportsWithValidation),
+  requirePermission(PermissionEnum.EVENT_MODERATE),
+  getEventReports
+);
+
+// Chat mutes (moderators)
+router.get("/event/:eventId/mutes",
+  validate(getEventMutesWithValidation),
+  requirePermission(PermissionEnum.EVENT_MODERATE),
+  getEventMutes
+);
+
+router.post("/event/:eventId/mutes",
+  validate(muteUserWithValidation),
+  requirePermission(PermissionEnum.EVENT_MODERATE),
+  muteUser
+);
+
+router.delete("/event/:eventId/mutes/:userId",
+  validate(unmuteUserWithValidation),
+  requirePermission(PermissionEnum.EVENT_MODERATE),
+  unmuteUser
+);
+
+export default router;
@@ -0,0 +1,56 @@
+import express from "express";
+import {
+  getMyNotifications,
+  getUnreadCount,
+  markNotification,
+  markAllNotificationsRead,
+  deleteNotification,
+  getMyNotificationPreferences,
+  updateMyNotificationPreferences
+} from "../controllers/notification.controller.js";
+import { authenticateToken } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validation.middleware.js";
+import {
+  getNotificationsWithValidation,
+  markNotificationWithValidation,
+  markAllReadWithValidation,
+  deleteNotificationWithValidation,
+  updatePreferencesWithValidation
+} from "../validators/notification.validators.js";
+
+const router = express.Router();
+
+// All routes require authentication and only touch the user's own inbox
+router.use(authenticateToken);
+
+router.get("/",
+  validate(getNotificationsWithValidation),
+  getMyNotifications
+);
+
+router.get("/unread-count", getUnreadCount);
+
+router.post("/read-all",
+  validate(markAllReadWithValidation),
+  markAllNotificationsRead
+);
+
+// Channel preferences
+router.get("/preferences", getMyNotificationPreferences);
+
+router.put("/preferences",
+  validate(updatePreferencesWithValidation),
+  updateMyNotificationPreferences
+);
+
+router.patch("/:id",
+  validate(markNotificationWithValidation),
+  markNotification
+);
+
+router.delete("/:id",
+  validate(deleteNotificationWithValidation),
+  deleteNotification
+);
+
+export default router;
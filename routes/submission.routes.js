@@ -8,6 +8,7 @@ import {
   deleteSubmission,
   getMySubmissions,
   judgeSubmission,
+  getSubmissionScorecards,
   getAllSubmissions
 } from "../controllers/submission.controller.js";
 import { authenticateToken, requireRole } from "../middlewares/auth.middleware.js";
@@ -18,7 +19,9 @@ import {
   getSubmissionWithValidation,
   getSubmissionsByEventWithValidation,
   getSubmissionsByTeamWithValidation,
-  deleteSubmissionWithValidation
+  deleteSubmissionWithValidation,
+  judgeSubmissionWithValidation,
+  getScorecardsWithValidation
 } from "../validators/submission.validators.js";
 
 const router = express.Router();
@@ -34,7 +37,6 @@ router.get("/",
 
 // Create submission (participants only)
 router.post("/", 
-  requireRole(["participant"]), 
   validate(createSubmissionWithValidation), 
   createSubmission
 );
@@ -67,22 +69,26 @@ router.get("/:id",
 
 // Update submission (team members only)
 router.patch("/:id", 
-  requireRole(["participant"]), 
   validate(updateSubmissionWithValidation), 
   updateSubmission
 );
 
 // Delete submission (team leaders only)
 router.delete("/:id", 
-  requireRole(["participant"]), 
   validate(deleteSubmissionWithValidation), 
   deleteSubmission
 );
 
-// Judge submission (organizers and judges only)
+// Judge submission (event organizer or assigned judges only)
 router.patch("/:id/judge", 
-  requireRole(["organizer", "judge"]), 
+  validate(judgeSubmissionWithValidation), 
   judgeSubmission
 );
 
+// Get judges' scorecards for a submission
+router.get("/:id/scorecards", 
+  validate(getScorecardsWithValidation), 
+  getSubmissionScorecards
+);
+
 export default router;
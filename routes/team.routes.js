@@ -9,7 +9,23 @@ import {
   updateTeam,
   removeMember,
   deleteTeam,
+  transferLeadership,
+  updateMemberRole,
 } from "../controllers/team.controller.js";
+import {
+  updateJoinPolicy,
+  createTeamInvite,
+  getTeamInvites,
+  revokeTeamInvite,
+  getInviteByCode,
+  acceptTeamInvite,
+  createJoinRequest,
+  getTeamJoinRequests,
+  getMyJoinRequests,
+  cancelJoinRequest,
+  approveJoinRequest,
+  declineJoinRequest,
+} from "../controllers/team-join.controller.js";
 import { authenticateToken } from "../middlewares/auth.middleware.js";
 import { validate } from "../middlewares/validation.middleware.js";
 import {
@@ -21,6 +37,16 @@ import {
   removeMemberWithValidation,
   deleteTeamWithValidation,
   getTeamsByEventWithValidation,
+  updateJoinPolicyWithValidation,
+  createInviteWithValidation,
+  getTeamInvitesWithValidation,
+  revokeInviteWithValidation,
+  inviteCodeWithValidation,
+  createJoinRequestWithValidation,
+  getJoinRequestsWithValidation,
+  joinRequestActionWithValidation,
+  transferLeadershipWithValidation,
+  updateMemberRoleWithValidation,
 } from "../validators/team.validators.js";
 
 const router = express.Router();
@@ -31,6 +57,16 @@ router.post("/", validate(createTeamWithValidation), createTeam);
 
 router.get("/my-teams", getUserTeams);
 
+router.get("/my-join-requests", getMyJoinRequests);
+
+router.get("/invites/:code", validate(inviteCodeWithValidation), getInviteByCode);
+
+router.post(
+  "/invites/:code/accept",
+  validate(inviteCodeWithValidation),
+  acceptTeamInvite
+);
+
 router.get(
   "/event/:eventId",
   validate(getTeamsByEventWithValidation),
@@ -47,10 +83,76 @@ router.post("/:teamId/join", validate(joinTeamWithValidation), joinTeam);
 
 router.post("/:teamId/leave", validate(leaveTeamWithValidation), leaveTeam);
 
+router.patch(
+  "/:teamId/join-policy",
+  validate(updateJoinPolicyWithValidation),
+  updateJoinPolicy
+);
+
+router.post(
+  "/:teamId/invites",
+  validate(createInviteWithValidation),
+  createTeamInvite
+);
+
+router.get(
+  "/:teamId/invites",
+  validate(getTeamInvitesWithValidation),
+  getTeamInvites
+);
+
+router.delete(
+  "/:teamId/invites/:inviteId",
+  validate(revokeInviteWithValidation),
+  revokeTeamInvite
+);
+
+router.post(
+  "/:teamId/join-requests",
+  validate(createJoinRequestWithValidation),
+  createJoinRequest
+);
+
+router.get(
+  "/:teamId/join-requests",
+  validate(getJoinRequestsWithValidation),
+  getTeamJoinRequests
+);
+
+router.delete(
+  "/:teamId/join-requests/:requestId",
+  validate(joinRequestActionWithValidation),
+  cancelJoinRequest
+);
+
+router.post(
+  "/:teamId/join-requests/:requestId/approve",
+  validate(joinRequestActionWithValidation),
+  approveJoinRequest
+);
+
+router.post(
+  "/:teamId/join-requests/:requestId/decline",
+  validate(joinRequestActionWithValidation),
+  declineJoinRequest
+);
+
 router.delete(
   "/:teamId/members/:memberId",
   validate(removeMemberWithValidation),
   removeMember
 );
 
+router.patch(
+  "/:teamId/members/:memberId/role",
+  validate(updateMemberRoleWithValidation),
+  updateMemberRole
+);
+
+router.post(
+  "/:teamId/transfer-leadership",
+  validate(transferLeadershipWithValidation),
+  transferLeadership
+);
+
 export default router;
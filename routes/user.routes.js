@@ -1,19 +1,76 @@
 import express from "express";
-import { createUser, getAllUsers, getUserById, login, searchUsers, updateUser } from "../controllers/user.controller.js";
-import { authenticateToken } from "../middlewares/auth.middleware.js";
+import {
+  createUser,
+  getAllUsers,
+  getUserById,
+  login,
+  searchUsers,
+  updateUser,
+  refreshSession,
+  startOAuth,
+  oauthCallback,
+  logout,
+  logoutAll,
+  getMySessions,
+  revokeMySession,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword
+} from "../controllers/user.controller.js";
+import { authenticateToken, requireRole } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validation.middleware.js";
+import { rateLimitByIp } from "../middlewares/rateLimit.middleware.js";
+import { Env } from "../config/env.config.js";
+import {
+  refreshTokenWithValidation,
+  startOAuthWithValidation,
+  oauthCallbackWithValidation,
+  revokeSessionWithValidation,
+  verifyEmailWithValidation,
+  forgotPasswordWithValidation,
+  resetPasswordWithValidation
+} from "../validators/user.validators.js";
 
 const router = express.Router();
 
+const RATE_LIMIT_WINDOW_MS = parseInt(Env.RATE_LIMIT_WINDOW_MINUTES) * 60 * 1000;
+
+const loginIpLimit = rateLimitByIp({
+  name: 'login',
+  limit: parseInt(Env.LOGIN_MAX_ATTEMPTS_PER_IP),
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  message: "Too many login attempts from this IP, please try again later"
+});
+
+const signupIpLimit = rateLimitByIp({
+  name: 'signup',
+  limit: parseInt(Env.SIGNUP_MAX_ATTEMPTS_PER_IP),
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  message: "Too many sign-up attempts from this IP, please try again later"
+});
+
 // Public routes
-router.post('/create', createUser);
-router.post('/login', login);
+router.post('/create', signupIpLimit, createUser);
+router.post('/login', loginIpLimit, login);
+router.post('/refresh', validate(refreshTokenWithValidation), refreshSession);
+router.get('/oauth/:provider', validate(startOAuthWithValidation), startOAuth);
+router.get('/oauth/:provider/callback', validate(oauthCallbackWithValidation), oauthCallback);
+router.post('/verify-email', validate(verifyEmailWithValidation), verifyEmail);
+router.post('/password/forgot', validate(forgotPasswordWithValidation), forgotPassword);
+router.post('/password/reset', validate(resetPasswordWithValidation), resetPassword);
 
 // Protected routes (require authentication)
 // NOTE: Specific routes MUST come before parameterized routes
+router.post('/verify-email/request', authenticateToken, requestEmailVerification);
+router.post('/logout', authenticateToken, logout);
+router.post('/logout-all', authenticateToken, logoutAll);
+router.get('/sessions', authenticateToken, getMySessions);
+router.delete('/sessions/:sessionId', authenticateToken, validate(revokeSessionWithValidation), revokeMySession);
 router.get('/search', authenticateToken, searchUsers);
 router.get('/:id', authenticateToken, getUserById);
 router.patch('/update/:userid', authenticateToken, updateUser);
 
-router.get('/', authenticateToken, getAllUsers);
+router.get('/', authenticateToken, requireRole(["admin"]), getAllUsers);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,97 @@
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Usage:
+//   npm run db:migrate [-- --to <version>]
+//   npm run db:rollback [-- --steps <n> | --to <version>]
+//   npm run db:migrate:status
+//   npm run db:migrate:create -- <name>
+const USAGE = `Usage: node scripts/migrate.js <command>
+  up [--to <version>]                 Apply pending migrations
+  down [--steps <n> | --to <version>] Roll back the last n migrations (default 1) or every one above a version
+  status                              List migrations and whether they are applied
+  create <name>                       Create an empty numbered migration`;
+
+const MIGRATION_TEMPLATE = `// Describe the schema change
+export const up = async (query) => {
+  await query(\`\`);
+};
+
+export const down = async (query) => {
+  await query(\`\`);
+};
+`;
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../migrations");
+
+const [command, ...args] = process.argv.slice(2);
+
+const readNumberOption = (name) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} needs a whole number`);
+  }
+  return value;
+};
+
+const createMigration = async (name) => {
+  const slug = (name || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  if (!slug) throw new Error("create needs a migration name");
+
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const lastVersion = Math.max(0, ...files.map((file) => Number(/^(\d+)-/.exec(file)?.[1] ?? 0)));
+  const file = `${String(lastVersion + 1).padStart(3, "0")}-${slug}.js`;
+
+  await fs.writeFile(path.join(MIGRATIONS_DIR, file), MIGRATION_TEMPLATE, { flag: "wx" });
+  console.log(`✅ Created migrations/${file}`);
+};
+
+const runDatabaseCommand = async () => {
+  // Imported here because importing the SQL config opens a connection, which create doesn't need
+  const { default: poolPromise } = await import("../config/sql.config.js");
+  const { migrate, rollback, getMigrationStatus } = await import("../utils/migration.util.js");
+  const pool = await poolPromise;
+
+  try {
+    if (command === "up") {
+      const ran = await migrate({ to: readNumberOption("to") });
+      if (ran.length === 0) console.log("✅ Database is up to date");
+    } else if (command === "down") {
+      const rolledBack = await rollback({ steps: readNumberOption("steps") ?? 1, to: readNumberOption("to") });
+      if (rolledBack.length === 0) console.log("Nothing to roll back");
+    } else {
+      const status = await getMigrationStatus();
+      console.table(
+        status.map(({ version, name, appliedAt, missingFile }) => ({
+          version,
+          name,
+          status: missingFile ? "applied, file missing" : appliedAt ? "applied" : "pending",
+          appliedAt: appliedAt ? appliedAt.toISOString() : "",
+        }))
+      );
+    }
+  } finally {
+    await pool.close();
+  }
+};
+
+const main = async () => {
+  if (command === "create") {
+    await createMigration(args.join(" "));
+  } else if (["up", "down", "status"].includes(command)) {
+    await runDatabaseCommand();
+  } else {
+    console.log(USAGE);
+    process.exitCode = command ? 1 : 0;
+  }
+};
+
+main().catch((error) => {
+  console.error("❌ Migration failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+import "dotenv/config";
+import poolPromise from "../config/sql.config.js";
+import { executeParameterizedQuery } from "../utils/sql.util.js";
+
+// Usage: npm run admin:promote -- <email>
+// Creates the first admin; after that, admins can re-role users through the admin API
+const email = (process.argv[2] || "").trim().toLowerCase();
+
+const main = async () => {
+  if (!email) {
+    console.log("Usage: npm run admin:promote -- <email>");
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = await poolPromise;
+
+  try {
+    const result = await executeParameterizedQuery(
+      `UPDATE users SET role = 'admin' OUTPUT INSERTED.userid, INSERTED.name WHERE email = @email`,
+      { email }
+    );
+
+    if (result.recordset.length === 0) {
+      console.error(`❌ No user with email ${email}`);
+      process.exitCode = 1;
+    } else {
+      const { userid, name } = result.recordset[0];
+      console.log(`✅ ${name} (user ${userid}) is now an admin`);
+    }
+  } finally {
+    await pool.close();
+  }
+};
+
+main().catch((error) => {
+  console.error("❌ Promotion failed:", error.message);
+  process.exit(1);
+});
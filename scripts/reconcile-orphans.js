@@ -0,0 +1,39 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import { Env } from "../config/env.config.js";
+import poolPromise from "../config/sql.config.js";
+import { reconcileOrphans } from "../utils/consistency.util.js";
+
+// Usage: npm run reconcile [-- --repair]
+const repair = process.argv.includes("--repair");
+
+const main = async () => {
+  await mongoose.connect(Env.MONGO_URI);
+  const pool = await poolPromise;
+
+  try {
+    const report = await reconcileOrphans({ repair });
+
+    if (report.length === 0) {
+      console.log("✅ No orphaned Mongo documents found");
+    } else {
+      console.table(
+        report.map(({ reference, orphanIds, documents, repaired }) => ({
+          reference,
+          missingIds: orphanIds.join(", "),
+          documents,
+          repaired,
+        }))
+      );
+      if (!repair) console.log("Run with --repair to apply the delete policy to these documents");
+    }
+  } finally {
+    await mongoose.disconnect();
+    await pool.close();
+  }
+};
+
+main().catch((error) => {
+  console.error("❌ Reconciliation failed:", error);
+  process.exit(1);
+});
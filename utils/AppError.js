@@ -58,6 +58,16 @@ export class UnauthorizedException extends AppError {
   }
 }
 
+export class ForbiddenException extends AppError {
+  constructor(message = "Forbidden", errorCode) {
+    super(
+      message,
+      HTTPSTATUS.FORBIDDEN,
+      errorCode || ErrorCodeEnum.ACCESS_FORBIDDEN
+    );
+  }
+}
+
 export class InternalServerException extends AppError {
   constructor(
     message = "Internal Server Error",
@@ -69,4 +79,16 @@ export class InternalServerException extends AppError {
       errorCode || ErrorCodeEnum.INTERNAL_SERVER_ERROR
     );
   }
-}
\ No newline at end of file
+}
+export class TooManyRequestsException extends AppError {
+  retryAfter;
+
+  constructor(message = "Too many requests", retryAfter, errorCode) {
+    super(
+      message,
+      HTTPSTATUS.TOO_MANY_REQUESTS,
+      errorCode || ErrorCodeEnum.AUTH_TOO_MANY_ATTEMPTS
+    );
+    this.retryAfter = retryAfter;
+  }
+}
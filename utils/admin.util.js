@@ -0,0 +1,88 @@
+import { withTransaction } from './sql.util.js';
+import { AppError } from './AppError.js';
+import { HTTPSTATUS } from '../config/Https.config.js';
+import { TEAM_ROLES, promoteSuccessor, deleteTeamRows } from './team.util.js';
+
+// Audit columns that must keep pointing at an existing user; the deleting admin takes them over
+const REASSIGNED_AUDIT_COLUMNS = [
+  ['teams', 'CreatedBy'],
+  ['team_invites', 'CreatedBy'],
+  ['prize_awards', 'AwardedBy'],
+  ['round_qualifications', 'QualifiedBy'],
+  ['event_judges', 'AssignedBy'],
+  ['event_staff', 'AddedBy'],
+  ['event_mutes', 'MutedBy'],
+];
+
+// Rows that only make sense for the user themselves
+const OWNED_ROWS = [
+  ['team_join_requests', 'UserID'],
+  ['team_invites', 'InvitedUserID'],
+  ['event_judges', 'JudgeID'],
+  ['event_staff', 'UserID'],
+  ['event_mutes', 'UserID'],
+  ['event_enrollments', 'UserID'],
+  ['user_sessions', 'UserID'],
+  ['user_tokens', 'UserID'],
+  ['user_identities', 'UserID'],
+];
+
+/**
+ * Delete a user and everything in SQL that references them, in one transaction.
+ * The user leaves their teams the way leaveTeam does: leadership is handed over and
+ * a team is only disbanded when nobody is left. Mongo data is cleaned up separately
+ * with cascadeUserDeletion and cascadeTeamDeletion once this resolves.
+ * @param {number} userId - User to delete
+ * @param {number} adminId - Admin performing the deletion
+ * @returns {Promise<{disbandedTeamIds: number[], freedSeatEventIds: number[]}>}
+ */
+export const deleteUserAccount = (userId, adminId) =>
+  withTransaction(async (query) => {
+    const organized = await query(
+      `SELECT COUNT(*) as count FROM events WHERE OrganizerID = @userId`,
+      { userId }
+    );
+    if (organized.recordset[0].count > 0) {
+      throw new AppError(
+        "This user organizes events. Transfer them to another organizer first",
+        HTTPSTATUS.CONFLICT
+      );
+    }
+
+    const memberships = await query(
+      `SELECT TeamId, Role FROM team_members WITH (UPDLOCK) WHERE UserId = @userId`,
+      { userId }
+    );
+
+    const disbandedTeamIds = [];
+    for (const { TeamId: teamId, Role: role } of memberships.recordset) {
+      await query(`DELETE FROM team_members WHERE TeamId = @teamId AND UserId = @userId`, { teamId, userId });
+
+      if (role === TEAM_ROLES.LEADER && !(await promoteSuccessor(teamId, query))) {
+        await deleteTeamRows(query, teamId);
+        disbandedTeamIds.push(teamId);
+      }
+    }
+
+    // Their seats open up for waitlisted users once the deletion is committed
+    const seats = await query(
+      `SELECT EventID FROM event_enrollments WHERE UserID = @userId AND Status = 'Enrolled'`,
+      { userId }
+    );
+
+    for (const [table, column] of REASSIGNED_AUDIT_COLUMNS) {
+      await query(`UPDATE ${table} SET ${column} = @adminId WHERE ${column} = @userId`, { adminId, userId });
+    }
+    await query(`UPDATE team_join_requests SET RespondedBy = NULL WHERE RespondedBy = @userId`, { userId });
+
+    for (const [table, column] of OWNED_ROWS) {
+      await query(`DELETE FROM ${table} WHERE ${column} = @userId`, { userId });
+    }
+
+    await query(`DELETE FROM users WHERE userid = @userId`, { userId });
+
+    return {
+      disbandedTeamIds,
+      freedSeatEventIds: seats.recordset.map((seat) => seat.EventID),
+    };
+  });
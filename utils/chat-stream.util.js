@@ -0,0 +1,81 @@
+import { HTTPSTATUS } from '../config/Https.config.js';
+
+// Live chat updates over Server-Sent Events. Subscribers are kept in memory,
+// so every client of an event has to be connected to the same server instance.
+
+export const CHAT_STREAM_EVENTS = {
+  MESSAGE_CREATED: 'message.created',
+  MESSAGE_UPDATED: 'message.updated',
+  MESSAGE_DELETED: 'message.deleted',
+  MESSAGE_UPVOTED: 'message.upvoted',
+  MESSAGE_HIDDEN: 'message.hidden',
+  REPLY_CREATED: 'reply.created',
+  REPLY_UPDATED: 'reply.updated',
+  REPLY_DELETED: 'reply.deleted',
+  REPLY_HIDDEN: 'reply.hidden',
+};
+
+// Comment lines keep proxies from closing idle connections
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// eventId -> Set of open responses
+const subscribers = new Map();
+
+const writeEvent = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Turn a response into a chat stream for an event. The stream ends when the
+ * client disconnects or, if given, when the access token expires.
+ * @param {number} eventId - Event ID
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} [expiresAt] - Time (ms) at which to close the stream
+ */
+export const openChatStream = (eventId, req, res, expiresAt) => {
+  res.status(HTTPSTATUS.OK).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const key = Number(eventId);
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+  const expiry = expiresAt ? setTimeout(() => res.end(), Math.max(expiresAt - Date.now(), 0)) : null;
+
+  const close = () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+
+    const eventSubscribers = subscribers.get(key);
+    if (!eventSubscribers) return;
+    eventSubscribers.delete(res);
+    if (eventSubscribers.size === 0) subscribers.delete(key);
+  };
+
+  req.on('close', close);
+  res.on('finish', close);
+
+  writeEvent(res, 'ready', { eventId: key });
+};
+
+/**
+ * Push a chat change to everyone streaming the event
+ * @param {number} eventId - Event ID
+ * @param {string} type - CHAT_STREAM_EVENTS value
+ * @param {Object} data - Event payload
+ */
+export const publishChatEvent = (eventId, type, data) => {
+  const eventSubscribers = subscribers.get(Number(eventId));
+  if (!eventSubscribers) return;
+
+  for (const res of eventSubscribers) {
+    writeEvent(res, type, data);
+  }
+};
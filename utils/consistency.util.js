@@ -0,0 +1,203 @@
+import { executeParameterizedQuery } from './sql.util.js';
+import { Env } from '../config/env.config.js';
+import Submission from '../models/submission.model.js';
+import Scorecard from '../models/scorecard.model.js';
+import Rubric from '../models/rubric.model.js';
+import Certificate from '../models/certificate.model.js';
+import Announcement from '../models/announcement.model.js';
+import ChatQnA from '../models/chatQna.model.js';
+import TeammateListing from '../models/teammateListing.model.js';
+import Report from '../models/report.model.js';
+import HelpTicket from '../models/helpTicket.model.js';
+import OfficeHourSlot from '../models/officeHourSlot.model.js';
+import Notification from '../models/notification.model.js';
+import NotificationPreference from '../models/notificationPreference.model.js';
+
+const ON_DELETE = {
+  // The documents are removed
+  DELETE: 'delete',
+  // The documents are kept but hidden, see softDeletePlugin
+  SOFT: 'soft',
+  // For "array.field" references: the matching array entries are removed
+  PULL: 'pull',
+};
+
+/**
+ * Mongo fields that hold SQL ids, grouped by the SQL table they point to, and what
+ * happens to the documents when the row goes. Judge and author ids on scorecards,
+ * submissions and announcements are left alone so past results stay intact.
+ */
+const SQL_REFERENCES = {
+  events: {
+    idColumn: 'EventID',
+    references: [
+      { model: Submission, field: 'eventId', onDelete: ON_DELETE.SOFT },
+      { model: Scorecard, field: 'eventId', onDelete: ON_DELETE.DELETE },
+      { model: Rubric, field: 'eventId', onDelete: ON_DELETE.DELETE },
+      { model: Certificate, field: 'eventId', onDelete: ON_DELETE.SOFT },
+      { model: Announcement, field: 'eventId', onDelete: ON_DELETE.SOFT },
+      { model: ChatQnA, field: 'eventId', onDelete: ON_DELETE.SOFT },
+      { model: TeammateListing, field: 'eventId', onDelete: ON_DELETE.DELETE },
+      { model: Report, field: 'eventId', onDelete: ON_DELETE.DELETE },
+      { model: HelpTicket, field: 'eventId', onDelete: ON_DELETE.DELETE },
+      { model: OfficeHourSlot, field: 'eventId', onDelete: ON_DELETE.DELETE },
+    ],
+  },
+  teams: {
+    idColumn: 'TeamId',
+    references: [
+      { model: Submission, field: 'teamId', onDelete: ON_DELETE.SOFT },
+      { model: TeammateListing, field: 'teamId', filter: { type: 'team' }, onDelete: ON_DELETE.DELETE },
+      { model: HelpTicket, field: 'teamId', onDelete: ON_DELETE.DELETE },
+      { model: OfficeHourSlot, field: 'bookings.teamId', onDelete: ON_DELETE.PULL },
+    ],
+  },
+  users: {
+    idColumn: 'userid',
+    references: [
+      { model: Certificate, field: 'userId', onDelete: ON_DELETE.SOFT },
+      { model: ChatQnA, field: 'fromUserId', onDelete: ON_DELETE.SOFT },
+      // On team listings userId is only the last editor
+      { model: TeammateListing, field: 'userId', filter: { type: 'individual' }, onDelete: ON_DELETE.DELETE },
+      { model: Report, field: 'reportedBy', onDelete: ON_DELETE.DELETE },
+      { model: OfficeHourSlot, field: 'mentorId', onDelete: ON_DELETE.DELETE },
+      { model: Notification, field: 'userId', onDelete: ON_DELETE.DELETE },
+      { model: NotificationPreference, field: 'userId', onDelete: ON_DELETE.DELETE },
+    ],
+  },
+};
+
+const referenceName = ({ model, field }) => `${model.modelName}.${field}`;
+
+const applyOnDelete = (model, query, onDelete, { table, field, id }) => {
+  if (onDelete === ON_DELETE.SOFT) {
+    return model.updateMany(query, { deletedAt: new Date(), deletedReason: `${table}:${id} deleted` });
+  }
+  if (onDelete === ON_DELETE.PULL) {
+    const [arrayPath, entryField] = field.split('.');
+    return model.updateMany(query, { $pull: { [arrayPath]: { [entryField]: id } } });
+  }
+  return model.deleteMany(query);
+};
+
+/**
+ * Apply the delete policy to every Mongo document that references a deleted SQL row
+ * @param {string} table - SQL table: events, teams or users
+ * @param {number} id - Deleted row's ID
+ * @returns {Promise<Object>} Number of documents affected, keyed by Model.field
+ */
+export const cascadeSqlDeletion = async (table, id) => {
+  const affected = {};
+
+  for (const reference of SQL_REFERENCES[table].references) {
+    const { model, field, filter = {}, onDelete } = reference;
+    const query = { ...filter, [field]: id };
+
+    const result = await applyOnDelete(model, query, onDelete, { table, field, id });
+
+    affected[referenceName(reference)] = result.modifiedCount ?? result.deletedCount;
+  }
+
+  return affected;
+};
+
+const cascadeAfterSqlDelete = async (table, id) => {
+  try {
+    await cascadeSqlDeletion(table, id);
+  } catch (error) {
+    // The SQL delete already happened; the reconciliation job cleans up whatever is left
+    console.error(`Mongo cascade error for ${table}:${id}:`, error);
+  }
+};
+
+/**
+ * Clean up Mongo data of a team that was deleted in SQL. Never throws.
+ * @param {number} teamId - Team ID
+ */
+export const cascadeTeamDeletion = (teamId) => cascadeAfterSqlDelete('teams', teamId);
+
+/**
+ * Clean up Mongo data of a user that was deleted in SQL. Never throws.
+ * @param {number} userId - User ID
+ */
+export const cascadeUserDeletion = (userId) => cascadeAfterSqlDelete('users', userId);
+
+/**
+ * Find which of the given IDs no longer exist in a SQL table
+ * @param {string} table - SQL table: events, teams or users
+ * @param {number[]} ids - IDs to look up
+ * @returns {Promise<number[]>} Missing IDs
+ */
+const findMissingIds = async (table, ids) => {
+  if (ids.length === 0) return [];
+
+  const { idColumn } = SQL_REFERENCES[table];
+  const existingQuery = `
+    SELECT ${idColumn} as id FROM ${table}
+    WHERE ${idColumn} IN (SELECT CAST(value AS INT) FROM STRING_SPLIT(@ids, ','))
+  `;
+  const result = await executeParameterizedQuery(existingQuery, { ids: ids.join(',') });
+  const existing = new Set(result.recordset.map((row) => row.id));
+
+  return ids.filter((id) => !existing.has(id));
+};
+
+/**
+ * Find Mongo documents whose SQL references no longer exist, and optionally repair
+ * them with the same policy as cascadeSqlDeletion
+ * @param {Object} options - { repair: boolean }
+ * @returns {Promise<Array>} One entry per reference with orphans ({ table, reference, orphanIds, documents, repaired })
+ */
+export const reconcileOrphans = async ({ repair = false } = {}) => {
+  const report = [];
+
+  for (const [table, { references }] of Object.entries(SQL_REFERENCES)) {
+    for (const reference of references) {
+      const { model, field, filter = {} } = reference;
+
+      const ids = (await model.distinct(field, filter)).filter((id) => id !== null);
+      const orphanIds = await findMissingIds(table, ids);
+      if (orphanIds.length === 0) continue;
+
+      const documents = await model.countDocuments({ ...filter, [field]: { $in: orphanIds } });
+      report.push({ table, reference: referenceName(reference), orphanIds, documents, repaired: false });
+    }
+
+    if (!repair) continue;
+
+    // Repairing an ID covers every reference to it, so each missing row is handled once
+    const tableEntries = report.filter((entry) => entry.table === table);
+    const missingIds = new Set(tableEntries.flatMap((entry) => entry.orphanIds));
+    for (const id of missingIds) {
+      await cascadeSqlDeletion(table, id);
+    }
+    tableEntries.forEach((entry) => {
+      entry.repaired = true;
+    });
+  }
+
+  return report;
+};
+
+/**
+ * Run reconcileOrphans with repair every RECONCILE_INTERVAL_HOURS (0 disables it)
+ */
+export const startReconciliationJob = () => {
+  const intervalHours = Number(Env.RECONCILE_INTERVAL_HOURS);
+  if (!intervalHours || intervalHours <= 0) return;
+
+  const run = async () => {
+    try {
+      const report = await reconcileOrphans({ repair: true });
+      report.forEach(({ reference, orphanIds, documents }) => {
+        console.warn(`Reconciliation repaired ${documents} ${reference} document(s) for missing IDs: ${orphanIds.join(', ')}`);
+      });
+    } catch (error) {
+      console.error('Reconciliation job error:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+  console.log(`✅ Orphan reconciliation scheduled every ${intervalHours} hour(s)`);
+};
@@ -0,0 +1,83 @@
+import { Env } from '../config/env.config.js';
+import { BadRequestException } from './AppError.js';
+import { ErrorCodeEnum } from '../enums/error-code.enum.js';
+
+const BLOCKED_WORDS = Env.CONTENT_FILTER_BLOCKED_WORDS
+  .split(',')
+  .map((word) => word.trim().toLowerCase())
+  .filter(Boolean);
+const MAX_LINKS = parseInt(Env.CONTENT_FILTER_MAX_LINKS) || 0;
+const MAX_REPEATED_CHARS = parseInt(Env.CONTENT_FILTER_MAX_REPEATED_CHARS) || 0;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, so a blocked "ass" doesn't reject "class"
+const BLOCKED_WORDS_PATTERN = BLOCKED_WORDS.length > 0
+  ? new RegExp(`(^|[^\\p{L}\\p{N}])(${BLOCKED_WORDS.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu')
+  : null;
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\./gi;
+
+/**
+ * Check a piece of user content against the configured filter
+ * @param {string} text - Content to check
+ * @returns {string|null} Why the content was rejected, or null if it is allowed
+ */
+export const getContentViolation = (text) => {
+  if (typeof text !== 'string' || text.length === 0) return null;
+
+  if (BLOCKED_WORDS_PATTERN && BLOCKED_WORDS_PATTERN.test(text)) {
+    return "Message contains blocked language";
+  }
+
+  if (MAX_LINKS > 0 && (text.match(LINK_PATTERN) || []).length > MAX_LINKS) {
+    return `Messages can contain at most ${MAX_LINKS} links`;
+  }
+
+  if (MAX_REPEATED_CHARS > 0 && new RegExp(`(.)\\1{${MAX_REPEATED_CHARS},}`, 'su').test(text)) {
+    return "Message looks like spam";
+  }
+
+  return null;
+};
+
+const assertAllowed = (text) => {
+  const violation = getContentViolation(text);
+  if (violation) throw new BadRequestException(violation, ErrorCodeEnum.CONTENT_REJECTED);
+};
+
+// "array.field" checks the new and edited entries of a document array
+const checkDocumentField = (doc, field) => {
+  const [path, subField] = field.split('.');
+
+  if (!subField) {
+    if (doc.isModified(path)) assertAllowed(doc.get(path));
+    return;
+  }
+
+  for (const item of doc.get(path) || []) {
+    if (item.isNew || item.isModified(subField)) assertAllowed(item.get(subField));
+  }
+};
+
+/**
+ * Mongoose plugin that runs the content filter on string fields before they are saved,
+ * through document saves and findOneAndUpdate (which findByIdAndUpdate uses).
+ * Rejected content fails with a 400 BadRequestException.
+ * @param {mongoose.Schema} schema - Schema to extend
+ * @param {Object} options - { fields: paths to check, e.g. ['message', 'replies.message'] }
+ */
+export const contentFilterPlugin = (schema, { fields }) => {
+  schema.pre('validate', function () {
+    for (const field of fields) {
+      checkDocumentField(this, field);
+    }
+  });
+
+  // Updates only ever set top-level fields here
+  schema.pre('findOneAndUpdate', function () {
+    const update = this.getUpdate() || {};
+    for (const field of fields.filter((path) => !path.includes('.'))) {
+      assertAllowed(update[field] ?? update.$set?.[field]);
+    }
+  });
+};
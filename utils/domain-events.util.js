@@ -0,0 +1,30 @@
+// Handlers per DomainEventEnum type, registered once at startup
+const handlers = new Map();
+
+/**
+ * Subscribe to a domain event
+ * @param {string} type - DomainEventEnum value
+ * @param {Function} handler - async (payload) => void
+ */
+export const onDomainEvent = (type, handler) => {
+  if (!handlers.has(type)) handlers.set(type, []);
+  handlers.get(type).push(handler);
+};
+
+/**
+ * Publish a domain event. Handlers run after the current request has been handled,
+ * so emitting never slows down or fails the change that caused it.
+ * @param {string} type - DomainEventEnum value
+ * @param {Object} payload - Event data, see the emitting code
+ */
+export const emitDomainEvent = (type, payload) => {
+  for (const handler of handlers.get(type) || []) {
+    setImmediate(async () => {
+      try {
+        await handler(payload);
+      } catch (error) {
+        console.error(`Domain event handler error for ${type}:`, error);
+      }
+    });
+  }
+};
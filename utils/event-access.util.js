@@ -0,0 +1,107 @@
+import { executeParameterizedQuery } from './sql.util.js';
+import { EventStaffRoleEnum } from '../enums/event-staff-role.enum.js';
+
+const { OWNER, CO_ORGANIZER, MODERATOR, MENTOR } = EventStaffRoleEnum;
+
+// Staff who run the event: settings, enrollments, judging setup, prizes, certificates, announcements
+export const EVENT_ORGANIZER_ROLES = [OWNER, CO_ORGANIZER];
+
+// Staff who can moderate the event's chat
+export const EVENT_MODERATOR_ROLES = [OWNER, CO_ORGANIZER, MODERATOR];
+
+// Staff who can work the help-ticket queue and host office hours
+export const EVENT_MENTOR_ROLES = [OWNER, CO_ORGANIZER, MENTOR];
+
+/**
+ * Get a user's staff role on an event
+ * @param {number} eventId - Event ID
+ * @param {number} userId - User ID
+ * @param {Function} query - Query runner, e.g. a transaction's
+ * @returns {Promise<string|null>} EventStaffRoleEnum value, or null if the user isn't staff
+ */
+export const getEventStaffRole = async (eventId, userId, query = executeParameterizedQuery) => {
+  const result = await query(
+    `SELECT Role FROM event_staff WHERE EventID = @eventId AND UserID = @userId`,
+    { eventId, userId }
+  );
+  return result.recordset[0]?.Role ?? null;
+};
+
+/**
+ * Check whether a user holds one of the given staff roles on an event
+ * @param {number} eventId - Event ID
+ * @param {number} userId - User ID
+ * @param {string[]} roles - Allowed EventStaffRoleEnum values
+ * @returns {Promise<boolean>}
+ */
+export const hasEventRole = async (eventId, userId, roles) => {
+  const role = await getEventStaffRole(eventId, userId);
+  return roles.includes(role);
+};
+
+/**
+ * Check whether a user is an enrolled participant or any kind of staff on an event
+ * @param {number} eventId - Event ID
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export const canViewEvent = async (eventId, userId) => {
+  const accessCheck = `
+    SELECT COUNT(*) as count FROM (
+      SELECT 1 as hasAccess FROM event_staff WHERE EventID = @eventId AND UserID = @userId
+      UNION
+      SELECT 1 FROM event_enrollments WHERE EventID = @eventId AND UserID = @userId AND Status = 'Enrolled'
+    ) as access_check
+  `;
+  const result = await executeParameterizedQuery(accessCheck, { eventId, userId });
+  return result.recordset[0].count > 0;
+};
+
+/**
+ * Get the events on which a user holds one of the given staff roles
+ * @param {number} userId - User ID
+ * @param {string[]} roles - EventStaffRoleEnum values
+ * @param {Object} options - { activeOnly: skip deleted events }
+ * @returns {Promise<number[]>} Event IDs
+ */
+export const getStaffEventIds = async (userId, roles, { activeOnly = false } = {}) => {
+  const result = await executeParameterizedQuery(
+    `SELECT s.EventID FROM event_staff s
+     INNER JOIN events e ON s.EventID = e.EventID
+     WHERE s.UserID = @userId
+       AND s.Role IN (SELECT value FROM STRING_SPLIT(@roles, ','))
+       ${activeOnly ? 'AND e.IsActive = 1' : ''}`,
+    { userId, roles: roles.join(',') }
+  );
+  return result.recordset.map((row) => row.EventID);
+};
+
+/**
+ * Make a user the owner of an event. The previous owner loses their staff role;
+ * if the new owner was already staff, their role is replaced.
+ * @param {Function} query - Query runner; run inside a transaction
+ * @param {number} eventId - Event ID
+ * @param {number} userId - New owner's user ID
+ * @param {number|null} addedBy - User making the change
+ * @returns {Promise<Object|null>} Updated event ({ EventID, Name, OrganizerID }), or null if it doesn't exist
+ */
+export const setEventOwner = async (query, eventId, userId, addedBy = null) => {
+  const result = await query(
+    `UPDATE events SET OrganizerID = @userId
+     OUTPUT INSERTED.EventID, INSERTED.Name, INSERTED.OrganizerID
+     WHERE EventID = @eventId`,
+    { eventId, userId }
+  );
+  if (result.recordset.length === 0) return null;
+
+  await query(
+    `DELETE FROM event_staff WHERE EventID = @eventId AND (Role = 'owner' OR UserID = @userId)`,
+    { eventId, userId }
+  );
+  await query(
+    `INSERT INTO event_staff (EventID, UserID, Role, AddedBy) VALUES (@eventId, @userId, 'owner', @addedBy)`,
+    { eventId, userId, addedBy }
+  );
+
+  return result.recordset[0];
+};
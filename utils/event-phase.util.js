@@ -0,0 +1,110 @@
+import { executeParameterizedQuery } from './sql.util.js';
+import { AppError, NotFoundException } from './AppError.js';
+import { HTTPSTATUS } from '../config/Https.config.js';
+import { ErrorCodeEnum } from '../enums/error-code.enum.js';
+import { Env } from '../config/env.config.js';
+
+export const EVENT_PHASES = {
+  REGISTRATION: 'registration',
+  HACKING: 'hacking',
+  SUBMISSION_CLOSED: 'submission-closed',
+  JUDGING: 'judging',
+  RESULTS: 'results',
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Minutes submissions stay open after a deadline for this event
+ * @param {Object} event - Event row with GracePeriodMinutes
+ * @returns {number} Grace period in minutes
+ */
+export const getGracePeriodMinutes = (event) =>
+  event.GracePeriodMinutes ?? parseInt(Env.SUBMISSION_GRACE_MINUTES);
+
+/**
+ * Work out an event's phase from its dates, unless an organizer has overridden it.
+ *
+ * registration      before StartDate
+ * hacking           StartDate until SubmissionDeadline (or EndDate) plus the grace period
+ * submission-closed after the deadline while the event is still running
+ * judging           after EndDate until ResultDate
+ * results           from ResultDate on
+ *
+ * @param {Object} event - Event row with StartDate, EndDate, SubmissionDeadline, ResultDate, GracePeriodMinutes, PhaseOverride
+ * @param {Date} now - Point in time to evaluate (defaults to now)
+ * @returns {{phase: string, computedPhase: string, isOverridden: boolean, submissionDeadline: Date, submissionsCloseAt: Date, inGracePeriod: boolean}}
+ */
+export const computeEventPhase = (event, now = new Date()) => {
+  const startDate = new Date(event.StartDate);
+  const endDate = new Date(event.EndDate);
+  const submissionDeadline = new Date(event.SubmissionDeadline || event.EndDate);
+  const submissionsCloseAt = new Date(submissionDeadline.getTime() + getGracePeriodMinutes(event) * MINUTE_MS);
+  const resultDate = event.ResultDate ? new Date(event.ResultDate) : null;
+
+  let phase;
+  if (now < startDate) {
+    phase = EVENT_PHASES.REGISTRATION;
+  } else if (now < submissionsCloseAt) {
+    phase = EVENT_PHASES.HACKING;
+  } else if (now < endDate) {
+    phase = EVENT_PHASES.SUBMISSION_CLOSED;
+  } else if (!resultDate || now < resultDate) {
+    phase = EVENT_PHASES.JUDGING;
+  } else {
+    phase = EVENT_PHASES.RESULTS;
+  }
+
+  return {
+    phase: event.PhaseOverride || phase,
+    computedPhase: phase,
+    isOverridden: Boolean(event.PhaseOverride),
+    submissionDeadline,
+    submissionsCloseAt,
+    inGracePeriod: phase === EVENT_PHASES.HACKING && now > submissionDeadline,
+  };
+};
+
+/**
+ * Load an event and compute its current phase
+ * @param {number} eventId - Event ID
+ * @returns {Promise<Object|null>} Phase info plus the event row, or null if the event doesn't exist
+ */
+export const getEventPhase = async (eventId) => {
+  const eventQuery = `
+    SELECT EventID, Name, StartDate, EndDate, SubmissionDeadline, ResultDate,
+           GracePeriodMinutes, PhaseOverride, IsActive
+    FROM events WHERE EventID = @eventId
+  `;
+  const result = await executeParameterizedQuery(eventQuery, { eventId });
+
+  if (result.recordset.length === 0) return null;
+
+  const event = result.recordset[0];
+  return { ...computeEventPhase(event), event };
+};
+
+/**
+ * Throw unless the event is in one of the allowed phases
+ * @param {number} eventId - Event ID
+ * @param {string[]} allowedPhases - Phases in which the action is allowed
+ * @param {string} action - What the user tried to do, for the error message
+ * @returns {Promise<Object>} Phase info (see getEventPhase)
+ */
+export const assertEventPhase = async (eventId, allowedPhases, action) => {
+  const phaseInfo = await getEventPhase(eventId);
+
+  if (!phaseInfo) {
+    throw new NotFoundException("Event not found");
+  }
+
+  if (!allowedPhases.includes(phaseInfo.phase)) {
+    throw new AppError(
+      `${action} is not allowed during the ${phaseInfo.phase} phase (allowed: ${allowedPhases.join(', ')})`,
+      HTTPSTATUS.FORBIDDEN,
+      ErrorCodeEnum.EVENT_PHASE_NOT_ALLOWED
+    );
+  }
+
+  return phaseInfo;
+};
@@ -0,0 +1,93 @@
+import { executeParameterizedQuery } from './sql.util.js';
+
+/**
+ * Check whether a judge is assigned to a submission, either event-wide (including
+ * through a judge staff role), through the submission's track, or to the submission itself
+ * @param {number} judgeId - Judge user ID
+ * @param {Object} submission - Submission document
+ * @returns {Promise<boolean>} True if an assignment covers the submission
+ */
+export const isJudgeAssignedToSubmission = async (judgeId, submission) => {
+  const query = `
+    SELECT
+      (SELECT COUNT(*) FROM event_judges
+       WHERE EventID = @eventId AND JudgeID = @judgeId
+         AND (
+           (Track IS NULL AND SubmissionID IS NULL)
+           OR (SubmissionID IS NULL AND Track = @track)
+           OR SubmissionID = @submissionId
+         ))
+      + (SELECT COUNT(*) FROM event_staff
+         WHERE EventID = @eventId AND UserID = @judgeId AND Role = 'judge') as count
+  `;
+  const result = await executeParameterizedQuery(query, {
+    eventId: submission.eventId,
+    judgeId,
+    track: submission.track,
+    submissionId: submission._id.toString(),
+  });
+  return result.recordset[0].count > 0;
+};
+
+/**
+ * Get the IDs of all judges whose assignments cover a submission
+ * @param {Object} submission - Submission document
+ * @returns {Promise<number[]>} Judge user IDs
+ */
+export const getAssignedJudgeIds = async (submission) => {
+  const query = `
+    SELECT JudgeID FROM event_judges
+    WHERE EventID = @eventId
+      AND (
+        (Track IS NULL AND SubmissionID IS NULL)
+        OR (SubmissionID IS NULL AND Track = @track)
+        OR SubmissionID = @submissionId
+      )
+    UNION
+    SELECT UserID FROM event_staff
+    WHERE EventID = @eventId AND Role = 'judge'
+  `;
+  const result = await executeParameterizedQuery(query, {
+    eventId: submission.eventId,
+    track: submission.track,
+    submissionId: submission._id.toString(),
+  });
+  return result.recordset.map((row) => row.JudgeID);
+};
+
+/**
+ * Get a judge's assignments across all events. A judge staff role shows up as an
+ * event-wide assignment without an AssignmentID.
+ * @param {number} judgeId - Judge user ID
+ * @returns {Promise<Array>} Assignment rows
+ */
+export const getJudgeAssignments = async (judgeId) => {
+  const query = `
+    SELECT AssignmentID, EventID, Track, SubmissionID
+    FROM event_judges
+    WHERE JudgeID = @judgeId
+    UNION ALL
+    SELECT NULL, EventID, NULL, NULL
+    FROM event_staff
+    WHERE UserID = @judgeId AND Role = 'judge'
+  `;
+  const result = await executeParameterizedQuery(query, { judgeId });
+  return result.recordset;
+};
+
+/**
+ * Build a Mongo filter matching every submission a judge's assignments cover
+ * @param {Array} assignments - Rows from getJudgeAssignments
+ * @returns {Object|null} Mongo filter, or null if there are no assignments
+ */
+export const buildAssignedSubmissionsFilter = (assignments) => {
+  if (assignments.length === 0) return null;
+
+  const clauses = assignments.map((assignment) => {
+    if (assignment.SubmissionID) return { _id: assignment.SubmissionID };
+    if (assignment.Track) return { eventId: assignment.EventID, track: assignment.Track };
+    return { eventId: assignment.EventID };
+  });
+
+  return { $or: clauses };
+};
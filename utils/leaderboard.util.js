@@ -0,0 +1,70 @@
+import Submission from '../models/submission.model.js';
+import Scorecard from '../models/scorecard.model.js';
+import { executeParameterizedQuery } from './sql.util.js';
+import { aggregateScores, rankEntries } from './scoring.util.js';
+
+/**
+ * Build ranked leaderboards for an event, one per round, with per-track ranks
+ * @param {number} eventId - Event ID
+ * @param {Object} options - { method, round, track }; round and track are optional filters
+ * @returns {Promise<Array<{round: number, leaderboard: Array}>>} Leaderboards ordered by round
+ */
+export const buildLeaderboard = async (eventId, { method, round, track }) => {
+  const filter = { eventId };
+  if (round) filter.round = round;
+
+  const submissions = await Submission.find(filter).lean();
+  const scorecards = await Scorecard.find({
+    submissionId: { $in: submissions.map((submission) => submission._id) },
+  }).lean();
+
+  const teamIds = [...new Set(submissions.map((submission) => submission.teamId))];
+  const teamNames = new Map();
+  await Promise.all(
+    teamIds.map(async (teamId) => {
+      const teamQuery = `SELECT TeamName FROM teams WHERE TeamId = @teamId`;
+      const teamResult = await executeParameterizedQuery(teamQuery, { teamId });
+      teamNames.set(teamId, teamResult.recordset[0]?.TeamName || null);
+    })
+  );
+
+  const rounds = [...new Set(submissions.map((submission) => submission.round))].sort((a, b) => a - b);
+
+  return rounds.map((roundNumber) => {
+    const roundSubmissions = submissions.filter((submission) => submission.round === roundNumber);
+    const roundIds = new Set(roundSubmissions.map((submission) => submission._id.toString()));
+
+    // Normalize within the round so z-scores compare like with like
+    const aggregates = aggregateScores(
+      scorecards.filter((card) => roundIds.has(card.submissionId.toString())),
+      method
+    );
+
+    const entries = roundSubmissions.map((submission) => {
+      const submissionId = submission._id.toString();
+      const aggregate = aggregates.get(submissionId);
+      return {
+        submissionId,
+        teamId: submission.teamId,
+        teamName: teamNames.get(submission.teamId),
+        title: submission.title,
+        track: submission.track,
+        submittedAt: submission.submittedAt,
+        score: aggregate ? aggregate.score : null,
+        judgeCount: aggregate ? aggregate.judgeCount : 0,
+      };
+    });
+
+    const ranked = rankEntries(entries, 'rank');
+
+    const tracks = [...new Set(entries.map((entry) => entry.track))];
+    tracks.forEach((trackName) => {
+      rankEntries(entries.filter((entry) => entry.track === trackName), 'trackRank');
+    });
+
+    return {
+      round: roundNumber,
+      leaderboard: track ? ranked.filter((entry) => entry.track === track) : ranked,
+    };
+  });
+};
@@ -0,0 +1,77 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Env } from '../config/env.config.js';
+
+// Logs mail to stdout - the development default
+const createConsoleTransport = () => ({
+  send: async (mail) => {
+    console.log(`📧 Mail to ${mail.to}: ${mail.subject}\n${mail.text}`);
+  },
+});
+
+// Writes each mail as a JSON file, handy for inspecting links in dev and tests
+const createFileTransport = (directory) => ({
+  send: async (mail) => {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@.]/g, '_')}.json`;
+    await fs.writeFile(path.join(directory, fileName), JSON.stringify(mail, null, 2));
+  },
+});
+
+const createSmtpTransport = () => {
+  let transporterPromise;
+
+  return {
+    send: async (mail) => {
+      if (!transporterPromise) {
+        transporterPromise = import('nodemailer').then(({ default: nodemailer }) =>
+          nodemailer.createTransport({
+            host: Env.SMTP_HOST,
+            port: parseInt(Env.SMTP_PORT),
+            secure: Env.SMTP_SECURE === 'true',
+            auth: Env.SMTP_USER ? { user: Env.SMTP_USER, pass: Env.SMTP_PASS } : undefined,
+          })
+        );
+      }
+      const transporter = await transporterPromise;
+      await transporter.sendMail(mail);
+    },
+  };
+};
+
+const createTransport = (name) => {
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport(Env.MAIL_FILE_DIR);
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport '${name}'`);
+  }
+};
+
+// Console and file mail never reach anyone, so users could neither verify nor reset in production
+if (Env.NODE_ENV === 'production' && Env.MAIL_TRANSPORT !== 'smtp') {
+  throw new Error(`MAIL_TRANSPORT must be 'smtp' in production, got '${Env.MAIL_TRANSPORT}'`);
+}
+
+let transport = createTransport(Env.MAIL_TRANSPORT);
+
+/**
+ * Replace the mail transport, e.g. with a custom provider or a test double
+ * @param {{send: Function}} customTransport - Object with an async send(mail) method
+ */
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} mail - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  await transport.send({ from: Env.MAIL_FROM, to, subject, text, html });
+};
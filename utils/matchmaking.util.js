@@ -0,0 +1,96 @@
+import { executeParameterizedQuery } from './sql.util.js';
+
+// Filling a missing role counts most, shared interests next, overlapping skills least
+const MATCH_WEIGHTS = {
+  role: 3,
+  interest: 2,
+  skill: 1,
+};
+
+const intersect = (a = [], b = []) => {
+  const set = new Set(b);
+  return a.filter((value) => set.has(value));
+};
+
+/**
+ * Get the event's teams that still have room under MaxTeamSize
+ * @param {number} eventId - Event ID
+ * @returns {Promise<Map<number, Object>>} Teams keyed by TeamId, with MemberCount and OpenSpots
+ */
+export const getTeamsWithRoom = async (eventId) => {
+  const teamsQuery = `
+    SELECT t.TeamId, t.TeamName, t.JoinPolicy, e.MaxTeamSize, COUNT(tm.MemberId) as MemberCount
+    FROM teams t
+    INNER JOIN events e ON t.EventId = e.EventID
+    LEFT JOIN team_members tm ON t.TeamId = tm.TeamId
+    WHERE t.EventId = @eventId
+    GROUP BY t.TeamId, t.TeamName, t.JoinPolicy, e.MaxTeamSize
+    HAVING e.MaxTeamSize IS NULL OR COUNT(tm.MemberId) < e.MaxTeamSize
+  `;
+  const result = await executeParameterizedQuery(teamsQuery, { eventId });
+
+  return new Map(
+    result.recordset.map((team) => [
+      team.TeamId,
+      {
+        ...team,
+        OpenSpots: team.MaxTeamSize ? team.MaxTeamSize - team.MemberCount : null,
+      },
+    ])
+  );
+};
+
+/**
+ * Get the users who already belong to a team for the event
+ * @param {number} eventId - Event ID
+ * @returns {Promise<Set<number>>} User IDs
+ */
+export const getEventTeamMemberIds = async (eventId) => {
+  const membersQuery = `
+    SELECT tm.UserId FROM team_members tm
+    INNER JOIN teams t ON tm.TeamId = t.TeamId
+    WHERE t.EventId = @eventId
+  `;
+  const result = await executeParameterizedQuery(membersQuery, { eventId });
+  return new Set(result.recordset.map((member) => member.UserId));
+};
+
+/**
+ * Score how well a solo participant fits a team
+ * @param {Object} individual - Individual listing (skills, interests)
+ * @param {Object} team - Team listing (rolesNeeded, skills, interests)
+ * @returns {{score: number, matchedRoles: string[], sharedInterests: string[], sharedSkills: string[]}} Compatibility
+ */
+export const scoreCompatibility = (individual, team) => {
+  const matchedRoles = intersect(team.rolesNeeded, individual.skills);
+  const sharedInterests = intersect(team.interests, individual.interests);
+  const sharedSkills = intersect(team.skills, individual.skills);
+
+  return {
+    score:
+      matchedRoles.length * MATCH_WEIGHTS.role +
+      sharedInterests.length * MATCH_WEIGHTS.interest +
+      sharedSkills.length * MATCH_WEIGHTS.skill,
+    matchedRoles,
+    sharedInterests,
+    sharedSkills,
+  };
+};
+
+/**
+ * Rank candidate listings against a listing, best match first; candidates with nothing in common are dropped
+ * @param {Array} candidates - Listings to rank
+ * @param {Function} scoreFn - (candidate) => compatibility from scoreCompatibility
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<{listing: Object, compatibility: Object}>} Suggestions
+ */
+export const rankMatches = (candidates, scoreFn, limit) =>
+  candidates
+    .map((listing) => ({ listing, compatibility: scoreFn(listing) }))
+    .filter((match) => match.compatibility.score > 0)
+    .sort(
+      (a, b) =>
+        b.compatibility.score - a.compatibility.score ||
+        new Date(a.listing.createdAt) - new Date(b.listing.createdAt)
+    )
+    .slice(0, limit);
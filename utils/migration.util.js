@@ -0,0 +1,163 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getMany, withTransaction } from './sql.util.js';
+import { SchemaMigrationModel } from '../models/schema-migration.model.js';
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+
+// 001-add-team-member-indexes.js -> version 1, name add-team-member-indexes
+const MIGRATION_FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.js$/;
+
+// Serializes migration runs across server instances; released when the transaction ends
+const lockMigrationsQuery = `
+  DECLARE @lockResult INT;
+  EXEC @lockResult = sp_getapplock
+    @Resource = 'schema_migrations', @LockMode = 'Exclusive', @LockOwner = 'Transaction', @LockTimeout = 60000;
+  IF @lockResult < 0 THROW 50000, 'Another process is running migrations', 1;
+`;
+
+/**
+ * Load every migration file, oldest first
+ * @returns {Promise<Array>} Migrations ({ version, name, file, up, down })
+ */
+export const loadMigrations = async () => {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter((file) => file.endsWith('.js'));
+  const migrations = [];
+
+  for (const file of files) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) {
+      throw new Error(`Migration file names must look like 001-add-something.js, got ${file}`);
+    }
+
+    const migration = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`);
+    }
+
+    migrations.push({ version: Number(match[1]), name: match[2], file, up: migration.up, down: migration.down });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  const duplicate = migrations.find((migration, index) => migrations[index + 1]?.version === migration.version);
+  if (duplicate) {
+    throw new Error(`More than one migration uses version ${duplicate.version}`);
+  }
+
+  return migrations;
+};
+
+const getAppliedMigrations = async () => {
+  await SchemaMigrationModel();
+  return getMany(`SELECT Version, Name, AppliedAt FROM schema_migrations ORDER BY Version`);
+};
+
+/**
+ * Apply pending migrations in version order. Each one runs in its own transaction
+ * together with its schema_migrations row, so a failed migration leaves no trace.
+ * @param {Object} options - { to: apply up to and including this version }
+ * @returns {Promise<Array>} Applied migrations
+ */
+export const migrate = async ({ to } = {}) => {
+  const migrations = await loadMigrations();
+  const applied = new Set((await getAppliedMigrations()).map((row) => row.Version));
+  const pending = migrations.filter(
+    (migration) => !applied.has(migration.version) && (to === undefined || migration.version <= to)
+  );
+
+  const ran = [];
+  for (const migration of pending) {
+    const didRun = await withTransaction(async (query) => {
+      await query(lockMigrationsQuery);
+
+      // Another instance may have applied it while this one waited for the lock
+      const alreadyApplied = await query(
+        `SELECT Version FROM schema_migrations WHERE Version = @version`,
+        { version: migration.version }
+      );
+      if (alreadyApplied.recordset.length > 0) return false;
+
+      await migration.up(query);
+      await query(
+        `INSERT INTO schema_migrations (Version, Name) VALUES (@version, @name)`,
+        { version: migration.version, name: migration.name }
+      );
+      return true;
+    });
+
+    if (didRun) {
+      console.log(`✅ Applied migration ${migration.file}`);
+      ran.push(migration);
+    }
+  }
+
+  return ran;
+};
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} options - { steps: how many to roll back (default 1), to: roll back every version above this one }
+ * @returns {Promise<Array>} Rolled back migrations
+ */
+export const rollback = async ({ steps = 1, to } = {}) => {
+  const migrations = new Map((await loadMigrations()).map((migration) => [migration.version, migration]));
+  const applied = (await getAppliedMigrations()).reverse();
+  const targets = to !== undefined
+    ? applied.filter((row) => row.Version > to)
+    : applied.slice(0, steps);
+
+  const rolledBack = [];
+  for (const row of targets) {
+    const migration = migrations.get(row.Version);
+    if (!migration) {
+      throw new Error(`Migration ${row.Version} (${row.Name}) is applied but its file is missing`);
+    }
+
+    const didRun = await withTransaction(async (query) => {
+      await query(lockMigrationsQuery);
+
+      const removed = await query(
+        `DELETE FROM schema_migrations WHERE Version = @version`,
+        { version: migration.version }
+      );
+      if (removed.rowsAffected[0] === 0) return false;
+
+      await migration.down(query);
+      return true;
+    });
+
+    if (didRun) {
+      console.log(`↩️  Rolled back migration ${migration.file}`);
+      rolledBack.push(migration);
+    }
+  }
+
+  return rolledBack;
+};
+
+/**
+ * List every known migration with whether and when it was applied
+ * @returns {Promise<Array>} Entries ({ version, name, appliedAt, missingFile })
+ */
+export const getMigrationStatus = async () => {
+  const migrations = await loadMigrations();
+  const applied = new Map((await getAppliedMigrations()).map((row) => [row.Version, row]));
+
+  const status = migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: applied.get(migration.version)?.AppliedAt ?? null,
+    missingFile: false,
+  }));
+
+  // Applied on this database but no longer in migrations/, e.g. from another branch
+  applied.forEach((row, version) => {
+    if (!migrations.some((migration) => migration.version === version)) {
+      status.push({ version, name: row.Name, appliedAt: row.AppliedAt, missingFile: true });
+    }
+  });
+
+  return status.sort((a, b) => a.version - b.version);
+};
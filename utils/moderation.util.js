@@ -0,0 +1,14 @@
+import { getOne } from './sql.util.js';
+
+/**
+ * Get a user's mute on an event, if it is still in effect
+ * @param {number} eventId - Event ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} { MuteID, Reason, MutedUntil }, or null if the user isn't muted
+ */
+export const getActiveMute = (eventId, userId) => getOne(
+  `SELECT MuteID, Reason, MutedUntil FROM event_mutes
+   WHERE EventID = @eventId AND UserID = @userId
+     AND (MutedUntil IS NULL OR MutedUntil > GETDATE())`,
+  { eventId, userId }
+);
@@ -0,0 +1,203 @@
+import { executeParameterizedQuery, getOne, getMany } from './sql.util.js';
+import { sendMail } from './mailer.util.js';
+import { onDomainEvent } from './domain-events.util.js';
+import { TEAM_ROLES } from './team.util.js';
+import { Env } from '../config/env.config.js';
+import { DomainEventEnum } from '../enums/domain-event.enum.js';
+import { NotificationTypeEnum } from '../enums/notification-type.enum.js';
+import Notification from '../models/notification.model.js';
+import NotificationPreference from '../models/notificationPreference.model.js';
+
+const { ANNOUNCEMENT, TEAM, JUDGING, CERTIFICATE, WAITLIST } = NotificationTypeEnum;
+
+// Channels for types a user hasn't set: everything shows up in the inbox, and the
+// notifications people act on are emailed too
+export const DEFAULT_NOTIFICATION_CHANNELS = {
+  [ANNOUNCEMENT]: { inApp: true, email: false },
+  [TEAM]: { inApp: true, email: true },
+  [JUDGING]: { inApp: true, email: false },
+  [CERTIFICATE]: { inApp: true, email: true },
+  [WAITLIST]: { inApp: true, email: true },
+};
+
+/**
+ * Resolve a user's channels for every notification type
+ * @param {Object|null} preference - NotificationPreference document (lean), if the user has one
+ * @returns {Object} { [type]: { inApp, email } }
+ */
+export const resolveNotificationChannels = (preference) => {
+  const saved = preference?.types instanceof Map ? Object.fromEntries(preference.types) : preference?.types || {};
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_NOTIFICATION_CHANNELS).map(([type, channels]) => [
+      type,
+      saved[type] ? { inApp: saved[type].inApp, email: saved[type].email } : { ...channels },
+    ])
+  );
+};
+
+const getUsers = (userIds) => getMany(
+  `SELECT userid, name, email FROM users
+   WHERE userid IN (SELECT CAST(value AS INT) FROM STRING_SPLIT(@ids, ','))`,
+  { ids: userIds.join(',') }
+);
+
+const emailUser = async (user, { title, body, link }) => {
+  try {
+    const text = [`Hi ${user.name},`, body, link && `${Env.FRONTEND_ORIGIN}${link}`].filter(Boolean).join('\n\n');
+    await sendMail({ to: user.email, subject: title, text });
+  } catch (error) {
+    // The change already happened; a failed email must not affect other recipients
+    console.error(`Notification email error for user ${user.userid}:`, error);
+  }
+};
+
+/**
+ * Notify users through the channels each of them has turned on for the notification type
+ * @param {number[]} userIds - Recipients
+ * @param {Object} notification - { type, title, body, eventId, link }
+ * @returns {Promise<Object>} { inApp, email } number of users reached per channel
+ */
+export const notifyUsers = async (userIds, { type, title, body = '', eventId = null, link = null }) => {
+  const recipients = [...new Set(userIds)];
+  if (recipients.length === 0) return { inApp: 0, email: 0 };
+
+  const preferences = await NotificationPreference.find({ userId: { $in: recipients } }).lean();
+  const preferenceByUser = new Map(preferences.map((preference) => [preference.userId, preference]));
+  const channelsOf = (userId) => resolveNotificationChannels(preferenceByUser.get(userId))[type];
+
+  const inAppIds = recipients.filter((userId) => channelsOf(userId).inApp);
+  const emailIds = recipients.filter((userId) => channelsOf(userId).email);
+
+  if (inAppIds.length > 0) {
+    await Notification.insertMany(
+      inAppIds.map((userId) => ({ userId, type, title, body, eventId, link }))
+    );
+  }
+
+  if (emailIds.length > 0) {
+    for (const user of await getUsers(emailIds)) {
+      await emailUser(user, { title, body, link });
+    }
+  }
+
+  return { inApp: inAppIds.length, email: emailIds.length };
+};
+
+const getTeamMemberIds = async (teamId, roles = null) => {
+  const members = await getMany(`SELECT UserId, Role FROM team_members WHERE TeamId = @teamId`, { teamId });
+  return members
+    .filter((member) => !roles || roles.includes(member.Role))
+    .map((member) => member.UserId);
+};
+
+const getUserName = async (userId) =>
+  (await getOne(`SELECT name FROM users WHERE userid = @userId`, { userId }))?.name || 'Someone';
+
+const getEventName = async (eventId) =>
+  (await getOne(`SELECT Name FROM events WHERE EventID = @eventId`, { eventId }))?.Name || 'the event';
+
+/**
+ * Turn domain events into notifications. Call once at startup.
+ */
+export const registerNotificationHandlers = () => {
+  // Enrolled participants of the event
+  onDomainEvent(DomainEventEnum.ANNOUNCEMENT_POSTED, async ({ announcement }) => {
+    const enrolled = await executeParameterizedQuery(
+      `SELECT UserID FROM event_enrollments WHERE EventID = @eventId AND Status = 'Enrolled'`,
+      { eventId: announcement.eventId }
+    );
+    const userIds = enrolled.recordset
+      .map((row) => row.UserID)
+      .filter((userId) => userId !== announcement.authorId);
+
+    await notifyUsers(userIds, {
+      type: ANNOUNCEMENT,
+      title: `${announcement.isImportant ? 'Important: ' : ''}${announcement.title}`,
+      body: announcement.message,
+      eventId: announcement.eventId,
+      link: `/events/${announcement.eventId}/announcements/${announcement._id}`,
+    });
+  });
+
+  onDomainEvent(DomainEventEnum.TEAM_INVITE_CREATED, async ({ team, invitedUserId, code }) => {
+    await notifyUsers([invitedUserId], {
+      type: TEAM,
+      title: `You're invited to join ${team.TeamName}`,
+      body: `You have been invited to join team ${team.TeamName} for ${team.EventName}. Accept the invite by opening the link below.`,
+      eventId: team.EventId,
+      link: `/teams/join/${code}`,
+    });
+  });
+
+  // The team's leader, who answers requests
+  onDomainEvent(DomainEventEnum.TEAM_JOIN_REQUESTED, async ({ team, userId }) => {
+    const leaderIds = await getTeamMemberIds(team.TeamId, [TEAM_ROLES.LEADER]);
+
+    await notifyUsers(leaderIds, {
+      type: TEAM,
+      title: `New request to join ${team.TeamName}`,
+      body: `${await getUserName(userId)} asked to join team ${team.TeamName}.`,
+      eventId: team.EventId,
+      link: `/teams/${team.TeamId}`,
+    });
+  });
+
+  onDomainEvent(DomainEventEnum.TEAM_JOIN_REQUEST_ANSWERED, async ({ team, userId, approved }) => {
+    await notifyUsers([userId], {
+      type: TEAM,
+      title: approved ? `Welcome to ${team.TeamName}` : `Your request to join ${team.TeamName}`,
+      body: approved
+        ? `Your request to join team ${team.TeamName} was approved.`
+        : `Your request to join team ${team.TeamName} was declined.`,
+      eventId: team.EventId,
+      link: `/teams/${team.TeamId}`,
+    });
+  });
+
+  // Everyone already on the team
+  onDomainEvent(DomainEventEnum.TEAM_MEMBER_JOINED, async ({ team, userId }) => {
+    const memberIds = (await getTeamMemberIds(team.TeamId)).filter((memberId) => memberId !== userId);
+
+    await notifyUsers(memberIds, {
+      type: TEAM,
+      title: `New member in ${team.TeamName}`,
+      body: `${await getUserName(userId)} joined team ${team.TeamName}.`,
+      eventId: team.EventId,
+      link: `/teams/${team.TeamId}`,
+    });
+  });
+
+  // The team behind the submission, or its author for solo submissions
+  onDomainEvent(DomainEventEnum.SUBMISSION_JUDGED, async ({ submission }) => {
+    const userIds = submission.teamId ? await getTeamMemberIds(submission.teamId) : [submission.userId];
+
+    await notifyUsers(userIds, {
+      type: JUDGING,
+      title: `Judging complete: ${submission.title}`,
+      body: `Every judge has scored your submission for ${await getEventName(submission.eventId)}.`,
+      eventId: submission.eventId,
+      link: `/submissions/${submission._id}`,
+    });
+  });
+
+  onDomainEvent(DomainEventEnum.CERTIFICATE_ISSUED, async ({ certificate }) => {
+    await notifyUsers([certificate.userId], {
+      type: CERTIFICATE,
+      title: `Your certificate for ${await getEventName(certificate.eventId)}`,
+      body: 'A certificate has been issued to you.',
+      eventId: certificate.eventId,
+      link: `/certificates/${certificate._id}`,
+    });
+  });
+
+  onDomainEvent(DomainEventEnum.WAITLIST_PROMOTED, async ({ eventId, eventName, userId }) => {
+    await notifyUsers([userId], {
+      type: WAITLIST,
+      title: `You're in: ${eventName}`,
+      body: `A spot opened up and you have been moved from the waitlist to enrolled for ${eventName}.`,
+      eventId,
+      link: `/events/${eventId}`,
+    });
+  });
+};
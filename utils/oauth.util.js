@@ -0,0 +1,312 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Env } from '../config/env.config.js';
+import { OAUTH_PROVIDERS } from '../config/oauth.config.js';
+import { HTTPSTATUS } from '../config/Https.config.js';
+import { ErrorCodeEnum } from '../enums/error-code.enum.js';
+import { AppError, BadRequestException } from './AppError.js';
+import { executeParameterizedQuery } from './sql.util.js';
+import { hashPassword } from './Bcrypt.util.js';
+import { revokeAllUserSessions } from './session.util.js';
+
+const STATE_EXPIRES_IN = '10m';
+const STATE_COOKIE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Holds the nonce of the sign-in the browser started, so a callback carrying
+// someone else's state (login CSRF) is rejected
+export const OAUTH_STATE_COOKIE = 'oauth_state';
+
+const getProvider = (provider) => {
+  const config = OAUTH_PROVIDERS[provider];
+  if (!config) {
+    throw new BadRequestException(`Unsupported OAuth provider '${provider}'`);
+  }
+  if (!config.clientId || !config.clientSecret) {
+    throw new AppError(
+      `OAuth provider '${provider}' is not configured`,
+      HTTPSTATUS.NOT_IMPLEMENTED,
+      ErrorCodeEnum.AUTH_OAUTH_FAILED
+    );
+  }
+  return config;
+};
+
+const getRedirectUri = (provider) => `${Env.OAUTH_REDIRECT_BASE_URL}/${provider}/callback`;
+
+const providerRequest = async (url, options, provider) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw new AppError(`Could not reach ${provider}`, HTTPSTATUS.BAD_GATEWAY, ErrorCodeEnum.AUTH_OAUTH_FAILED);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body || body.error) {
+    throw new AppError(
+      `${provider} rejected the request: ${body?.error_description || body?.error || response.status}`,
+      HTTPSTATUS.BAD_GATEWAY,
+      ErrorCodeEnum.AUTH_OAUTH_FAILED
+    );
+  }
+  return body;
+};
+
+/**
+ * Whether a URL is on the frontend, compared by origin so look-alike hosts
+ * such as http://localhost:3000.evil.com don't pass
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export const isFrontendUrl = (url) => {
+  try {
+    return new URL(url).origin === new URL(Env.FRONTEND_ORIGIN).origin;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Cookie options for the state nonce, scoped to the OAuth routes
+ * @param {string} path - Path the OAuth routes are mounted on
+ * @returns {Object} Options for res.cookie / res.clearCookie
+ */
+export const getStateCookieOptions = (path) => ({
+  httpOnly: true,
+  // Lax still sends the cookie on the provider's top-level redirect back to us
+  sameSite: 'lax',
+  secure: Env.NODE_ENV === 'production',
+  maxAge: STATE_COOKIE_MAX_AGE_MS,
+  path,
+});
+
+/**
+ * Read the state nonce cookie from the request
+ * @param {Object} req - Express request
+ * @returns {string|null} Nonce, if the browser sent one
+ */
+export const readStateCookie = (req) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === OAUTH_STATE_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+/**
+ * Build the provider's authorization URL. The state is a short-lived signed
+ * token carrying a nonce; the caller stores the nonce in a cookie so the
+ * callback can check it came back to the same browser.
+ * @param {string} provider - 'google' or 'github'
+ * @param {Object} options - { role, redirectTo } carried through the state
+ * @returns {{url: string, nonce: string}} Authorization URL and the state nonce
+ */
+export const buildAuthorizationUrl = (provider, { role, redirectTo } = {}) => {
+  const config = getProvider(provider);
+  const nonce = crypto.randomUUID();
+
+  const state = jwt.sign(
+    { provider, role, redirectTo, nonce },
+    Env.JWT_SECRET,
+    { expiresIn: STATE_EXPIRES_IN }
+  );
+
+  const url = new URL(config.authUrl);
+  url.searchParams.set('client_id', config.clientId);
+  url.searchParams.set('redirect_uri', getRedirectUri(provider));
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('scope', config.scope);
+  url.searchParams.set('state', state);
+  return { url: url.toString(), nonce };
+};
+
+/**
+ * Verify the state returned by the provider
+ * @param {string} provider - Provider the callback arrived on
+ * @param {string} state - State query parameter
+ * @param {string|null} nonce - Nonce from the browser's state cookie
+ * @returns {Object} Decoded state ({ provider, role, redirectTo })
+ */
+export const verifyOAuthState = (provider, state, nonce) => {
+  try {
+    const decoded = jwt.verify(state, Env.JWT_SECRET);
+    if (decoded.provider !== provider) throw new Error('Provider mismatch');
+    if (!nonce || decoded.nonce !== nonce) throw new Error('State was not started by this browser');
+    return decoded;
+  } catch (error) {
+    throw new BadRequestException("Invalid or expired OAuth state", ErrorCodeEnum.AUTH_INVALID_TOKEN);
+  }
+};
+
+/**
+ * Exchange an authorization code for the provider's access token
+ * @param {string} provider - 'google' or 'github'
+ * @param {string} code - Authorization code
+ * @returns {Promise<string>} Provider access token
+ */
+export const exchangeCodeForToken = async (provider, code) => {
+  const config = getProvider(provider);
+
+  const body = await providerRequest(
+    config.tokenUrl,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+      body: new URLSearchParams({
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        code,
+        grant_type: 'authorization_code',
+        redirect_uri: getRedirectUri(provider),
+      }),
+    },
+    provider
+  );
+
+  if (!body.access_token) {
+    throw new AppError(`${provider} did not return an access token`, HTTPSTATUS.BAD_GATEWAY, ErrorCodeEnum.AUTH_OAUTH_FAILED);
+  }
+  return body.access_token;
+};
+
+/**
+ * Fetch and normalize the signed-in user's profile
+ * @param {string} provider - 'google' or 'github'
+ * @param {string} accessToken - Provider access token
+ * @returns {Promise<{providerUserId: string, email: string|null, emailVerified: boolean, name: string}>}
+ */
+export const fetchProviderProfile = async (provider, accessToken) => {
+  const config = getProvider(provider);
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    Accept: 'application/json',
+    'User-Agent': 'synapse-api',
+  };
+
+  const profile = await providerRequest(config.userInfoUrl, { headers }, provider);
+
+  if (provider === 'google') {
+    return {
+      providerUserId: String(profile.sub),
+      email: profile.email?.toLowerCase() || null,
+      emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+      name: profile.name || profile.email,
+    };
+  }
+
+  // GitHub only returns a public email on /user; the primary one comes from /user/emails
+  const emails = await providerRequest(config.emailsUrl, { headers }, provider);
+  const primary = Array.isArray(emails)
+    ? emails.find((entry) => entry.primary && entry.verified)
+    : null;
+
+  return {
+    providerUserId: String(profile.id),
+    email: primary?.email?.toLowerCase() || null,
+    emailVerified: Boolean(primary),
+    name: profile.name || profile.login,
+  };
+};
+
+/**
+ * Find the user for an external identity, linking by verified email or
+ * creating a new account when needed
+ * @param {string} provider - 'google' or 'github'
+ * @param {Object} profile - Normalized profile from fetchProviderProfile
+ * @param {string} role - Role for newly created accounts
+ * @returns {Promise<{user: Object, isNewUser: boolean, isNewLink: boolean}>}
+ */
+export const findOrCreateOAuthUser = async (provider, profile, role) => {
+  const identityQuery = `
+    SELECT u.* FROM user_identities ui
+    INNER JOIN users u ON ui.UserID = u.userid
+    WHERE ui.Provider = @provider AND ui.ProviderUserID = @providerUserId
+  `;
+  const identityResult = await executeParameterizedQuery(identityQuery, {
+    provider,
+    providerUserId: profile.providerUserId,
+  });
+
+  if (identityResult.recordset.length > 0) {
+    return { user: identityResult.recordset[0], isNewUser: false, isNewLink: false };
+  }
+
+  // Linking by email is only safe when the provider vouches for the address
+  if (!profile.email || !profile.emailVerified) {
+    throw new BadRequestException(`Your ${provider} account has no verified email address`);
+  }
+
+  const userQuery = `SELECT * FROM users WHERE email = @email`;
+  const userResult = await executeParameterizedQuery(userQuery, { email: profile.email });
+
+  let user = userResult.recordset[0];
+  let isNewUser = false;
+
+  if (!user) {
+    // OAuth accounts never sign in with a password; store an unusable random one
+    const password = await hashPassword(crypto.randomBytes(32).toString('hex'));
+
+    const createUserQuery = `
+      INSERT INTO users (name, email, password, authprovider, role, emailverified)
+      OUTPUT INSERTED.*
+      VALUES (@name, @email, @password, @authprovider, @role, 1)
+    `;
+    const createResult = await executeParameterizedQuery(createUserQuery, {
+      name: profile.name.slice(0, 255),
+      email: profile.email,
+      password,
+      authprovider: provider,
+      role,
+    });
+    user = createResult.recordset[0];
+    isNewUser = true;
+  }
+
+  const existingLinkQuery = `
+    SELECT COUNT(*) as count FROM user_identities WHERE UserID = @userId AND Provider = @provider
+  `;
+  const existingLink = await executeParameterizedQuery(existingLinkQuery, {
+    userId: user.userid,
+    provider,
+  });
+
+  if (existingLink.recordset[0].count > 0) {
+    throw new AppError(
+      `This email is already linked to a different ${provider} account`,
+      HTTPSTATUS.CONFLICT,
+      ErrorCodeEnum.AUTH_EMAIL_ALREADY_EXISTS
+    );
+  }
+
+  const linkQuery = `
+    INSERT INTO user_identities (UserID, Provider, ProviderUserID, Email)
+    VALUES (@userId, @provider, @providerUserId, @email)
+  `;
+  await executeParameterizedQuery(linkQuery, {
+    userId: user.userid,
+    provider,
+    providerUserId: profile.providerUserId,
+    email: profile.email,
+  });
+
+  // The provider has verified the address, so the linked account counts as verified too.
+  // Whoever set the password of an unverified account never proved they own the email:
+  // drop that password and its sessions so a pre-registered account can't be kept.
+  if (!user.emailverified) {
+    const password = await hashPassword(crypto.randomBytes(32).toString('hex'));
+
+    await executeParameterizedQuery(
+      `UPDATE users SET emailverified = 1, password = @password WHERE userid = @userId`,
+      { userId: user.userid, password }
+    );
+    await revokeAllUserSessions(user.userid, 'oauth_link');
+    user.emailverified = true;
+    user.password = password;
+  }
+
+  return { user, isNewUser, isNewLink: true };
+};
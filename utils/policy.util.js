@@ -0,0 +1,188 @@
+import { ForbiddenException } from './AppError.js';
+import { ErrorCodeEnum } from '../enums/error-code.enum.js';
+import { PermissionEnum } from '../enums/permission.enum.js';
+import { UserRoleEnum } from '../enums/user-role.enum.js';
+import { EventStaffRoleEnum } from '../enums/event-staff-role.enum.js';
+import {
+  EVENT_ORGANIZER_ROLES,
+  EVENT_MODERATOR_ROLES,
+  EVENT_MENTOR_ROLES,
+  getEventStaffRole,
+  hasEventRole,
+  canViewEvent
+} from './event-access.util.js';
+import { TEAM_ROLES, TEAM_MANAGER_ROLES, getTeamRole } from './team.util.js';
+import { isJudgeAssignedToSubmission } from './judging.util.js';
+import { getActiveMute } from './moderation.util.js';
+
+const { OWNER, CO_ORGANIZER, MODERATOR, JUDGE, MENTOR } = EventStaffRoleEnum;
+
+// Staff roles each event role may hand out, change or take away
+const MANAGEABLE_STAFF_ROLES = {
+  [OWNER]: [CO_ORGANIZER, MODERATOR, JUDGE, MENTOR],
+  [CO_ORGANIZER]: [MODERATOR, JUDGE, MENTOR],
+};
+
+const isAssignedJudge = async (user, submission) =>
+  user.role === UserRoleEnum.JUDGE && isJudgeAssignedToSubmission(user.userid, submission);
+
+/**
+ * One policy per PermissionEnum action. `check(user, resource)` gets the authenticated
+ * user and whatever the action is about: { eventId }, { teamId }, { submission }, ...
+ * `message` may be a function of the resource.
+ */
+const POLICIES = {
+  // Enrolled participants and every kind of staff
+  [PermissionEnum.EVENT_VIEW]: {
+    check: (user, { eventId }) => canViewEvent(eventId, user.userid),
+    message: "You don't have access to this event",
+    errorCode: ErrorCodeEnum.EVENT_ACCESS_DENIED,
+  },
+  [PermissionEnum.EVENT_MANAGE]: {
+    check: (user, { eventId }) => hasEventRole(eventId, user.userid, EVENT_ORGANIZER_ROLES),
+    message: "Only event organizers can do this",
+    errorCode: ErrorCodeEnum.EVENT_ORGANIZER_REQUIRED,
+  },
+  [PermissionEnum.EVENT_DELETE]: {
+    check: (user, { eventId }) => hasEventRole(eventId, user.userid, [OWNER]),
+    message: "Only the event owner can do this",
+    errorCode: ErrorCodeEnum.EVENT_OWNER_REQUIRED,
+  },
+  [PermissionEnum.EVENT_MODERATE]: {
+    check: (user, { eventId }) => hasEventRole(eventId, user.userid, EVENT_MODERATOR_ROLES),
+    message: "Only event moderators can do this",
+    errorCode: ErrorCodeEnum.EVENT_MODERATOR_REQUIRED,
+  },
+  [PermissionEnum.EVENT_VIEW_STAFF]: {
+    check: async (user, { eventId }) => Boolean(await getEventStaffRole(eventId, user.userid)),
+    message: "Only event staff can do this",
+    errorCode: ErrorCodeEnum.EVENT_STAFF_REQUIRED,
+  },
+  // staffRole is the role being handed out, changed or taken away
+  [PermissionEnum.EVENT_MANAGE_STAFF]: {
+    check: async (user, { eventId, staffRole }) =>
+      (MANAGEABLE_STAFF_ROLES[await getEventStaffRole(eventId, user.userid)] || []).includes(staffRole),
+    message: ({ staffRole }) => `You can't manage ${staffRole}s on this event`,
+    errorCode: ErrorCodeEnum.EVENT_STAFF_ROLE_NOT_MANAGEABLE,
+  },
+  [PermissionEnum.EVENT_MENTOR]: {
+    check: (user, { eventId }) => hasEventRole(eventId, user.userid, EVENT_MENTOR_ROLES),
+    message: "Only event mentors can do this",
+    errorCode: ErrorCodeEnum.EVENT_MENTOR_REQUIRED,
+  },
+  // Event organizers, and judges whose assignment covers the submission
+  [PermissionEnum.SUBMISSION_JUDGE]: {
+    check: async (user, { submission }) =>
+      (await hasEventRole(submission.eventId, user.userid, EVENT_ORGANIZER_ROLES)) || isAssignedJudge(user, submission),
+    message: "You are not authorized to judge this submission",
+    errorCode: ErrorCodeEnum.SUBMISSION_JUDGE_REQUIRED,
+  },
+  [PermissionEnum.SUBMISSION_VIEW_SCORECARDS]: {
+    check: async (user, { submission }) =>
+      (await hasEventRole(submission.eventId, user.userid, EVENT_ORGANIZER_ROLES))
+      || isJudgeAssignedToSubmission(user.userid, submission),
+    message: "You are not authorized to view scorecards for this submission",
+    errorCode: ErrorCodeEnum.SUBMISSION_JUDGE_REQUIRED,
+  },
+  [PermissionEnum.TEAM_MEMBER]: {
+    check: async (user, { teamId }) => Boolean(await getTeamRole(teamId, user.userid)),
+    message: "Only team members can do this",
+    errorCode: ErrorCodeEnum.TEAM_MEMBER_REQUIRED,
+  },
+  [PermissionEnum.TEAM_MANAGE]: {
+    check: async (user, { teamId }) => TEAM_MANAGER_ROLES.includes(await getTeamRole(teamId, user.userid)),
+    message: "Only the team leader or a co-leader can do this",
+    errorCode: ErrorCodeEnum.TEAM_MANAGER_REQUIRED,
+  },
+  [PermissionEnum.TEAM_LEAD]: {
+    check: async (user, { teamId }) => (await getTeamRole(teamId, user.userid)) === TEAM_ROLES.LEADER,
+    message: "Only the team leader can do this",
+    errorCode: ErrorCodeEnum.TEAM_LEADER_REQUIRED,
+  },
+  // The ticket's team, and mentors of its event
+  [PermissionEnum.HELP_TICKET_VIEW]: {
+    check: async (user, { ticket }) =>
+      Boolean(await getTeamRole(ticket.teamId, user.userid))
+      || hasEventRole(ticket.eventId, user.userid, EVENT_MENTOR_ROLES),
+    message: "Only the ticket's team and the event's mentors can see this ticket",
+    errorCode: ErrorCodeEnum.HELP_TICKET_ACCESS_DENIED,
+  },
+  // The mentor who claimed the ticket, or organizers of its event
+  [PermissionEnum.HELP_TICKET_HANDLE]: {
+    check: async (user, { ticket }) =>
+      ticket.claimedBy === user.userid || hasEventRole(ticket.eventId, user.userid, EVENT_ORGANIZER_ROLES),
+    message: "Only the mentor who claimed this ticket can do this",
+    errorCode: ErrorCodeEnum.MENTOR_ASSIGNMENT_REQUIRED,
+  },
+  // The slot's mentor, or organizers of its event
+  [PermissionEnum.OFFICE_HOURS_MANAGE]: {
+    check: async (user, { slot }) =>
+      slot.mentorId === user.userid || hasEventRole(slot.eventId, user.userid, EVENT_ORGANIZER_ROLES),
+    message: "Only the mentor hosting these office hours can do this",
+    errorCode: ErrorCodeEnum.MENTOR_ASSIGNMENT_REQUIRED,
+  },
+  // Anyone not muted by the event's moderators
+  [PermissionEnum.CHAT_POST]: {
+    check: async (user, { eventId }) => !(await getActiveMute(eventId, user.userid)),
+    message: "You are muted in this event's chat",
+    errorCode: ErrorCodeEnum.EVENT_USER_MUTED,
+  },
+  [PermissionEnum.CHAT_EDIT]: {
+    check: async (user, { authorId }) => authorId === user.userid,
+    message: "You can only edit your own messages",
+    errorCode: ErrorCodeEnum.RESOURCE_OWNER_REQUIRED,
+  },
+  // The author, or moderators of the message's event
+  [PermissionEnum.CHAT_DELETE]: {
+    check: async (user, { eventId, authorId }) =>
+      authorId === user.userid || hasEventRole(eventId, user.userid, EVENT_MODERATOR_ROLES),
+    message: "You are not authorized to delete this message",
+    errorCode: ErrorCodeEnum.RESOURCE_OWNER_REQUIRED,
+  },
+  // The recipient, or organizers of the certificate's event
+  [PermissionEnum.CERTIFICATE_VIEW]: {
+    check: async (user, { eventId, recipientId }) =>
+      recipientId === user.userid || hasEventRole(eventId, user.userid, EVENT_ORGANIZER_ROLES),
+    message: "You don't have access to this certificate",
+    errorCode: ErrorCodeEnum.RESOURCE_OWNER_REQUIRED,
+  },
+  [PermissionEnum.EVENT_CERTIFICATES_VIEW]: {
+    check: async (user, { eventId }) =>
+      user.role === UserRoleEnum.JUDGE || hasEventRole(eventId, user.userid, EVENT_ORGANIZER_ROLES),
+    message: "You are not authorized to view certificates for this event",
+    errorCode: ErrorCodeEnum.EVENT_ORGANIZER_REQUIRED,
+  },
+  [PermissionEnum.USER_UPDATE]: {
+    check: async (user, { userId }) => userId === user.userid || user.role === UserRoleEnum.ADMIN,
+    message: "You can only update your own account",
+    errorCode: ErrorCodeEnum.RESOURCE_OWNER_REQUIRED,
+  },
+};
+
+const getPolicy = (action) => {
+  const policy = POLICIES[action];
+  if (!policy) throw new Error(`No policy defined for ${action}`);
+  return policy;
+};
+
+/**
+ * Check whether a user may perform an action
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} action - PermissionEnum value
+ * @param {Object} resource - What the action is about, e.g. { eventId } or { submission }
+ * @returns {Promise<boolean>}
+ */
+export const can = async (user, action, resource = {}) => Boolean(await getPolicy(action).check(user, resource));
+
+/**
+ * Like can, but throws a 403 ForbiddenException with the policy's message and error code
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} action - PermissionEnum value
+ * @param {Object} resource - What the action is about
+ */
+export const authorize = async (user, action, resource = {}) => {
+  if (await can(user, action, resource)) return;
+
+  const { message, errorCode } = getPolicy(action);
+  throw new ForbiddenException(typeof message === 'function' ? message(resource) : message, errorCode);
+};
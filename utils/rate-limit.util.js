@@ -0,0 +1,112 @@
+import { TooManyRequestsException } from './AppError.js';
+
+/**
+ * Default in-process store. Counters live in a Map and reset when their window ends,
+ * so limits are per server instance; use setRateLimitStore for a shared store.
+ * @returns {{increment: Function, get: Function, reset: Function}}
+ */
+export const createMemoryStore = () => {
+  const counters = new Map();
+
+  const readCounter = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= Date.now()) {
+      counters.delete(key);
+      return undefined;
+    }
+    return counter;
+  };
+
+  // Drop expired counters so the Map doesn't grow with every IP seen
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  cleanupTimer.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const counter = readCounter(key) || { count: 0, resetAt: Date.now() + windowMs };
+      counter.count += 1;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+    get: async (key) => {
+      const counter = readCounter(key);
+      return counter ? { ...counter } : null;
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    },
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * Replace the limiter store, e.g. with a Redis-backed one shared by all instances
+ * @param {{increment: Function, get: Function, reset: Function}} customStore - Store with the same async methods as createMemoryStore
+ */
+export const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+const secondsUntil = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+/**
+ * Count one attempt against a key and throw once the limit is exceeded
+ * @param {string} key - Counter key, e.g. "login:ip:1.2.3.4"
+ * @param {number} limit - Attempts allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {string} message - Error message when the limit is hit
+ */
+export const consumeRateLimit = async (key, limit, windowMs, message) => {
+  const { count, resetAt } = await store.increment(key, windowMs);
+
+  if (count > limit) {
+    throw new TooManyRequestsException(message, secondsUntil(resetAt));
+  }
+};
+
+/**
+ * Throw if the key is currently locked out
+ * @param {string} key - Lock key
+ * @param {string} message - Error message while locked
+ */
+export const assertNotLocked = async (key, message) => {
+  const lock = await store.get(`lock:${key}`);
+
+  if (lock) {
+    throw new TooManyRequestsException(message, secondsUntil(lock.resetAt));
+  }
+};
+
+/**
+ * Record a failed attempt; after maxFailures within the window the key is locked
+ * @param {string} key - Lock key
+ * @param {number} maxFailures - Failures allowed before locking
+ * @param {number} windowMs - How long failures are remembered
+ * @param {number} lockoutMs - How long the lock lasts
+ * @returns {Promise<boolean>} True when this failure triggered the lock
+ */
+export const recordFailure = async (key, maxFailures, windowMs, lockoutMs) => {
+  const { count } = await store.increment(`failures:${key}`, windowMs);
+
+  if (count >= maxFailures) {
+    await store.reset(`failures:${key}`);
+    await store.increment(`lock:${key}`, lockoutMs);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Forget failed attempts for a key, e.g. after a successful login
+ * @param {string} key - Lock key
+ */
+export const clearFailures = async (key) => {
+  await store.reset(`failures:${key}`);
+};
@@ -0,0 +1,115 @@
+import { executeParameterizedQuery } from './sql.util.js';
+import { AppError, NotFoundException } from './AppError.js';
+import { HTTPSTATUS } from '../config/Https.config.js';
+import { ErrorCodeEnum } from '../enums/error-code.enum.js';
+import { EVENT_PHASES, getEventPhase, getGracePeriodMinutes } from './event-phase.util.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Get a round definition
+ * @param {number} eventId - Event ID
+ * @param {number} roundNumber - Round number
+ * @returns {Promise<Object|null>} Round row or null
+ */
+export const getEventRound = async (eventId, roundNumber) => {
+  const roundQuery = `SELECT * FROM event_rounds WHERE EventID = @eventId AND RoundNumber = @roundNumber`;
+  const result = await executeParameterizedQuery(roundQuery, { eventId, roundNumber });
+  return result.recordset[0] || null;
+};
+
+/**
+ * Check whether a team may submit to a round. Every team may enter round 1.
+ * @param {number} eventId - Event ID
+ * @param {number} roundNumber - Round number
+ * @param {number} teamId - Team ID
+ * @returns {Promise<boolean>} True if the team qualified
+ */
+export const isTeamQualified = async (eventId, roundNumber, teamId) => {
+  if (roundNumber <= 1) return true;
+
+  const qualificationQuery = `
+    SELECT COUNT(*) as count FROM round_qualifications
+    WHERE EventID = @eventId AND RoundNumber = @roundNumber AND TeamID = @teamId
+  `;
+  const result = await executeParameterizedQuery(qualificationQuery, { eventId, roundNumber, teamId });
+  return result.recordset[0].count > 0;
+};
+
+/**
+ * Work out whether a round accepts submissions. A round with its own deadline is open from
+ * the event start until that deadline plus the grace period; other rounds follow the event phase.
+ * An organizer phase override always wins.
+ * @param {number} eventId - Event ID
+ * @param {number} roundNumber - Round number
+ * @returns {Promise<{isOpen: boolean, hasClosed: boolean, closesAt: Date, phase: string}>} Submission window
+ */
+export const getRoundSubmissionWindow = async (eventId, roundNumber) => {
+  const phaseInfo = await getEventPhase(eventId);
+  if (!phaseInfo) {
+    throw new NotFoundException("Event not found");
+  }
+
+  const round = await getEventRound(eventId, roundNumber);
+
+  if (!round || !round.SubmissionDeadline || phaseInfo.isOverridden) {
+    return {
+      isOpen: phaseInfo.phase === EVENT_PHASES.HACKING,
+      hasClosed: phaseInfo.phase !== EVENT_PHASES.REGISTRATION && phaseInfo.phase !== EVENT_PHASES.HACKING,
+      closesAt: phaseInfo.submissionsCloseAt,
+      phase: phaseInfo.phase,
+    };
+  }
+
+  const now = new Date();
+  const startDate = new Date(phaseInfo.event.StartDate);
+  const closesAt = new Date(
+    new Date(round.SubmissionDeadline).getTime() + getGracePeriodMinutes(phaseInfo.event) * MINUTE_MS
+  );
+
+  return {
+    isOpen: now >= startDate && now < closesAt,
+    hasClosed: now >= closesAt,
+    closesAt,
+    phase: phaseInfo.phase,
+  };
+};
+
+const phaseError = (message) =>
+  new AppError(message, HTTPSTATUS.FORBIDDEN, ErrorCodeEnum.EVENT_PHASE_NOT_ALLOWED);
+
+/**
+ * Throw unless the round accepts submissions
+ * @param {number} eventId - Event ID
+ * @param {number} roundNumber - Round number
+ * @param {string} action - What the user tried to do, for the error message
+ */
+export const assertRoundSubmissionsOpen = async (eventId, roundNumber, action) => {
+  const submissionWindow = await getRoundSubmissionWindow(eventId, roundNumber);
+
+  if (!submissionWindow.isOpen) {
+    throw phaseError(
+      submissionWindow.hasClosed
+        ? `${action} is not allowed: round ${roundNumber} closed for submissions at ${submissionWindow.closesAt.toISOString()}`
+        : `${action} is not allowed: round ${roundNumber} is not open for submissions yet`
+    );
+  }
+};
+
+/**
+ * Throw unless a round's submissions can be judged: its submission window has closed
+ * and results have not been published
+ * @param {number} eventId - Event ID
+ * @param {number} roundNumber - Round number
+ */
+export const assertRoundJudgingOpen = async (eventId, roundNumber) => {
+  const submissionWindow = await getRoundSubmissionWindow(eventId, roundNumber);
+
+  if (!submissionWindow.hasClosed || submissionWindow.phase === EVENT_PHASES.RESULTS) {
+    throw phaseError(
+      submissionWindow.phase === EVENT_PHASES.RESULTS
+        ? "Judging is not allowed during the results phase"
+        : `Judging is not allowed while round ${roundNumber} is still accepting submissions`
+    );
+  }
+};
@@ -0,0 +1,89 @@
+import Rubric from '../models/rubric.model.js';
+
+// Used for events that have not defined their own rubric
+export const DEFAULT_RUBRIC_CRITERIA = [
+  { key: 'innovation', name: 'Innovation', description: '', weight: 1, maxScore: 10 },
+  { key: 'technical', name: 'Technical', description: '', weight: 1, maxScore: 10 },
+  { key: 'presentation', name: 'Presentation', description: '', weight: 1, maxScore: 10 },
+  { key: 'impact', name: 'Impact', description: '', weight: 1, maxScore: 10 },
+  { key: 'overall', name: 'Overall', description: '', weight: 1, maxScore: 10 },
+];
+
+/**
+ * Derive a criterion key from its name ("Sponsor API usage" -> "sponsor_api_usage")
+ * @param {string} name - Criterion name
+ * @returns {string} Criterion key
+ */
+export const toCriterionKey = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+/**
+ * Get the rubric criteria for an event or one of its rounds. A round without its own
+ * rubric uses the event-wide rubric, which in turn falls back to the default rubric.
+ * @param {number} eventId - Event ID
+ * @param {number|null} round - Round number, or null for the event-wide rubric
+ * @returns {Promise<{criteria: Array, isDefault: boolean}>} Rubric criteria
+ */
+export const getEventRubric = async (eventId, round = null) => {
+  let rubric = null;
+  if (round !== null && round !== undefined) {
+    rubric = await Rubric.findOne({ eventId, round }).lean();
+  }
+  if (!rubric) {
+    rubric = await Rubric.findOne({ eventId, round: null }).lean();
+  }
+  if (!rubric) {
+    return { criteria: DEFAULT_RUBRIC_CRITERIA, isDefault: true };
+  }
+  return { criteria: rubric.criteria, isDefault: false };
+};
+
+/**
+ * Check a judge's scores against rubric criteria
+ * @param {Array} criteria - Rubric criteria
+ * @param {Object} scores - Scores keyed by criterion key
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export const validateScoresAgainstRubric = (criteria, scores) => {
+  const errors = [];
+  const knownKeys = new Set(criteria.map((criterion) => criterion.key));
+
+  Object.keys(scores).forEach((key) => {
+    if (!knownKeys.has(key)) {
+      errors.push(`Unknown criterion '${key}'`);
+    }
+  });
+
+  criteria.forEach((criterion) => {
+    const score = scores[criterion.key];
+    if (score === undefined || score === null) {
+      errors.push(`Score for '${criterion.name}' is required`);
+    } else if (score < 0 || score > criterion.maxScore) {
+      errors.push(`Score for '${criterion.name}' must be between 0 and ${criterion.maxScore}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Weighted total on a 0-100 scale: each score is taken as a fraction of its
+ * criterion's max score, then weighted
+ * @param {Array} criteria - Rubric criteria
+ * @param {Object} scores - Validated scores keyed by criterion key
+ * @returns {number} Total score rounded to 2 decimals
+ */
+export const computeWeightedTotal = (criteria, scores) => {
+  const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+  if (totalWeight === 0) return 0;
+
+  const weighted = criteria.reduce(
+    (sum, criterion) => sum + (scores[criterion.key] / criterion.maxScore) * criterion.weight,
+    0
+  );
+
+  return Math.round((weighted / totalWeight) * 100 * 100) / 100;
+};
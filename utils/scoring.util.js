@@ -0,0 +1,101 @@
+export const AGGREGATION_METHODS = ['mean', 'trimmed', 'zscore'];
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map((value) => (value - avg) ** 2)));
+};
+
+/**
+ * Mean after dropping the highest and lowest values
+ * @param {number[]} values - Scores to average
+ * @param {number} trimCount - Values to drop from each end (only if enough remain)
+ * @returns {number} Trimmed mean
+ */
+export const trimmedMean = (values, trimCount = 1) => {
+  if (values.length <= trimCount * 2) return mean(values);
+  const sorted = [...values].sort((a, b) => a - b);
+  return mean(sorted.slice(trimCount, sorted.length - trimCount));
+};
+
+/**
+ * Combine every judge's scorecard into one score per submission
+ * @param {Array} scorecards - Scorecards ({ submissionId, judgeId, totalScore }) in the ranking pool
+ * @param {string} method - 'mean', 'trimmed' or 'zscore'
+ * @returns {Map<string, {score: number, judgeCount: number}>} Aggregate keyed by submission ID
+ */
+export const aggregateScores = (scorecards, method = 'mean') => {
+  let normalized = scorecards.map((card) => ({ ...card, value: card.totalScore }));
+
+  // z-score: express each score relative to that judge's own mean and spread,
+  // so strict and lenient judges weigh the same
+  if (method === 'zscore') {
+    const byJudge = new Map();
+    scorecards.forEach((card) => {
+      if (!byJudge.has(card.judgeId)) byJudge.set(card.judgeId, []);
+      byJudge.get(card.judgeId).push(card.totalScore);
+    });
+
+    const judgeStats = new Map();
+    byJudge.forEach((values, judgeId) => {
+      judgeStats.set(judgeId, { mean: mean(values), std: standardDeviation(values) });
+    });
+
+    normalized = scorecards.map((card) => {
+      const stats = judgeStats.get(card.judgeId);
+      const value = stats.std === 0 ? 0 : (card.totalScore - stats.mean) / stats.std;
+      return { ...card, value };
+    });
+  }
+
+  const bySubmission = new Map();
+  normalized.forEach((card) => {
+    const key = card.submissionId.toString();
+    if (!bySubmission.has(key)) bySubmission.set(key, []);
+    bySubmission.get(key).push(card.value);
+  });
+
+  const aggregates = new Map();
+  bySubmission.forEach((values, submissionId) => {
+    const score = method === 'trimmed' ? trimmedMean(values) : mean(values);
+    aggregates.set(submissionId, {
+      score: Math.round(score * 10000) / 10000,
+      judgeCount: values.length,
+    });
+  });
+
+  return aggregates;
+};
+
+/**
+ * Deterministic ordering: higher score, then more judges, then earlier
+ * submission, then submission ID
+ */
+export const compareEntries = (a, b) => {
+  if (b.score !== a.score) return b.score - a.score;
+  if (b.judgeCount !== a.judgeCount) return b.judgeCount - a.judgeCount;
+  const submittedDiff = new Date(a.submittedAt) - new Date(b.submittedAt);
+  if (submittedDiff !== 0) return submittedDiff;
+  return a.submissionId.localeCompare(b.submissionId);
+};
+
+/**
+ * Assign 1-based ranks to scored entries; unscored entries get a null rank
+ * @param {Array} entries - Entries with score, judgeCount, submittedAt, submissionId
+ * @param {string} rankField - Property to write the rank to
+ * @returns {Array} Entries sorted by rank, unscored last
+ */
+export const rankEntries = (entries, rankField = 'rank') => {
+  const scored = entries.filter((entry) => entry.score !== null).sort(compareEntries);
+  const unscored = entries.filter((entry) => entry.score === null);
+
+  scored.forEach((entry, index) => {
+    entry[rankField] = index + 1;
+  });
+  unscored.forEach((entry) => {
+    entry[rankField] = null;
+  });
+
+  return [...scored, ...unscored];
+};
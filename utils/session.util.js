@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Env } from '../config/env.config.js';
+import { executeParameterizedQuery } from './sql.util.js';
+import { AppError, UnauthorizedException } from './AppError.js';
+import { HTTPSTATUS } from '../config/Https.config.js';
+import { ErrorCodeEnum } from '../enums/error-code.enum.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { userId: user.userid, role: user.role, sid: sessionId },
+    Env.JWT_SECRET,
+    { expiresIn: Env.JWT_EXPIRES_IN }
+  );
+
+const signRefreshToken = (user, sessionId) =>
+  jwt.sign(
+    { userId: user.userid, sid: sessionId, jti: crypto.randomUUID() },
+    Env.JWT_REFRESH_SECRET,
+    { expiresIn: Env.JWT_REFRESH_EXPIRES_IN }
+  );
+
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent')?.slice(0, 512) || null,
+  ipAddress: req.ip || null,
+});
+
+/**
+ * Start a new session and issue its first access/refresh token pair
+ * @param {Object} user - User row (userid, role)
+ * @param {Object} req - Express request, for user agent and IP
+ * @returns {Promise<{accessToken: string, refreshToken: string, sessionId: number}>}
+ */
+export const createSession = async (user, req) => {
+  if (user.suspended) {
+    throw new AppError("Your account is suspended", HTTPSTATUS.FORBIDDEN, ErrorCodeEnum.AUTH_ACCOUNT_SUSPENDED);
+  }
+
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  // Drop this user's dead sessions while we are here
+  const cleanupQuery = `
+    DELETE FROM user_sessions
+    WHERE UserID = @userId AND (ExpiresAt < SYSUTCDATETIME() OR RevokedAt IS NOT NULL)
+  `;
+  await executeParameterizedQuery(cleanupQuery, { userId: user.userid });
+
+  // Insert with a placeholder hash; the refresh token embeds the new session ID
+  const insertQuery = `
+    INSERT INTO user_sessions (UserID, RefreshTokenHash, ExpiresAt, UserAgent, IpAddress)
+    OUTPUT INSERTED.SessionID
+    VALUES (@userId, '', SYSUTCDATETIME(), @userAgent, @ipAddress)
+  `;
+  const result = await executeParameterizedQuery(insertQuery, {
+    userId: user.userid,
+    userAgent,
+    ipAddress,
+  });
+  const sessionId = result.recordset[0].SessionID;
+
+  const refreshToken = signRefreshToken(user, sessionId);
+  const { exp } = jwt.decode(refreshToken);
+
+  const updateQuery = `
+    UPDATE user_sessions
+    SET RefreshTokenHash = @tokenHash, ExpiresAt = @expiresAt
+    WHERE SessionID = @sessionId
+  `;
+  await executeParameterizedQuery(updateQuery, {
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(exp * 1000),
+    sessionId,
+  });
+
+  return {
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken,
+    sessionId,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The old refresh token stops
+ * working; presenting it again revokes the whole session (token reuse).
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<{accessToken: string, refreshToken: string, sessionId: number, user: Object}>}
+ */
+export const rotateSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, Env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw new UnauthorizedException("Invalid or expired refresh token", ErrorCodeEnum.AUTH_INVALID_TOKEN);
+  }
+
+  const sessionQuery = `
+    SELECT s.SessionID, s.RefreshTokenHash, s.RevokedAt, s.ExpiresAt,
+           u.userid, u.name, u.email, u.role, u.authprovider
+    FROM user_sessions s
+    INNER JOIN users u ON s.UserID = u.userid
+    WHERE s.SessionID = @sessionId AND s.UserID = @userId
+  `;
+  const sessionResult = await executeParameterizedQuery(sessionQuery, {
+    sessionId: decoded.sid,
+    userId: decoded.userId,
+  });
+
+  const session = sessionResult.recordset[0];
+  if (!session || session.RevokedAt || new Date(session.ExpiresAt) <= new Date()) {
+    throw new UnauthorizedException("Session has been revoked or has expired", ErrorCodeEnum.AUTH_INVALID_TOKEN);
+  }
+
+  if (session.RefreshTokenHash !== hashToken(refreshToken)) {
+    await revokeSession(session.SessionID, 'token_reuse');
+    throw new UnauthorizedException("Refresh token has already been used", ErrorCodeEnum.AUTH_INVALID_TOKEN);
+  }
+
+  const { RefreshTokenHash, RevokedAt, ExpiresAt, SessionID, ...user } = session;
+  const newRefreshToken = signRefreshToken(user, SessionID);
+  const { exp } = jwt.decode(newRefreshToken);
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotateQuery = `
+    UPDATE user_sessions
+    SET RefreshTokenHash = @newHash, ExpiresAt = @expiresAt, LastUsedAt = SYSUTCDATETIME(),
+        UserAgent = @userAgent, IpAddress = @ipAddress
+    WHERE SessionID = @sessionId AND RefreshTokenHash = @oldHash AND RevokedAt IS NULL
+  `;
+  const rotateResult = await executeParameterizedQuery(rotateQuery, {
+    newHash: hashToken(newRefreshToken),
+    expiresAt: new Date(exp * 1000),
+    userAgent,
+    ipAddress,
+    sessionId: SessionID,
+    oldHash: RefreshTokenHash,
+  });
+
+  if (rotateResult.rowsAffected[0] === 0) {
+    await revokeSession(SessionID, 'token_reuse');
+    throw new UnauthorizedException("Refresh token has already been used", ErrorCodeEnum.AUTH_INVALID_TOKEN);
+  }
+
+  return {
+    accessToken: signAccessToken(user, SessionID),
+    refreshToken: newRefreshToken,
+    sessionId: SessionID,
+    user,
+  };
+};
+
+/**
+ * Check that a session exists, belongs to the user and is still usable
+ * @param {number} sessionId - Session ID from the access token
+ * @param {number} userId - User ID from the access token
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId, userId) => {
+  const query = `
+    SELECT COUNT(*) as count FROM user_sessions
+    WHERE SessionID = @sessionId AND UserID = @userId
+      AND RevokedAt IS NULL AND ExpiresAt > SYSUTCDATETIME()
+  `;
+  const result = await executeParameterizedQuery(query, { sessionId, userId });
+  return result.recordset[0].count > 0;
+};
+
+/**
+ * Revoke a single session
+ * @param {number} sessionId - Session ID
+ * @param {string} reason - Why the session was revoked
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  const query = `
+    UPDATE user_sessions
+    SET RevokedAt = SYSUTCDATETIME(), RevokedReason = @reason
+    WHERE SessionID = @sessionId AND RevokedAt IS NULL
+  `;
+  const result = await executeParameterizedQuery(query, { sessionId, reason });
+  return result.rowsAffected[0];
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {number} userId - User ID
+ * @param {string} reason - Why the sessions were revoked
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllUserSessions = async (userId, reason = 'logout_all') => {
+  const query = `
+    UPDATE user_sessions
+    SET RevokedAt = SYSUTCDATETIME(), RevokedReason = @reason
+    WHERE UserID = @userId AND RevokedAt IS NULL
+  `;
+  const result = await executeParameterizedQuery(query, { userId, reason });
+  return result.rowsAffected[0];
+};
+
+/**
+ * List a user's active sessions
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Session rows (without token hashes)
+ */
+export const getActiveSessions = async (userId) => {
+  const query = `
+    SELECT SessionID, CreatedAt, LastUsedAt, ExpiresAt, UserAgent, IpAddress
+    FROM user_sessions
+    WHERE UserID = @userId AND RevokedAt IS NULL AND ExpiresAt > SYSUTCDATETIME()
+    ORDER BY COALESCE(LastUsedAt, CreatedAt) DESC
+  `;
+  const result = await executeParameterizedQuery(query, { userId });
+  return result.recordset;
+};
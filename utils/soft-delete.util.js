@@ -0,0 +1,40 @@
+const SOFT_DELETE_QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+];
+
+/**
+ * Mongoose plugin for documents that are kept, but hidden, once the SQL rows they
+ * reference are deleted. Adds deletedAt/deletedReason and filters soft-deleted
+ * documents out of queries unless the query sets { withDeleted: true } or filters
+ * on deletedAt itself.
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedReason: {
+      type: String,
+      default: null,
+    },
+  });
+
+  schema.pre(SOFT_DELETE_QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
@@ -1,5 +1,10 @@
+import sql from 'mssql';
 import poolPromise from '../config/sql.config.js';
 
+// SQL Server error number for a transaction chosen as deadlock victim
+const DEADLOCK_ERROR_NUMBER = 1205;
+const DEADLOCK_RETRIES = 2;
+
 /**
  * Execute a SQL query
  * @param {string} query - SQL query string
@@ -166,6 +171,60 @@ export const deleteRecord = async (table, whereClause, whereParams = {}) => {
   }
 };
 
+/**
+ * Run several queries in one transaction. The callback receives a query function
+ * that works like executeParameterizedQuery but runs inside the transaction.
+ * The transaction commits when the callback resolves and rolls back when it throws;
+ * a deadlock victim is retried from the start.
+ * @param {Function} callback - async (query) => result
+ * @param {Object} options - { isolationLevel } (defaults to READ COMMITTED)
+ * @returns {Promise} Whatever the callback returns
+ */
+export const withTransaction = async (callback, { isolationLevel = sql.ISOLATION_LEVEL.READ_COMMITTED } = {}) => {
+  const pool = await poolPromise;
+
+  for (let attempt = 0; ; attempt++) {
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin(isolationLevel);
+
+    const query = async (text, params = {}) => {
+      try {
+        const request = new sql.Request(transaction);
+
+        // Add named parameters
+        Object.entries(params).forEach(([key, value]) => {
+          request.input(key, value);
+        });
+
+        return await request.query(text);
+      } catch (error) {
+        console.error('Transaction Query Error:', error);
+        throw error;
+      }
+    };
+
+    try {
+      const result = await callback(query);
+      await transaction.commit();
+      return result;
+    } catch (error) {
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        // SQL Server already rolled back transactions it aborted, e.g. deadlock victims
+        if (rollbackError.code !== 'EABORT') {
+          console.error('Transaction Rollback Error:', rollbackError);
+        }
+      }
+
+      if (error.number === DEADLOCK_ERROR_NUMBER && attempt < DEADLOCK_RETRIES) {
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
 export default {
   executeQuery,
   executeProcedure,
@@ -174,5 +233,6 @@ export default {
   getMany,
   insertRecord,
   updateRecord,
-  deleteRecord
+  deleteRecord,
+  withTransaction
 };
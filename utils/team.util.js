@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import { executeParameterizedQuery, getOne, withTransaction } from './sql.util.js';
+import { AppError, NotFoundException } from './AppError.js';
+import { HTTPSTATUS } from '../config/Https.config.js';
+import { EVENT_PHASES, assertEventPhase } from './event-phase.util.js';
+import { emitDomainEvent } from './domain-events.util.js';
+import { DomainEventEnum } from '../enums/domain-event.enum.js';
+
+export const TEAM_JOIN_POLICIES = {
+  OPEN: 'open',
+  INVITE: 'invite',
+  REQUEST: 'request',
+};
+
+export const TEAM_ROLES = {
+  LEADER: 'Leader',
+  CO_LEADER: 'CoLeader',
+  MEMBER: 'Member',
+};
+
+// Roles allowed to edit submissions and remove members
+export const TEAM_MANAGER_ROLES = [TEAM_ROLES.LEADER, TEAM_ROLES.CO_LEADER];
+
+// Team membership is frozen once submissions close
+export const TEAM_CHANGE_PHASES = [EVENT_PHASES.REGISTRATION, EVENT_PHASES.HACKING];
+
+/**
+ * Generate a URL-safe invite code
+ * @returns {string} Invite code
+ */
+export const generateInviteCode = () => crypto.randomBytes(12).toString('base64url');
+
+/**
+ * Get a user's role in a team
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>} Role, or null if the user isn't a member
+ */
+export const getTeamRole = async (teamId, userId) => {
+  const member = await getOne(
+    `SELECT Role FROM team_members WHERE TeamId = @teamId AND UserId = @userId`,
+    { teamId, userId }
+  );
+  return member ? member.Role : null;
+};
+
+/**
+ * Lock a user's enrollment for an event and check they don't belong to one of its teams yet.
+ * Inside a transaction the lock is held until commit, so the same user can't join or create
+ * two teams for the event concurrently.
+ * @param {Function} query - Transaction query function from withTransaction
+ * @param {number} eventId - Event ID
+ * @param {number} userId - User ID
+ */
+export const assertNoEventTeam = async (query, eventId, userId) => {
+  await query(
+    `SELECT EnrollmentID FROM event_enrollments WITH (UPDLOCK, HOLDLOCK) WHERE EventID = @eventId AND UserID = @userId`,
+    { eventId, userId }
+  );
+
+  const existingTeamCheck = `
+    SELECT COUNT(*) as count FROM teams t
+    INNER JOIN team_members tm ON t.TeamId = tm.TeamId
+    WHERE t.EventId = @eventId AND tm.UserId = @userId
+  `;
+  const hasTeam = await query(existingTeamCheck, { eventId, userId });
+  if (hasTeam.recordset[0].count > 0) {
+    throw new AppError("You are already part of a team for this event", HTTPSTATUS.CONFLICT);
+  }
+};
+
+/**
+ * Check that a user can be added to a team: the event allows team changes, the user has
+ * no team for the event yet and the team has room. Inside a transaction the team row stays
+ * locked until commit, so concurrent joins can't overfill the team.
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID
+ * @param {Function} query - Query function, a transaction's from withTransaction to hold the locks
+ * @returns {Promise<Object>} Team row (TeamId, TeamName, EventId, JoinPolicy)
+ */
+export const assertCanJoinTeam = async (teamId, userId, query = executeParameterizedQuery) => {
+  const teamResult = await query(
+    `SELECT TeamId, TeamName, EventId, JoinPolicy FROM teams WITH (UPDLOCK, ROWLOCK) WHERE TeamId = @teamId`,
+    { teamId }
+  );
+  const team = teamResult.recordset[0];
+  if (!team) {
+    throw new NotFoundException("Team not found");
+  }
+
+  await assertEventPhase(team.EventId, TEAM_CHANGE_PHASES, "Joining a team");
+
+  await assertNoEventTeam(query, team.EventId, userId);
+
+  const sizeQuery = `
+    SELECT e.MaxTeamSize, (SELECT COUNT(*) FROM team_members WHERE TeamId = @teamId) as MemberCount
+    FROM events e WHERE e.EventID = @eventId
+  `;
+  const size = (await query(sizeQuery, { teamId, eventId: team.EventId })).recordset[0];
+  if (size.MaxTeamSize && size.MemberCount >= size.MaxTeamSize) {
+    throw new AppError(`Team is full. Maximum team size is ${size.MaxTeamSize}`, HTTPSTATUS.CONFLICT);
+  }
+
+  return team;
+};
+
+/**
+ * Add a user to a team as a member, link their enrollment to it and cancel
+ * their other pending join requests for the event
+ * @param {Object} team - Team row from assertCanJoinTeam
+ * @param {number} userId - User ID
+ * @param {Function} query - Transaction query function from withTransaction
+ */
+export const addTeamMember = async (team, userId, query) => {
+  await query(
+    `INSERT INTO team_members (TeamId, UserId, Role) VALUES (@teamId, @userId, 'Member')`,
+    { teamId: team.TeamId, userId }
+  );
+
+  const updateEnrollmentQuery = `
+    UPDATE event_enrollments
+    SET TeamID = @teamId
+    WHERE EventID = @eventId AND UserID = @userId AND Status = 'Enrolled'
+  `;
+  await query(updateEnrollmentQuery, {
+    teamId: team.TeamId,
+    eventId: team.EventId,
+    userId,
+  });
+
+  const cancelRequestsQuery = `
+    UPDATE team_join_requests
+    SET Status = 'Cancelled', RespondedAt = GETDATE()
+    WHERE UserID = @userId AND Status = 'Pending'
+      AND TeamID IN (SELECT TeamId FROM teams WHERE EventId = @eventId)
+  `;
+  await query(cancelRequestsQuery, { userId, eventId: team.EventId });
+};
+
+/**
+ * Check and add a user to a team in one transaction, then tell the team
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID
+ * @param {Function} beforeAdd - Optional async (query, team) hook run under the same locks,
+ *   e.g. to check the join policy or consume an invite; throw to abort the join
+ * @returns {Promise<Object>} Team row (TeamId, TeamName, EventId, JoinPolicy)
+ */
+export const joinTeamAtomically = async (teamId, userId, beforeAdd = null) => {
+  const joinedTeam = await withTransaction(async (query) => {
+    const team = await assertCanJoinTeam(teamId, userId, query);
+    if (beforeAdd) await beforeAdd(query, team);
+    await addTeamMember(team, userId, query);
+    return team;
+  });
+
+  emitDomainEvent(DomainEventEnum.TEAM_MEMBER_JOINED, { team: joinedTeam, userId });
+  return joinedTeam;
+};
+
+/**
+ * Delete a team and the SQL rows that reference it: members, round qualifications and
+ * prize awards are removed and enrollments are unlinked. Invites and join requests go
+ * with the team through ON DELETE CASCADE. Mongo data is cleaned up separately with
+ * cascadeTeamDeletion once the transaction commits.
+ * @param {Function} query - Transaction query function from withTransaction
+ * @param {number} teamId - Team ID
+ */
+export const deleteTeamRows = async (query, teamId) => {
+  await query(`UPDATE event_enrollments SET TeamID = NULL WHERE TeamID = @teamId`, { teamId });
+  await query(`DELETE FROM round_qualifications WHERE TeamID = @teamId`, { teamId });
+  await query(`DELETE FROM prize_awards WHERE TeamID = @teamId`, { teamId });
+  await query(`DELETE FROM team_members WHERE TeamId = @teamId`, { teamId });
+  await query(`DELETE FROM teams WHERE TeamId = @teamId`, { teamId });
+};
+
+/**
+ * Make the longest-serving co-leader, or failing that the longest-serving member,
+ * the team's leader. Does nothing if the team still has a leader.
+ * @param {number} teamId - Team ID
+ * @param {Function} query - Query function, a transaction's to promote as part of it
+ * @returns {Promise<Object|null>} New leader ({ userid, name, email }) or null if nobody was promoted
+ */
+export const promoteSuccessor = async (teamId, query = executeParameterizedQuery) => {
+  const promoteQuery = `
+    UPDATE team_members
+    SET Role = 'Leader'
+    OUTPUT INSERTED.UserId
+    WHERE MemberId = (
+      SELECT TOP 1 MemberId FROM team_members
+      WHERE TeamId = @teamId
+      ORDER BY CASE Role WHEN 'CoLeader' THEN 1 ELSE 2 END, MemberId
+    )
+    AND NOT EXISTS (SELECT 1 FROM team_members WHERE TeamId = @teamId AND Role = 'Leader')
+  `;
+  const result = await query(promoteQuery, { teamId });
+  if (result.recordset.length === 0) return null;
+
+  const successor = await query(`SELECT userid, name, email FROM users WHERE userid = @userId`, {
+    userId: result.recordset[0].UserId,
+  });
+  return successor.recordset[0];
+};
@@ -0,0 +1,40 @@
+import { executeParameterizedQuery } from './sql.util.js';
+
+/**
+ * Get the structured tracks defined for an event
+ * @param {number} eventId - Event ID
+ * @returns {Promise<Array>} Tracks ordered by name
+ */
+export const getEventTracks = async (eventId) => {
+  const tracksQuery = `
+    SELECT TrackID, EventID, Name, Description, CreatedAt
+    FROM event_tracks
+    WHERE EventID = @eventId
+    ORDER BY Name
+  `;
+  const result = await executeParameterizedQuery(tracksQuery, { eventId });
+  return result.recordset;
+};
+
+/**
+ * Match a track name against an event's tracks (case-insensitive).
+ * Events without structured tracks accept any track name.
+ * @param {number} eventId - Event ID
+ * @param {string} track - Track name from the client
+ * @returns {Promise<{valid: boolean, track: string, allowedTracks: string[]}>} The canonical track name when valid
+ */
+export const resolveEventTrack = async (eventId, track) => {
+  const tracks = await getEventTracks(eventId);
+
+  if (tracks.length === 0) {
+    return { valid: true, track, allowedTracks: [] };
+  }
+
+  const match = tracks.find((t) => t.Name.toLowerCase() === String(track).trim().toLowerCase());
+
+  return {
+    valid: Boolean(match),
+    track: match ? match.Name : track,
+    allowedTracks: tracks.map((t) => t.Name),
+  };
+};
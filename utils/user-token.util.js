@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import { executeParameterizedQuery } from './sql.util.js';
+import { BadRequestException } from './AppError.js';
+import { ErrorCodeEnum } from '../enums/error-code.enum.js';
+
+export const TOKEN_PURPOSES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset',
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new single-use token; earlier unused tokens for the same purpose stop working
+ * @param {number} userId - User ID
+ * @param {string} purpose - One of TOKEN_PURPOSES
+ * @param {number} ttlMinutes - Minutes until the token expires
+ * @returns {Promise<string>} Raw token to send to the user (only its hash is stored)
+ */
+export const issueUserToken = async (userId, purpose, ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const invalidateQuery = `
+    UPDATE user_tokens SET UsedAt = SYSUTCDATETIME()
+    WHERE UserID = @userId AND Purpose = @purpose AND UsedAt IS NULL
+  `;
+  await executeParameterizedQuery(invalidateQuery, { userId, purpose });
+
+  const insertQuery = `
+    INSERT INTO user_tokens (UserID, Purpose, TokenHash, ExpiresAt)
+    VALUES (@userId, @purpose, @tokenHash, DATEADD(MINUTE, @ttlMinutes, SYSUTCDATETIME()))
+  `;
+  await executeParameterizedQuery(insertQuery, {
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    ttlMinutes,
+  });
+
+  return token;
+};
+
+/**
+ * Redeem a token. Marking it used and reading it happen in one statement,
+ * so a token can never be redeemed twice.
+ * @param {string} token - Raw token from the user
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<number>} ID of the user the token belongs to
+ */
+export const consumeUserToken = async (token, purpose) => {
+  const consumeQuery = `
+    UPDATE user_tokens
+    SET UsedAt = SYSUTCDATETIME()
+    OUTPUT INSERTED.UserID
+    WHERE TokenHash = @tokenHash AND Purpose = @purpose
+      AND UsedAt IS NULL AND ExpiresAt > SYSUTCDATETIME()
+  `;
+  const result = await executeParameterizedQuery(consumeQuery, {
+    tokenHash: hashToken(token),
+    purpose,
+  });
+
+  if (result.recordset.length === 0) {
+    throw new BadRequestException("Token is invalid, expired or already used", ErrorCodeEnum.AUTH_INVALID_TOKEN);
+  }
+
+  return result.recordset[0].UserID;
+};
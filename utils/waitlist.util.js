@@ -0,0 +1,89 @@
+import { executeParameterizedQuery, getOne } from './sql.util.js';
+import { emitDomainEvent } from './domain-events.util.js';
+import { DomainEventEnum } from '../enums/domain-event.enum.js';
+
+/**
+ * Check whether an event has reached its participant cap
+ * @param {number} eventId - Event ID
+ * @param {number|null} maxParticipants - Event's MaxParticipants (null means unlimited)
+ * @param {Function} query - Query function, a transaction's to count inside it
+ * @returns {Promise<boolean>} True if new enrollments should be waitlisted
+ */
+export const isEventFull = async (eventId, maxParticipants, query = executeParameterizedQuery) => {
+  if (maxParticipants === null || maxParticipants === undefined) return false;
+
+  const countQuery = `
+    SELECT COUNT(*) as count FROM event_enrollments
+    WHERE EventID = @eventId AND Status = 'Enrolled'
+  `;
+  const result = await query(countQuery, { eventId });
+
+  return result.recordset[0].count >= maxParticipants;
+};
+
+/**
+ * Get a user's 1-based position on an event's waitlist
+ * @param {number} eventId - Event ID
+ * @param {number} userId - User ID
+ * @returns {Promise<number|null>} Position, or null if the user isn't waitlisted
+ */
+export const getWaitlistPosition = async (eventId, userId) => {
+  const positionQuery = `
+    SELECT COUNT(*) as position
+    FROM event_enrollments w
+    INNER JOIN event_enrollments me
+      ON me.EventID = w.EventID AND me.UserID = @userId AND me.Status = 'Waitlisted'
+    WHERE w.EventID = @eventId AND w.Status = 'Waitlisted'
+      AND (w.EnrollmentDate < me.EnrollmentDate
+        OR (w.EnrollmentDate = me.EnrollmentDate AND w.EnrollmentID <= me.EnrollmentID))
+  `;
+  const result = await executeParameterizedQuery(positionQuery, { eventId, userId });
+  const position = result.recordset[0].position;
+
+  return position > 0 ? position : null;
+};
+
+/**
+ * Promote waitlisted users, oldest first, until the event is full again
+ * @param {number} eventId - Event ID
+ * @returns {Promise<Array>} Promoted users ({ UserID, name, email, EventName })
+ */
+export const promoteFromWaitlist = async (eventId) => {
+  const promoted = [];
+
+  // Each statement promotes at most one user and re-checks capacity under the event
+  // row lock enrollments also take, so concurrent cancellations can't overfill the event
+  const promoteQuery = `
+    UPDATE event_enrollments
+    SET Status = 'Enrolled'
+    OUTPUT INSERTED.UserID
+    WHERE EnrollmentID = (
+      SELECT TOP 1 w.EnrollmentID
+      FROM event_enrollments w WITH (UPDLOCK, READPAST)
+      INNER JOIN events e WITH (UPDLOCK) ON e.EventID = w.EventID
+      WHERE w.EventID = @eventId AND w.Status = 'Waitlisted'
+        AND (e.MaxParticipants IS NULL OR e.MaxParticipants > (
+          SELECT COUNT(*) FROM event_enrollments
+          WHERE EventID = @eventId AND Status = 'Enrolled'
+        ))
+      ORDER BY w.EnrollmentDate, w.EnrollmentID
+    )
+  `;
+
+  const promotedUserQuery = `
+    SELECT u.userid as UserID, u.name, u.email, e.Name as EventName
+    FROM users u, events e
+    WHERE u.userid = @userId AND e.EventID = @eventId
+  `;
+
+  while (true) {
+    const result = await executeParameterizedQuery(promoteQuery, { eventId });
+    if (result.recordset.length === 0) break;
+
+    const user = await getOne(promotedUserQuery, { userId: result.recordset[0].UserID, eventId });
+    promoted.push(user);
+    emitDomainEvent(DomainEventEnum.WAITLIST_PROMOTED, { eventId, eventName: user.EventName, userId: user.UserID });
+  }
+
+  return promoted;
+};
@@ -0,0 +1,103 @@
+import { z } from "zod";
+import { UserRoleEnum } from "../enums/user-role.enum.js";
+
+const USER_ROLES = Object.values(UserRoleEnum);
+
+// User ID Validator (for params)
+export const userIdValidator = z.object({
+    userId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid user ID")
+});
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
+});
+
+// User List Query Validator
+export const listUsersQueryValidator = z.object({
+    page: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Page must be a positive number")
+        .optional(),
+
+    limit: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0 && val <= 100, "Limit must be between 1 and 100")
+        .optional(),
+
+    role: z
+        .enum(USER_ROLES)
+        .optional(),
+
+    suspended: z
+        .enum(["true", "false"])
+        .optional(),
+
+    search: z
+        .string()
+        .max(255, "Search cannot exceed 255 characters")
+        .optional()
+});
+
+// Suspend User Validator
+export const suspendUserValidator = z.object({
+    reason: z
+        .string()
+        .trim()
+        .max(500, "Reason cannot exceed 500 characters")
+        .optional()
+});
+
+// Update Role Validator
+export const updateRoleValidator = z.object({
+    role: z
+        .enum(USER_ROLES, { required_error: "Role is required" })
+});
+
+// Transfer Event Validator
+export const transferEventValidator = z.object({
+    userId: z
+        .number({ required_error: "User ID is required" })
+        .int("User ID must be an integer")
+        .positive("User ID must be positive")
+});
+
+// Validation middleware functions
+export const listUsersWithValidation = {
+    query: listUsersQueryValidator
+};
+
+export const suspendUserWithValidation = {
+    params: userIdValidator,
+    body: suspendUserValidator
+};
+
+export const unsuspendUserWithValidation = {
+    params: userIdValidator
+};
+
+export const updateUserRoleWithValidation = {
+    params: userIdValidator,
+    body: updateRoleValidator
+};
+
+export const deleteUserWithValidation = {
+    params: userIdValidator
+};
+
+export const takeOverEventWithValidation = {
+    params: eventIdValidator
+};
+
+export const transferEventWithValidation = {
+    params: eventIdValidator,
+    body: transferEventValidator
+};
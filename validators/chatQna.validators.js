@@ -68,7 +68,7 @@ export const eventIdValidator = z.object({
         .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
 });
 
-// Pagination Query Validator
+// Listing Query Validator (pagination, filters and sort)
 export const chatPaginationValidator = z.object({
     page: z
         .string()
@@ -82,9 +82,44 @@ export const chatPaginationValidator = z.object({
         .transform((val) => parseInt(val))
         .refine((val) => !isNaN(val) && val > 0 && val <= 100, "Limit must be between 1 and 100")
         .default("20")
+        .optional(),
+
+    status: z
+        .enum(['open', 'answered', 'closed'], { message: "Status must be open, answered or closed" })
+        .optional(),
+
+    pinned: z
+        .enum(['true', 'false'], { message: "Pinned must be true or false" })
+        .optional(),
+
+    sort: z
+        .enum(['recent', 'top', 'upvotes'], { message: "Sort must be recent, top or upvotes" })
         .optional()
 });
 
+// Question Status Validator
+export const updateChatStatusValidator = z.object({
+    status: z.enum(['open', 'answered', 'closed'], { message: "Status must be open, answered or closed" })
+});
+
+// Pin Validator
+export const pinChatMessageValidator = z.object({
+    isPinned: z.boolean({ required_error: "isPinned is required" })
+});
+
+// Hide Validator
+export const setHiddenValidator = z.object({
+    isHidden: z.boolean({ required_error: "isHidden is required" })
+});
+
+// Accepted Reply Validator (null clears the accepted answer)
+export const acceptReplyValidator = z.object({
+    replyId: z
+        .string({ required_error: "Reply ID is required" })
+        .regex(/^[0-9a-fA-F]{24}$/, "Invalid reply ID format")
+        .nullable()
+});
+
 // Validation middleware functions
 export const createChatMessageWithValidation = {
     body: createChatMessageValidator
@@ -109,6 +144,10 @@ export const getChatByEventWithValidation = {
     query: chatPaginationValidator
 };
 
+export const streamChatWithValidation = {
+    params: eventIdValidator
+};
+
 export const deleteChatWithValidation = {
     params: chatIdValidator
 };
@@ -121,3 +160,32 @@ export const updateReplyWithValidation = {
 export const deleteReplyWithValidation = {
     params: chatReplyIdValidator
 };
+
+export const updateChatStatusWithValidation = {
+    body: updateChatStatusValidator,
+    params: chatIdValidator
+};
+
+export const pinChatMessageWithValidation = {
+    body: pinChatMessageValidator,
+    params: chatIdValidator
+};
+
+export const upvoteChatWithValidation = {
+    params: chatIdValidator
+};
+
+export const acceptReplyWithValidation = {
+    body: acceptReplyValidator,
+    params: chatIdValidator
+};
+
+export const hideChatMessageWithValidation = {
+    body: setHiddenValidator,
+    params: chatIdValidator
+};
+
+export const hideChatReplyWithValidation = {
+    body: setHiddenValidator,
+    params: chatReplyIdValidator
+};
@@ -0,0 +1,64 @@
+import { z } from "zod";
+import { EventStaffRoleEnum } from "../enums/event-staff-role.enum.js";
+
+// The owner is set when the event is created or transferred, never through the staff endpoints
+const ASSIGNABLE_STAFF_ROLES = Object.values(EventStaffRoleEnum).filter(
+    (role) => role !== EventStaffRoleEnum.OWNER
+);
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
+});
+
+// Event and User ID Validator (for params)
+export const staffMemberValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID"),
+
+    userId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid user ID")
+});
+
+// Add Staff Validator
+export const addStaffValidator = z.object({
+    userId: z
+        .number({ required_error: "User ID is required" })
+        .int("User ID must be an integer")
+        .positive("User ID must be positive"),
+
+    role: z
+        .enum(ASSIGNABLE_STAFF_ROLES, { required_error: "Role is required" })
+});
+
+// Update Staff Role Validator
+export const updateStaffRoleValidator = z.object({
+    role: z
+        .enum(ASSIGNABLE_STAFF_ROLES, { required_error: "Role is required" })
+});
+
+// Validation middleware functions
+export const getEventStaffWithValidation = {
+    params: eventIdValidator
+};
+
+export const addEventStaffWithValidation = {
+    params: eventIdValidator,
+    body: addStaffValidator
+};
+
+export const updateEventStaffWithValidation = {
+    params: staffMemberValidator,
+    body: updateStaffRoleValidator
+};
+
+export const removeEventStaffWithValidation = {
+    params: staffMemberValidator
+};
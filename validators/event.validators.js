@@ -67,9 +67,26 @@ export const createEventValidator = z.object({
         .max(10, "Max team size cannot exceed 10")
         .optional(),
     
+    maxParticipants: z
+        .number()
+        .int("Max participants must be an integer")
+        .positive("Max participants must be positive")
+        .optional(),
+    
+    gracePeriodMinutes: z
+        .number()
+        .int("Grace period must be an integer")
+        .min(0, "Grace period cannot be negative")
+        .max(1440, "Grace period cannot exceed 1440 minutes")
+        .optional(),
+    
     sponsors: z
         .string()
         .max(2000, "Sponsors cannot exceed 2000 characters")
+        .optional(),
+    
+    requireVerifiedEmail: z
+        .boolean()
         .optional()
 }).refine((data) => {
     const startDate = new Date(data.startDate);
@@ -150,12 +167,31 @@ export const updateEventValidator = z.object({
         .max(10, "Max team size cannot exceed 10")
         .optional(),
     
+    maxParticipants: z
+        .number()
+        .int("Max participants must be an integer")
+        .positive("Max participants must be positive")
+        .nullable()
+        .optional(),
+    
+    gracePeriodMinutes: z
+        .number()
+        .int("Grace period must be an integer")
+        .min(0, "Grace period cannot be negative")
+        .max(1440, "Grace period cannot exceed 1440 minutes")
+        .nullable()
+        .optional(),
+    
     sponsors: z
         .string()
         .max(2000, "Sponsors cannot exceed 2000 characters")
         .optional(),
     
     isActive: z
+        .boolean()
+        .optional(),
+    
+    requireVerifiedEmail: z
         .boolean()
         .optional()
 }).refine((data) => Object.keys(data).length > 0, {
@@ -178,6 +214,15 @@ export const enrollEventValidator = z.object({
         .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
 });
 
+// Phase Override Validator
+export const phaseOverrideValidator = z.object({
+    phase: z
+        .enum(["registration", "hacking", "submission-closed", "judging", "results"], {
+            errorMap: () => ({ message: "Phase must be one of registration, hacking, submission-closed, judging, results" })
+        })
+        .nullable()
+});
+
 // Search Query Validator
 export const eventSearchValidator = z.object({
     query: z
@@ -236,3 +281,12 @@ export const enrollEventWithValidation = {
 export const searchEventWithValidation = {
     query: eventSearchValidator
 };
+
+export const getEventPhaseWithValidation = {
+    params: enrollEventValidator
+};
+
+export const setEventPhaseWithValidation = {
+    body: phaseOverrideValidator,
+    params: enrollEventValidator
+};
@@ -0,0 +1,59 @@
+import { z } from "zod";
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
+});
+
+// Event and Assignment ID Validator (for params)
+export const assignmentIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID"),
+
+    assignmentId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid assignment ID")
+});
+
+// Judge Assignment Validator
+export const assignJudgeValidator = z.object({
+    judgeId: z
+        .number({ required_error: "Judge ID is required" })
+        .int("Judge ID must be an integer")
+        .positive("Judge ID must be positive"),
+
+    track: z
+        .string()
+        .min(2, "Track must be at least 2 characters long")
+        .max(100, "Track cannot exceed 100 characters")
+        .trim()
+        .optional(),
+
+    submissionId: z
+        .string()
+        .regex(/^[0-9a-fA-F]{24}$/, "Invalid submission ID format")
+        .optional()
+}).refine((data) => !(data.track && data.submissionId), {
+    message: "Assign either a track or a submission, not both",
+    path: ["submissionId"]
+});
+
+// Validation middleware functions
+export const assignJudgeWithValidation = {
+    body: assignJudgeValidator,
+    params: eventIdValidator
+};
+
+export const getEventJudgesWithValidation = {
+    params: eventIdValidator
+};
+
+export const removeJudgeAssignmentWithValidation = {
+    params: assignmentIdValidator
+};
@@ -0,0 +1,55 @@
+import { z } from "zod";
+import { AGGREGATION_METHODS } from "../utils/scoring.util.js";
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
+});
+
+// Leaderboard Query Validator
+export const leaderboardQueryValidator = z.object({
+    method: z
+        .enum(AGGREGATION_METHODS)
+        .optional()
+        .default('mean'),
+
+    round: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid round number")
+        .optional(),
+
+    track: z
+        .string()
+        .min(1, "Track cannot be empty")
+        .max(100, "Track cannot exceed 100 characters")
+        .optional()
+});
+
+// Leaderboard Publish Validator
+export const publishLeaderboardValidator = z.object({
+    method: z
+        .enum(AGGREGATION_METHODS)
+        .optional()
+        .default('mean'),
+
+    round: z
+        .number()
+        .int("Round must be an integer")
+        .positive("Round must be positive")
+        .optional()
+});
+
+// Validation middleware functions
+export const getLeaderboardWithValidation = {
+    params: eventIdValidator,
+    query: leaderboardQueryValidator
+};
+
+export const publishLeaderboardWithValidation = {
+    params: eventIdValidator,
+    body: publishLeaderboardValidator
+};
@@ -0,0 +1,128 @@
+import { z } from "zod";
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
+});
+
+// Event and Team ID Validator (for params)
+export const eventTeamIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID"),
+
+    teamId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid team ID")
+});
+
+const tagListValidator = (label) => z
+    .array(
+        z.string()
+            .trim()
+            .min(1, `${label} cannot be empty`)
+            .max(50, `${label} cannot exceed 50 characters`)
+    )
+    .max(20, `Cannot list more than 20 ${label.toLowerCase()}s`)
+    .optional()
+    .default([]);
+
+// Individual Listing Validator
+export const individualListingValidator = z.object({
+    skills: tagListValidator("Skill"),
+
+    interests: tagListValidator("Interest"),
+
+    description: z
+        .string()
+        .max(1000, "Description cannot exceed 1000 characters")
+        .trim()
+        .optional()
+        .default("")
+}).refine((data) => data.skills.length > 0 || data.interests.length > 0, {
+    message: "List at least one skill or interest"
+});
+
+// Team Listing Validator
+export const teamListingValidator = z.object({
+    rolesNeeded: tagListValidator("Role"),
+
+    skills: tagListValidator("Skill"),
+
+    interests: tagListValidator("Interest"),
+
+    description: z
+        .string()
+        .max(1000, "Description cannot exceed 1000 characters")
+        .trim()
+        .optional()
+        .default("")
+}).refine((data) => data.rolesNeeded.length > 0, {
+    message: "List at least one role the team is looking for"
+});
+
+// Board Query Validator
+export const boardQueryValidator = z.object({
+    type: z
+        .enum(['individual', 'team'])
+        .optional(),
+
+    skill: z
+        .string()
+        .max(50, "Skill cannot exceed 50 characters")
+        .optional(),
+
+    interest: z
+        .string()
+        .max(50, "Interest cannot exceed 50 characters")
+        .optional()
+});
+
+// Matches Query Validator
+export const matchesQueryValidator = z.object({
+    teamId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid team ID")
+        .optional(),
+
+    limit: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0 && val <= 50, "Limit must be between 1 and 50")
+        .optional()
+});
+
+// Validation middleware functions
+export const getBoardWithValidation = {
+    params: eventIdValidator,
+    query: boardQueryValidator
+};
+
+export const upsertMyListingWithValidation = {
+    params: eventIdValidator,
+    body: individualListingValidator
+};
+
+export const deleteMyListingWithValidation = {
+    params: eventIdValidator
+};
+
+export const upsertTeamListingWithValidation = {
+    params: eventTeamIdValidator,
+    body: teamListingValidator
+};
+
+export const deleteTeamListingWithValidation = {
+    params: eventTeamIdValidator
+};
+
+export const getMatchesWithValidation = {
+    params: eventIdValidator,
+    query: matchesQueryValidator
+};
@@ -0,0 +1,232 @@
+import { z } from "zod";
+import { HelpTopicEnum } from "../enums/help-topic.enum.js";
+
+const HELP_TOPICS = Object.values(HelpTopicEnum);
+
+const positiveIdParam = (message) => z
+    .string()
+    .transform((val) => parseInt(val))
+    .refine((val) => !isNaN(val) && val > 0, message);
+
+const objectIdParam = (message) => z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, message);
+
+const dateTime = (label) => z
+    .string({ required_error: `${label} is required` })
+    .datetime(`${label} must be a valid ISO datetime`)
+    .transform((val) => new Date(val));
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: positiveIdParam("Invalid event ID")
+});
+
+// Team ID Validator (for params)
+export const teamIdValidator = z.object({
+    teamId: positiveIdParam("Invalid team ID")
+});
+
+// Ticket ID Validator (for params)
+export const ticketIdValidator = z.object({
+    id: objectIdParam("Invalid ticket ID format")
+});
+
+// Slot ID Validator (for params)
+export const slotIdValidator = z.object({
+    id: objectIdParam("Invalid slot ID format")
+});
+
+// Slot and Team ID Validator (for params)
+export const slotTeamIdValidator = z.object({
+    id: objectIdParam("Invalid slot ID format"),
+    teamId: positiveIdParam("Invalid team ID")
+});
+
+// Create Help Ticket Validator
+export const createHelpTicketValidator = z.object({
+    eventId: z
+        .number({ required_error: "Event ID is required" })
+        .int()
+        .positive("Invalid event ID"),
+
+    teamId: z
+        .number({ required_error: "Team ID is required" })
+        .int()
+        .positive("Invalid team ID"),
+
+    topic: z.enum(HELP_TOPICS, {
+        message: `Topic must be one of: ${HELP_TOPICS.join(", ")}`
+    }),
+
+    title: z
+        .string({ required_error: "Title is required" })
+        .trim()
+        .min(1, "Title is required")
+        .max(200, "Title cannot exceed 200 characters"),
+
+    description: z
+        .string()
+        .trim()
+        .max(2000, "Description cannot exceed 2000 characters")
+        .optional()
+});
+
+// Ticket Queue Query Validator
+export const ticketQueueQueryValidator = z.object({
+    status: z
+        .enum(["open", "claimed", "resolved", "cancelled"])
+        .optional(),
+
+    topic: z
+        .enum(HELP_TOPICS)
+        .optional(),
+
+    mine: z
+        .enum(["true", "false"])
+        .optional(),
+
+    page: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Page must be a positive number")
+        .optional(),
+
+    limit: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0 && val <= 100, "Limit must be between 1 and 100")
+        .optional()
+});
+
+// Resolve Ticket Validator
+export const resolveHelpTicketValidator = z.object({
+    resolution: z
+        .string()
+        .trim()
+        .max(1000, "Resolution cannot exceed 1000 characters")
+        .optional()
+});
+
+const slotFields = {
+    topics: z
+        .array(z.enum(HELP_TOPICS), { message: `Topics must be from: ${HELP_TOPICS.join(", ")}` })
+        .max(HELP_TOPICS.length, "Too many topics")
+        .optional(),
+
+    capacity: z
+        .number()
+        .int()
+        .min(1, "Capacity must be at least 1")
+        .max(50, "Capacity cannot exceed 50")
+        .optional(),
+
+    location: z
+        .string()
+        .trim()
+        .max(500, "Location cannot exceed 500 characters")
+        .optional(),
+
+    notes: z
+        .string()
+        .trim()
+        .max(1000, "Notes cannot exceed 1000 characters")
+        .optional()
+};
+
+// Create Office-Hour Slot Validator
+export const createSlotValidator = z.object({
+    startsAt: dateTime("Start time"),
+    endsAt: dateTime("End time"),
+    ...slotFields
+}).refine((data) => data.endsAt > data.startsAt, {
+    message: "Slot must end after it starts",
+    path: ["endsAt"]
+});
+
+// Update Office-Hour Slot Validator
+export const updateSlotValidator = z.object({
+    startsAt: dateTime("Start time").optional(),
+    endsAt: dateTime("End time").optional(),
+    ...slotFields
+}).refine((data) => Object.keys(data).length > 0, "At least one field must be provided");
+
+// Office Hours Query Validator
+export const officeHoursQueryValidator = z.object({
+    mentorId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid mentor ID")
+        .optional(),
+
+    topic: z
+        .enum(HELP_TOPICS)
+        .optional(),
+
+    available: z
+        .enum(["true", "false"])
+        .optional()
+});
+
+// Book Slot Validator
+export const bookSlotValidator = z.object({
+    teamId: z
+        .number({ required_error: "Team ID is required" })
+        .int()
+        .positive("Invalid team ID")
+});
+
+// Validation middleware functions
+export const createHelpTicketWithValidation = {
+    body: createHelpTicketValidator
+};
+
+export const getEventTicketsWithValidation = {
+    params: eventIdValidator,
+    query: ticketQueueQueryValidator
+};
+
+export const getEventTicketStatsWithValidation = {
+    params: eventIdValidator
+};
+
+export const getTeamTicketsWithValidation = {
+    params: teamIdValidator
+};
+
+export const helpTicketIdWithValidation = {
+    params: ticketIdValidator
+};
+
+export const resolveHelpTicketWithValidation = {
+    body: resolveHelpTicketValidator,
+    params: ticketIdValidator
+};
+
+export const createSlotWithValidation = {
+    body: createSlotValidator,
+    params: eventIdValidator
+};
+
+export const getEventOfficeHoursWithValidation = {
+    params: eventIdValidator,
+    query: officeHoursQueryValidator
+};
+
+export const updateSlotWithValidation = {
+    body: updateSlotValidator,
+    params: slotIdValidator
+};
+
+export const deleteSlotWithValidation = {
+    params: slotIdValidator
+};
+
+export const bookSlotWithValidation = {
+    body: bookSlotValidator,
+    params: slotIdValidator
+};
+
+export const cancelBookingWithValidation = {
+    params: slotTeamIdValidator
+};
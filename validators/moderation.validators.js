@@ -0,0 +1,130 @@
+import { z } from "zod";
+
+const objectId = (message) => z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, message);
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
+});
+
+// Event and User ID Validator (for params)
+export const eventUserIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID"),
+
+    userId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid user ID")
+});
+
+// Report ID Validator (for params)
+export const reportIdValidator = z.object({
+    id: objectId("Invalid report ID format")
+});
+
+// Create Report Validator (replies also need the chat message they belong to)
+export const createReportValidator = z.object({
+    targetType: z.enum(["chat", "reply", "announcement"], {
+        message: "Target type must be chat, reply or announcement"
+    }),
+
+    targetId: objectId("Invalid target ID format"),
+
+    chatId: objectId("Invalid chat message ID format").optional(),
+
+    reason: z.enum(["spam", "abuse", "harassment", "off-topic", "other"], {
+        message: "Reason must be spam, abuse, harassment, off-topic or other"
+    }),
+
+    details: z
+        .string()
+        .trim()
+        .max(1000, "Details cannot exceed 1000 characters")
+        .optional()
+}).refine((data) => data.targetType !== "reply" || data.chatId, {
+    message: "Chat message ID is required when reporting a reply",
+    path: ["chatId"]
+});
+
+// Report Queue Query Validator
+export const reportQueryValidator = z.object({
+    status: z
+        .enum(["pending", "resolved", "dismissed"])
+        .optional(),
+
+    page: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Page must be a positive number")
+        .optional(),
+
+    limit: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0 && val <= 100, "Limit must be between 1 and 100")
+        .optional()
+});
+
+// Review Report Validator
+export const reviewReportValidator = z.object({
+    status: z.enum(["resolved", "dismissed"], {
+        message: "Status must be resolved or dismissed"
+    })
+});
+
+// Mute User Validator (no duration mutes until unmuted)
+export const muteUserValidator = z.object({
+    userId: z
+        .number({ required_error: "User ID is required" })
+        .int()
+        .positive("Invalid user ID"),
+
+    reason: z
+        .string()
+        .trim()
+        .max(500, "Reason cannot exceed 500 characters")
+        .optional(),
+
+    durationMinutes: z
+        .number()
+        .int()
+        .positive("Duration must be a positive number of minutes")
+        .max(60 * 24 * 365, "Duration cannot exceed a year")
+        .optional()
+});
+
+// Validation middleware functions
+export const createReportWithValidation = {
+    body: createReportValidator
+};
+
+export const getEventReportsWithValidation = {
+    params: eventIdValidator,
+    query: reportQueryValidator
+};
+
+export const reviewReportWithValidation = {
+    body: reviewReportValidator,
+    params: reportIdValidator
+};
+
+export const getEventMutesWithValidation = {
+    params: eventIdValidator
+};
+
+export const muteUserWithValidation = {
+    body: muteUserValidator,
+    params: eventIdValidator
+};
+
+export const unmuteUserWithValidation = {
+    params: eventUserIdValidator
+};
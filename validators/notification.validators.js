@@ -0,0 +1,78 @@
+import { z } from "zod";
+import { NotificationTypeEnum } from "../enums/notification-type.enum.js";
+
+const NOTIFICATION_TYPES = Object.values(NotificationTypeEnum);
+
+// Notification ID Validator (for params)
+export const notificationIdValidator = z.object({
+    id: z
+        .string()
+        .regex(/^[0-9a-fA-F]{24}$/, "Invalid notification ID format")
+});
+
+// Inbox Query Validator
+export const notificationQueryValidator = z.object({
+    unread: z
+        .enum(["true", "false"])
+        .optional(),
+
+    type: z
+        .enum(NOTIFICATION_TYPES)
+        .optional(),
+
+    page: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Page must be a positive number")
+        .optional(),
+
+    limit: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0 && val <= 100, "Limit must be between 1 and 100")
+        .optional()
+});
+
+// Mark Notification Validator
+export const markNotificationValidator = z.object({
+    read: z.boolean({ required_error: "read is required" })
+});
+
+// Mark All Read Validator
+export const markAllReadValidator = z.object({
+    type: z
+        .enum(NOTIFICATION_TYPES)
+        .optional()
+});
+
+const channelsValidator = z.object({
+    inApp: z.boolean().optional(),
+    email: z.boolean().optional()
+}).strict();
+
+// Preferences Validator: { [type]: { inApp, email } }
+export const updatePreferencesValidator = z.object(
+    Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, channelsValidator.optional()]))
+).strict().refine((data) => Object.keys(data).length > 0, "At least one notification type must be provided");
+
+// Validation middleware functions
+export const getNotificationsWithValidation = {
+    query: notificationQueryValidator
+};
+
+export const markNotificationWithValidation = {
+    body: markNotificationValidator,
+    params: notificationIdValidator
+};
+
+export const markAllReadWithValidation = {
+    body: markAllReadValidator
+};
+
+export const deleteNotificationWithValidation = {
+    params: notificationIdValidator
+};
+
+export const updatePreferencesWithValidation = {
+    body: updatePreferencesValidator
+};
@@ -0,0 +1,120 @@
+import { z } from "zod";
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
+});
+
+// Event and Prize ID Validator (for params)
+export const prizeIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID"),
+
+    prizeId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid prize ID")
+});
+
+// Event, Prize and Award ID Validator (for params)
+export const awardIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID"),
+
+    prizeId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid prize ID"),
+
+    awardId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid award ID")
+});
+
+// Prize Creation Validator
+export const createPrizeValidator = z.object({
+    title: z
+        .string({ required_error: "Prize title is required" })
+        .min(2, "Prize title must be at least 2 characters long")
+        .max(255, "Prize title cannot exceed 255 characters")
+        .trim(),
+
+    description: z
+        .string()
+        .max(1000, "Description cannot exceed 1000 characters")
+        .optional(),
+
+    value: z
+        .string()
+        .max(255, "Value cannot exceed 255 characters")
+        .optional(),
+
+    quantity: z
+        .number()
+        .int("Quantity must be an integer")
+        .positive("Quantity must be positive")
+        .max(100, "Quantity cannot exceed 100")
+        .optional(),
+
+    trackId: z
+        .number()
+        .int("Track ID must be an integer")
+        .positive("Track ID must be positive")
+        .nullable()
+        .optional(),
+
+    sponsorId: z
+        .number()
+        .int("Sponsor ID must be an integer")
+        .positive("Sponsor ID must be positive")
+        .nullable()
+        .optional()
+});
+
+// Prize Update Validator
+export const updatePrizeValidator = createPrizeValidator.partial().refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update"
+});
+
+// Prize Award Validator
+export const awardPrizeValidator = z.object({
+    submissionId: z
+        .string({ required_error: "Submission ID is required" })
+        .regex(/^[0-9a-fA-F]{24}$/, "Invalid submission ID format")
+});
+
+// Validation middleware functions
+export const getPrizesWithValidation = {
+    params: eventIdValidator
+};
+
+export const createPrizeWithValidation = {
+    body: createPrizeValidator,
+    params: eventIdValidator
+};
+
+export const updatePrizeWithValidation = {
+    body: updatePrizeValidator,
+    params: prizeIdValidator
+};
+
+export const deletePrizeWithValidation = {
+    params: prizeIdValidator
+};
+
+export const awardPrizeWithValidation = {
+    body: awardPrizeValidator,
+    params: prizeIdValidator
+};
+
+export const revokePrizeAwardWithValidation = {
+    params: awardIdValidator
+};
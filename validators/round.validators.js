@@ -0,0 +1,123 @@
+import { z } from "zod";
+import { AGGREGATION_METHODS } from "../utils/scoring.util.js";
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
+});
+
+// Event ID and Round Number Validator (for params)
+export const roundNumberValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID"),
+
+    roundNumber: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid round number")
+});
+
+// Event ID, Round Number and Team ID Validator (for params)
+export const roundTeamIdValidator = roundNumberValidator.extend({
+    teamId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid team ID")
+});
+
+// Round Creation Validator
+export const createRoundValidator = z.object({
+    roundNumber: z
+        .number({ required_error: "Round number is required" })
+        .int("Round number must be an integer")
+        .positive("Round number must be positive"),
+
+    name: z
+        .string({ required_error: "Round name is required" })
+        .min(2, "Round name must be at least 2 characters long")
+        .max(100, "Round name cannot exceed 100 characters")
+        .trim(),
+
+    description: z
+        .string()
+        .max(1000, "Description cannot exceed 1000 characters")
+        .optional(),
+
+    submissionDeadline: z
+        .string()
+        .datetime("Submission deadline must be a valid ISO datetime")
+        .nullable()
+        .optional()
+});
+
+// Round Update Validator
+export const updateRoundValidator = createRoundValidator
+    .omit({ roundNumber: true })
+    .partial()
+    .refine((data) => Object.keys(data).length > 0, {
+        message: "At least one field must be provided for update"
+    });
+
+// Advancement Validator - either the top N of the previous round or a hand-picked list of teams
+export const advanceTeamsValidator = z.object({
+    topN: z
+        .number()
+        .int("Top N must be an integer")
+        .positive("Top N must be positive")
+        .optional(),
+
+    perTrack: z
+        .boolean()
+        .optional()
+        .default(false),
+
+    method: z
+        .enum(AGGREGATION_METHODS)
+        .optional()
+        .default('mean'),
+
+    teamIds: z
+        .array(z.number().int().positive("Team ID must be positive"))
+        .min(1, "At least one team is required")
+        .max(500, "Cannot advance more than 500 teams at once")
+        .optional()
+}).refine((data) => (data.topN === undefined) !== (data.teamIds === undefined), {
+    message: "Provide either topN or teamIds"
+});
+
+// Validation middleware functions
+export const getRoundsWithValidation = {
+    params: eventIdValidator
+};
+
+export const createRoundWithValidation = {
+    body: createRoundValidator,
+    params: eventIdValidator
+};
+
+export const updateRoundWithValidation = {
+    body: updateRoundValidator,
+    params: roundNumberValidator
+};
+
+export const deleteRoundWithValidation = {
+    params: roundNumberValidator
+};
+
+export const advanceTeamsWithValidation = {
+    body: advanceTeamsValidator,
+    params: roundNumberValidator
+};
+
+export const getQualifiedTeamsWithValidation = {
+    params: roundNumberValidator
+};
+
+export const removeQualificationWithValidation = {
+    params: roundTeamIdValidator
+};
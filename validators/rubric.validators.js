@@ -0,0 +1,93 @@
+import { z } from "zod";
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
+});
+
+// Round Rubric Params Validator
+export const roundRubricParamsValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID"),
+
+    roundNumber: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid round number")
+});
+
+// Rubric Criterion Validator
+export const criterionValidator = z.object({
+    key: z
+        .string()
+        .regex(/^[a-z][a-z0-9_]*$/, "Key must be lowercase letters, numbers and underscores")
+        .max(50, "Key cannot exceed 50 characters")
+        .optional(),
+
+    name: z
+        .string({ required_error: "Criterion name is required" })
+        .min(2, "Criterion name must be at least 2 characters long")
+        .max(100, "Criterion name cannot exceed 100 characters")
+        .trim(),
+
+    description: z
+        .string()
+        .max(500, "Description cannot exceed 500 characters")
+        .optional()
+        .default(""),
+
+    weight: z
+        .number()
+        .min(0, "Weight cannot be negative")
+        .max(100, "Weight cannot exceed 100")
+        .optional()
+        .default(1),
+
+    maxScore: z
+        .number()
+        .positive("Max score must be positive")
+        .max(100, "Max score cannot exceed 100")
+        .optional()
+        .default(10)
+});
+
+// Rubric Validator
+export const rubricValidator = z.object({
+    criteria: z
+        .array(criterionValidator, { required_error: "Criteria are required" })
+        .min(1, "Rubric must have at least one criterion")
+        .max(20, "Rubric cannot have more than 20 criteria")
+        .refine((criteria) => criteria.some((criterion) => criterion.weight > 0), "At least one criterion must have a positive weight")
+});
+
+// Validation middleware functions
+export const getRubricWithValidation = {
+    params: eventIdValidator
+};
+
+export const upsertRubricWithValidation = {
+    body: rubricValidator,
+    params: eventIdValidator
+};
+
+export const deleteRubricWithValidation = {
+    params: eventIdValidator
+};
+
+export const getRoundRubricWithValidation = {
+    params: roundRubricParamsValidator
+};
+
+export const upsertRoundRubricWithValidation = {
+    body: rubricValidator,
+    params: roundRubricParamsValidator
+};
+
+export const deleteRoundRubricWithValidation = {
+    params: roundRubricParamsValidator
+};
@@ -0,0 +1,78 @@
+import { z } from "zod";
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
+});
+
+// Event and Sponsor ID Validator (for params)
+export const sponsorIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID"),
+
+    sponsorId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid sponsor ID")
+});
+
+// Sponsor Creation Validator
+export const createSponsorValidator = z.object({
+    name: z
+        .string({ required_error: "Sponsor name is required" })
+        .min(2, "Sponsor name must be at least 2 characters long")
+        .max(255, "Sponsor name cannot exceed 255 characters")
+        .trim(),
+
+    tier: z
+        .string()
+        .max(50, "Tier cannot exceed 50 characters")
+        .trim()
+        .optional(),
+
+    description: z
+        .string()
+        .max(1000, "Description cannot exceed 1000 characters")
+        .optional(),
+
+    websiteUrl: z
+        .string()
+        .url("Website URL must be a valid URL")
+        .max(500, "Website URL cannot exceed 500 characters")
+        .optional(),
+
+    logoUrl: z
+        .string()
+        .url("Logo URL must be a valid URL")
+        .max(500, "Logo URL cannot exceed 500 characters")
+        .optional()
+});
+
+// Sponsor Update Validator
+export const updateSponsorValidator = createSponsorValidator.partial().refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update"
+});
+
+// Validation middleware functions
+export const getSponsorsWithValidation = {
+    params: eventIdValidator
+};
+
+export const createSponsorWithValidation = {
+    body: createSponsorValidator,
+    params: eventIdValidator
+};
+
+export const updateSponsorWithValidation = {
+    body: updateSponsorValidator,
+    params: sponsorIdValidator
+};
+
+export const deleteSponsorWithValidation = {
+    params: sponsorIdValidator
+};
@@ -94,12 +94,6 @@ export const updateSubmissionValidator = z.object({
     
     docs: z
         .array(z.string().url("Document URL must be valid"))
-        .optional(),
-    
-    round: z
-        .number()
-        .int("Round must be an integer")
-        .positive("Round must be positive")
         .optional()
 }).refine((data) => Object.keys(data).length > 0, {
     message: "At least one field must be provided for update"
@@ -143,6 +137,22 @@ export const submissionQueryValidator = z.object({
         .optional()
 });
 
+// Judge Scorecard Validator
+// Scores are checked against the event rubric in the controller
+export const judgeSubmissionValidator = z.object({
+    scores: z
+        .record(z.string(), z.number({ invalid_type_error: "Scores must be numbers" }), {
+            required_error: "Scores are required"
+        })
+        .refine((scores) => Object.keys(scores).length > 0, "At least one score is required"),
+
+    judgeComments: z
+        .string()
+        .max(2000, "Comments cannot exceed 2000 characters")
+        .trim()
+        .optional()
+});
+
 // Validation middleware functions
 export const createSubmissionWithValidation = {
     body: createSubmissionValidator
@@ -169,3 +179,12 @@ export const getSubmissionsByTeamWithValidation = {
 export const deleteSubmissionWithValidation = {
     params: submissionIdValidator
 };
+
+export const judgeSubmissionWithValidation = {
+    body: judgeSubmissionValidator,
+    params: submissionIdValidator
+};
+
+export const getScorecardsWithValidation = {
+    params: submissionIdValidator
+};
@@ -12,7 +12,11 @@ export const createTeamValidator = z.object({
     eventId: z
         .number({ required_error: "Event ID is required" })
         .int("Event ID must be an integer")
-        .positive("Event ID must be positive")
+        .positive("Event ID must be positive"),
+
+    joinPolicy: z
+        .enum(['open', 'invite', 'request'])
+        .optional()
 });
 
 // Team Update Validator
@@ -49,6 +53,91 @@ export const eventIdValidator = z.object({
         .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
 });
 
+// Invite ID Validator (for params)
+export const inviteIdValidator = z.object({
+    inviteId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid invite ID")
+});
+
+// Join Request ID Validator (for params)
+export const requestIdValidator = z.object({
+    requestId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid request ID")
+});
+
+// Invite Code Validator (for params)
+export const inviteCodeValidator = z.object({
+    code: z
+        .string()
+        .min(8, "Invalid invite code")
+        .max(64, "Invalid invite code")
+});
+
+// Join Policy Validator
+export const joinPolicyValidator = z.object({
+    joinPolicy: z.enum(['open', 'invite', 'request'], {
+        required_error: "Join policy is required"
+    })
+});
+
+// Team Invite Creation Validator
+export const createInviteValidator = z.object({
+    userId: z
+        .number()
+        .int("User ID must be an integer")
+        .positive("User ID must be positive")
+        .optional(),
+
+    expiresInHours: z
+        .number()
+        .int("Expiry must be a whole number of hours")
+        .min(0, "Expiry cannot be negative")
+        .max(24 * 30, "Invites cannot last longer than 30 days")
+        .optional(),
+
+    maxUses: z
+        .number()
+        .int("Max uses must be an integer")
+        .positive("Max uses must be positive")
+        .max(100, "Max uses cannot exceed 100")
+        .optional()
+});
+
+// Join Request Validator
+export const joinRequestValidator = z.object({
+    message: z
+        .string()
+        .max(500, "Message cannot exceed 500 characters")
+        .trim()
+        .optional()
+});
+
+// Join Request Listing Validator
+export const joinRequestQueryValidator = z.object({
+    status: z
+        .enum(['Pending', 'Approved', 'Declined', 'Cancelled'])
+        .optional()
+});
+
+// Leadership Transfer Validator
+export const transferLeadershipValidator = z.object({
+    userId: z
+        .number({ required_error: "New leader's user ID is required" })
+        .int("User ID must be an integer")
+        .positive("User ID must be positive")
+});
+
+// Member Role Validator - the leader role only changes hands through a transfer
+export const memberRoleValidator = z.object({
+    role: z.enum(['CoLeader', 'Member'], {
+        required_error: "Role is required"
+    })
+});
+
 // Pagination Validator
 export const paginationValidator = z.object({
     page: z
@@ -98,3 +187,49 @@ export const getTeamsByEventWithValidation = z.object({
     params: eventIdValidator,
     query: paginationValidator
 });
+
+export const updateJoinPolicyWithValidation = {
+    params: teamIdValidator,
+    body: joinPolicyValidator
+};
+
+export const createInviteWithValidation = {
+    params: teamIdValidator,
+    body: createInviteValidator
+};
+
+export const getTeamInvitesWithValidation = {
+    params: teamIdValidator
+};
+
+export const revokeInviteWithValidation = {
+    params: teamIdValidator.merge(inviteIdValidator)
+};
+
+export const inviteCodeWithValidation = {
+    params: inviteCodeValidator
+};
+
+export const createJoinRequestWithValidation = {
+    params: teamIdValidator,
+    body: joinRequestValidator
+};
+
+export const getJoinRequestsWithValidation = {
+    params: teamIdValidator,
+    query: joinRequestQueryValidator
+};
+
+export const joinRequestActionWithValidation = {
+    params: teamIdValidator.merge(requestIdValidator)
+};
+
+export const transferLeadershipWithValidation = {
+    params: teamIdValidator,
+    body: transferLeadershipValidator
+};
+
+export const updateMemberRoleWithValidation = {
+    params: teamIdValidator.merge(memberIdValidator),
+    body: memberRoleValidator
+};
@@ -0,0 +1,60 @@
+import { z } from "zod";
+
+// Event ID Validator (for params)
+export const eventIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID")
+});
+
+// Event and Track ID Validator (for params)
+export const trackIdValidator = z.object({
+    eventId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid event ID"),
+
+    trackId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid track ID")
+});
+
+// Track Creation Validator
+export const createTrackValidator = z.object({
+    name: z
+        .string({ required_error: "Track name is required" })
+        .min(2, "Track name must be at least 2 characters long")
+        .max(100, "Track name cannot exceed 100 characters")
+        .trim(),
+
+    description: z
+        .string()
+        .max(1000, "Description cannot exceed 1000 characters")
+        .optional()
+});
+
+// Track Update Validator
+export const updateTrackValidator = createTrackValidator.partial().refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update"
+});
+
+// Validation middleware functions
+export const getTracksWithValidation = {
+    params: eventIdValidator
+};
+
+export const createTrackWithValidation = {
+    body: createTrackValidator,
+    params: eventIdValidator
+};
+
+export const updateTrackWithValidation = {
+    body: updateTrackValidator,
+    params: trackIdValidator
+};
+
+export const deleteTrackWithValidation = {
+    params: trackIdValidator
+};
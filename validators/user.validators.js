@@ -43,6 +43,69 @@ export const loginValidator = z.object({
         .min(1, "Password cannot be empty")
 });
 
+// OAuth Provider Validator (for params)
+export const oauthProviderValidator = z.object({
+    provider: z
+        .enum(["google", "github"], { errorMap: () => ({ message: "Provider must be google or github" }) })
+});
+
+// OAuth Start Query Validator
+export const oauthStartQueryValidator = z.object({
+    role: z
+        .enum(["participant", "organizer", "judge"])
+        .optional(),
+
+    redirect: z
+        .string()
+        .url("Redirect must be a valid URL")
+        .optional()
+});
+
+// Refresh Token Validator
+export const refreshTokenValidator = z.object({
+    refreshToken: z
+        .string({ required_error: "Refresh token is required" })
+        .min(1, "Refresh token cannot be empty")
+});
+
+// Session ID Validator (for params)
+export const sessionIdValidator = z.object({
+    sessionId: z
+        .string()
+        .transform((val) => parseInt(val))
+        .refine((val) => !isNaN(val) && val > 0, "Invalid session ID")
+});
+
+// Email Verification Validator
+export const verifyEmailValidator = z.object({
+    token: z
+        .string({ required_error: "Token is required" })
+        .min(1, "Token cannot be empty")
+});
+
+// Forgot Password Validator
+export const forgotPasswordValidator = z.object({
+    email: z
+        .string({ required_error: "Email is required" })
+        .email("Invalid email format")
+        .toLowerCase()
+        .trim()
+});
+
+// Reset Password Validator
+export const resetPasswordValidator = z.object({
+    token: z
+        .string({ required_error: "Token is required" })
+        .min(1, "Token cannot be empty"),
+
+    password: z
+        .string({ required_error: "Password is required" })
+        .min(8, "Password must be at least 8 characters long")
+        .max(128, "Password cannot exceed 128 characters")
+        .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 
+            "Password must contain at least one uppercase letter, one lowercase letter, and one number")
+});
+
 // User Update Validator
 export const updateUserValidator = z.object({
     name: z
@@ -105,6 +168,35 @@ export const loginWithValidation = {
     body: loginValidator
 };
 
+export const startOAuthWithValidation = {
+    params: oauthProviderValidator,
+    query: oauthStartQueryValidator
+};
+
+export const oauthCallbackWithValidation = {
+    params: oauthProviderValidator
+};
+
+export const refreshTokenWithValidation = {
+    body: refreshTokenValidator
+};
+
+export const revokeSessionWithValidation = {
+    params: sessionIdValidator
+};
+
+export const verifyEmailWithValidation = {
+    body: verifyEmailValidator
+};
+
+export const forgotPasswordWithValidation = {
+    body: forgotPasswordValidator
+};
+
+export const resetPasswordWithValidation = {
+    body: resetPasswordValidator
+};
+
 export const updateUserWithValidation = {
     body: updateUserValidator,
     params: userIdValidator